@@ -0,0 +1,405 @@
+/**
+ * Alert Store
+ * Keeps a shared record of alerts from every processor and of who acknowledged,
+ * assigned, commented on and resolved them
+ *
+ * Repeat notifications of a firing threshold alert are folded into the stored
+ * alert as occurrences, and its resolved notification resolves it.
+ */
+
+const { getAlertField } = require('./matchers');
+const { matchesLocation } = require('./targeting');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+class AlertStore {
+  constructor(options = {}) {
+    this.store = options.store || null; // Optional persistent storage
+    this.maxAlerts = options.maxAlerts || 10000; // Oldest alerts are dropped beyond this
+    this.retentionMs = (options.retentionDays || 30) * 24 * 60 * 60 * 1000; // For resolved alerts
+    this.alerts = new Map(); // alert_id -> stored alert, oldest first
+    this.open = new Map(); // rule_id:device_id -> alert_id of the unresolved threshold alert
+  }
+
+  /**
+   * Load persisted alerts and follow changes made by other instances
+   * @returns {Number} - Number of alerts loaded
+   */
+  async load() {
+    if (!this.store) {
+      return 0;
+    }
+
+    const alerts = await this.store.load();
+    alerts
+      .sort((a, b) => a.triggered_at.localeCompare(b.triggered_at))
+      .forEach(alert => this.index(alert));
+
+    await this.store.subscribe(change => {
+      if (change.op === 'remove') {
+        this.unindex(change.id);
+      } else if (change.op === 'save' && change.doc) {
+        this.index(change.doc);
+      }
+    });
+
+    return alerts.length;
+  }
+
+  /**
+   * Record an alert after the pipeline decided whether to deliver it
+   * @param {Object} alert - Alert from a processor
+   * @param {Object} result - Notification result
+   * @returns {Object|null} - Stored alert
+   */
+  record(alert, result = {}) {
+    const now = new Date().toISOString();
+    const notification = {
+      notification_status: result.status || 'notified',
+      ...(result.inhibited_by && { inhibited_by: result.inhibited_by }),
+      ...(result.silenced_by && { silenced_by: result.silenced_by })
+    };
+
+    if (alert.status === 'resolved') {
+      return this.recordResolution(alert, now);
+    }
+
+    const openId = alert.status === 'firing' ? this.open.get(this.getEpisodeKey(alert)) : null;
+    const existing = openId ? this.alerts.get(openId) : null;
+
+    if (existing) {
+      const { inhibited_by, silenced_by, ...rest } = existing;
+      const updated = {
+        ...rest,
+        ...notification,
+        value: alert.value,
+        message: alert.message || existing.message,
+        occurrences: existing.occurrences + 1,
+        last_alert_id: alert.alert_id,
+        last_occurred_at: alert.timestamp || now,
+        updated_at: now
+      };
+      this.save(updated);
+      return updated;
+    }
+
+    const stored = {
+      alert_id: alert.alert_id,
+      rule_id: alert.rule_id,
+      alert_level: alert.alert_level,
+      sensor_type: alert.sensor_type,
+      device_id: alert.device_id,
+      location: getAlertField(alert, 'location') || null,
+      message: alert.message || alert.description,
+      value: alert.value,
+      condition: alert.condition,
+      status: 'open',
+      auto_resolve: alert.status === 'firing',
+      ...notification,
+      triggered_at: alert.timestamp || now,
+      last_occurred_at: alert.timestamp || now,
+      last_alert_id: alert.alert_id,
+      occurrences: 1,
+      assigned_to: null,
+      comments: [],
+      activity: [{ action: 'triggered', actor: 'system', at: now }],
+      updated_at: now,
+      data: alert.data
+    };
+
+    this.save(stored);
+    this.prune();
+    return stored;
+  }
+
+  /**
+   * Resolve a stored alert from its processor's resolved notification
+   * Alerts already resolved by an operator only record when the condition cleared
+   * @param {Object} alert - Resolved alert
+   * @param {String} now - Current ISO time
+   * @returns {Object|null}
+   */
+  recordResolution(alert, now) {
+    // Prefer the open alert, which differs when an operator resolved the first one mid-episode
+    const existing = this.alerts.get(this.open.get(this.getEpisodeKey(alert))) ||
+      this.alerts.get(alert.resolves_alert_id);
+    if (!existing) {
+      return null;
+    }
+
+    const resolution = { resolution_alert_id: alert.alert_id };
+    const updated = existing.status === 'resolved'
+      ? { ...existing, cleared_at: alert.timestamp || now, ...resolution, updated_at: now }
+      : {
+        ...existing,
+        status: 'resolved',
+        resolved_at: alert.timestamp || now,
+        resolved_by: 'system',
+        cleared_at: alert.timestamp || now,
+        ...resolution,
+        activity: [...existing.activity, { action: 'resolved', actor: 'system', at: now, ...resolution }],
+        updated_at: now
+      };
+
+    this.save(updated);
+    return updated;
+  }
+
+  /**
+   * Acknowledge an alert
+   * @param {String} alertId - Alert identifier
+   * @param {Object} context - Change context ({ actor })
+   * @returns {Object|null} - Updated alert, null if not found
+   */
+  acknowledge(alertId, context = {}) {
+    const existing = this.alerts.get(alertId);
+    if (!existing) {
+      return null;
+    }
+    if (existing.status !== 'open') {
+      return existing;
+    }
+
+    const actor = context.actor || 'system';
+    const now = new Date().toISOString();
+
+    return this.update(existing, {
+      status: 'acknowledged',
+      acknowledged_at: now,
+      acknowledged_by: actor
+    }, { action: 'acknowledged', actor, at: now });
+  }
+
+  /**
+   * Assign an alert to someone, or unassign it with a null assignee
+   * @param {String} alertId - Alert identifier
+   * @param {String|null} assignee - Person or team handling the alert
+   * @param {Object} context - Change context ({ actor })
+   * @returns {Object|null} - Updated alert, null if not found
+   */
+  assign(alertId, assignee, context = {}) {
+    if (assignee !== null && (typeof assignee !== 'string' || !assignee)) {
+      throw new Error('assignee must be a non-empty string or null');
+    }
+
+    const existing = this.alerts.get(alertId);
+    if (!existing) {
+      return null;
+    }
+
+    const actor = context.actor || 'system';
+    const now = new Date().toISOString();
+
+    return this.update(existing, {
+      assigned_to: assignee,
+      assigned_at: now,
+      assigned_by: actor
+    }, { action: assignee ? 'assigned' : 'unassigned', actor, at: now, assignee });
+  }
+
+  /**
+   * Add a comment to an alert
+   * @param {String} alertId - Alert identifier
+   * @param {String} text - Comment text
+   * @param {Object} context - Change context ({ actor })
+   * @returns {Object|null} - Added comment, null if the alert was not found
+   */
+  comment(alertId, text, context = {}) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('text is required');
+    }
+
+    const existing = this.alerts.get(alertId);
+    if (!existing) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const comment = {
+      comment_id: `comment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      text: text.trim(),
+      author: context.actor || 'system',
+      created_at: now
+    };
+
+    this.update(existing, {
+      comments: [...existing.comments, comment]
+    }, { action: 'commented', actor: comment.author, at: now, comment_id: comment.comment_id });
+
+    return comment;
+  }
+
+  /**
+   * Resolve an alert by hand
+   * @param {String} alertId - Alert identifier
+   * @param {Object} options - Optional { comment } explaining the resolution
+   * @param {Object} context - Change context ({ actor })
+   * @returns {Object|null} - Updated alert, null if not found
+   */
+  resolve(alertId, options = {}, context = {}) {
+    const existing = this.alerts.get(alertId);
+    if (!existing) {
+      return null;
+    }
+    if (existing.status === 'resolved') {
+      return existing;
+    }
+
+    const actor = context.actor || 'system';
+    const now = new Date().toISOString();
+    const resolution = options.comment ? String(options.comment) : null;
+
+    return this.update(existing, {
+      status: 'resolved',
+      resolved_at: now,
+      resolved_by: actor,
+      resolution
+    }, { action: 'resolved', actor, at: now, ...(resolution && { resolution }) });
+  }
+
+  /**
+   * Get a stored alert
+   * @param {String} alertId - Alert identifier
+   * @returns {Object|null}
+   */
+  get(alertId) {
+    return this.alerts.get(alertId) || null;
+  }
+
+  /**
+   * Find stored alerts, newest first
+   * @param {Object} filters - Optional status, rule_id, device_id, alert_level,
+   *   sensor_type, assigned_to, location (pattern), from and to (ISO) filters
+   * @returns {Array}
+   */
+  query(filters = {}) {
+    const statuses = filters.status ? String(filters.status).split(',') : null;
+    const from = filters.from ? Date.parse(filters.from) : null;
+    const to = filters.to ? Date.parse(filters.to) : null;
+
+    return Array.from(this.alerts.values())
+      .filter(alert =>
+        (!statuses || statuses.includes(alert.status)) &&
+        ['rule_id', 'device_id', 'alert_level', 'sensor_type', 'assigned_to']
+          .every(field => !filters[field] || alert[field] === filters[field]) &&
+        (!filters.location || matchesLocation(filters.location, alert.location)) &&
+        (from === null || Date.parse(alert.triggered_at) >= from) &&
+        (to === null || Date.parse(alert.triggered_at) <= to)
+      )
+      .sort((a, b) => b.triggered_at.localeCompare(a.triggered_at));
+  }
+
+  /**
+   * List a page of stored alerts, newest first
+   * @param {Object} filters - Filters (see query)
+   * @param {Object} page - { limit, offset }
+   * @returns {Object} - { alerts, total, limit, offset }
+   */
+  list(filters = {}, page = {}) {
+    const matching = this.query(filters);
+    const limit = Math.min(Math.max(parseInt(page.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(page.offset) || 0, 0);
+
+    return {
+      alerts: matching.slice(offset, offset + limit),
+      total: matching.length,
+      limit,
+      offset
+    };
+  }
+
+  /**
+   * Get the key of a threshold alert's firing episode
+   * @param {Object} alert - Alert
+   * @returns {String}
+   */
+  getEpisodeKey(alert) {
+    return `${alert.rule_id}:${alert.device_id}`;
+  }
+
+  /**
+   * Apply a workflow change and record it in the alert's activity
+   * @param {Object} existing - Stored alert
+   * @param {Object} changes - Fields to change
+   * @param {Object} activity - { action, actor, at, ... }
+   * @returns {Object} - Updated alert
+   */
+  update(existing, changes, activity) {
+    const updated = {
+      ...existing,
+      ...changes,
+      activity: [...existing.activity, activity],
+      updated_at: activity.at
+    };
+
+    this.save(updated);
+    return updated;
+  }
+
+  /**
+   * Drop resolved alerts past retention and the oldest alerts beyond maxAlerts
+   * @param {Number} now - Reference time in milliseconds
+   */
+  prune(now = Date.now()) {
+    let excess = this.alerts.size - this.maxAlerts;
+
+    for (const [alertId, alert] of this.alerts.entries()) {
+      const expired = alert.status === 'resolved' && now - Date.parse(alert.resolved_at) > this.retentionMs;
+      if (!expired && excess <= 0) {
+        continue;
+      }
+
+      this.unindex(alertId);
+      excess--;
+      if (this.store) {
+        this.store.remove(alertId).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Track a stored alert in memory
+   * @param {Object} alert - Stored alert
+   */
+  index(alert) {
+    this.alerts.set(alert.alert_id, alert);
+
+    const key = this.getEpisodeKey(alert);
+    if (alert.status === 'resolved') {
+      if (this.open.get(key) === alert.alert_id) {
+        this.open.delete(key);
+      }
+    } else if (alert.auto_resolve) {
+      this.open.set(key, alert.alert_id);
+    }
+  }
+
+  /**
+   * Stop tracking a stored alert
+   * @param {String} alertId - Alert identifier
+   */
+  unindex(alertId) {
+    const alert = this.alerts.get(alertId);
+    if (alert && this.open.get(this.getEpisodeKey(alert)) === alertId) {
+      this.open.delete(this.getEpisodeKey(alert));
+    }
+    this.alerts.delete(alertId);
+  }
+
+  /**
+   * Store an alert and write it through to storage
+   * @param {Object} alert - Stored alert
+   */
+  save(alert) {
+    this.index(alert);
+
+    if (this.store) {
+      this.store.save(alert.alert_id, alert).catch(error => {
+        console.error(`Failed to persist alert ${alert.alert_id}:`, error);
+      });
+    }
+  }
+}
+
+module.exports = AlertStore;
@@ -0,0 +1,163 @@
+/**
+ * Chat Messages
+ * Native message formats for Slack (Block Kit), Microsoft Teams (Adaptive
+ * Cards) and Telegram (Bot API sendMessage)
+ *
+ * Each formatter takes the alert's title (the message template's subject) and
+ * the message template variables, so chat messages are localised like emails
+ * and link back to the alert when ALERT_URL_TEMPLATE is set.
+ */
+
+const { escapeHtml } = require('./templating');
+
+// Adaptive Card container styles and text colours per severity
+const TEAMS_STYLES = {
+  critical: { style: 'attention', color: 'Attention' },
+  warning: { style: 'warning', color: 'Warning' },
+  info: { style: 'accent', color: 'Accent' },
+  resolved: { style: 'good', color: 'Good' }
+};
+
+// Telegram has no message colours, so severity is shown with an emoji
+const TELEGRAM_MARKERS = {
+  critical: '🔴',
+  warning: '🟠',
+  info: '🔵',
+  resolved: '✅'
+};
+
+/**
+ * Get the severity used for colouring, resolved alerts being their own
+ * @param {Object} alert - Alert data
+ * @returns {String} - 'critical', 'warning', 'info' or 'resolved'
+ */
+function getSeverity(alert) {
+  if (alert.status === 'resolved') {
+    return 'resolved';
+  }
+  return TEAMS_STYLES[alert.alert_level] ? alert.alert_level : 'info';
+}
+
+/**
+ * Get the labelled alert details shown in every chat message
+ * @param {Object} variables - Message template variables
+ * @returns {Array} - Array of { label, value }
+ */
+function getFacts(variables) {
+  const { alert, labels } = variables;
+  return [
+    alert.device_id && { label: labels.device, value: variables.device },
+    alert.sensor_type && { label: labels.sensor, value: alert.sensor_type },
+    variables.location && { label: labels.location, value: variables.location },
+    variables.has_value && { label: labels.value, value: alert.value },
+    alert.timestamp && { label: labels.time, value: alert.timestamp }
+  ].filter(Boolean).map(fact => ({ ...fact, value: String(fact.value) }));
+}
+
+/**
+ * Escape text for Slack mrkdwn
+ * @param {String} value - Text
+ * @returns {String}
+ */
+function escapeSlack(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Format a Slack incoming webhook message
+ * Blocks sit in an attachment so the sidebar shows the severity colour
+ * @param {String} title - Message title
+ * @param {Object} variables - Message template variables
+ * @returns {Object}
+ */
+function formatSlack(title, variables) {
+  const { alert, labels } = variables;
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: title.substring(0, 150), emoji: true } },
+    { type: 'section', text: { type: 'mrkdwn', text: escapeSlack(variables.message) } },
+    {
+      type: 'section',
+      fields: getFacts(variables).map(fact => ({ type: 'mrkdwn', text: `*${escapeSlack(fact.label)}*\n${escapeSlack(fact.value)}` }))
+    }
+  ];
+
+  if (variables.alert_url) {
+    blocks.push({
+      type: 'actions',
+      elements: [{
+        type: 'button',
+        text: { type: 'plain_text', text: labels.view },
+        url: variables.alert_url,
+        ...(getSeverity(alert) === 'critical' && { style: 'danger' })
+      }]
+    });
+  }
+
+  return {
+    text: title, // Notification and fallback text
+    attachments: [{ color: variables.level_color, blocks }]
+  };
+}
+
+/**
+ * Format a Teams incoming webhook message carrying an Adaptive Card
+ * @param {String} title - Message title
+ * @param {Object} variables - Message template variables
+ * @returns {Object}
+ */
+function formatTeams(title, variables) {
+  const { style, color } = TEAMS_STYLES[getSeverity(variables.alert)];
+  const card = {
+    $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+    type: 'AdaptiveCard',
+    version: '1.4',
+    msteams: { width: 'Full' },
+    body: [
+      {
+        type: 'Container',
+        style,
+        bleed: true,
+        items: [{ type: 'TextBlock', text: title, weight: 'Bolder', size: 'Medium', color, wrap: true }]
+      },
+      { type: 'TextBlock', text: variables.message, wrap: true },
+      { type: 'FactSet', facts: getFacts(variables).map(fact => ({ title: fact.label, value: fact.value })) }
+    ],
+    actions: variables.alert_url
+      ? [{ type: 'Action.OpenUrl', title: variables.labels.view, url: variables.alert_url }]
+      : []
+  };
+
+  return {
+    type: 'message',
+    attachments: [{ contentType: 'application/vnd.microsoft.card.adaptive', contentUrl: null, content: card }]
+  };
+}
+
+/**
+ * Format a Telegram Bot API sendMessage request
+ * @param {String} chatId - Telegram chat ID or @channel username
+ * @param {String} title - Message title
+ * @param {Object} variables - Message template variables
+ * @returns {Object}
+ */
+function formatTelegram(chatId, title, variables) {
+  const marker = TELEGRAM_MARKERS[getSeverity(variables.alert)];
+  const facts = getFacts(variables).map(fact => `<b>${escapeHtml(fact.label)}:</b> ${escapeHtml(fact.value)}`);
+
+  return {
+    chat_id: chatId,
+    text: [`${marker} <b>${escapeHtml(title)}</b>`, escapeHtml(variables.message), '', ...facts].join('\n'),
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+    ...(variables.alert_url && {
+      reply_markup: { inline_keyboard: [[{ text: variables.labels.view, url: variables.alert_url }]] }
+    })
+  };
+}
+
+module.exports = {
+  getSeverity,
+  formatSlack,
+  formatTeams,
+  formatTelegram
+};
@@ -0,0 +1,286 @@
+/**
+ * Delivery Log
+ * Keeps a persisted record of every delivery attempt made by the outbox, and
+ * time-bucketed success, failure and latency statistics per channel and rule
+ *
+ * Log entry format:
+ *   {
+ *     log_id: 'log_...',
+ *     delivery_id: 'delivery_...',
+ *     alert_id: 'alert_...',
+ *     rule_id: 'gas_high_critical',
+ *     alert_level: 'critical',
+ *     channel: 'sms',
+ *     attempt: 1,
+ *     status: 'sent' | 'partial' | 'failed' | 'skipped',
+ *     reason: 'no_recipients',        // Skipped deliveries only
+ *     error: 'SMS delivery failed: ...',
+ *     targets: [{ target: '+34600000001', status: 'sent' }],
+ *     retry_at: '...',                // Or dead_lettered: true
+ *     duration_ms: 420,               // Time spent on this attempt
+ *     latency_ms: 1250,               // From the alert to the end of this attempt
+ *     timestamp: '...'
+ *   }
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const STATUSES = ['sent', 'partial', 'failed', 'skipped'];
+
+class DeliveryLog {
+  constructor(options = {}) {
+    this.store = options.store || null; // Optional persistent storage
+    this.maxEntries = options.maxEntries || 10000; // Oldest entries are dropped beyond this
+    this.retentionMs = (options.retentionDays || 30) * 24 * 60 * 60 * 1000;
+    this.entries = new Map(); // log_id -> log entry, oldest first
+  }
+
+  /**
+   * Load persisted entries and follow changes made by other instances
+   * @returns {Number} - Number of entries loaded
+   */
+  async load() {
+    if (!this.store) {
+      return 0;
+    }
+
+    const entries = await this.store.load();
+    entries
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+      .forEach(entry => this.entries.set(entry.log_id, entry));
+
+    await this.store.subscribe(change => {
+      if (change.op === 'remove') {
+        this.entries.delete(change.id);
+      } else if (change.op === 'save' && change.doc) {
+        this.entries.set(change.id, change.doc);
+      }
+    });
+
+    return entries.length;
+  }
+
+  /**
+   * Record a delivery attempt
+   * @param {Object} attempt - Attempt details (see log entry format)
+   * @returns {Object} - Stored log entry
+   */
+  record(attempt) {
+    const timestamp = attempt.timestamp || new Date().toISOString();
+    const entry = {
+      log_id: this.generateLogId(Date.parse(timestamp)),
+      ...attempt,
+      timestamp
+    };
+
+    this.entries.set(entry.log_id, entry);
+
+    if (this.store) {
+      this.store.save(entry.log_id, entry).catch(error => {
+        console.error(`Failed to persist delivery log entry ${entry.log_id}:`, error);
+      });
+    }
+
+    this.prune(Date.parse(timestamp));
+    return entry;
+  }
+
+  /**
+   * Find log entries, newest first
+   * @param {Object} filters - Optional alert_id, rule_id, channel, alert_level,
+   *   status (comma-separated), from and to (ISO) filters
+   * @returns {Array}
+   */
+  query(filters = {}) {
+    const statuses = filters.status ? String(filters.status).split(',') : null;
+    const from = filters.from ? Date.parse(filters.from) : null;
+    const to = filters.to ? Date.parse(filters.to) : null;
+
+    return Array.from(this.entries.values())
+      .filter(entry =>
+        (!statuses || statuses.includes(entry.status)) &&
+        ['alert_id', 'rule_id', 'channel', 'alert_level']
+          .every(field => !filters[field] || entry[field] === filters[field]) &&
+        (from === null || Date.parse(entry.timestamp) >= from) &&
+        (to === null || Date.parse(entry.timestamp) <= to)
+      )
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }
+
+  /**
+   * List a page of log entries, newest first
+   * @param {Object} filters - Filters (see query)
+   * @param {Object} page - { limit, offset }
+   * @returns {Object} - { deliveries, total, limit, offset }
+   */
+  list(filters = {}, page = {}) {
+    const matching = this.query(filters);
+    const limit = Math.min(Math.max(parseInt(page.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(page.offset) || 0, 0);
+
+    return {
+      deliveries: matching.slice(offset, offset + limit),
+      total: matching.length,
+      limit,
+      offset
+    };
+  }
+
+  /**
+   * Get delivery statistics per channel and per rule, in time buckets
+   * @param {Object} filters - Filters (see query)
+   * @param {Number} bucketMinutes - Bucket size in minutes
+   * @returns {Object} - { bucket_minutes, total, by_channel, by_rule }
+   */
+  getStats(filters = {}, bucketMinutes = 60) {
+    const bucketMs = Math.max(parseInt(bucketMinutes) || 60, 1) * 60 * 1000;
+    const entries = this.query(filters).reverse();
+    const byChannel = {};
+    const byRule = {};
+
+    for (const entry of entries) {
+      const bucket = new Date(Math.floor(Date.parse(entry.timestamp) / bucketMs) * bucketMs).toISOString();
+      this.addToStats(byChannel, entry.channel, bucket, entry);
+      this.addToStats(byRule, entry.rule_id || 'unknown', bucket, entry);
+    }
+
+    return {
+      bucket_minutes: bucketMs / 60000,
+      total: entries.length,
+      by_channel: this.summarizeStats(byChannel),
+      by_rule: this.summarizeStats(byRule)
+    };
+  }
+
+  /**
+   * Count an entry in a group's totals and in its time bucket
+   * @param {Object} groups - Group key -> { totals, buckets }
+   * @param {String} key - Channel or rule ID
+   * @param {String} bucket - Bucket start (ISO)
+   * @param {Object} entry - Log entry
+   */
+  addToStats(groups, key, bucket, entry) {
+    if (!groups[key]) {
+      groups[key] = { totals: this.createCounts(), buckets: new Map() };
+    }
+
+    const group = groups[key];
+    if (!group.buckets.has(bucket)) {
+      group.buckets.set(bucket, this.createCounts());
+    }
+
+    for (const counts of [group.totals, group.buckets.get(bucket)]) {
+      counts.attempts++;
+      if (STATUSES.includes(entry.status)) {
+        counts[entry.status]++;
+      }
+      if (entry.dead_lettered) {
+        counts.dead_lettered++;
+      }
+      // Latency only means something for attempts that reached someone
+      if (['sent', 'partial'].includes(entry.status) && typeof entry.latency_ms === 'number') {
+        counts.latencies.push(entry.latency_ms);
+      }
+    }
+  }
+
+  /**
+   * Create empty attempt counts
+   * @returns {Object}
+   */
+  createCounts() {
+    return { attempts: 0, sent: 0, partial: 0, failed: 0, skipped: 0, dead_lettered: 0, latencies: [] };
+  }
+
+  /**
+   * Turn collected counts into rates and latency percentiles
+   * @param {Object} groups - Group key -> { totals, buckets }
+   * @returns {Object} - Group key -> stats with buckets, oldest first
+   */
+  summarizeStats(groups) {
+    const summary = {};
+
+    for (const [key, group] of Object.entries(groups)) {
+      summary[key] = {
+        ...this.summarizeCounts(group.totals),
+        buckets: Array.from(group.buckets.entries())
+          .map(([start, counts]) => ({ start, ...this.summarizeCounts(counts) }))
+      };
+    }
+
+    return summary;
+  }
+
+  /**
+   * Summarize attempt counts
+   * Success rate leaves out skipped attempts, e.g. unconfigured channels
+   * @param {Object} counts - Attempt counts
+   * @returns {Object}
+   */
+  summarizeCounts(counts) {
+    const { latencies, ...totals } = counts;
+    const attempted = totals.sent + totals.partial + totals.failed;
+    const sorted = [...latencies].sort((a, b) => a - b);
+    const percentile = p => sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+
+    return {
+      ...totals,
+      success_rate: attempted > 0 ? Math.round((totals.sent + totals.partial) / attempted * 1000) / 1000 : null,
+      latency_ms: sorted.length > 0
+        ? {
+          avg: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+          p50: percentile(0.5),
+          p95: percentile(0.95),
+          max: sorted[sorted.length - 1]
+        }
+        : null
+    };
+  }
+
+  /**
+   * Get totals by channel and status
+   * @returns {Object} - { total, by_channel, by_status }
+   */
+  getTotals() {
+    const totals = { total: this.entries.size, by_channel: {}, by_status: {} };
+
+    for (const entry of this.entries.values()) {
+      totals.by_channel[entry.channel] = (totals.by_channel[entry.channel] || 0) + 1;
+      totals.by_status[entry.status] = (totals.by_status[entry.status] || 0) + 1;
+    }
+
+    return totals;
+  }
+
+  /**
+   * Drop entries past retention and the oldest entries beyond maxEntries
+   * @param {Number} now - Reference time in milliseconds
+   */
+  prune(now = Date.now()) {
+    let excess = this.entries.size - this.maxEntries;
+
+    for (const [logId, entry] of this.entries.entries()) {
+      const expired = now - Date.parse(entry.timestamp) > this.retentionMs;
+      if (!expired && excess <= 0) {
+        break; // Entries are kept oldest first
+      }
+
+      this.entries.delete(logId);
+      excess--;
+      if (this.store) {
+        this.store.remove(logId).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Generate unique log entry ID
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {String}
+   */
+  generateLogId(now) {
+    return `log_${now}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
+
+module.exports = DeliveryLog;
@@ -0,0 +1,385 @@
+/**
+ * Alert Digests
+ * Batches alerts whose delivery mode is 'digest' into one summary per channel,
+ * sent every DIGEST_INTERVAL_MINUTES or at the DIGEST_AT times of day
+ *
+ * Queued alerts are kept as groups per channel, location and rule:
+ *   {
+ *     group_id: 'webhook|building-a/floor-1|presence_detected',
+ *     channel: 'webhook',
+ *     location: 'building-a/floor-1',
+ *     rule_id: 'presence_detected',
+ *     alert_level: 'info',            // Highest level seen
+ *     count: 42,
+ *     first_seen: '...',
+ *     last_seen: '...',
+ *     devices: ['pir_1', 'ld2410_3'],
+ *     last_alert_id: 'alert_...',
+ *     last_message: '...'
+ *   }
+ *
+ * A digest is sent as an alert with rule_id 'digest' and the groups in
+ * alert.digest, rendered with the 'digest' message template. With an interval,
+ * a channel's digest goes out once its oldest group has waited that long; with
+ * DIGEST_AT, at each listed time in DIGEST_TIMEZONE. Instances sharing storage
+ * claim each due digest in the store first, so only one of them sends it.
+ */
+
+const { getLocalParts } = require('./schedule');
+
+const LEVEL_RANK = { info: 0, warning: 1, critical: 2 };
+const MAX_DEVICES = 10;
+
+class DigestBatcher {
+  constructor(options = {}) {
+    this.store = options.store || null; // Optional persistent storage
+    this.send = options.send; // (digestAlert, channel) => delivery result
+    this.intervalMs = (options.intervalMinutes || 60) * 60 * 1000;
+    this.times = [...(options.at || [])].sort(); // Local 'HH:MM' send times, replace the interval
+    this.timezone = options.timezone || 'UTC';
+    this.messageTemplate = options.messageTemplate || 'digest';
+    this.checkIntervalMs = (options.checkIntervalSeconds || 30) * 1000;
+    this.leaseMs = (options.leaseSeconds || 300) * 1000; // How long a claimed digest stays claimed
+    this.groups = new Map(); // group_id -> group
+    this.lastSlot = null; // Last DIGEST_AT slot seen
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Load persisted groups and follow changes made by other instances
+   * @returns {Number} - Number of groups loaded
+   */
+  async load() {
+    if (!this.store) {
+      return 0;
+    }
+
+    const groups = await this.store.load();
+    for (const group of groups) {
+      this.groups.set(group.group_id, group);
+    }
+
+    await this.store.subscribe(change => {
+      if (change.op === 'remove') {
+        this.groups.delete(change.id);
+      } else if (change.op === 'save' && change.doc) {
+        this.groups.set(change.id, change.doc);
+      }
+    });
+
+    return groups.length;
+  }
+
+  /**
+   * Send due digests periodically
+   */
+  start() {
+    this.lastSlot = this.getSlot(Date.now());
+    this.timer = setInterval(() => this.tick(), this.checkIntervalMs);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop sending digests
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Queue an alert for a channel's next digest
+   * @param {Object} alert - Alert data
+   * @param {String} channel - Notification channel
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {Object} - Updated group
+   */
+  add(alert, channel, now = Date.now()) {
+    const location = alert.location || alert.data?.location || null;
+    const ruleId = alert.rule_id || null;
+    const groupId = [channel, location || '', ruleId || ''].join('|');
+    const seen = alert.timestamp || new Date(now).toISOString();
+    const existing = this.groups.get(groupId);
+
+    const devices = existing?.devices || [];
+    const group = {
+      group_id: groupId,
+      channel,
+      location,
+      rule_id: ruleId,
+      alert_level: this.getHighestLevel([existing?.alert_level, alert.alert_level]),
+      count: (existing?.count || 0) + 1,
+      first_seen: existing?.first_seen || seen,
+      last_seen: seen,
+      devices: alert.device_id && !devices.includes(alert.device_id) && devices.length < MAX_DEVICES
+        ? [...devices, alert.device_id]
+        : devices,
+      last_alert_id: alert.alert_id,
+      last_message: alert.message || alert.description
+    };
+
+    this.save(group);
+    return group;
+  }
+
+  /**
+   * List queued groups, by channel, location and rule
+   * @param {Object} filters - Optional channel
+   * @returns {Array}
+   */
+  list(filters = {}) {
+    return Array.from(this.groups.values())
+      .filter(group => !filters.channel || group.channel === filters.channel)
+      .sort((a, b) => a.group_id.localeCompare(b.group_id));
+  }
+
+  /**
+   * Get the DIGEST_AT slot a time falls in, e.g. '2025-01-06 08:00'
+   * Times before the first send time belong to the previous day's last slot
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {String|null} - null without DIGEST_AT
+   */
+  getSlot(now) {
+    if (this.times.length === 0) {
+      return null;
+    }
+
+    const local = getLocalParts(new Date(now), this.timezone);
+    const current = `${String(Math.floor(local.minutes / 60)).padStart(2, '0')}:${String(local.minutes % 60).padStart(2, '0')}`;
+    const passed = this.times.filter(time => time <= current);
+    if (passed.length > 0) {
+      return `${local.date} ${passed[passed.length - 1]}`;
+    }
+
+    const yesterday = getLocalParts(new Date(now - (local.minutes + 1) * 60 * 1000), this.timezone);
+    return `${yesterday.date} ${this.times[this.times.length - 1]}`;
+  }
+
+  /**
+   * Get the channels whose digest is due
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {Array}
+   */
+  getDueChannels(now = Date.now()) {
+    const channels = [...new Set(this.list().map(group => group.channel))];
+
+    if (this.times.length > 0) {
+      const slot = this.getSlot(now);
+      const due = this.lastSlot !== null && slot !== this.lastSlot;
+      this.lastSlot = slot;
+      return due ? channels : [];
+    }
+
+    return channels.filter(channel => {
+      const oldest = Math.min(...this.list({ channel }).map(group => Date.parse(group.first_seen)));
+      return oldest + this.intervalMs <= now;
+    });
+  }
+
+  /**
+   * Send the digests that are due
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {Number} - Number of digests sent
+   */
+  async tick(now = Date.now()) {
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    let sent = 0;
+
+    try {
+      for (const channel of this.getDueChannels(now)) {
+        if (!(await this.claim(channel, now))) {
+          continue;
+        }
+        await this.flush(channel, now);
+        sent++;
+      }
+    } catch (error) {
+      console.error('Digest delivery failed:', error);
+    } finally {
+      this.running = false;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Send a channel's digest now and clear its groups
+   * @param {String} channel - Notification channel
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {Object|null} - Delivery result, null if nothing is queued
+   */
+  async flush(channel, now = Date.now()) {
+    const groups = this.list({ channel });
+    if (groups.length === 0) {
+      return null;
+    }
+
+    // Alerts queued while sending go into the next digest
+    for (const group of groups) {
+      this.remove(group.group_id);
+    }
+
+    try {
+      return await this.send(this.buildDigest(channel, groups, now), channel);
+    } catch (error) {
+      // Queue the unsent groups again, together with anything queued meanwhile
+      for (const group of groups) {
+        this.save(this.mergeGroups(group, this.groups.get(group.group_id)));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send every queued digest now
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {Array} - Delivery results
+   */
+  async flushAll(now = Date.now()) {
+    const results = [];
+    for (const channel of [...new Set(this.list().map(group => group.channel))]) {
+      results.push(await this.flush(channel, now));
+    }
+    return results;
+  }
+
+  /**
+   * Combine a group with a newer copy of it queued since
+   * @param {Object} group - Older group
+   * @param {Object|undefined} newer - Group queued since, if any
+   * @returns {Object}
+   */
+  mergeGroups(group, newer) {
+    if (!newer) {
+      return group;
+    }
+
+    return {
+      ...newer,
+      alert_level: this.getHighestLevel([group.alert_level, newer.alert_level]),
+      count: group.count + newer.count,
+      first_seen: group.first_seen,
+      devices: [...new Set([...group.devices, ...newer.devices])].slice(0, MAX_DEVICES)
+    };
+  }
+
+  /**
+   * Build the summary alert for a channel's groups
+   * @param {String} channel - Notification channel
+   * @param {Array} groups - Queued groups
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {Object}
+   */
+  buildDigest(channel, groups, now) {
+    const summaries = groups.map(group => ({
+      location: group.location,
+      rule_id: group.rule_id,
+      alert_level: group.alert_level,
+      count: group.count,
+      first_seen: group.first_seen,
+      last_seen: group.last_seen,
+      devices: group.devices,
+      last_alert_id: group.last_alert_id,
+      last_message: group.last_message
+    }));
+    const total = summaries.reduce((sum, group) => sum + group.count, 0);
+
+    return {
+      alert_id: this.generateDigestId(now),
+      rule_id: 'digest',
+      alert_level: this.getHighestLevel(summaries.map(group => group.alert_level)),
+      timestamp: new Date(now).toISOString(),
+      message_template: this.messageTemplate,
+      message: summaries
+        .map(group => `${group.location || '-'} / ${group.rule_id || '-'}: ${group.count}`)
+        .join('\n'),
+      digest: {
+        channel,
+        total,
+        group_count: summaries.length,
+        from: summaries.map(group => group.first_seen).sort()[0],
+        to: summaries.map(group => group.last_seen).sort().pop(),
+        groups: summaries
+      }
+    };
+  }
+
+  /**
+   * Get the highest of some alert levels
+   * @param {Array} levels - Alert levels, possibly undefined
+   * @returns {String}
+   */
+  getHighestLevel(levels) {
+    return levels.filter(level => level in LEVEL_RANK)
+      .reduce((highest, level) => LEVEL_RANK[level] > LEVEL_RANK[highest] ? level : highest, 'info');
+  }
+
+  /**
+   * Store a group and persist it
+   * @param {Object} group - Digest group
+   */
+  save(group) {
+    this.groups.set(group.group_id, group);
+
+    if (this.store) {
+      this.store.save(group.group_id, group).catch(error => {
+        console.error(`Failed to persist digest group ${group.group_id}:`, error);
+      });
+    }
+  }
+
+  /**
+   * Remove a group and its persisted copy
+   * @param {String} groupId - Group identifier
+   */
+  remove(groupId) {
+    if (!this.groups.delete(groupId)) {
+      return;
+    }
+
+    if (this.store) {
+      this.store.remove(groupId).catch(error => {
+        console.error(`Failed to remove persisted digest group ${groupId}:`, error);
+      });
+    }
+  }
+
+  /**
+   * Claim a channel's due digest so no other instance sends it
+   * The claim is per DIGEST_AT slot, or per oldest queued group with an interval
+   * @param {String} channel - Notification channel
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {Boolean} - Whether this instance may send the digest
+   */
+  async claim(channel, now) {
+    if (!this.store?.claim) {
+      return true;
+    }
+
+    const claimId = this.times.length > 0
+      ? `${channel}:${this.getSlot(now)}`
+      : `${channel}:${this.list({ channel }).map(group => group.first_seen).sort()[0]}`;
+    try {
+      return await this.store.claim(claimId, this.leaseMs);
+    } catch (error) {
+      console.error(`Failed to claim ${channel} digest ${claimId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Generate unique digest ID
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {String}
+   */
+  generateDigestId(now) {
+    return `digest_${now}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
+
+module.exports = DigestBatcher;
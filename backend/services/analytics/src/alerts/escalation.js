@@ -0,0 +1,319 @@
+/**
+ * Escalation
+ * Re-notifies stored alerts on further channels while nobody acknowledges them
+ *
+ * Escalation policy format:
+ *   {
+ *     policy_id: 'critical_gas',
+ *     matchers: { alert_level: 'critical', sensor_type: 'mq134' },
+ *     steps: [
+ *       { after_minutes: 0, actions: ['email'] },
+ *       { after_minutes: 5, actions: ['sms'] },
+ *       { after_minutes: 15, actions: ['webhook'] }
+ *     ]
+ *   }
+ *
+ * Step delays count from when the alert was triggered. Escalation stops as soon
+ * as the alert is acknowledged or resolved. Instances sharing storage claim each
+ * step in the store first, so only one of them sends it.
+ */
+
+const { matchesAlert, validateMatchers } = require('./matchers');
+
+const CHANNELS = ['email', 'webhook', 'sms', 'push', 'slack', 'teams', 'telegram'];
+
+class Escalator {
+  constructor(options = {}) {
+    this.store = options.store || null; // Optional persistent policy storage
+    this.alertStore = options.alertStore; // Alerts to escalate and their timelines
+    this.notifier = options.notifier; // Sends escalation steps
+    this.silences = options.silences || null; // Silences created after the alert stop escalation
+    this.intervalMs = (options.intervalSeconds || 30) * 1000;
+    this.leaseMs = (options.leaseSeconds || 300) * 1000; // How long a claimed step stays claimed
+    this.policies = new Map(); // policy_id -> escalation policy
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Load persisted policies and follow changes made by other instances
+   * @returns {Number} - Number of policies loaded
+   */
+  async load() {
+    if (!this.store) {
+      return 0;
+    }
+
+    const policies = await this.store.load();
+    for (const policy of policies) {
+      this.policies.set(policy.policy_id, policy);
+    }
+
+    await this.store.subscribe(change => {
+      if (change.op === 'remove') {
+        this.policies.delete(change.id);
+      } else if (change.op === 'save' && change.doc) {
+        this.policies.set(change.id, change.doc);
+      }
+    });
+
+    return policies.length;
+  }
+
+  /**
+   * Check for due escalation steps periodically
+   */
+  start() {
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop periodic checks
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Validate an escalation policy
+   * @param {Object} policy - Escalation policy
+   * @returns {Object} - Validation result
+   */
+  validatePolicy(policy) {
+    const errors = [];
+
+    if (!policy.policy_id) {
+      errors.push('policy_id is required');
+    }
+
+    errors.push(...validateMatchers(policy.matchers, 'matchers'));
+
+    if (!Array.isArray(policy.steps) || policy.steps.length === 0) {
+      errors.push('steps must be a non-empty array');
+    } else {
+      policy.steps.forEach((step, index) => {
+        if (typeof step.after_minutes !== 'number' || step.after_minutes < 0) {
+          errors.push(`steps[${index}].after_minutes must be a non-negative number`);
+        } else if (index > 0 && step.after_minutes < policy.steps[index - 1].after_minutes) {
+          errors.push(`steps[${index}].after_minutes must not be before the previous step`);
+        }
+
+        if (!Array.isArray(step.actions) || step.actions.length === 0 ||
+          !step.actions.every(action => CHANNELS.includes(action))) {
+          errors.push(`steps[${index}].actions must be a non-empty array of: ${CHANNELS.join(', ')}`);
+        }
+      });
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Add or replace an escalation policy
+   * @param {Object} policy - Escalation policy
+   * @param {Object} context - Change context ({ actor })
+   * @returns {Object} - Stored policy
+   */
+  savePolicy(policy, context = {}) {
+    const validation = this.validatePolicy(policy);
+    if (!validation.valid) {
+      throw new Error(`Invalid escalation policy: ${validation.errors.join(', ')}`);
+    }
+
+    const existing = this.policies.get(policy.policy_id);
+    const stored = {
+      ...policy,
+      enabled: policy.enabled !== undefined ? policy.enabled : true,
+      created_at: existing?.created_at || new Date().toISOString(),
+      created_by: existing?.created_by || context.actor || 'system',
+      updated_at: new Date().toISOString(),
+      updated_by: context.actor || 'system'
+    };
+
+    this.policies.set(stored.policy_id, stored);
+
+    if (this.store) {
+      this.store.save(stored.policy_id, stored).catch(error => {
+        console.error(`Failed to persist escalation policy ${stored.policy_id}:`, error);
+      });
+    }
+
+    return stored;
+  }
+
+  /**
+   * Delete an escalation policy
+   * Alerts already escalating under it stop escalating
+   * @param {String} policyId - Policy identifier
+   * @returns {Boolean}
+   */
+  deletePolicy(policyId) {
+    if (!this.policies.delete(policyId)) {
+      return false;
+    }
+
+    if (this.store) {
+      this.store.remove(policyId).catch(error => {
+        console.error(`Failed to remove persisted escalation policy ${policyId}:`, error);
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Get an escalation policy
+   * @param {String} policyId - Policy identifier
+   * @returns {Object|null}
+   */
+  getPolicy(policyId) {
+    return this.policies.get(policyId) || null;
+  }
+
+  /**
+   * Get all escalation policies, oldest first
+   * @returns {Array}
+   */
+  getPolicies() {
+    return Array.from(this.policies.values())
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  /**
+   * Find the policy for a stored alert
+   * Only alerts triggered after the policy was created are escalated
+   * @param {Object} alert - Stored alert
+   * @returns {Object|null} - First matching enabled policy
+   */
+  findPolicy(alert) {
+    return this.getPolicies().find(policy =>
+      policy.enabled !== false &&
+      alert.triggered_at >= policy.created_at &&
+      matchesAlert(policy.matchers, alert)
+    ) || null;
+  }
+
+  /**
+   * Run the next due escalation step of every open alert
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {Number} - Number of steps executed
+   */
+  async tick(now = Date.now()) {
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    let executed = 0;
+
+    try {
+      for (const { alert_id: alertId } of this.alertStore.query({ status: 'open' })) {
+        // Re-read: the alert may have changed while earlier steps were sent
+        const alert = this.alertStore.get(alertId);
+        if (alert?.status === 'open' && await this.escalate(alert, now)) {
+          executed++;
+        }
+      }
+    } catch (error) {
+      console.error('Escalation check failed:', error);
+    } finally {
+      this.running = false;
+    }
+
+    return executed;
+  }
+
+  /**
+   * Run an alert's next escalation step if it is due
+   * Suppressed alerts are not escalated
+   * @param {Object} alert - Stored open alert
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {Boolean} - Whether a step was executed
+   */
+  async escalate(alert, now) {
+    if (['inhibited', 'silenced'].includes(alert.notification_status)) {
+      return false;
+    }
+    if (this.silences && this.silences.check(alert, now)) {
+      return false;
+    }
+
+    const policy = alert.escalation
+      ? this.getPolicy(alert.escalation.policy_id)
+      : this.findPolicy(alert);
+    const stepIndex = alert.escalation ? alert.escalation.next_step : 0;
+    const step = policy?.enabled !== false ? policy?.steps[stepIndex] : null;
+
+    if (!step || Date.parse(alert.triggered_at) + step.after_minutes * 60 * 1000 > now) {
+      return false;
+    }
+
+    if (!(await this.claim(`${alert.alert_id}:${policy.policy_id}:${stepIndex}`))) {
+      return false;
+    }
+
+    const { status, comments, activity, escalation, ...notification } = alert;
+    const result = await this.notifier.notify({
+      ...notification,
+      timestamp: new Date(now).toISOString(),
+      escalation: { policy_id: policy.policy_id, step: stepIndex + 1, of: policy.steps.length }
+    }, step.actions, { dedup: false });
+
+    const at = new Date(now).toISOString();
+    const next = policy.steps[stepIndex + 1];
+
+    // Re-read the alert, which may have been acknowledged while notifying
+    const current = this.alertStore.get(alert.alert_id);
+    if (!current) {
+      return true;
+    }
+
+    this.alertStore.update(current, {
+      escalation: {
+        policy_id: policy.policy_id,
+        next_step: stepIndex + 1,
+        next_at: next
+          ? new Date(Date.parse(alert.triggered_at) + next.after_minutes * 60 * 1000).toISOString()
+          : null
+      }
+    }, {
+      action: 'escalated',
+      actor: 'system',
+      at,
+      policy_id: policy.policy_id,
+      step: stepIndex + 1,
+      actions: step.actions,
+      deliveries: (result?.deliveries || []).map(delivery => ({
+        channel: delivery.channel,
+        status: delivery.status
+      }))
+    });
+
+    return true;
+  }
+
+  /**
+   * Claim an escalation step so no other instance sends it
+   * @param {String} claimId - Alert, policy and step
+   * @returns {Boolean} - Whether this instance may send the step
+   */
+  async claim(claimId) {
+    if (!this.store?.claim) {
+      return true;
+    }
+
+    try {
+      return await this.store.claim(claimId, this.leaseMs);
+    } catch (error) {
+      console.error(`Failed to claim escalation step ${claimId}:`, error);
+      return false;
+    }
+  }
+}
+
+module.exports = Escalator;
@@ -0,0 +1,732 @@
+/**
+ * Condition Expression Language
+ * Tokenizes, parses and evaluates rule condition expressions
+ *
+ * Supported syntax:
+ *   - Comparisons: >, >=, <, <=, ==, !=, ===, !==
+ *   - Boolean operators: &&, ||, ! (or and, or, not)
+ *   - Arithmetic: +, -, *, /, %
+ *   - Literals: numbers, 'strings', "strings", true, false, null, [lists]
+ *   - Membership: field in [1, 2, 3], field not in ['a', 'b']
+ *   - Nested fields: sensor.reading
+ *   - Functions: abs, min, max, round, floor, ceil
+ *   - Window aggregates: avg, sum, delta, count over a duration (30s, 5m, 1h),
+ *     per device by default or per location: avg(temperature, 10m, 'location')
+ */
+
+class ExpressionError extends Error {
+  constructor(message, position, source) {
+    super(`${message} at position ${position}`);
+    this.name = 'ExpressionError';
+    this.position = position;
+    this.source = source;
+  }
+}
+
+const KEYWORDS = new Set(['and', 'or', 'not', 'in', 'true', 'false', 'null']);
+
+const OPERATORS = [
+  '===', '!==', '==', '!=', '>=', '<=', '&&', '||',
+  '>', '<', '!', '+', '-', '*', '/', '%', '(', ')', '[', ']', ',', '.'
+];
+
+const COMPARISON_OPERATORS = new Set(['>', '>=', '<', '<=', '==', '!=', '===', '!==']);
+
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+const WINDOW_SCOPES = ['device', 'location'];
+
+const numeric = values => values.filter(value => typeof value === 'number' && !Number.isNaN(value));
+
+const FUNCTIONS = {
+  abs: { minArgs: 1, maxArgs: 1, fn: Math.abs },
+  min: { minArgs: 1, maxArgs: Infinity, fn: Math.min },
+  max: { minArgs: 1, maxArgs: Infinity, fn: Math.max },
+  round: { minArgs: 1, maxArgs: 1, fn: Math.round },
+  floor: { minArgs: 1, maxArgs: 1, fn: Math.floor },
+  ceil: { minArgs: 1, maxArgs: 1, fn: Math.ceil },
+
+  // Window aggregates receive the argument evaluated against every sample in the window
+  avg: {
+    minArgs: 2,
+    maxArgs: 3,
+    aggregate: values => {
+      const nums = numeric(values);
+      return nums.length > 0 ? nums.reduce((sum, value) => sum + value, 0) / nums.length : undefined;
+    }
+  },
+  sum: {
+    minArgs: 2,
+    maxArgs: 3,
+    aggregate: values => numeric(values).reduce((sum, value) => sum + value, 0)
+  },
+  delta: {
+    minArgs: 2,
+    maxArgs: 3,
+    aggregate: values => {
+      const nums = numeric(values);
+      return nums.length > 0 ? nums[nums.length - 1] - nums[0] : undefined;
+    }
+  },
+  count: {
+    minArgs: 2,
+    maxArgs: 3,
+    aggregate: values => values.filter(Boolean).length
+  }
+};
+
+const MAX_CACHE_SIZE = 500;
+const compiledCache = new Map();
+
+/**
+ * Split an expression into tokens
+ * @param {String} source - Expression source
+ * @returns {Array}
+ */
+function tokenize(source) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < source.length) {
+    const char = source[pos];
+
+    if (/\s/.test(char)) {
+      pos++;
+      continue;
+    }
+
+    // Durations such as 30s, 5m, 1h
+    const durationMatch = /^(\d+(?:\.\d+)?)(ms|s|m|h|d)(?![\w$])/.exec(source.slice(pos));
+    if (durationMatch) {
+      const value = parseFloat(durationMatch[1]) * DURATION_UNITS[durationMatch[2]];
+      tokens.push({ type: 'duration', value, position: pos });
+      pos += durationMatch[0].length;
+      continue;
+    }
+
+    // Numbers
+    const numberMatch = /^\d+(\.\d+)?([eE][+-]?\d+)?/.exec(source.slice(pos));
+    if (numberMatch) {
+      tokens.push({ type: 'number', value: parseFloat(numberMatch[0]), position: pos });
+      pos += numberMatch[0].length;
+      continue;
+    }
+
+    // Identifiers and keywords
+    const identMatch = /^[A-Za-z_$][\w$]*/.exec(source.slice(pos));
+    if (identMatch) {
+      const word = identMatch[0];
+      tokens.push({
+        type: KEYWORDS.has(word) ? 'keyword' : 'identifier',
+        value: word,
+        position: pos
+      });
+      pos += word.length;
+      continue;
+    }
+
+    // Strings
+    if (char === '"' || char === '\'') {
+      const start = pos;
+      let value = '';
+      pos++;
+      while (pos < source.length && source[pos] !== char) {
+        if (source[pos] === '\\' && pos + 1 < source.length) {
+          pos++;
+        }
+        value += source[pos];
+        pos++;
+      }
+      if (pos >= source.length) {
+        throw new ExpressionError('Unterminated string literal', start, source);
+      }
+      pos++;
+      tokens.push({ type: 'string', value, position: start });
+      continue;
+    }
+
+    // Operators and punctuation
+    const operator = OPERATORS.find(op => source.startsWith(op, pos));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: pos });
+      pos += operator.length;
+      continue;
+    }
+
+    throw new ExpressionError(`Unexpected character '${char}'`, pos, source);
+  }
+
+  tokens.push({ type: 'eof', value: null, position: source.length });
+  return tokens;
+}
+
+/**
+ * Recursive descent parser producing an AST
+ */
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  /**
+   * Parse the full expression
+   * @returns {Object} - AST root node
+   */
+  parse() {
+    const node = this.parseOr();
+    const token = this.peek();
+    if (token.type !== 'eof') {
+      throw this.unexpected(token);
+    }
+    return node;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  /**
+   * Consume the next token if it matches
+   * @param {String} type - Token type
+   * @param {...String} values - Accepted token values
+   * @returns {Object|null}
+   */
+  match(type, ...values) {
+    const token = this.peek();
+    if (token.type === type && values.includes(token.value)) {
+      return this.next();
+    }
+    return null;
+  }
+
+  /**
+   * Consume the next token or fail
+   * @param {String} type - Token type
+   * @param {String} value - Token value
+   * @returns {Object}
+   */
+  expect(type, value) {
+    const token = this.match(type, value);
+    if (!token) {
+      const found = this.peek();
+      throw new ExpressionError(
+        `Expected '${value}' but found ${this.describe(found)}`,
+        found.position,
+        this.source
+      );
+    }
+    return token;
+  }
+
+  describe(token) {
+    if (token.type === 'eof') return 'end of expression';
+    if (token.type === 'string') return `string "${token.value}"`;
+    return `'${token.value}'`;
+  }
+
+  unexpected(token) {
+    return new ExpressionError(`Unexpected ${this.describe(token)}`, token.position, this.source);
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    let token;
+    while ((token = this.match('operator', '||') || this.match('keyword', 'or'))) {
+      left = { type: 'logical', operator: '||', left, right: this.parseAnd(), position: token.position };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    let token;
+    while ((token = this.match('operator', '&&') || this.match('keyword', 'and'))) {
+      left = { type: 'logical', operator: '&&', left, right: this.parseNot(), position: token.position };
+    }
+    return left;
+  }
+
+  parseNot() {
+    const token = this.match('operator', '!') || this.match('keyword', 'not');
+    if (token) {
+      return { type: 'not', argument: this.parseNot(), position: token.position };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+    const token = this.peek();
+
+    if (token.type === 'operator' && COMPARISON_OPERATORS.has(token.value)) {
+      this.next();
+      return { type: 'comparison', operator: token.value, left, right: this.parseAdditive(), position: token.position };
+    }
+
+    if (this.match('keyword', 'in')) {
+      return { type: 'in', negated: false, left, right: this.parseAdditive(), position: token.position };
+    }
+
+    if (token.type === 'keyword' && token.value === 'not' &&
+        this.tokens[this.index + 1].type === 'keyword' && this.tokens[this.index + 1].value === 'in') {
+      this.index += 2;
+      return { type: 'in', negated: true, left, right: this.parseAdditive(), position: token.position };
+    }
+
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    let token;
+    while ((token = this.match('operator', '+', '-'))) {
+      left = { type: 'arithmetic', operator: token.value, left, right: this.parseMultiplicative(), position: token.position };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    let token;
+    while ((token = this.match('operator', '*', '/', '%'))) {
+      left = { type: 'arithmetic', operator: token.value, left, right: this.parseUnary(), position: token.position };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    const token = this.match('operator', '-');
+    if (token) {
+      return { type: 'negate', argument: this.parseUnary(), position: token.position };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value, position: token.position };
+
+      case 'duration':
+        return { type: 'literal', value: token.value, duration: true, position: token.position };
+
+      case 'keyword':
+        if (token.value === 'true') return { type: 'literal', value: true, position: token.position };
+        if (token.value === 'false') return { type: 'literal', value: false, position: token.position };
+        if (token.value === 'null') return { type: 'literal', value: null, position: token.position };
+        throw this.unexpected(token);
+
+      case 'identifier':
+        if (this.peek().type === 'operator' && this.peek().value === '(') {
+          return this.parseCall(token);
+        }
+        return this.parseField(token);
+
+      case 'operator':
+        if (token.value === '(') {
+          const node = this.parseOr();
+          this.expect('operator', ')');
+          return node;
+        }
+        if (token.value === '[') {
+          return this.parseList(token);
+        }
+        throw this.unexpected(token);
+
+      default:
+        throw this.unexpected(token);
+    }
+  }
+
+  parseField(token) {
+    const path = [token.value];
+    while (this.match('operator', '.')) {
+      const segment = this.next();
+      if (segment.type !== 'identifier' && segment.type !== 'keyword') {
+        throw new ExpressionError(
+          `Expected field name but found ${this.describe(segment)}`,
+          segment.position,
+          this.source
+        );
+      }
+      path.push(segment.value);
+    }
+    return { type: 'field', path: path.join('.'), position: token.position };
+  }
+
+  parseCall(token) {
+    const definition = Object.hasOwn(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : null;
+    if (!definition) {
+      throw new ExpressionError(`Unknown function '${token.value}'`, token.position, this.source);
+    }
+
+    this.expect('operator', '(');
+    const args = [];
+    if (!this.match('operator', ')')) {
+      do {
+        args.push(this.parseOr());
+      } while (this.match('operator', ','));
+      this.expect('operator', ')');
+    }
+
+    if (args.length < definition.minArgs || args.length > definition.maxArgs) {
+      const expected = definition.minArgs === definition.maxArgs
+        ? `${definition.minArgs}`
+        : `at least ${definition.minArgs}`;
+      throw new ExpressionError(
+        `Function '${token.value}' expects ${expected} argument(s), got ${args.length}`,
+        token.position,
+        this.source
+      );
+    }
+
+    if (definition.aggregate) {
+      return this.buildAggregate(token, args);
+    }
+
+    return { type: 'call', name: token.value, args, position: token.position };
+  }
+
+  /**
+   * Build a window aggregate node, checking window and scope arguments
+   * @param {Object} token - Function name token
+   * @param {Array} args - Parsed argument nodes
+   * @returns {Object}
+   */
+  buildAggregate(token, args) {
+    const [argument, windowArg, scopeArg] = args;
+
+    if (windowArg.type !== 'literal' || !windowArg.duration || windowArg.value <= 0) {
+      throw new ExpressionError(
+        `Function '${token.value}' expects a window duration such as 5m as argument 2`,
+        windowArg.position,
+        this.source
+      );
+    }
+
+    if (scopeArg && (scopeArg.type !== 'literal' || !WINDOW_SCOPES.includes(scopeArg.value))) {
+      throw new ExpressionError(
+        `Function '${token.value}' expects scope ${WINDOW_SCOPES.map(scope => `'${scope}'`).join(' or ')} as argument 3`,
+        scopeArg.position,
+        this.source
+      );
+    }
+
+    return {
+      type: 'aggregate',
+      name: token.value,
+      argument,
+      window_ms: windowArg.value,
+      scope: scopeArg ? scopeArg.value : 'device',
+      position: token.position
+    };
+  }
+
+  parseList(token) {
+    const items = [];
+    if (!this.match('operator', ']')) {
+      do {
+        items.push(this.parseOr());
+      } while (this.match('operator', ','));
+      this.expect('operator', ']');
+    }
+    return { type: 'list', items, position: token.position };
+  }
+}
+
+/**
+ * Get nested value from object using dot notation
+ * @param {Object} obj - Object to search
+ * @param {String} path - Dot notation path
+ * @returns {*}
+ */
+function getNestedValue(obj, path) {
+  return path.split('.').reduce((current, key) => current?.[key], obj);
+}
+
+/**
+ * Expose a windowed event under its sensor type as well, so location-wide
+ * windows can select readings with e.g. pir.value
+ * @param {Object} event - Sensor event data
+ * @returns {Object}
+ */
+function sampleView(event) {
+  if (typeof event.sensor_type !== 'string' || event[event.sensor_type] !== undefined) {
+    return event;
+  }
+  return { ...event, [event.sensor_type]: event };
+}
+
+/**
+ * Evaluate an AST node against data
+ * @param {Object} node - AST node
+ * @param {Object} data - Sensor data
+ * @param {Object} context - Evaluation context ({ windows, now })
+ * @returns {*}
+ */
+function evaluateNode(node, data, context) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'field':
+      return getNestedValue(data, node.path);
+
+    case 'list':
+      return node.items.map(item => evaluateNode(item, data, context));
+
+    case 'not':
+      return !evaluateNode(node.argument, data, context);
+
+    case 'negate': {
+      const value = evaluateNode(node.argument, data, context);
+      return typeof value === 'number' ? -value : undefined;
+    }
+
+    case 'logical':
+      if (node.operator === '&&') {
+        return Boolean(evaluateNode(node.left, data, context)) && Boolean(evaluateNode(node.right, data, context));
+      }
+      return Boolean(evaluateNode(node.left, data, context)) || Boolean(evaluateNode(node.right, data, context));
+
+    case 'comparison':
+      return compare(node.operator, evaluateNode(node.left, data, context), evaluateNode(node.right, data, context));
+
+    case 'in': {
+      const value = evaluateNode(node.left, data, context);
+      const list = evaluateNode(node.right, data, context);
+      if (value === undefined || !Array.isArray(list)) {
+        return false;
+      }
+      return list.includes(value) !== node.negated;
+    }
+
+    case 'arithmetic':
+      return arithmetic(node.operator, evaluateNode(node.left, data, context), evaluateNode(node.right, data, context));
+
+    case 'call': {
+      const args = node.args.map(arg => evaluateNode(arg, data, context));
+      if (args.some(arg => typeof arg !== 'number')) {
+        return undefined;
+      }
+      return FUNCTIONS[node.name].fn(...args);
+    }
+
+    case 'aggregate': {
+      if (!context.windows) {
+        return undefined;
+      }
+      const now = context.now !== undefined ? context.now : Date.now();
+      const samples = context.windows.getSamples(node.scope, data, node.window_ms, now);
+      const values = samples.map(sample => evaluateNode(node.argument, sampleView(sample.event), context));
+      return FUNCTIONS[node.name].aggregate(values);
+    }
+
+    default:
+      throw new Error(`Unknown expression node: ${node.type}`);
+  }
+}
+
+/**
+ * Apply a comparison operator
+ * Missing values never satisfy a comparison, so absent fields do not trigger alerts
+ * @param {String} operator - Comparison operator
+ * @param {*} left - Left operand
+ * @param {*} right - Right operand
+ * @returns {Boolean}
+ */
+function compare(operator, left, right) {
+  if (left === undefined || right === undefined) {
+    return false;
+  }
+
+  switch (operator) {
+    case '==':
+    case '===':
+      return left === right;
+    case '!=':
+    case '!==':
+      return left !== right;
+  }
+
+  if (left === null || right === null || typeof left !== typeof right) {
+    return false;
+  }
+
+  switch (operator) {
+    case '>':
+      return left > right;
+    case '>=':
+      return left >= right;
+    case '<':
+      return left < right;
+    case '<=':
+      return left <= right;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Apply an arithmetic operator to numeric operands
+ * @param {String} operator - Arithmetic operator
+ * @param {*} left - Left operand
+ * @param {*} right - Right operand
+ * @returns {Number|undefined}
+ */
+function arithmetic(operator, left, right) {
+  if (typeof left !== 'number' || typeof right !== 'number') {
+    return undefined;
+  }
+
+  switch (operator) {
+    case '+':
+      return left + right;
+    case '-':
+      return left - right;
+    case '*':
+      return left * right;
+    case '/':
+      return right === 0 ? undefined : left / right;
+    case '%':
+      return right === 0 ? undefined : left % right;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Collect the field paths referenced by an expression, in source order
+ * @param {Object} node - AST node
+ * @param {Array} fields - Accumulator
+ * @returns {Array}
+ */
+function collectFields(node, fields = []) {
+  switch (node.type) {
+    case 'field':
+      if (!fields.includes(node.path)) {
+        fields.push(node.path);
+      }
+      break;
+    case 'list':
+      node.items.forEach(item => collectFields(item, fields));
+      break;
+    case 'call':
+      node.args.forEach(arg => collectFields(arg, fields));
+      break;
+    case 'aggregate':
+    case 'not':
+    case 'negate':
+      collectFields(node.argument, fields);
+      break;
+    case 'logical':
+    case 'comparison':
+    case 'in':
+    case 'arithmetic':
+      collectFields(node.left, fields);
+      collectFields(node.right, fields);
+      break;
+  }
+  return fields;
+}
+
+/**
+ * Collect the windows referenced by aggregate functions
+ * @param {Object} node - AST node
+ * @param {Array} windows - Accumulator
+ * @returns {Array}
+ */
+function collectWindows(node, windows = []) {
+  if (node.type === 'aggregate') {
+    windows.push({ function: node.name, scope: node.scope, window_ms: node.window_ms });
+  }
+
+  for (const key of ['argument', 'left', 'right']) {
+    if (node[key]) collectWindows(node[key], windows);
+  }
+  for (const child of node.args || node.items || []) {
+    collectWindows(child, windows);
+  }
+  return windows;
+}
+
+/**
+ * Compile an expression into a reusable evaluator
+ * @param {String} source - Expression source
+ * @returns {Object} - Compiled expression with evaluate(data, context)
+ * @throws {ExpressionError} - On syntax errors
+ */
+function compile(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new ExpressionError('Expression must be a non-empty string', 0, source);
+  }
+
+  const ast = new Parser(source).parse();
+
+  return {
+    source,
+    ast,
+    fields: collectFields(ast),
+    windows: collectWindows(ast),
+    evaluate: (data, context = {}) => evaluateNode(ast, data || {}, context)
+  };
+}
+
+/**
+ * Compile an expression, reusing a previously compiled evaluator when available
+ * @param {String} source - Expression source
+ * @returns {Object}
+ * @throws {ExpressionError} - On syntax errors
+ */
+function getCompiled(source) {
+  let compiled = compiledCache.get(source);
+  if (!compiled) {
+    compiled = compile(source);
+    if (compiledCache.size >= MAX_CACHE_SIZE) {
+      compiledCache.delete(compiledCache.keys().next().value);
+    }
+    compiledCache.set(source, compiled);
+  }
+  return compiled;
+}
+
+/**
+ * Validate an expression without evaluating it
+ * @param {String} source - Expression source
+ * @returns {Object} - Validation result with error and position
+ */
+function validate(source) {
+  try {
+    compile(source);
+    return { valid: true };
+  } catch (error) {
+    if (error instanceof ExpressionError) {
+      return { valid: false, error: error.message, position: error.position };
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  compile,
+  getCompiled,
+  validate,
+  getNestedValue,
+  ExpressionError,
+  FUNCTIONS
+};
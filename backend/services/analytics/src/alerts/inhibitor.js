@@ -0,0 +1,297 @@
+/**
+ * Alert Inhibitor
+ * Suppresses alerts while a related, usually higher-severity, alert is firing
+ *
+ * Inhibit rule format:
+ *   {
+ *     inhibit_id: 'gas_critical_inhibits_warning',
+ *     source: { rule_id: 'gas_high_critical' },
+ *     target: { alert_level: 'warning', sensor_type: 'mq134' },
+ *     equal: ['device_id'],
+ *     duration_minutes: 10
+ *   }
+ *
+ * Threshold alerts inhibit until their resolved notification arrives. Alerts
+ * without a lifecycle (anomaly, correlation) inhibit for duration_minutes.
+ */
+
+const { MATCHER_FIELDS, getAlertField, matchesAlert, validateMatchers } = require('./matchers');
+
+const DEFAULT_DURATION_MINUTES = 10;
+const MAX_SOURCE_AGE_MS = 24 * 60 * 60 * 1000;
+
+class Inhibitor {
+  constructor(options = {}) {
+    this.store = options.store || null; // Optional persistent rule storage
+    this.maxInhibited = options.maxInhibited || 1000; // Recorded inhibited alerts
+    this.rules = new Map(); // inhibit_id -> inhibit rule
+    this.sources = new Map(); // rule_id:device_id -> { alert, seen_at }
+    this.episodes = new Map(); // rule_id:device_id -> first firing was inhibited
+    this.inhibited = []; // Recently inhibited alerts, newest first
+  }
+
+  /**
+   * Load persisted inhibit rules and follow changes made by other instances
+   * @returns {Number} - Number of rules loaded
+   */
+  async load() {
+    if (!this.store) {
+      return 0;
+    }
+
+    const rules = await this.store.load();
+    for (const rule of rules) {
+      this.rules.set(rule.inhibit_id, rule);
+    }
+
+    await this.store.subscribe(change => {
+      if (change.op === 'remove') {
+        this.rules.delete(change.id);
+      } else if (change.op === 'save' && change.doc) {
+        this.rules.set(change.id, change.doc);
+      }
+    });
+
+    return rules.length;
+  }
+
+  /**
+   * Validate an inhibit rule
+   * @param {Object} rule - Inhibit rule
+   * @returns {Object} - Validation result
+   */
+  validateRule(rule) {
+    const errors = [];
+
+    if (!rule.inhibit_id) {
+      errors.push('inhibit_id is required');
+    }
+
+    errors.push(...validateMatchers(rule.source, 'source'));
+    errors.push(...validateMatchers(rule.target, 'target'));
+
+    if (rule.equal !== undefined) {
+      if (!Array.isArray(rule.equal) || !rule.equal.every(field => MATCHER_FIELDS.includes(field))) {
+        errors.push(`equal must be an array of: ${MATCHER_FIELDS.join(', ')}`);
+      }
+    }
+
+    if (rule.duration_minutes !== undefined) {
+      if (typeof rule.duration_minutes !== 'number' || rule.duration_minutes <= 0) {
+        errors.push('duration_minutes must be a positive number');
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Add or replace an inhibit rule
+   * @param {Object} rule - Inhibit rule
+   * @param {Object} context - Change context ({ actor })
+   * @returns {Object} - Stored rule
+   */
+  addRule(rule, context = {}) {
+    const validation = this.validateRule(rule);
+    if (!validation.valid) {
+      throw new Error(`Invalid inhibit rule: ${validation.errors.join(', ')}`);
+    }
+
+    const existing = this.rules.get(rule.inhibit_id);
+    const stored = {
+      equal: ['device_id'],
+      ...rule,
+      enabled: rule.enabled !== undefined ? rule.enabled : true,
+      created_at: existing?.created_at || new Date().toISOString(),
+      created_by: existing?.created_by || context.actor || 'system',
+      updated_at: new Date().toISOString()
+    };
+
+    this.rules.set(stored.inhibit_id, stored);
+
+    if (this.store) {
+      this.store.save(stored.inhibit_id, stored).catch(error => {
+        console.error(`Failed to persist inhibit rule ${stored.inhibit_id}:`, error);
+      });
+    }
+
+    return stored;
+  }
+
+  /**
+   * Delete an inhibit rule
+   * @param {String} inhibitId - Inhibit rule identifier
+   * @returns {Boolean}
+   */
+  deleteRule(inhibitId) {
+    if (!this.rules.delete(inhibitId)) {
+      return false;
+    }
+
+    if (this.store) {
+      this.store.remove(inhibitId).catch(error => {
+        console.error(`Failed to remove persisted inhibit rule ${inhibitId}:`, error);
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Get an inhibit rule
+   * @param {String} inhibitId - Inhibit rule identifier
+   * @returns {Object|null}
+   */
+  getRule(inhibitId) {
+    return this.rules.get(inhibitId) || null;
+  }
+
+  /**
+   * Get all inhibit rules
+   * @returns {Array}
+   */
+  getRules() {
+    return Array.from(this.rules.values());
+  }
+
+  /**
+   * Get the key identifying an alert's rule and device
+   * @param {Object} alert - Alert
+   * @returns {String}
+   */
+  getAlertKey(alert) {
+    return `${alert.rule_id}:${alert.device_id}`;
+  }
+
+  /**
+   * Check whether an alert is inhibited by a firing source alert
+   * @param {Object} alert - Alert about to be notified
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {Object|null} - { inhibit_id, source_alert_id, source_rule_id } or null
+   */
+  check(alert, now = Date.now()) {
+    const key = this.getAlertKey(alert);
+
+    // Resolutions of alerts nobody was told about are inhibited as well
+    if (alert.status === 'resolved') {
+      return this.episodes.get(key) || null;
+    }
+
+    for (const rule of this.rules.values()) {
+      if (rule.enabled === false || !matchesAlert(rule.target, alert)) {
+        continue;
+      }
+
+      const durationMs = (rule.duration_minutes || DEFAULT_DURATION_MINUTES) * 60 * 1000;
+
+      for (const [sourceKey, source] of this.sources.entries()) {
+        if (sourceKey === key) continue;
+        if (!source.alert.status && now - source.seen_at > durationMs) continue;
+        if (!matchesAlert(rule.source, source.alert)) continue;
+
+        const equal = (rule.equal || []).every(field => {
+          const value = getAlertField(alert, field);
+          return value !== undefined && value === getAlertField(source.alert, field);
+        });
+
+        if (equal) {
+          return {
+            inhibit_id: rule.inhibit_id,
+            source_alert_id: source.alert.alert_id,
+            source_rule_id: source.alert.rule_id
+          };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Track an alert as a possible inhibition source
+   * @param {Object} alert - Alert that was processed
+   * @param {Object} inhibition - Result of check() for the alert
+   * @param {Number} now - Reference time in milliseconds
+   */
+  observe(alert, inhibition = null, now = Date.now()) {
+    const key = this.getAlertKey(alert);
+
+    if (alert.status === 'resolved') {
+      this.sources.delete(key);
+      this.episodes.delete(key);
+      return;
+    }
+
+    this.sources.set(key, { alert, seen_at: now });
+
+    if (alert.status === 'firing' && !this.episodes.has(key)) {
+      this.episodes.set(key, inhibition);
+    }
+
+    this.prune(now);
+  }
+
+  /**
+   * Record an inhibited alert
+   * @param {Object} alert - Inhibited alert
+   * @param {Object} inhibition - Result of check() for the alert
+   */
+  record(alert, inhibition) {
+    this.inhibited.unshift({
+      ...inhibition,
+      alert,
+      inhibited_at: new Date().toISOString()
+    });
+
+    if (this.inhibited.length > this.maxInhibited) {
+      this.inhibited.length = this.maxInhibited;
+    }
+  }
+
+  /**
+   * Get recently inhibited alerts
+   * @param {Object} filters - Optional inhibit_id, rule_id and device_id filters
+   * @returns {Array}
+   */
+  getInhibited(filters = {}) {
+    return this.inhibited.filter(entry =>
+      (!filters.inhibit_id || entry.inhibit_id === filters.inhibit_id) &&
+      (!filters.rule_id || entry.alert.rule_id === filters.rule_id) &&
+      (!filters.device_id || entry.alert.device_id === filters.device_id)
+    );
+  }
+
+  /**
+   * Drop stale source alerts
+   * Alerts without a lifecycle expire; firing alerts never resolved expire after a day
+   * @param {Number} now - Reference time in milliseconds
+   */
+  prune(now = Date.now()) {
+    const maxDuration = Math.max(
+      DEFAULT_DURATION_MINUTES,
+      ...this.getRules().map(rule => rule.duration_minutes || 0)
+    ) * 60 * 1000;
+
+    for (const [key, source] of this.sources.entries()) {
+      const maxAge = source.alert.status ? MAX_SOURCE_AGE_MS : maxDuration;
+      if (now - source.seen_at > maxAge) {
+        this.sources.delete(key);
+        this.episodes.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Clear tracked alerts
+   */
+  clear() {
+    this.sources.clear();
+    this.episodes.clear();
+    this.inhibited = [];
+  }
+}
+
+module.exports = Inhibitor;
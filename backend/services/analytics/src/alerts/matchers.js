@@ -0,0 +1,154 @@
+/**
+ * Alert Matchers
+ * Match alerts from any processor on rule, severity, sensor, device and location
+ *
+ * Matchers are objects keyed by field, with a value or list of values:
+ *   { rule_id: 'gas_high_warning', alert_level: ['warning', 'info'], location: 'building-a/*' }
+ */
+
+const { matchesLocation } = require('./targeting');
+
+const MATCHER_FIELDS = ['rule_id', 'alert_level', 'sensor_type', 'device_id', 'location'];
+
+// Fields that can scope throttle and dedup keys within a rule
+const KEY_FIELDS = MATCHER_FIELDS.filter(field => field !== 'rule_id');
+
+/**
+ * Get a field from an alert
+ * Location falls back to the event that triggered the alert
+ * @param {Object} alert - Alert from any processor
+ * @param {String} field - Matcher field
+ * @returns {String|undefined}
+ */
+function getAlertField(alert, field) {
+  if (field === 'location') {
+    return alert.location ||
+      alert.data?.location ||
+      alert.data?.sensor_data?.location ||
+      alert.data?.trigger_event?.location;
+  }
+  return alert[field];
+}
+
+/**
+ * Check if an alert matches every matcher
+ * Location values are patterns ('building-a/*')
+ * @param {Object} matchers - Field matchers
+ * @param {Object} alert - Alert
+ * @returns {Boolean}
+ */
+function matchesAlert(matchers = {}, alert) {
+  return Object.entries(matchers).every(([field, expected]) => {
+    const values = Array.isArray(expected) ? expected : [expected];
+    const actual = getAlertField(alert, field);
+
+    if (field === 'location') {
+      return values.some(pattern => matchesLocation(pattern, actual));
+    }
+    return values.includes(actual);
+  });
+}
+
+/**
+ * Validate matchers
+ * @param {Object} matchers - Field matchers
+ * @param {String} name - Name used in error messages
+ * @returns {Array} - Error messages
+ */
+function validateMatchers(matchers, name = 'matchers') {
+  if (!matchers || typeof matchers !== 'object' || Array.isArray(matchers)) {
+    return [`${name} must be an object`];
+  }
+
+  const errors = [];
+  if (Object.keys(matchers).length === 0) {
+    errors.push(`${name} must match on at least one field`);
+  }
+
+  for (const [field, value] of Object.entries(matchers)) {
+    if (!MATCHER_FIELDS.includes(field)) {
+      errors.push(`${name}.${field} is not supported; use ${MATCHER_FIELDS.join(', ')}`);
+      continue;
+    }
+
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0 || !values.every(item => typeof item === 'string' && item)) {
+      errors.push(`${name}.${field} must be a string or a non-empty array of strings`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Build a key scoping an alert's rule by some of its fields
+ *   buildAlertKey(alert, ['device_id']) -> 'gas_high|device_id=gas_1'
+ * @param {Object} alert - Alert
+ * @param {Array} fields - Key fields, empty for one key per rule
+ * @returns {String}
+ */
+function buildAlertKey(alert, fields = []) {
+  return [
+    alert.rule_id || 'unknown',
+    ...fields.map(field => `${field}=${getAlertField(alert, field) ?? ''}`)
+  ].join('|');
+}
+
+/**
+ * Split a key built by buildAlertKey into its rule and scope
+ * @param {String} key - Alert key
+ * @returns {Object} - { rule_id, scope }
+ */
+function parseAlertKey(key) {
+  const [ruleId, ...parts] = key.split('|');
+  const scope = {};
+
+  for (const part of parts) {
+    const separator = part.indexOf('=');
+    if (separator > 0) {
+      scope[part.slice(0, separator)] = part.slice(separator + 1);
+    }
+  }
+
+  return { rule_id: ruleId, scope };
+}
+
+/**
+ * Check a key built by buildAlertKey against rule_id and scope filters
+ * Keys not scoped by a field match any value of it
+ * @param {String} key - Alert key
+ * @param {Object} filters - Optional rule_id and key field filters
+ * @returns {Boolean}
+ */
+function matchesAlertKey(key, filters = {}) {
+  const { rule_id: ruleId, scope } = parseAlertKey(key);
+  return (!filters.rule_id || ruleId === filters.rule_id) &&
+    KEY_FIELDS.every(field =>
+      !filters[field] || scope[field] === undefined || scope[field] === filters[field]
+    );
+}
+
+/**
+ * Validate a list of key fields
+ * @param {*} fields - Key fields
+ * @param {String} name - Name used in error messages
+ * @returns {Array} - Error messages
+ */
+function validateKeyFields(fields, name) {
+  if (!Array.isArray(fields) || !fields.every(field => KEY_FIELDS.includes(field))) {
+    return [`${name} must be an array of: ${KEY_FIELDS.join(', ')}`];
+  }
+  return [];
+}
+
+module.exports = {
+  MATCHER_FIELDS,
+  KEY_FIELDS,
+  getAlertField,
+  buildAlertKey,
+  parseAlertKey,
+  matchesAlertKey,
+  validateKeyFields,
+  matchesAlert,
+  validateMatchers
+};
@@ -0,0 +1,511 @@
+/**
+ * Message Templates
+ * Named, localised templates for notification subjects, bodies, SMS and
+ * webhook payloads
+ *
+ * Template format:
+ *   {
+ *     template_id: 'gas_es',
+ *     locales: {
+ *       es: {
+ *         subject: '[{{level_label}}] Gas en {{location}} - {{device}}',
+ *         text: 'Concentración: {{alert.value}} ppm\n{{message}}',
+ *         html: '<p><strong>{{level_label}}</strong> {{message}}</p>',
+ *         sms: '{{level_label}} {{device}}: {{alert.value}} ppm',
+ *         webhook: { texto: '{{message}}', valor: '{{alert.value}}' }
+ *       },
+ *       en: { subject: '[{{level_label}}] Gas in {{location}} - {{device}}' }
+ *     }
+ *   }
+ *
+ * Rules pick a template with message_template, as do alerts that carry one
+ * (digests use the built-in 'digest'); other alerts use the template
+ * configured for their alert level, then the built-in 'default'. Parts a
+ * template leaves out come from the built-in default in the same locale.
+ * Placeholders in html are HTML-escaped unless written {{{like_this}}}.
+ */
+
+const { getAlertField } = require('./matchers');
+const { renderText, renderPayload, validateText } = require('./templating');
+
+const PARTS = ['subject', 'text', 'html', 'sms', 'webhook'];
+const ID_PATTERN = /^[\w-]+$/;
+const LOCALE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+const DEFAULT_TEMPLATE = 'default';
+const DIGEST_TEMPLATE = 'digest';
+
+const LEVEL_COLORS = {
+  critical: '#dc2626',
+  warning: '#f59e0b',
+  info: '#3b82f6'
+};
+
+// Words used in variables, per built-in locale
+const STRINGS = {
+  en: {
+    levels: { critical: 'CRITICAL', warning: 'WARNING', info: 'INFO' },
+    alert: 'ALERT',
+    resolved: level => `RESOLVED ${level}`,
+    escalated: level => `ESCALATED ${level}`,
+    unknown: 'Unknown',
+    no_description: 'No description available',
+    labels: { device: 'Device', sensor: 'Sensor', location: 'Location', value: 'Value', time: 'Time', view: 'View alert' }
+  },
+  es: {
+    levels: { critical: 'CRÍTICA', warning: 'ADVERTENCIA', info: 'INFORMATIVA' },
+    alert: 'ALERTA',
+    resolved: level => `${level} RESUELTA`,
+    escalated: level => `${level} ESCALADA`,
+    unknown: 'Desconocido',
+    no_description: 'Sin descripción',
+    labels: { device: 'Dispositivo', sensor: 'Sensor', location: 'Ubicación', value: 'Valor', time: 'Fecha', view: 'Ver alerta' }
+  }
+};
+
+const HTML_EN = `<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; }
+    .alert-box { border-left: 4px solid {{level_color}}; padding: 15px; background: #f9fafb; }
+    .alert-level { color: {{level_color}}; font-weight: bold; font-size: 18px; }
+    .detail { margin: 10px 0; }
+    .label { font-weight: bold; }
+  </style>
+</head>
+<body>
+  <div class="alert-box">
+    <div class="alert-level">{{level_label}}</div>
+    <div class="detail"><span class="label">Alert ID:</span> {{alert.alert_id}}</div>
+    <div class="detail"><span class="label">Device ID:</span> {{alert.device_id}}</div>
+    <div class="detail"><span class="label">Sensor Type:</span> {{alert.sensor_type}}</div>
+    {{#location}}<div class="detail"><span class="label">Location:</span> {{location}}</div>
+    {{/location}}<div class="detail"><span class="label">Timestamp:</span> {{alert.timestamp}}</div>
+    <div class="detail">
+      <p>{{message}}</p>
+    </div>
+    {{#alert.condition}}<div class="detail"><span class="label">Condition:</span> {{alert.condition}}</div>{{/alert.condition}}
+    {{#has_value}}<div class="detail"><span class="label">Value:</span> {{alert.value}}</div>{{/has_value}}
+  </div>
+  <p style="color: #6b7280; font-size: 12px; margin-top: 20px;">
+    This is an automated alert from NeuroBuildTech Analytics Service.
+  </p>
+</body>
+</html>`;
+
+const DIGEST_HTML_EN = `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; line-height: 1.6;">
+  <h2 style="color: {{level_color}};">{{level_label}}: {{alert.digest.total}} alerts</h2>
+  <p>{{alert.digest.from}} - {{alert.digest.to}}</p>
+  <table cellpadding="6" style="border-collapse: collapse;">
+    <tr><th align="left">Location</th><th align="left">Rule</th><th align="right">Count</th><th align="left">First seen</th><th align="left">Last seen</th></tr>
+    {{#alert.digest.groups}}<tr><td>{{location}}</td><td>{{rule_id}}</td><td align="right">{{count}}</td><td>{{first_seen}}</td><td>{{last_seen}}</td></tr>
+    {{/alert.digest.groups}}
+  </table>
+  <p style="color: #6b7280; font-size: 12px; margin-top: 20px;">
+    This is an automated alert digest from NeuroBuildTech Analytics Service.
+  </p>
+</body>
+</html>`;
+
+const BUILTIN_TEMPLATES = {
+  [DEFAULT_TEMPLATE]: {
+    locales: {
+      en: {
+        subject: '[{{level_label}}] Sensor Alert - {{device}}',
+        text: `Sensor Alert Notification
+=========================
+
+Alert Level: {{alert.alert_level}}
+{{#alert.status}}Status: {{alert.status}}
+{{/alert.status}}Alert ID: {{alert.alert_id}}
+Device ID: {{alert.device_id}}
+Sensor Type: {{alert.sensor_type}}
+{{#location}}Location: {{location}}
+{{/location}}Timestamp: {{alert.timestamp}}
+
+{{message}}
+{{#alert.condition}}
+Condition: {{alert.condition}}{{/alert.condition}}{{#has_value}}
+Value: {{alert.value}}{{/has_value}}{{#alert_url}}
+
+View alert: {{alert_url}}{{/alert_url}}
+
+---
+This is an automated alert from NeuroBuildTech Analytics Service.`,
+        html: HTML_EN,
+        sms: '[{{level_label}}] {{device}}: {{message}}'
+      },
+      es: {
+        subject: '[{{level_label}}] Alerta de sensor - {{device}}',
+        text: `Notificación de alerta de sensor
+================================
+
+Nivel: {{level}}
+{{#alert.status}}Estado: {{alert.status}}
+{{/alert.status}}ID de alerta: {{alert.alert_id}}
+Dispositivo: {{alert.device_id}}
+Tipo de sensor: {{alert.sensor_type}}
+{{#location}}Ubicación: {{location}}
+{{/location}}Fecha: {{alert.timestamp}}
+
+{{message}}
+{{#alert.condition}}
+Condición: {{alert.condition}}{{/alert.condition}}{{#has_value}}
+Valor: {{alert.value}}{{/has_value}}{{#alert_url}}
+
+Ver alerta: {{alert_url}}{{/alert_url}}
+
+---
+Alerta automática del servicio NeuroBuildTech Analytics.`,
+        html: HTML_EN
+          .replace('Alert ID:', 'ID de alerta:')
+          .replace('Device ID:', 'Dispositivo:')
+          .replace('Sensor Type:', 'Tipo de sensor:')
+          .replace('Location:', 'Ubicación:')
+          .replace('Timestamp:', 'Fecha:')
+          .replace('Condition:', 'Condición:')
+          .replace('Value:', 'Valor:')
+          .replace('This is an automated alert from NeuroBuildTech Analytics Service.',
+            'Alerta automática del servicio NeuroBuildTech Analytics.'),
+        sms: '[{{level_label}}] {{device}}: {{message}}'
+      }
+    }
+  },
+  // Summaries sent by the digest batcher, with the queued groups in alert.digest
+  [DIGEST_TEMPLATE]: {
+    locales: {
+      en: {
+        subject: '[{{level_label}}] Alert digest: {{alert.digest.total}} alerts',
+        text: `Alert Digest
+============
+
+{{alert.digest.total}} alerts from {{alert.digest.from}} to {{alert.digest.to}}
+{{#alert.digest.groups}}
+- {{#location}}{{location}}{{/location}}{{^location}}(no location){{/location}} / {{rule_id}}: {{count}} (first {{first_seen}}, last {{last_seen}}){{/alert.digest.groups}}
+
+---
+This is an automated alert digest from NeuroBuildTech Analytics Service.`,
+        html: DIGEST_HTML_EN,
+        sms: '[{{level_label}}] Digest: {{alert.digest.total}} alerts in {{alert.digest.group_count}} groups'
+      },
+      es: {
+        subject: '[{{level_label}}] Resumen de alertas: {{alert.digest.total}} alertas',
+        text: `Resumen de alertas
+==================
+
+{{alert.digest.total}} alertas entre {{alert.digest.from}} y {{alert.digest.to}}
+{{#alert.digest.groups}}
+- {{#location}}{{location}}{{/location}}{{^location}}(sin ubicación){{/location}} / {{rule_id}}: {{count}} (primera {{first_seen}}, última {{last_seen}}){{/alert.digest.groups}}
+
+---
+Resumen automático del servicio NeuroBuildTech Analytics.`,
+        html: DIGEST_HTML_EN
+          .replace('alerts</h2>', 'alertas</h2>')
+          .replace('Location</th><th align="left">Rule</th><th align="right">Count</th><th align="left">First seen</th><th align="left">Last seen',
+            'Ubicación</th><th align="left">Regla</th><th align="right">Cantidad</th><th align="left">Primera</th><th align="left">Última')
+          .replace('This is an automated alert digest from NeuroBuildTech Analytics Service.',
+            'Resumen automático del servicio NeuroBuildTech Analytics.'),
+        sms: '[{{level_label}}] Resumen: {{alert.digest.total}} alertas en {{alert.digest.group_count}} grupos'
+      }
+    }
+  }
+};
+
+class MessageTemplates {
+  constructor(options = {}) {
+    this.store = options.store || null; // Optional persistent storage
+    this.defaultLocale = options.defaultLocale || 'en'; // For recipients without a locale
+    this.levelTemplates = options.levelTemplates || {}; // alert_level -> template_id
+    this.alertUrlTemplate = options.alertUrlTemplate || null; // Link back to an alert, e.g. 'https://ops.example.com/alerts/{{alert.alert_id}}'
+    this.templates = new Map();
+
+    for (const [templateId, template] of Object.entries(BUILTIN_TEMPLATES)) {
+      this.templates.set(templateId, { ...template, template_id: templateId, builtin: true });
+    }
+  }
+
+  /**
+   * Load persisted templates and follow changes made by other instances
+   * @returns {Number} - Number of templates loaded
+   */
+  async load() {
+    if (!this.store) {
+      return 0;
+    }
+
+    const templates = await this.store.load();
+    for (const template of templates) {
+      this.templates.set(template.template_id, template);
+    }
+
+    await this.store.subscribe(change => {
+      if (change.op === 'remove') {
+        this.templates.delete(change.id);
+      } else if (change.op === 'save' && change.doc) {
+        this.templates.set(change.id, change.doc);
+      }
+    });
+
+    return templates.length;
+  }
+
+  /**
+   * Validate a template
+   * @param {Object} template - Message template
+   * @returns {Object} - Validation result
+   */
+  validate(template) {
+    const errors = [];
+
+    if (!template.template_id || !ID_PATTERN.test(template.template_id)) {
+      errors.push('template_id is required and may only contain letters, digits, _ and -');
+    }
+
+    const locales = template.locales;
+    if (!locales || typeof locales !== 'object' || Array.isArray(locales) || Object.keys(locales).length === 0) {
+      errors.push('locales must be an object with at least one locale');
+    } else {
+      for (const [locale, parts] of Object.entries(locales)) {
+        if (!LOCALE_PATTERN.test(locale)) {
+          errors.push(`locale ${locale} must look like "es" or "es-ES"`);
+        }
+        if (!parts || typeof parts !== 'object' || Array.isArray(parts)) {
+          errors.push(`locales.${locale} must be an object`);
+          continue;
+        }
+
+        for (const [part, value] of Object.entries(parts)) {
+          const name = `locales.${locale}.${part}`;
+          if (!PARTS.includes(part)) {
+            errors.push(`${name} is not supported; use ${PARTS.join(', ')}`);
+          } else if (part === 'webhook') {
+            if (!value || typeof value !== 'object') {
+              errors.push(`${name} must be an object or array`);
+            }
+          } else if (typeof value !== 'string') {
+            errors.push(`${name} must be a string`);
+          } else {
+            errors.push(...validateText(value).map(error => `${name}: ${error}`));
+          }
+        }
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Create or replace a user-defined template
+   * @param {Object} template - Message template
+   * @param {Object} context - Change context ({ actor })
+   * @returns {Object} - Stored template
+   */
+  save(template, context = {}) {
+    const existing = this.templates.get(template.template_id);
+    if (existing?.builtin) {
+      throw new Error(`Built-in message template cannot be modified: ${template.template_id}`);
+    }
+
+    const validation = this.validate(template);
+    if (!validation.valid) {
+      throw new Error(`Invalid message template: ${validation.errors.join(', ')}`);
+    }
+
+    const stored = {
+      template_id: template.template_id,
+      ...(template.description && { description: template.description }),
+      locales: template.locales,
+      created_at: existing?.created_at || new Date().toISOString(),
+      created_by: existing?.created_by || context.actor || 'system',
+      updated_at: new Date().toISOString(),
+      updated_by: context.actor || 'system'
+    };
+
+    this.templates.set(stored.template_id, stored);
+
+    if (this.store) {
+      this.store.save(stored.template_id, stored).catch(error => {
+        console.error(`Failed to persist message template ${stored.template_id}:`, error);
+      });
+    }
+
+    return stored;
+  }
+
+  /**
+   * Delete a user-defined template
+   * @param {String} templateId - Template identifier
+   * @returns {Boolean}
+   */
+  remove(templateId) {
+    const existing = this.templates.get(templateId);
+    if (!existing) {
+      return false;
+    }
+    if (existing.builtin) {
+      throw new Error(`Built-in message template cannot be deleted: ${templateId}`);
+    }
+
+    this.templates.delete(templateId);
+
+    if (this.store) {
+      this.store.remove(templateId).catch(error => {
+        console.error(`Failed to remove persisted message template ${templateId}:`, error);
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Get a template
+   * @param {String} templateId - Template identifier
+   * @returns {Object|null}
+   */
+  get(templateId) {
+    return this.templates.get(templateId) || null;
+  }
+
+  /**
+   * List templates, built-ins first
+   * @returns {Array}
+   */
+  list() {
+    return Array.from(this.templates.values());
+  }
+
+  /**
+   * Pick the template for an alert
+   * @param {Object} alert - Alert data
+   * @param {Object|null} rule - Rule that raised the alert
+   * @returns {Object}
+   */
+  resolve(alert, rule = null) {
+    const candidates = [rule?.message_template, alert.message_template, this.levelTemplates[alert.alert_level]];
+    for (const templateId of candidates) {
+      if (templateId && this.templates.has(templateId)) {
+        return this.templates.get(templateId);
+      }
+      if (templateId) {
+        console.warn(`Unknown message template ${templateId}, using ${DEFAULT_TEMPLATE}`);
+      }
+    }
+    return this.templates.get(DEFAULT_TEMPLATE);
+  }
+
+  /**
+   * Get the source of one template part
+   * Falls back to the default locale, then to the built-in default template
+   * @param {Object} template - Message template
+   * @param {String} part - 'subject', 'text', 'html', 'sms' or 'webhook'
+   * @param {String} locale - Recipient locale
+   * @returns {*} - Template source, undefined if no template defines it
+   */
+  getSource(template, part, locale) {
+    const locales = [locale, this.defaultLocale, 'en'];
+    for (const candidate of [template, this.templates.get(DEFAULT_TEMPLATE)]) {
+      for (const name of locales) {
+        const source = candidate?.locales?.[name]?.[part];
+        if (source !== undefined) {
+          return source;
+        }
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Get the source of one part of the template for an alert
+   * @param {Object} alert - Alert data
+   * @param {String} part - Template part
+   * @param {Object} options - { locale, rule }
+   * @returns {*} - Template source, undefined if no template defines it
+   */
+  getPart(alert, part, options = {}) {
+    return this.getSource(this.resolve(alert, options.rule), part, options.locale || this.defaultLocale);
+  }
+
+  /**
+   * Get the link back to an alert, from ALERT_URL_TEMPLATE
+   * @param {Object} alert - Alert data
+   * @returns {String|null}
+   */
+  getAlertUrl(alert) {
+    // Digests are not stored alerts, so there is nothing to link to
+    if (!this.alertUrlTemplate || !alert.alert_id || alert.digest) {
+      return null;
+    }
+    return renderText(this.alertUrlTemplate, { alert });
+  }
+
+  /**
+   * Build the variables available to templates
+   * @param {Object} alert - Alert data
+   * @param {String} locale - Recipient locale
+   * @returns {Object}
+   */
+  buildVariables(alert, locale) {
+    const strings = STRINGS[locale] || STRINGS[locale?.slice(0, 2)] || STRINGS[this.defaultLocale] || STRINGS.en;
+    const level = strings.levels[alert.alert_level] || alert.alert_level?.toUpperCase() || strings.alert;
+
+    let levelLabel = level;
+    if (alert.status === 'resolved') {
+      levelLabel = strings.resolved(level);
+    } else if (alert.escalation) {
+      levelLabel = strings.escalated(level);
+    }
+
+    return {
+      alert,
+      event: alert.data || {},
+      locale,
+      level,
+      level_label: levelLabel,
+      level_color: alert.status === 'resolved' ? '#16a34a' : LEVEL_COLORS[alert.alert_level] || '#6b7280',
+      device: alert.device_id || strings.unknown,
+      location: getAlertField(alert, 'location'),
+      message: alert.message || alert.description || strings.no_description,
+      has_value: alert.value !== undefined,
+      alert_url: this.getAlertUrl(alert),
+      labels: strings.labels
+    };
+  }
+
+  /**
+   * Render one part of the template for an alert
+   * @param {Object} alert - Alert data
+   * @param {String} part - 'subject', 'text', 'html', 'sms' or 'webhook'
+   * @param {Object} options - { locale, rule, variables } (extra variables)
+   * @returns {*} - Rendered text or payload, null if no template defines the part
+   */
+  render(alert, part, options = {}) {
+    const locale = options.locale || this.defaultLocale;
+    const source = this.getPart(alert, part, { ...options, locale });
+    if (source === undefined) {
+      return null;
+    }
+
+    const variables = { ...this.buildVariables(alert, locale), ...options.variables };
+    if (part === 'webhook') {
+      return renderPayload(source, variables);
+    }
+    return renderText(source, variables, { escape: part === 'html' }).trim();
+  }
+
+  /**
+   * Render every part of the template for an alert, e.g. to preview it
+   * @param {Object} alert - Alert data
+   * @param {Object} options - { locale, rule }
+   * @returns {Object} - Rendered parts
+   */
+  renderAll(alert, options = {}) {
+    return Object.fromEntries(PARTS.map(part => [part, this.render(alert, part, options)]));
+  }
+}
+
+module.exports = MessageTemplates;
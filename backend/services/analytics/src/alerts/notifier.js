@@ -4,14 +4,64 @@
  */
 
 const axios = require('axios');
+const { buildAlertKey, parseAlertKey, matchesAlertKey } = require('./matchers');
+const DeliveryOutbox = require('./outbox');
+const DeliveryLog = require('./deliveryLog');
+const DigestBatcher = require('./digest');
+const MessageTemplates = require('./messageTemplates');
+const { renderPayload } = require('./templating');
+const { formatSlack, formatTeams, formatTelegram } = require('./chat');
+
+const DEFAULT_DEDUP_BY = ['device_id', 'alert_level'];
 
 class AlertNotifier {
-  constructor(config = {}) {
+  constructor(config = {}, options = {}) {
     this.config = config;
+    this.getRule = options.getRule || null; // Looks up a rule's dedup settings by rule_id
+    this.router = options.router || null; // Routes alerts to on-call recipients
+    this.webhooks = options.webhooks || null; // Signed per-endpoint webhook subscriptions
+    this.pushSubscriptions = options.pushSubscriptions || null; // Browser Web Push subscriptions
+    this.templates = options.templates || new MessageTemplates({ // Localised message templates
+      defaultLocale: config.alerting?.default_locale,
+      levelTemplates: config.alerting?.level_templates,
+      alertUrlTemplate: config.alerting?.alert_url_template
+    });
     this.emailClient = null;
     this.smsClient = null;
-    this.alertHistory = new Map(); // For deduplication
-    this.deliveryTracking = []; // Track delivery status
+    this.pushClient = null;
+    this.alertHistory = new Map(); // Dedup key -> last notified alert
+
+    // Every delivery attempt is recorded in a persisted log for auditing and metrics
+    const delivery = config.delivery || {};
+    this.deliveryLog = new DeliveryLog({
+      store: options.deliveryLogStore,
+      maxEntries: delivery.log_max_entries,
+      retentionDays: delivery.log_retention_days
+    });
+
+    // Every channel delivery goes through the outbox, which retries failures
+    this.outbox = new DeliveryOutbox({
+      store: options.outboxStore,
+      deliver: (alert, channel, targets) => this.deliver(alert, channel, targets),
+      log: this.deliveryLog,
+      maxAttempts: delivery.max_attempts,
+      channelMaxAttempts: delivery.channel_max_attempts,
+      backoffBaseSeconds: delivery.backoff_base_seconds,
+      backoffMaxSeconds: delivery.backoff_max_seconds,
+      intervalSeconds: delivery.retry_interval_seconds,
+      maxDeadLetters: delivery.dead_letter_max
+    });
+
+    // Alerts in digest mode are batched into periodic summaries, sent through the outbox
+    const digest = config.digest || {};
+    this.digests = new DigestBatcher({
+      store: options.digestStore,
+      send: (alert, channel) => this.outbox.send(alert, channel),
+      intervalMinutes: digest.interval_minutes,
+      at: digest.at,
+      timezone: digest.timezone,
+      messageTemplate: digest.message_template
+    });
   }
 
   /**
@@ -48,77 +98,131 @@ class AlertNotifier {
         console.error('Failed to initialize SMS client:', error);
       }
     }
+
+    // Initialize Web Push if VAPID keys are configured
+    if (this.config.push?.enabled && this.config.push.vapid_private_key) {
+      try {
+        this.pushClient = require('web-push');
+      } catch (error) {
+        console.error('Failed to initialize push client:', error);
+      }
+    }
   }
 
   /**
    * Send notifications for an alert
    * @param {Object} alert - Alert data
    * @param {Array} actions - Array of notification channels
-   * @returns {Object} - Delivery results
+   * @param {Object} options - { dedup: false } to send repeats on purpose, e.g. escalations
+   * @returns {Object} - Delivery results, status 'digested' when queued for a digest
    */
-  async notify(alert, actions = []) {
+  async notify(alert, actions = [], options = {}) {
     const results = {
       alert_id: alert.alert_id,
       timestamp: new Date().toISOString(),
       deliveries: []
     };
 
-    // Check for duplicate alert
-    if (this.isDuplicate(alert)) {
-      console.log(`Skipping duplicate alert: ${alert.alert_id}`);
-      return results;
+    if (options.dedup !== false) {
+      // Check for duplicate alert
+      if (this.isDuplicate(alert)) {
+        console.log(`Skipping duplicate alert: ${alert.alert_id}`);
+        return { ...results, status: 'duplicate' };
+      }
+
+      // Record alert
+      this.recordAlert(alert);
     }
 
-    // Record alert
-    this.recordAlert(alert);
+    // Escalations always go out immediately
+    const digest = !alert.escalation && this.getDeliveryMode(alert) === 'digest';
 
     // Send through each channel
     for (const action of actions) {
-      try {
-        let delivery = null;
-
-        switch (action.toLowerCase()) {
-          case 'email':
-            delivery = await this.sendEmail(alert);
-            break;
-          case 'webhook':
-            delivery = await this.sendWebhook(alert);
-            break;
-          case 'sms':
-            delivery = await this.sendSMS(alert);
-            break;
-          case 'push':
-            delivery = await this.sendPushNotification(alert);
-            break;
-          default:
-            console.warn(`Unknown notification action: ${action}`);
-        }
+      const channel = action.toLowerCase();
+      if (!this.getSender(channel)) {
+        console.warn(`Unknown notification action: ${action}`);
+        continue;
+      }
 
-        if (delivery) {
-          results.deliveries.push(delivery);
-          this.trackDelivery(delivery);
-        }
-      } catch (error) {
-        console.error(`Error sending ${action} notification:`, error);
-        results.deliveries.push({
-          channel: action,
-          status: 'failed',
-          error: error.message,
-          timestamp: new Date().toISOString()
-        });
+      if (digest) {
+        this.digests.add(alert, channel);
+        results.deliveries.push({ channel, status: 'digested', timestamp: new Date().toISOString() });
+        continue;
       }
+
+      results.deliveries.push(await this.outbox.send(alert, channel));
+    }
+
+    return digest ? { ...results, status: 'digested' } : results;
+  }
+
+  /**
+   * Get whether an alert is sent now or batched into a digest
+   * Rules override the mode of their alert level; critical alerts are always immediate
+   * @param {Object} alert - Alert data
+   * @returns {String} - 'immediate' or 'digest'
+   */
+  getDeliveryMode(alert) {
+    if (alert.alert_level === 'critical') {
+      return 'immediate';
     }
+    const rule = this.getAlertRule(alert);
+    return rule?.delivery_mode || this.config.alerting?.level_delivery_modes?.[alert.alert_level] || 'immediate';
+  }
 
-    return results;
+  /**
+   * Get the send method of a channel
+   * @param {String} channel - Notification channel
+   * @returns {Function|null}
+   */
+  getSender(channel) {
+    const senders = {
+      email: this.sendEmail,
+      webhook: this.sendWebhook,
+      sms: this.sendSMS,
+      push: this.sendPushNotification,
+      slack: this.sendSlack,
+      teams: this.sendTeams,
+      telegram: this.sendTelegram
+    };
+    return senders[channel] || null;
+  }
+
+  /**
+   * Make one delivery attempt on a channel
+   * Called by the outbox for first attempts and retries
+   * @param {Object} alert - Alert data
+   * @param {String} channel - Notification channel
+   * @param {Array|null} targets - URLs or recipients to send to, null for all
+   * @returns {Object} - Delivery result, with status 'failed' on errors
+   */
+  async deliver(alert, channel, targets = null) {
+    let delivery;
+
+    try {
+      delivery = await this.getSender(channel).call(this, alert, targets);
+    } catch (error) {
+      console.error(`Error sending ${channel} notification:`, error);
+      delivery = {
+        channel,
+        status: 'failed',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    return delivery;
   }
 
   /**
    * Send email notification
    * @param {Object} alert - Alert data
+   * @param {Array|null} recipients - Email addresses, null for the alert's recipients
    * @returns {Object}
    */
-  async sendEmail(alert) {
-    if (!this.emailClient || !this.config.email?.recipients) {
+  async sendEmail(alert, recipients = null) {
+    if (!this.emailClient) {
       console.warn('Email client not configured');
       return {
         channel: 'email',
@@ -128,39 +232,76 @@ class AlertNotifier {
       };
     }
 
-    const subject = this.formatEmailSubject(alert);
-    const body = this.formatEmailBody(alert);
-
-    try {
-      const info = await this.emailClient.sendMail({
-        from: this.config.email.from_address || 'alerts@neurobuildtech.com',
-        to: this.config.email.recipients.join(', '),
-        subject: subject,
-        text: body,
-        html: this.formatEmailHtml(alert)
-      });
-
+    recipients = recipients || this.getRecipients(alert, 'email');
+    if (recipients.length === 0) {
       return {
         channel: 'email',
-        status: 'sent',
-        recipients: this.config.email.recipients,
-        message_id: info.messageId,
+        status: 'skipped',
+        reason: 'no_recipients',
         timestamp: new Date().toISOString()
       };
-    } catch (error) {
-      throw new Error(`Email delivery failed: ${error.message}`);
     }
+
+    // One email per locale, rendered with that locale's templates
+    const results = [];
+    let lastError = null;
+
+    for (const [locale, addresses] of this.groupByLocale(recipients, 'email')) {
+      const message = this.renderMessage(alert, locale);
+
+      try {
+        const info = await this.emailClient.sendMail({
+          from: this.config.email.from_address || 'alerts@neurobuildtech.com',
+          to: addresses.join(', '),
+          subject: message.subject,
+          text: message.text,
+          html: message.html
+        });
+
+        results.push(...addresses.map(recipient => ({
+          recipient,
+          locale,
+          status: 'sent',
+          message_id: info.messageId
+        })));
+      } catch (error) {
+        lastError = error;
+        results.push(...addresses.map(recipient => ({
+          recipient,
+          locale,
+          status: 'failed',
+          error: error.message
+        })));
+      }
+    }
+
+    if (results.every(r => r.status === 'failed')) {
+      throw new Error(`Email delivery failed: ${lastError.message}`);
+    }
+
+    return {
+      channel: 'email',
+      status: results.every(r => r.status === 'sent') ? 'sent' : 'partial',
+      recipients: recipients,
+      results: results,
+      timestamp: new Date().toISOString()
+    };
   }
 
   /**
    * Send webhook notification
+   * Goes to every WEBHOOK_URLS entry and to the subscriptions matching the alert
    * @param {Object} alert - Alert data
+   * @param {Array|null} targets - URLs and subscription IDs, null for all matching
    * @returns {Object}
    */
-  async sendWebhook(alert) {
-    const webhookUrls = this.config.webhook?.urls || [];
+  async sendWebhook(alert, targets = null) {
+    const endpoints = targets || [
+      ...(this.config.webhook?.urls || []),
+      ...(this.webhooks ? this.webhooks.match(alert).map(subscription => subscription.subscription_id) : [])
+    ];
 
-    if (webhookUrls.length === 0) {
+    if (endpoints.length === 0) {
       return {
         channel: 'webhook',
         status: 'skipped',
@@ -171,49 +312,91 @@ class AlertNotifier {
 
     const results = [];
 
-    for (const url of webhookUrls) {
-      try {
-        const response = await axios.post(url, {
-          alert: alert,
-          timestamp: new Date().toISOString(),
-          event_type: 'sensor_alert'
-        }, {
-          timeout: 5000,
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Alert-ID': alert.alert_id
-          }
-        });
+    for (const endpoint of endpoints) {
+      if (/^https?:\/\//.test(endpoint)) {
+        results.push(await this.postWebhook(endpoint, alert));
+        continue;
+      }
 
-        results.push({
-          url: url,
-          status: 'success',
-          status_code: response.status
-        });
-      } catch (error) {
-        results.push({
-          url: url,
-          status: 'failed',
-          error: error.message
-        });
+      const subscription = this.webhooks?.get(endpoint);
+      if (!subscription || subscription.enabled === false) {
+        // Removed or disabled since the delivery was queued
+        results.push({ subscription_id: endpoint, status: 'skipped' });
+        continue;
       }
+      const locale = subscription.locale || this.templates.defaultLocale;
+      results.push(await this.webhooks.send(subscription, alert, {
+        template: this.templates.getPart(alert, 'webhook', { locale, rule: this.getAlertRule(alert) }),
+        variables: this.templates.buildVariables(alert, locale)
+      }));
     }
 
     return {
       channel: 'webhook',
-      status: results.every(r => r.status === 'success') ? 'sent' : 'partial',
+      status: this.getTargetsStatus(results),
       results: results,
       timestamp: new Date().toISOString()
     };
   }
 
+  /**
+   * Get the overall status of a delivery to several targets
+   * Skipped and expired targets neither succeed nor fail
+   * @param {Array} results - Per-target results
+   * @returns {String} - 'sent' when no target failed, 'failed' when none was reached, else 'partial'
+   */
+  getTargetsStatus(results) {
+    if (results.every(r => r.status !== 'failed')) {
+      return 'sent';
+    }
+    return results.some(r => ['sent', 'success'].includes(r.status)) ? 'partial' : 'failed';
+  }
+
+  /**
+   * Post an alert to a WEBHOOK_URLS entry
+   * @param {String} url - Webhook URL
+   * @param {Object} alert - Alert data
+   * @returns {Object} - { url, status, status_code, error }
+   */
+  async postWebhook(url, alert) {
+    const timestamp = new Date().toISOString();
+    const locale = this.templates.defaultLocale;
+    const template = this.templates.getPart(alert, 'webhook', { locale, rule: this.getAlertRule(alert) });
+    const body = template
+      ? renderPayload(template, { ...this.templates.buildVariables(alert, locale), timestamp, event_type: 'sensor_alert' })
+      : { alert: alert, timestamp, event_type: 'sensor_alert' };
+
+    try {
+      const response = await axios.post(url, body, {
+        timeout: 5000,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Alert-ID': alert.alert_id
+        }
+      });
+
+      return {
+        url: url,
+        status: 'success',
+        status_code: response.status
+      };
+    } catch (error) {
+      return {
+        url: url,
+        status: 'failed',
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Send SMS notification
    * @param {Object} alert - Alert data
+   * @param {Array|null} recipients - Phone numbers, null for the alert's recipients
    * @returns {Object}
    */
-  async sendSMS(alert) {
-    if (!this.smsClient || !this.config.sms?.recipients) {
+  async sendSMS(alert, recipients = null) {
+    if (!this.smsClient) {
       return {
         channel: 'sms',
         status: 'skipped',
@@ -222,13 +405,23 @@ class AlertNotifier {
       };
     }
 
-    const message = this.formatSMSMessage(alert);
+    recipients = recipients || this.getRecipients(alert, 'sms');
+    if (recipients.length === 0) {
+      return {
+        channel: 'sms',
+        status: 'skipped',
+        reason: 'no_recipients',
+        timestamp: new Date().toISOString()
+      };
+    }
+
     const results = [];
 
-    for (const recipient of this.config.sms.recipients) {
+    for (const recipient of recipients) {
       try {
+        const locale = this.getLocale('sms', recipient);
         const result = await this.smsClient.messages.create({
-          body: message,
+          body: this.templates.render(alert, 'sms', { locale, rule: this.getAlertRule(alert) }).substring(0, 160), // SMS limit
           from: this.config.sms.twilio_phone_number,
           to: recipient
         });
@@ -249,119 +442,371 @@ class AlertNotifier {
 
     return {
       channel: 'sms',
-      status: results.every(r => r.status === 'sent') ? 'sent' : 'partial',
+      status: this.getTargetsStatus(results),
       results: results,
       timestamp: new Date().toISOString()
     };
   }
 
   /**
-   * Send push notification (placeholder for future implementation)
+   * Send Web Push notification to the browsers of the alert's recipients
+   * Subscriptions the push service reports as gone (404/410) are removed
    * @param {Object} alert - Alert data
+   * @param {Array|null} subscriptionIds - Push subscriptions, null for the alert's recipients
    * @returns {Object}
    */
-  async sendPushNotification(alert) {
-    // Placeholder for push notification implementation
-    // Can be integrated with Firebase Cloud Messaging, OneSignal, etc.
+  async sendPushNotification(alert, subscriptionIds = null) {
+    if (!this.pushClient || !this.pushSubscriptions) {
+      return {
+        channel: 'push',
+        status: 'skipped',
+        reason: 'not_configured',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const subscriptions = subscriptionIds
+      ? subscriptionIds.map(id => this.pushSubscriptions.get(id)).filter(Boolean)
+      : this.pushSubscriptions.getForUsers(this.getRecipients(alert, 'push'));
+    if (subscriptions.length === 0) {
+      return {
+        channel: 'push',
+        status: 'skipped',
+        reason: 'no_recipients',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const options = {
+      TTL: this.config.push.ttl_seconds || 3600,
+      urgency: alert.alert_level === 'critical' && alert.status !== 'resolved' ? 'high' : 'normal',
+      vapidDetails: {
+        subject: this.config.push.vapid_subject,
+        publicKey: this.config.push.vapid_public_key,
+        privateKey: this.config.push.vapid_private_key
+      }
+    };
+    const results = [];
+
+    for (const subscription of subscriptions) {
+      try {
+        const locale = this.getLocale('push', subscription.user_id);
+        const response = await this.pushClient.sendNotification(
+          { endpoint: subscription.endpoint, keys: subscription.keys },
+          JSON.stringify(this.formatPushPayload(alert, locale)),
+          options
+        );
+
+        results.push({
+          subscription_id: subscription.subscription_id,
+          user_id: subscription.user_id,
+          status: 'sent',
+          status_code: response.statusCode
+        });
+      } catch (error) {
+        if ([404, 410].includes(error.statusCode)) {
+          // The browser unsubscribed or the subscription expired
+          this.pushSubscriptions.remove(subscription.subscription_id);
+          results.push({
+            subscription_id: subscription.subscription_id,
+            user_id: subscription.user_id,
+            status: 'expired',
+            status_code: error.statusCode
+          });
+          continue;
+        }
+
+        results.push({
+          subscription_id: subscription.subscription_id,
+          user_id: subscription.user_id,
+          status: 'failed',
+          ...(error.statusCode && { status_code: error.statusCode }),
+          error: error.message
+        });
+      }
+    }
+
     return {
       channel: 'push',
-      status: 'not_implemented',
+      status: this.getTargetsStatus(results),
+      results: results,
       timestamp: new Date().toISOString()
     };
   }
 
   /**
-   * Format email subject
+   * Send Slack notification to every SLACK_WEBHOOK_URLS entry
    * @param {Object} alert - Alert data
-   * @returns {String}
+   * @param {Array|null} urls - Incoming webhook URLs, null for all
+   * @returns {Object}
    */
-  formatEmailSubject(alert) {
-    const level = alert.alert_level?.toUpperCase() || 'ALERT';
-    const device = alert.device_id || 'Unknown';
-    return `[${level}] Sensor Alert - ${device}`;
+  async sendSlack(alert, urls = null) {
+    const { title, variables } = this.renderChatMessage(alert, 'slack');
+    return this.postChatMessages('slack', urls || this.config.slack?.webhook_urls || [], url => ({
+      target: { url },
+      url,
+      body: formatSlack(title, variables)
+    }));
   }
 
   /**
-   * Format email body
+   * Send Microsoft Teams notification to every TEAMS_WEBHOOK_URLS entry
    * @param {Object} alert - Alert data
-   * @returns {String}
+   * @param {Array|null} urls - Incoming webhook URLs, null for all
+   * @returns {Object}
    */
-  formatEmailBody(alert) {
-    return `
-Sensor Alert Notification
-=========================
+  async sendTeams(alert, urls = null) {
+    const { title, variables } = this.renderChatMessage(alert, 'teams');
+    return this.postChatMessages('teams', urls || this.config.teams?.webhook_urls || [], url => ({
+      target: { url },
+      url,
+      body: formatTeams(title, variables)
+    }));
+  }
 
-Alert Level: ${alert.alert_level}
-Alert ID: ${alert.alert_id}
-Device ID: ${alert.device_id}
-Sensor Type: ${alert.sensor_type}
-Timestamp: ${alert.timestamp}
+  /**
+   * Send Telegram notification to every TELEGRAM_CHAT_IDS entry through the bot
+   * @param {Object} alert - Alert data
+   * @param {Array|null} chatIds - Chat IDs, null for all
+   * @returns {Object}
+   */
+  async sendTelegram(alert, chatIds = null) {
+    const telegram = this.config.telegram || {};
+    if (!telegram.bot_token) {
+      return {
+        channel: 'telegram',
+        status: 'skipped',
+        reason: 'not_configured',
+        timestamp: new Date().toISOString()
+      };
+    }
 
-${alert.message || alert.description || 'No description available'}
+    const { title, variables } = this.renderChatMessage(alert, 'telegram');
+    const url = `${(telegram.api_url || 'https://api.telegram.org').replace(/\/$/, '')}/bot${telegram.bot_token}/sendMessage`;
+    return this.postChatMessages('telegram', chatIds || telegram.chat_ids || [], chatId => ({
+      target: { recipient: chatId },
+      url,
+      body: formatTelegram(chatId, title, variables)
+    }));
+  }
 
-${alert.condition ? `Condition: ${alert.condition}` : ''}
-${alert.value !== undefined ? `Value: ${alert.value}` : ''}
+  /**
+   * Render the title and variables of a chat message in the channel's locale
+   * @param {Object} alert - Alert data
+   * @param {String} channel - 'slack', 'teams' or 'telegram'
+   * @returns {Object} - { title, variables }
+   */
+  renderChatMessage(alert, channel) {
+    const locale = this.config[channel]?.locale || this.templates.defaultLocale;
+    return {
+      title: this.templates.render(alert, 'subject', { locale, rule: this.getAlertRule(alert) }),
+      variables: this.templates.buildVariables(alert, locale)
+    };
+  }
 
----
-This is an automated alert from NeuroBuildTech Analytics Service.
-    `.trim();
+  /**
+   * Post a chat message to each target
+   * @param {String} channel - 'slack', 'teams' or 'telegram'
+   * @param {Array} targets - Webhook URLs or chat IDs
+   * @param {Function} buildRequest - target -> { target, url, body }, target being the result fields
+   * @returns {Object}
+   */
+  async postChatMessages(channel, targets, buildRequest) {
+    if (targets.length === 0) {
+      return {
+        channel,
+        status: 'skipped',
+        reason: 'not_configured',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const results = [];
+
+    for (const item of targets) {
+      const request = buildRequest(item);
+
+      try {
+        const response = await axios.post(request.url, request.body, {
+          timeout: 5000,
+          headers: { 'Content-Type': 'application/json' }
+        });
+
+        results.push({
+          ...request.target,
+          status: 'sent',
+          status_code: response.status
+        });
+      } catch (error) {
+        results.push({
+          ...request.target,
+          status: 'failed',
+          ...(error.response && { status_code: error.response.status }),
+          // Telegram explains rejected messages in the response body
+          error: error.response?.data?.description || error.message
+        });
+      }
+    }
+
+    if (results.every(r => r.status === 'failed')) {
+      throw new Error(`${channel} delivery failed: ${results.map(r => r.error).join('; ')}`);
+    }
+
+    return {
+      channel,
+      status: results.every(r => r.status === 'sent') ? 'sent' : 'partial',
+      results: results,
+      timestamp: new Date().toISOString()
+    };
   }
 
   /**
-   * Format email HTML body
+   * Expand a channel into the addresses to contact for an alert
+   * Alerts matching a route go to the routed team's on-call recipients,
+   * others to the channel's configured recipients (push: every subscribed user).
+   * Recipients whose preferences exclude the channel for the alert's level, or
+   * who are in quiet hours, are left out.
    * @param {Object} alert - Alert data
-   * @returns {String}
+   * @param {String} channel - 'email', 'sms' or 'push'
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {Array} - Email addresses, phone numbers or push user IDs
    */
-  formatEmailHtml(alert) {
-    const levelColor = {
-      'critical': '#dc2626',
-      'warning': '#f59e0b',
-      'info': '#3b82f6'
-    }[alert.alert_level] || '#6b7280';
-
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-  <style>
-    body { font-family: Arial, sans-serif; line-height: 1.6; }
-    .alert-box { border-left: 4px solid ${levelColor}; padding: 15px; background: #f9fafb; }
-    .alert-level { color: ${levelColor}; font-weight: bold; font-size: 18px; }
-    .detail { margin: 10px 0; }
-    .label { font-weight: bold; }
-  </style>
-</head>
-<body>
-  <div class="alert-box">
-    <div class="alert-level">${alert.alert_level?.toUpperCase() || 'ALERT'}</div>
-    <div class="detail"><span class="label">Alert ID:</span> ${alert.alert_id}</div>
-    <div class="detail"><span class="label">Device ID:</span> ${alert.device_id}</div>
-    <div class="detail"><span class="label">Sensor Type:</span> ${alert.sensor_type}</div>
-    <div class="detail"><span class="label">Timestamp:</span> ${alert.timestamp}</div>
-    <div class="detail">
-      <p>${alert.message || alert.description || 'No description available'}</p>
-    </div>
-    ${alert.condition ? `<div class="detail"><span class="label">Condition:</span> ${alert.condition}</div>` : ''}
-    ${alert.value !== undefined ? `<div class="detail"><span class="label">Value:</span> ${alert.value}</div>` : ''}
-  </div>
-  <p style="color: #6b7280; font-size: 12px; margin-top: 20px;">
-    This is an automated alert from NeuroBuildTech Analytics Service.
-  </p>
-</body>
-</html>
-    `.trim();
-  }
-
-  /**
-   * Format SMS message
+  getRecipients(alert, channel, now = Date.now()) {
+    const addresses = this.getChannelAddresses(alert, channel);
+    if (!this.router) {
+      return addresses;
+    }
+
+    return addresses.filter(address => {
+      const accepted = this.router.accepts(this.findRecipient(channel, address), alert, channel, now);
+      if (!accepted) {
+        console.log(`Not sending ${alert.alert_level} ${channel} notification to ${address} (preferences or quiet hours)`);
+      }
+      return accepted;
+    });
+  }
+
+  /**
+   * Get the routed or configured addresses of a channel, before preferences
+   * @param {Object} alert - Alert data
+   * @param {String} channel - 'email', 'sms' or 'push'
+   * @returns {Array}
+   */
+  getChannelAddresses(alert, channel) {
+    const routing = this.router ? this.router.resolve(alert) : null;
+    if (!routing) {
+      if (channel === 'push') {
+        return this.pushSubscriptions ? this.pushSubscriptions.getUsers() : [];
+      }
+      return this.config[channel]?.recipients || [];
+    }
+
+    if (channel === 'push') {
+      return routing.recipients.map(recipient => recipient.recipient_id);
+    }
+
+    const field = channel === 'email' ? 'email' : 'phone';
+    return routing.recipients.map(recipient => recipient[field]).filter(Boolean);
+  }
+
+  /**
+   * Find the routing recipient an address belongs to
+   * Configured addresses (EMAIL_RECIPIENTS, SMS_RECIPIENTS) match recipients by email or phone
+   * @param {String} channel - 'email', 'sms' or 'push'
+   * @param {String} address - Email address, phone number or push user ID
+   * @returns {Object|null}
+   */
+  findRecipient(channel, address) {
+    const field = { email: 'email', sms: 'phone', push: 'recipient_id' }[channel];
+    return this.router ? this.router.findRecipient(field, address) : null;
+  }
+
+  /**
+   * Get the rule that raised an alert, for its message_template
    * @param {Object} alert - Alert data
+   * @returns {Object|null}
+   */
+  getAlertRule(alert) {
+    return this.getRule && alert.rule_id ? this.getRule(alert.rule_id) : null;
+  }
+
+  /**
+   * Render the email subject, text and HTML of an alert
+   * @param {Object} alert - Alert data
+   * @param {String} locale - Recipient locale
+   * @returns {Object} - { subject, text, html }
+   */
+  renderMessage(alert, locale) {
+    const options = { locale, rule: this.getAlertRule(alert) };
+    return {
+      subject: this.templates.render(alert, 'subject', options),
+      text: this.templates.render(alert, 'text', options),
+      html: this.templates.render(alert, 'html', options)
+    };
+  }
+
+  /**
+   * Get the locale of a recipient, from the routing recipient it belongs to
+   * @param {String} channel - 'email', 'sms' or 'push'
+   * @param {String} address - Email address, phone number or push user ID
    * @returns {String}
    */
-  formatSMSMessage(alert) {
-    const level = alert.alert_level?.toUpperCase() || 'ALERT';
-    const device = alert.device_id || 'Unknown';
-    const msg = alert.message || alert.description || 'Alert triggered';
-    return `[${level}] ${device}: ${msg}`.substring(0, 160); // SMS limit
+  getLocale(channel, address) {
+    return this.findRecipient(channel, address)?.locale || this.templates.defaultLocale;
+  }
+
+  /**
+   * Group addresses by recipient locale
+   * @param {Array} addresses - Email addresses or phone numbers
+   * @param {String} channel - Notification channel
+   * @returns {Map} - locale -> addresses
+   */
+  groupByLocale(addresses, channel) {
+    const groups = new Map();
+    for (const address of addresses) {
+      const locale = this.getLocale(channel, address);
+      groups.set(locale, [...(groups.get(locale) || []), address]);
+    }
+    return groups;
+  }
+
+  /**
+   * Format Web Push payload, shown by the service worker
+   * @param {Object} alert - Alert data
+   * @param {String} locale - Recipient locale
+   * @returns {Object} - { title, body, tag, data }
+   */
+  formatPushPayload(alert, locale) {
+    const options = { locale, rule: this.getAlertRule(alert) };
+    return {
+      title: this.templates.render(alert, 'subject', options),
+      body: this.templates.render(alert, 'sms', options),
+      // Later notifications for the same rule and device replace earlier ones
+      tag: `${alert.rule_id || 'alert'}:${alert.device_id || ''}`,
+      data: {
+        alert_id: alert.alert_id,
+        rule_id: alert.rule_id,
+        alert_level: alert.alert_level,
+        status: alert.status,
+        device_id: alert.device_id,
+        timestamp: alert.timestamp
+      }
+    };
+  }
+
+  /**
+   * Get the dedup key fields and window for an alert
+   * Rules override the service-wide dedup_by and dedup_window_minutes
+   * @param {Object} alert - Alert data
+   * @returns {Object} - { by, windowMs }
+   */
+  getDedupSettings(alert) {
+    const rule = this.getAlertRule(alert);
+    const defaults = this.config.alerting || {};
+    const by = rule?.dedup_by || defaults.dedup_by || DEFAULT_DEDUP_BY;
+    const minutes = rule?.dedup_minutes ?? defaults.dedup_window_minutes ?? 5;
+
+    return { by, windowMs: minutes * 60 * 1000 };
   }
 
   /**
@@ -377,9 +822,8 @@ This is an automated alert from NeuroBuildTech Analytics Service.
       return false;
     }
 
-    // Consider duplicate if same alert within 5 minutes
-    const timeDiff = Date.now() - lastAlert.timestamp;
-    return timeDiff < 300000; // 5 minutes
+    // Consider duplicate if the same key was notified within its window
+    return Date.now() < lastAlert.expires_at;
   }
 
   /**
@@ -387,14 +831,19 @@ This is an automated alert from NeuroBuildTech Analytics Service.
    * @param {Object} alert - Alert data
    */
   recordAlert(alert) {
-    const key = this.generateAlertKey(alert);
-    this.alertHistory.set(key, {
-      alert_id: alert.alert_id,
-      timestamp: Date.now()
-    });
+    const { windowMs } = this.getDedupSettings(alert);
+    const now = Date.now();
 
-    // Clean old entries (older than 1 hour)
-    this.cleanAlertHistory();
+    // Clean expired entries before adding
+    this.cleanAlertHistory(now);
+
+    if (windowMs > 0) {
+      this.alertHistory.set(this.generateAlertKey(alert), {
+        alert_id: alert.alert_id,
+        timestamp: now,
+        expires_at: now + windowMs
+      });
+    }
   }
 
   /**
@@ -403,68 +852,75 @@ This is an automated alert from NeuroBuildTech Analytics Service.
    * @returns {String}
    */
   generateAlertKey(alert) {
-    return `${alert.rule_id || 'unknown'}_${alert.device_id}_${alert.alert_level}`;
+    const key = buildAlertKey(alert, this.getDedupSettings(alert).by);
+    // Resolved notifications must not be suppressed by the alert they resolve
+    return alert.status === 'resolved' ? `${key}|resolved` : key;
   }
 
   /**
-   * Clean old alert history
+   * Clean expired alert history
+   * @param {Number} now - Reference time in milliseconds
    */
-  cleanAlertHistory() {
-    const now = Date.now();
-    const oneHourAgo = now - 3600000;
-
+  cleanAlertHistory(now = Date.now()) {
     for (const [key, data] of this.alertHistory.entries()) {
-      if (data.timestamp < oneHourAgo) {
+      if (data.expires_at <= now) {
         this.alertHistory.delete(key);
       }
     }
   }
 
   /**
-   * Track delivery for monitoring
-   * @param {Object} delivery - Delivery result
+   * Get current dedup entries
+   * @param {Object} filters - Optional rule_id, device_id and location filters
+   * @returns {Array} - Array of { key, rule_id, scope, alert_id, notified_at, expires_at }
    */
-  trackDelivery(delivery) {
-    this.deliveryTracking.push({
-      ...delivery,
-      tracked_at: Date.now()
-    });
+  getDedupState(filters = {}) {
+    this.cleanAlertHistory();
+    const entries = [];
 
-    // Limit tracking history
-    if (this.deliveryTracking.length > 1000) {
-      this.deliveryTracking.shift();
+    for (const [key, data] of this.alertHistory.entries()) {
+      if (!matchesAlertKey(key, filters)) {
+        continue;
+      }
+
+      const { rule_id: ruleId, scope } = parseAlertKey(key);
+      entries.push({
+        key,
+        rule_id: ruleId,
+        scope,
+        alert_id: data.alert_id,
+        notified_at: new Date(data.timestamp).toISOString(),
+        expires_at: new Date(data.expires_at).toISOString()
+      });
     }
+
+    return entries;
   }
 
   /**
-   * Get delivery statistics
-   * @returns {Object}
+   * Clear dedup entries so the next matching alert is notified
+   * @param {Object} filters - Optional rule_id, device_id and location filters
+   * @returns {Number} - Number of entries cleared
    */
-  getDeliveryStats() {
-    const stats = {
-      total: this.deliveryTracking.length,
-      by_channel: {},
-      by_status: {}
-    };
-
-    for (const delivery of this.deliveryTracking) {
-      // Count by channel
-      const channel = delivery.channel;
-      stats.by_channel[channel] = (stats.by_channel[channel] || 0) + 1;
+  clearDedupState(filters = {}) {
+    let cleared = 0;
 
-      // Count by status
-      const status = delivery.status;
-      stats.by_status[status] = (stats.by_status[status] || 0) + 1;
+    for (const key of Array.from(this.alertHistory.keys())) {
+      if (matchesAlertKey(key, filters)) {
+        this.alertHistory.delete(key);
+        cleared++;
+      }
     }
 
-    return stats;
+    return cleared;
   }
 
   /**
-   * Clear delivery tracking
+   * Get delivery attempt totals by channel and status from the delivery log
+   * @returns {Object}
    */
-  clearDeliveryTracking() {
-    this.deliveryTracking = [];
+  getDeliveryStats() {
+    return this.deliveryLog.getTotals();
   }
 }
 
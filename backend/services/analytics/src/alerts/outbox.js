@@ -0,0 +1,466 @@
+/**
+ * Delivery Outbox
+ * Persists every channel delivery until it succeeds, retrying failures with
+ * exponential backoff and dead-lettering them after the channel's max attempts
+ *
+ * Outbox entry format:
+ *   {
+ *     delivery_id: 'delivery_...',
+ *     alert_id: 'alert_...',
+ *     rule_id: 'gas_high_critical',
+ *     channel: 'sms',
+ *     alert: { ... },                 // Alert snapshot to resend
+ *     targets: ['+34600000001'],      // Failed endpoints/phones of a partial delivery, null for all
+ *     status: 'pending' | 'dead',
+ *     attempts: 2,
+ *     next_attempt_at: '...',
+ *     last_error: 'SMS delivery failed: ...',
+ *     history: [{ attempt: 1, at: '...', status: 'failed', error: '...' }]
+ *   }
+ *
+ * Entries leave the outbox once delivered or skipped (e.g. channel not
+ * configured); dead-lettered entries stay until they are re-driven or discarded.
+ * Every attempt is also recorded in the optional delivery log.
+ *
+ * With shared storage every instance sees every entry, so each attempt is
+ * claimed in the store first and only the instance holding the claim makes it.
+ */
+
+const RETRY_STATUSES = ['failed', 'partial'];
+const MAX_HISTORY = 20;
+
+class DeliveryOutbox {
+  constructor(options = {}) {
+    this.store = options.store || null; // Optional persistent storage
+    this.deliver = options.deliver; // (alert, channel, targets) => delivery result
+    this.log = options.log || null; // Optional DeliveryLog recording every attempt
+    this.maxAttempts = options.maxAttempts || 5;
+    this.channelMaxAttempts = options.channelMaxAttempts || {}; // channel -> max attempts
+    this.backoffBaseMs = (options.backoffBaseSeconds || 30) * 1000;
+    this.backoffMaxMs = (options.backoffMaxSeconds || 3600) * 1000;
+    this.intervalMs = (options.intervalSeconds || 15) * 1000;
+    this.maxDeadLetters = options.maxDeadLetters || 1000; // Oldest are dropped beyond this
+    this.leaseMs = (options.leaseSeconds || 300) * 1000; // How long a claimed attempt stays claimed
+    this.entries = new Map(); // delivery_id -> pending or dead-lettered entry
+    this.inFlight = new Set(); // delivery_ids being attempted
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Load persisted entries and follow changes made by other instances
+   * Deliveries interrupted by a restart are retried on the next check
+   * @returns {Number} - Number of entries loaded
+   */
+  async load() {
+    if (!this.store) {
+      return 0;
+    }
+
+    const entries = await this.store.load();
+    for (const entry of entries) {
+      this.entries.set(entry.delivery_id, entry);
+    }
+
+    await this.store.subscribe(change => {
+      if (change.op === 'remove') {
+        this.entries.delete(change.id);
+      } else if (change.op === 'save' && change.doc) {
+        this.entries.set(change.id, change.doc);
+      }
+    });
+
+    return entries.length;
+  }
+
+  /**
+   * Retry due deliveries periodically
+   */
+  start() {
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop periodic retries
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Get the number of attempts before a channel's deliveries are dead-lettered
+   * @param {String} channel - Notification channel
+   * @returns {Number}
+   */
+  getMaxAttempts(channel) {
+    return this.channelMaxAttempts[channel] || this.maxAttempts;
+  }
+
+  /**
+   * Get the delay before the next attempt
+   * @param {Number} attempts - Attempts made so far
+   * @returns {Number} - Delay in milliseconds
+   */
+  getBackoffMs(attempts) {
+    return Math.min(this.backoffBaseMs * Math.pow(2, attempts - 1), this.backoffMaxMs);
+  }
+
+  /**
+   * Queue a delivery and make its first attempt
+   * @param {Object} alert - Alert data
+   * @param {String} channel - Notification channel
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {Object} - Delivery result of the first attempt
+   */
+  async send(alert, channel, now = Date.now()) {
+    const entry = {
+      delivery_id: this.generateDeliveryId(),
+      alert_id: alert.alert_id,
+      rule_id: alert.rule_id,
+      channel,
+      alert,
+      targets: null,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date(now).toISOString(),
+      created_at: new Date(now).toISOString(),
+      history: []
+    };
+
+    // Claim the first attempt before other instances can see the entry
+    await this.claim(entry);
+    this.save(entry);
+    return this.attempt(entry, now);
+  }
+
+  /**
+   * Attempt a queued delivery and schedule a retry or dead-letter it on failure
+   * @param {Object} entry - Outbox entry
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {Object} - Delivery result with delivery_id, attempt and retry_at or dead_lettered
+   */
+  async attempt(entry, now = Date.now()) {
+    this.inFlight.add(entry.delivery_id);
+
+    const started = Date.now();
+    let delivery;
+    try {
+      delivery = await this.deliver(entry.alert, entry.channel, entry.targets);
+    } catch (error) {
+      delivery = {
+        channel: entry.channel,
+        status: 'failed',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    } finally {
+      this.inFlight.delete(entry.delivery_id);
+    }
+    const durationMs = Date.now() - started;
+
+    const attempts = entry.attempts + 1;
+    const at = new Date(now).toISOString();
+    const error = this.getError(delivery);
+    const history = [...entry.history, { attempt: attempts, at, status: delivery.status, ...(error && { error }) }]
+      .slice(-MAX_HISTORY);
+    const result = { ...delivery, delivery_id: entry.delivery_id, attempt: attempts };
+    const logged = { error, durationMs, now };
+
+    if (!RETRY_STATUSES.includes(delivery.status)) {
+      this.remove(entry.delivery_id);
+      return this.logAttempt(entry, result, logged);
+    }
+
+    const updated = {
+      ...entry,
+      // Only resend to the endpoints or phones that failed last time
+      targets: delivery.results ? this.getFailedTargets(delivery) : entry.targets,
+      attempts,
+      last_error: error,
+      last_attempt_at: at,
+      history
+    };
+
+    if (attempts >= this.getMaxAttempts(entry.channel)) {
+      console.error(`Dead-lettering ${entry.channel} delivery ${entry.delivery_id} after ${attempts} attempts: ${error}`);
+      this.save({ ...updated, status: 'dead', next_attempt_at: null, dead_lettered_at: at });
+      this.pruneDeadLetters();
+      return this.logAttempt(entry, { ...result, dead_lettered: true }, logged);
+    }
+
+    const retryAt = new Date(now + this.getBackoffMs(attempts)).toISOString();
+    this.save({ ...updated, status: 'pending', next_attempt_at: retryAt });
+    return this.logAttempt(entry, { ...result, retry_at: retryAt }, logged);
+  }
+
+  /**
+   * Record an attempt in the delivery log
+   * @param {Object} entry - Outbox entry
+   * @param {Object} result - Delivery result of the attempt
+   * @param {Object} details - { error, durationMs, now }
+   * @returns {Object} - The delivery result
+   */
+  logAttempt(entry, result, details) {
+    if (!this.log) {
+      return result;
+    }
+
+    const finishedAt = details.now + details.durationMs;
+    const alertAt = Date.parse(entry.alert.timestamp || entry.created_at);
+
+    this.log.record({
+      delivery_id: entry.delivery_id,
+      alert_id: entry.alert_id,
+      rule_id: entry.rule_id,
+      alert_level: entry.alert.alert_level,
+      channel: entry.channel,
+      attempt: result.attempt,
+      status: result.status,
+      ...(result.reason && { reason: result.reason }),
+      ...(details.error && { error: details.error }),
+      ...(result.results && {
+        targets: result.results.map(target => ({
+          target: target.subscription_id || target.url || target.recipient,
+          status: target.status
+        }))
+      }),
+      ...(result.retry_at && { retry_at: result.retry_at }),
+      ...(result.dead_lettered && { dead_lettered: true }),
+      duration_ms: details.durationMs,
+      latency_ms: Number.isNaN(alertAt) ? null : Math.max(finishedAt - alertAt, 0),
+      timestamp: new Date(finishedAt).toISOString()
+    });
+
+    return result;
+  }
+
+  /**
+   * Retry every pending delivery that is due
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {Number} - Number of attempts made
+   */
+  async tick(now = Date.now()) {
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    let attempted = 0;
+
+    try {
+      const due = Array.from(this.entries.values()).filter(entry => this.isDue(entry, now));
+
+      for (const { delivery_id: deliveryId } of due) {
+        // Re-read: another instance may have attempted it while earlier entries were sent
+        const entry = this.entries.get(deliveryId);
+        if (!this.isDue(entry, now) || !(await this.claim(entry))) {
+          continue;
+        }
+
+        await this.attempt(entry, now);
+        attempted++;
+      }
+    } catch (error) {
+      console.error('Delivery retry failed:', error);
+    } finally {
+      this.running = false;
+    }
+
+    return attempted;
+  }
+
+  /**
+   * Check whether an entry is waiting for an attempt
+   * @param {Object} entry - Outbox entry
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {Boolean}
+   */
+  isDue(entry, now) {
+    return Boolean(entry) &&
+      entry.status === 'pending' &&
+      !this.inFlight.has(entry.delivery_id) &&
+      Date.parse(entry.next_attempt_at) <= now;
+  }
+
+  /**
+   * Claim an entry's next attempt so no other instance makes it
+   * The claim is per attempt, so a retry is claimed afresh once it is due
+   * @param {Object} entry - Outbox entry
+   * @returns {Boolean} - Whether this instance may make the attempt
+   */
+  async claim(entry) {
+    if (!this.store?.claim) {
+      return true;
+    }
+
+    const claimId = [entry.delivery_id, entry.redriven_at || entry.created_at, entry.attempts].join(':');
+    try {
+      return await this.store.claim(claimId, this.leaseMs);
+    } catch (error) {
+      console.error(`Failed to claim outbox entry ${entry.delivery_id}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Get an outbox entry
+   * @param {String} deliveryId - Delivery identifier
+   * @returns {Object|null}
+   */
+  get(deliveryId) {
+    return this.entries.get(deliveryId) || null;
+  }
+
+  /**
+   * List outbox entries, oldest first
+   * @param {Object} filters - Optional status, channel, alert_id and rule_id
+   * @returns {Array}
+   */
+  list(filters = {}) {
+    return Array.from(this.entries.values())
+      .filter(entry =>
+        (!filters.status || entry.status === filters.status) &&
+        (!filters.channel || entry.channel === filters.channel) &&
+        (!filters.alert_id || entry.alert_id === filters.alert_id) &&
+        (!filters.rule_id || entry.rule_id === filters.rule_id)
+      )
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  /**
+   * Re-drive a dead-lettered delivery with a fresh set of attempts
+   * @param {String} deliveryId - Delivery identifier
+   * @param {Object} context - Change context ({ actor })
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {Object|null} - Delivery result, null if no such dead letter or another instance is re-driving it
+   */
+  async redrive(deliveryId, context = {}, now = Date.now()) {
+    const entry = this.entries.get(deliveryId);
+    if (!entry || entry.status !== 'dead' || !(await this.claim(entry))) {
+      return null;
+    }
+
+    const at = new Date(now).toISOString();
+    const { dead_lettered_at, ...rest } = entry;
+    const redriven = {
+      ...rest,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: at,
+      redriven_at: at,
+      redriven_by: context.actor || 'system'
+    };
+
+    await this.claim(redriven);
+    this.save(redriven);
+    return this.attempt(redriven, now);
+  }
+
+  /**
+   * Re-drive every dead-lettered delivery matching the filters
+   * @param {Object} filters - Optional channel, alert_id and rule_id
+   * @param {Object} context - Change context ({ actor })
+   * @returns {Array} - Delivery results, leaving out deliveries another instance is re-driving
+   */
+  async redriveAll(filters = {}, context = {}) {
+    const results = [];
+    for (const entry of this.list({ ...filters, status: 'dead' })) {
+      const result = await this.redrive(entry.delivery_id, context);
+      if (result) {
+        results.push(result);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Discard a dead-lettered delivery
+   * @param {String} deliveryId - Delivery identifier
+   * @returns {Boolean}
+   */
+  discard(deliveryId) {
+    if (this.entries.get(deliveryId)?.status !== 'dead') {
+      return false;
+    }
+    this.remove(deliveryId);
+    return true;
+  }
+
+  /**
+   * Drop the oldest dead letters beyond maxDeadLetters
+   */
+  pruneDeadLetters() {
+    const dead = this.list({ status: 'dead' });
+    for (const entry of dead.slice(0, Math.max(0, dead.length - this.maxDeadLetters))) {
+      this.remove(entry.delivery_id);
+    }
+  }
+
+  /**
+   * Get the webhook endpoints or phones a partial delivery failed for
+   * @param {Object} delivery - Delivery result
+   * @returns {Array} - Subscription IDs, URLs or phone numbers
+   */
+  getFailedTargets(delivery) {
+    return (delivery.results || [])
+      .filter(result => result.status === 'failed')
+      .map(result => result.subscription_id || result.url || result.recipient);
+  }
+
+  /**
+   * Summarize why a delivery failed
+   * @param {Object} delivery - Delivery result
+   * @returns {String|undefined}
+   */
+  getError(delivery) {
+    if (delivery.error) {
+      return delivery.error;
+    }
+    const errors = (delivery.results || [])
+      .filter(result => result.status === 'failed')
+      .map(result => `${result.subscription_id || result.url || result.recipient}: ${result.error}`);
+    return errors.length > 0 ? errors.join('; ') : undefined;
+  }
+
+  /**
+   * Store an entry and persist it
+   * @param {Object} entry - Outbox entry
+   */
+  save(entry) {
+    this.entries.set(entry.delivery_id, entry);
+
+    if (this.store) {
+      this.store.save(entry.delivery_id, entry).catch(error => {
+        console.error(`Failed to persist outbox entry ${entry.delivery_id}:`, error);
+      });
+    }
+  }
+
+  /**
+   * Remove an entry and its persisted copy
+   * @param {String} deliveryId - Delivery identifier
+   */
+  remove(deliveryId) {
+    if (!this.entries.delete(deliveryId)) {
+      return;
+    }
+
+    if (this.store) {
+      this.store.remove(deliveryId).catch(error => {
+        console.error(`Failed to remove persisted outbox entry ${deliveryId}:`, error);
+      });
+    }
+  }
+
+  /**
+   * Generate unique delivery ID
+   * @returns {String}
+   */
+  generateDeliveryId() {
+    return `delivery_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
+
+module.exports = DeliveryOutbox;
@@ -0,0 +1,81 @@
+/**
+ * Alert Pipeline
+ * Sits between the processors and the notifier, deciding whether an alert
+ * is delivered. Exposes the same notify() signature as AlertNotifier.
+ */
+
+class AlertPipeline {
+  constructor(notifier, options = {}) {
+    this.notifier = notifier;
+    this.inhibitor = options.inhibitor || null;
+    this.silences = options.silences || null;
+    this.alertStore = options.alertStore || null;
+  }
+
+  /**
+   * Deliver an alert unless it is inhibited or silenced, then record it
+   * Suppressed alerts are marked on the alert and in the returned result,
+   * which processors use to show why an active alert was not delivered
+   * @param {Object} alert - Alert data
+   * @param {Array} actions - Array of notification channels
+   * @returns {Object} - Delivery results
+   */
+  async notify(alert, actions = []) {
+    const result = await this.deliver(alert, actions);
+
+    if (this.alertStore) {
+      this.alertStore.record(alert, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Decide whether an alert is delivered and deliver it
+   * @param {Object} alert - Alert data
+   * @param {Array} actions - Array of notification channels
+   * @returns {Object} - Delivery results
+   */
+  async deliver(alert, actions) {
+    if (this.inhibitor) {
+      const inhibition = this.inhibitor.check(alert);
+      this.inhibitor.observe(alert, inhibition);
+
+      if (inhibition) {
+        alert.inhibited_by = inhibition;
+        this.inhibitor.record(alert, inhibition);
+        return {
+          alert_id: alert.alert_id,
+          timestamp: new Date().toISOString(),
+          status: 'inhibited',
+          inhibited_by: inhibition,
+          deliveries: []
+        };
+      }
+    }
+
+    if (this.silences) {
+      const silence = this.silences.check(alert);
+
+      if (silence) {
+        alert.silenced_by = silence;
+        this.silences.record(silence.silence_id, alert);
+        return {
+          alert_id: alert.alert_id,
+          timestamp: new Date().toISOString(),
+          status: 'silenced',
+          silenced_by: silence,
+          deliveries: []
+        };
+      }
+    }
+
+    if (!this.notifier) {
+      return { alert_id: alert.alert_id, timestamp: new Date().toISOString(), deliveries: [] };
+    }
+
+    return this.notifier.notify(alert, actions);
+  }
+}
+
+module.exports = AlertPipeline;
@@ -0,0 +1,176 @@
+/**
+ * Push Subscriptions
+ * Browser Web Push subscriptions registered by operators
+ *
+ * Subscription format (endpoint and keys come from the browser's PushSubscription):
+ *   {
+ *     subscription_id: '3f1c...',        // Derived from the endpoint
+ *     user_id: 'ana',                    // Recipient ID used by alert routing
+ *     endpoint: 'https://fcm.googleapis.com/fcm/send/...',
+ *     keys: { p256dh: '...', auth: '...' },
+ *     user_agent: 'Mozilla/5.0 ...'
+ *   }
+ *
+ * Registering the same endpoint again replaces the subscription, so browsers
+ * can re-register on every page load.
+ */
+
+const crypto = require('crypto');
+
+class PushSubscriptions {
+  constructor(options = {}) {
+    this.store = options.store || null; // Optional persistent storage
+    this.subscriptions = new Map(); // subscription_id -> subscription
+  }
+
+  /**
+   * Load persisted subscriptions and follow changes made by other instances
+   * @returns {Number} - Number of subscriptions loaded
+   */
+  async load() {
+    if (!this.store) {
+      return 0;
+    }
+
+    const subscriptions = await this.store.load();
+    for (const subscription of subscriptions) {
+      this.subscriptions.set(subscription.subscription_id, subscription);
+    }
+
+    await this.store.subscribe(change => {
+      if (change.op === 'remove') {
+        this.subscriptions.delete(change.id);
+      } else if (change.op === 'save' && change.doc) {
+        this.subscriptions.set(change.id, change.doc);
+      }
+    });
+
+    return subscriptions.length;
+  }
+
+  /**
+   * Validate a browser subscription
+   * @param {Object} subscription - { user_id, endpoint, keys: { p256dh, auth } }
+   * @returns {Object} - Validation result
+   */
+  validate(subscription) {
+    const errors = [];
+
+    if (!subscription.user_id || typeof subscription.user_id !== 'string') {
+      errors.push('user_id is required');
+    }
+    if (typeof subscription.endpoint !== 'string' || !subscription.endpoint.startsWith('https://')) {
+      errors.push('endpoint must be an https URL');
+    }
+    if (!subscription.keys || typeof subscription.keys.p256dh !== 'string' || typeof subscription.keys.auth !== 'string') {
+      errors.push('keys.p256dh and keys.auth are required');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Register a browser subscription for a user
+   * @param {Object} subscription - { user_id, endpoint, keys, user_agent }
+   * @param {Object} context - Change context ({ actor })
+   * @returns {Object} - Stored subscription
+   */
+  register(subscription, context = {}) {
+    const validation = this.validate(subscription);
+    if (!validation.valid) {
+      throw new Error(`Invalid push subscription: ${validation.errors.join(', ')}`);
+    }
+
+    const subscriptionId = this.getSubscriptionId(subscription.endpoint);
+    const existing = this.subscriptions.get(subscriptionId);
+    const stored = {
+      subscription_id: subscriptionId,
+      user_id: subscription.user_id,
+      endpoint: subscription.endpoint,
+      keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+      ...(subscription.user_agent && { user_agent: subscription.user_agent }),
+      created_at: existing?.created_at || new Date().toISOString(),
+      created_by: existing?.created_by || context.actor || 'system',
+      updated_at: new Date().toISOString()
+    };
+
+    this.subscriptions.set(subscriptionId, stored);
+
+    if (this.store) {
+      this.store.save(subscriptionId, stored).catch(error => {
+        console.error(`Failed to persist push subscription ${subscriptionId}:`, error);
+      });
+    }
+
+    return stored;
+  }
+
+  /**
+   * Remove a subscription
+   * @param {String} subscriptionId - Subscription identifier
+   * @returns {Boolean}
+   */
+  remove(subscriptionId) {
+    if (!this.subscriptions.delete(subscriptionId)) {
+      return false;
+    }
+
+    if (this.store) {
+      this.store.remove(subscriptionId).catch(error => {
+        console.error(`Failed to remove persisted push subscription ${subscriptionId}:`, error);
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Get a subscription
+   * @param {String} subscriptionId - Subscription identifier
+   * @returns {Object|null}
+   */
+  get(subscriptionId) {
+    return this.subscriptions.get(subscriptionId) || null;
+  }
+
+  /**
+   * List subscriptions, optionally for one user
+   * @param {Object} filters - Optional user_id
+   * @returns {Array}
+   */
+  list(filters = {}) {
+    return Array.from(this.subscriptions.values())
+      .filter(subscription => !filters.user_id || subscription.user_id === filters.user_id);
+  }
+
+  /**
+   * Get the users with at least one subscription
+   * @returns {Array} - User IDs
+   */
+  getUsers() {
+    return [...new Set(this.list().map(subscription => subscription.user_id))];
+  }
+
+  /**
+   * Get the subscriptions of some users
+   * @param {Array} userIds - User IDs
+   * @returns {Array}
+   */
+  getForUsers(userIds) {
+    return this.list().filter(subscription => userIds.includes(subscription.user_id));
+  }
+
+  /**
+   * Derive a stable subscription ID from the push endpoint
+   * @param {String} endpoint - Push service endpoint
+   * @returns {String}
+   */
+  getSubscriptionId(endpoint) {
+    return crypto.createHash('sha256').update(endpoint).digest('hex').slice(0, 24);
+  }
+}
+
+module.exports = PushSubscriptions;
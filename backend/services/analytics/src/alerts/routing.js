@@ -0,0 +1,451 @@
+/**
+ * Recipient Routing
+ * Recipients, teams, on-call schedules and routing rules deciding who is
+ * contacted for an alert
+ *
+ *   recipient: { recipient_id: 'ana', name: 'Ana', email: 'ana@example.com', phone: '+34600000000', locale: 'es',
+ *                preferences: {
+ *                  channels: { critical: ['sms', 'push', 'email'], warning: ['email'], info: [] },
+ *                  quiet_hours: { timezone: 'Europe/Madrid', ranges: [{ start: '22:00', end: '07:00' }] },
+ *                  critical_overrides_quiet_hours: true
+ *                } }
+ *   team:      { team_id: 'facilities', members: ['ana', 'luis'] }
+ *   schedule:  { schedule_id: 'facilities_week', team_id: 'facilities', participants: ['ana', 'luis'],
+ *                starts_at: '2025-01-06T08:00:00Z', rotation_days: 7,
+ *                overrides: [{ recipient_id: 'luis', starts_at: '...', ends_at: '...' }] }
+ *   route:     { route_id: 'gas_building_a', matchers: { location: 'building-a/*', sensor_type: 'mq134' },
+ *                team_id: 'facilities', priority: 10, continue: false }
+ *
+ * Routes are checked by ascending priority; the first match wins unless it sets
+ * continue. A team with schedules is reached through whoever is on call in each
+ * schedule, otherwise through all its members.
+ *
+ * Recipient preferences list the channels a recipient wants per alert level
+ * (levels left out get every channel) and quiet hours, in the activation
+ * schedule format, during which only critical alerts reach them.
+ */
+
+const { matchesAlert, validateMatchers } = require('./matchers');
+const { isScheduleActive, validateSchedule } = require('./schedule');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ALERT_LEVELS = ['critical', 'warning', 'info'];
+const RECIPIENT_CHANNELS = ['email', 'sms', 'push'];
+
+const KINDS = {
+  recipients: 'recipient_id',
+  teams: 'team_id',
+  schedules: 'schedule_id',
+  routes: 'route_id'
+};
+
+class RecipientRouter {
+  constructor(options = {}) {
+    const stores = options.stores || {}; // Optional persistent storage per kind
+    this.collections = {};
+
+    for (const [kind, idField] of Object.entries(KINDS)) {
+      this.collections[kind] = { idField, store: stores[kind] || null, items: new Map() };
+    }
+  }
+
+  /**
+   * Load persisted recipients, teams, schedules and routes, and follow changes
+   * made by other instances
+   * @returns {Number} - Number of documents loaded
+   */
+  async load() {
+    let loaded = 0;
+
+    for (const collection of Object.values(this.collections)) {
+      if (!collection.store) {
+        continue;
+      }
+
+      const documents = await collection.store.load();
+      for (const document of documents) {
+        collection.items.set(document[collection.idField], document);
+      }
+      loaded += documents.length;
+
+      await collection.store.subscribe(change => {
+        if (change.op === 'remove') {
+          collection.items.delete(change.id);
+        } else if (change.op === 'save' && change.doc) {
+          collection.items.set(change.id, change.doc);
+        }
+      });
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Validate a recipient, team, schedule or route
+   * @param {String} kind - 'recipients', 'teams', 'schedules' or 'routes'
+   * @param {Object} document - Document to validate
+   * @returns {Object} - Validation result
+   */
+  validate(kind, document) {
+    const idField = KINDS[kind];
+    const errors = document[idField] ? [] : [`${idField} is required`];
+
+    switch (kind) {
+      case 'recipients':
+        if (!document.email && !document.phone) {
+          errors.push('email or phone is required');
+        }
+        if (document.email !== undefined && !/^[^\s@]+@[^\s@]+$/.test(document.email)) {
+          errors.push('email must be an email address');
+        }
+        if (document.phone !== undefined && !/^\+?[0-9][0-9 ()-]{5,}$/.test(document.phone)) {
+          errors.push('phone must be a phone number');
+        }
+        if (document.locale !== undefined && !/^[a-z]{2}(-[A-Z]{2})?$/.test(document.locale)) {
+          errors.push('locale must look like "es" or "es-ES"');
+        }
+        if (document.preferences !== undefined) {
+          errors.push(...this.validatePreferences(document.preferences));
+        }
+        break;
+
+      case 'teams':
+        errors.push(...this.validateRecipientIds(document.members, 'members'));
+        break;
+
+      case 'schedules':
+        errors.push(...this.validateTeamId(document.team_id));
+        errors.push(...this.validateRecipientIds(document.participants, 'participants'));
+        if (!document.participants || document.participants.length === 0) {
+          errors.push('participants must not be empty');
+        }
+        if (isNaN(Date.parse(document.starts_at))) {
+          errors.push('starts_at must be an ISO date');
+        }
+        if (document.rotation_days !== undefined &&
+          (typeof document.rotation_days !== 'number' || document.rotation_days <= 0)) {
+          errors.push('rotation_days must be a positive number');
+        }
+        errors.push(...this.validateOverrides(document.overrides));
+        break;
+
+      case 'routes':
+        errors.push(...validateMatchers(document.matchers, 'matchers'));
+        errors.push(...this.validateTeamId(document.team_id));
+        if (document.priority !== undefined && typeof document.priority !== 'number') {
+          errors.push('priority must be a number');
+        }
+        break;
+
+      default:
+        errors.push(`unknown kind ${kind}`);
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Validate a recipient's notification preferences
+   * @param {*} preferences - Recipient preferences
+   * @returns {Array} - Error messages
+   */
+  validatePreferences(preferences) {
+    if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+      return ['preferences must be an object'];
+    }
+
+    const errors = [];
+
+    if (preferences.channels !== undefined) {
+      const channels = preferences.channels;
+      if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+        errors.push('preferences.channels must map alert levels to channels');
+      } else {
+        for (const [level, list] of Object.entries(channels)) {
+          if (!ALERT_LEVELS.includes(level)) {
+            errors.push(`preferences.channels: unknown alert level ${level}`);
+          } else if (!Array.isArray(list) || !list.every(channel => RECIPIENT_CHANNELS.includes(channel))) {
+            errors.push(`preferences.channels.${level} must be an array of: ${RECIPIENT_CHANNELS.join(', ')}`);
+          }
+        }
+      }
+    }
+
+    if (preferences.quiet_hours !== undefined) {
+      errors.push(...validateSchedule(preferences.quiet_hours, 'preferences.quiet_hours'));
+      if (!Array.isArray(preferences.quiet_hours?.ranges) || preferences.quiet_hours.ranges.length === 0) {
+        errors.push('preferences.quiet_hours.ranges must not be empty');
+      }
+    }
+
+    if (preferences.critical_overrides_quiet_hours !== undefined &&
+      typeof preferences.critical_overrides_quiet_hours !== 'boolean') {
+      errors.push('preferences.critical_overrides_quiet_hours must be a boolean');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a list of recipient references
+   * @param {*} ids - Recipient IDs
+   * @param {String} name - Name used in error messages
+   * @returns {Array} - Error messages
+   */
+  validateRecipientIds(ids, name) {
+    if (!Array.isArray(ids)) {
+      return [`${name} must be an array of recipient IDs`];
+    }
+    return ids
+      .filter(id => !this.collections.recipients.items.has(id))
+      .map(id => `${name}: unknown recipient ${id}`);
+  }
+
+  /**
+   * Validate a team reference
+   * @param {String} teamId - Team identifier
+   * @returns {Array} - Error messages
+   */
+  validateTeamId(teamId) {
+    return this.collections.teams.items.has(teamId) ? [] : [`team_id: unknown team ${teamId}`];
+  }
+
+  /**
+   * Validate on-call overrides
+   * @param {*} overrides - Overrides
+   * @returns {Array} - Error messages
+   */
+  validateOverrides(overrides) {
+    if (overrides === undefined) {
+      return [];
+    }
+    if (!Array.isArray(overrides)) {
+      return ['overrides must be an array'];
+    }
+
+    const errors = [];
+    overrides.forEach((override, index) => {
+      errors.push(...this.validateRecipientIds([override.recipient_id], `overrides[${index}].recipient_id`));
+      if (!(Date.parse(override.ends_at) > Date.parse(override.starts_at))) {
+        errors.push(`overrides[${index}] must have ISO starts_at and a later ends_at`);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Add or replace a recipient, team, schedule or route
+   * @param {String} kind - Collection kind
+   * @param {Object} document - Document to store
+   * @param {Object} context - Change context ({ actor })
+   * @returns {Object} - Stored document
+   */
+  save(kind, document, context = {}) {
+    const validation = this.validate(kind, document);
+    if (!validation.valid) {
+      throw new Error(`Invalid ${kind.slice(0, -1)}: ${validation.errors.join(', ')}`);
+    }
+
+    const collection = this.collections[kind];
+    const id = document[collection.idField];
+    const existing = collection.items.get(id);
+    const stored = {
+      ...document,
+      created_at: existing?.created_at || new Date().toISOString(),
+      created_by: existing?.created_by || context.actor || 'system',
+      updated_at: new Date().toISOString(),
+      updated_by: context.actor || 'system'
+    };
+
+    collection.items.set(id, stored);
+
+    if (collection.store) {
+      collection.store.save(id, stored).catch(error => {
+        console.error(`Failed to persist ${kind} ${id}:`, error);
+      });
+    }
+
+    return stored;
+  }
+
+  /**
+   * Remove a recipient, team, schedule or route
+   * @param {String} kind - Collection kind
+   * @param {String} id - Document identifier
+   * @returns {Boolean}
+   */
+  remove(kind, id) {
+    const collection = this.collections[kind];
+    if (!collection.items.delete(id)) {
+      return false;
+    }
+
+    if (collection.store) {
+      collection.store.remove(id).catch(error => {
+        console.error(`Failed to remove persisted ${kind} ${id}:`, error);
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Get a recipient, team, schedule or route
+   * @param {String} kind - Collection kind
+   * @param {String} id - Document identifier
+   * @returns {Object|null}
+   */
+  get(kind, id) {
+    return this.collections[kind].items.get(id) || null;
+  }
+
+  /**
+   * List recipients, teams, schedules or routes
+   * @param {String} kind - Collection kind
+   * @returns {Array}
+   */
+  list(kind) {
+    return Array.from(this.collections[kind].items.values());
+  }
+
+  /**
+   * Find the recipient with an email address, phone number or ID
+   * @param {String} field - 'email', 'phone' or 'recipient_id'
+   * @param {String} value - Value to look for
+   * @returns {Object|null}
+   */
+  findRecipient(field, value) {
+    return this.list('recipients').find(recipient => recipient[field] === value) || null;
+  }
+
+  /**
+   * Check whether a recipient's preferences let an alert reach them on a channel
+   * Recipients without preferences get everything
+   * @param {Object} recipient - Recipient
+   * @param {Object} alert - Alert
+   * @param {String} channel - 'email', 'sms' or 'push'
+   * @param {Number} at - Reference time in milliseconds
+   * @returns {Boolean}
+   */
+  accepts(recipient, alert, channel, at = Date.now()) {
+    const preferences = recipient?.preferences;
+    if (!preferences) {
+      return true;
+    }
+
+    const channels = preferences.channels?.[alert.alert_level];
+    if (channels && !channels.includes(channel)) {
+      return false;
+    }
+
+    if (preferences.quiet_hours && isScheduleActive(preferences.quiet_hours, new Date(at))) {
+      return alert.alert_level === 'critical' && preferences.critical_overrides_quiet_hours !== false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Find documents referencing a recipient or team
+   * @param {String} kind - 'recipients' or 'teams'
+   * @param {String} id - Referenced identifier
+   * @returns {Array} - e.g. ['teams/facilities', 'schedules/facilities_week']
+   */
+  getReferences(kind, id) {
+    const references = [];
+
+    if (kind === 'recipients') {
+      for (const team of this.list('teams')) {
+        if (team.members.includes(id)) references.push(`teams/${team.team_id}`);
+      }
+      for (const schedule of this.list('schedules')) {
+        const overrides = (schedule.overrides || []).map(override => override.recipient_id);
+        if ([...schedule.participants, ...overrides].includes(id)) {
+          references.push(`schedules/${schedule.schedule_id}`);
+        }
+      }
+    } else if (kind === 'teams') {
+      for (const schedule of this.list('schedules')) {
+        if (schedule.team_id === id) references.push(`schedules/${schedule.schedule_id}`);
+      }
+      for (const route of this.list('routes')) {
+        if (route.team_id === id) references.push(`routes/${route.route_id}`);
+      }
+    }
+
+    return references;
+  }
+
+  /**
+   * Get who is on call for a schedule
+   * Overrides take precedence over the rotation
+   * @param {Object} schedule - On-call schedule
+   * @param {Number} at - Reference time in milliseconds
+   * @returns {String} - Recipient ID
+   */
+  getScheduleOnCall(schedule, at = Date.now()) {
+    const override = (schedule.overrides || []).find(entry =>
+      Date.parse(entry.starts_at) <= at && at < Date.parse(entry.ends_at)
+    );
+    if (override) {
+      return override.recipient_id;
+    }
+
+    const rotationMs = (schedule.rotation_days || 7) * DAY_MS;
+    const shift = Math.floor((at - Date.parse(schedule.starts_at)) / rotationMs);
+    const count = schedule.participants.length;
+    return schedule.participants[((shift % count) + count) % count];
+  }
+
+  /**
+   * Get the recipients currently responsible for a team
+   * @param {String} teamId - Team identifier
+   * @param {Number} at - Reference time in milliseconds
+   * @returns {Array} - Recipient IDs
+   */
+  getTeamOnCall(teamId, at = Date.now()) {
+    const schedules = this.list('schedules').filter(schedule => schedule.team_id === teamId);
+    if (schedules.length === 0) {
+      return [...(this.get('teams', teamId)?.members || [])];
+    }
+    return [...new Set(schedules.map(schedule => this.getScheduleOnCall(schedule, at)))];
+  }
+
+  /**
+   * Route an alert to teams and their on-call recipients
+   * @param {Object} alert - Alert
+   * @param {Number} at - Reference time in milliseconds
+   * @returns {Object|null} - { routes, teams, recipients }, null when no route matches
+   */
+  resolve(alert, at = Date.now()) {
+    const routes = this.list('routes')
+      .filter(route => route.enabled !== false)
+      .sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0) || a.created_at.localeCompare(b.created_at));
+
+    const matched = [];
+    for (const route of routes) {
+      if (matchesAlert(route.matchers, alert)) {
+        matched.push(route);
+        if (!route.continue) break;
+      }
+    }
+
+    if (matched.length === 0) {
+      return null;
+    }
+
+    const teams = [...new Set(matched.map(route => route.team_id))];
+    const recipientIds = [...new Set(teams.flatMap(teamId => this.getTeamOnCall(teamId, at)))];
+
+    return {
+      routes: matched.map(route => route.route_id),
+      teams,
+      recipients: recipientIds.map(id => this.get('recipients', id)).filter(Boolean)
+    };
+  }
+}
+
+module.exports = RecipientRouter;
@@ -0,0 +1,156 @@
+/**
+ * Rule Files
+ * Parses rule definitions from JSON/YAML and keeps rules in sync with a directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const RULE_FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const RULES_DIR_SOURCE = 'rules_dir';
+
+/**
+ * Parse rule definitions
+ * Accepts an array of rules, { rules: [...] } or a single rule object
+ * @param {String|Object|Array} content - Raw text or already parsed JSON
+ * @param {String} format - 'json' or 'yaml'
+ * @returns {Array}
+ */
+function parseRules(content, format = 'json') {
+  let parsed = content;
+
+  if (typeof content === 'string') {
+    parsed = format === 'yaml' ? YAML.parse(content) : JSON.parse(content);
+  }
+
+  if (Array.isArray(parsed)) {
+    return parsed;
+  }
+
+  if (parsed && Array.isArray(parsed.rules)) {
+    return parsed.rules;
+  }
+
+  if (parsed && typeof parsed === 'object' && parsed.rule_id) {
+    return [parsed];
+  }
+
+  if (parsed === null || parsed === undefined) {
+    return [];
+  }
+
+  throw new Error('Expected an array of rules or an object with a rules array');
+}
+
+/**
+ * Serialize rule definitions
+ * @param {Array} rules - Rule definitions
+ * @param {String} format - 'json' or 'yaml'
+ * @returns {String}
+ */
+function serializeRules(rules, format = 'json') {
+  if (format === 'yaml') {
+    return YAML.stringify({ rules });
+  }
+  return JSON.stringify({ rules }, null, 2);
+}
+
+class RuleDirectoryLoader {
+  constructor(rulesEngine, options = {}) {
+    this.rulesEngine = rulesEngine;
+    this.directory = options.directory;
+    this.debounceMs = options.debounceMs || 500;
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Load all rule files and sync rules that came from the directory
+   * @returns {Object} - Import results
+   */
+  async load() {
+    const entries = await fs.promises.readdir(this.directory);
+    const files = entries
+      .filter(name => RULE_FILE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+      .sort();
+
+    const rules = [];
+    const fileErrors = [];
+
+    for (const file of files) {
+      const filePath = path.join(this.directory, file);
+      const format = path.extname(file).toLowerCase() === '.json' ? 'json' : 'yaml';
+
+      try {
+        const content = await fs.promises.readFile(filePath, 'utf8');
+        rules.push(...parseRules(content, format));
+      } catch (error) {
+        fileErrors.push({ file, error: error.message });
+      }
+    }
+
+    // A broken file must not remove the rules it defines
+    if (fileErrors.length > 0) {
+      return { applied: false, errors: fileErrors };
+    }
+
+    return this.rulesEngine.importRules(rules, {
+      prune: true,
+      source: RULES_DIR_SOURCE,
+      actor: RULES_DIR_SOURCE
+    });
+  }
+
+  /**
+   * Reload rules whenever files in the directory change
+   */
+  watch() {
+    if (this.watcher) {
+      return;
+    }
+
+    this.watcher = fs.watch(this.directory, () => {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reload(), this.debounceMs);
+    });
+
+    this.watcher.on('error', (error) => {
+      console.error(`Error watching rules directory ${this.directory}:`, error);
+    });
+  }
+
+  /**
+   * Reload rules and log the outcome
+   */
+  async reload() {
+    try {
+      const result = await this.load();
+      if (result.applied) {
+        console.log(`Rules directory synced: ${result.added.length} added, ${result.changed.length} changed, ${result.removed.length} removed`);
+      } else {
+        console.error('Rules directory not applied:', result.errors);
+      }
+    } catch (error) {
+      console.error(`Failed to load rules directory ${this.directory}:`, error);
+    }
+  }
+
+  /**
+   * Stop watching the directory
+   */
+  stop() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = {
+  RuleDirectoryLoader,
+  parseRules,
+  serializeRules,
+  RULES_DIR_SOURCE
+};
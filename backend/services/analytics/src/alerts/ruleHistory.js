@@ -0,0 +1,176 @@
+/**
+ * Rule History
+ * Records every rule change with its author and before/after snapshots
+ */
+
+class RuleHistory {
+  constructor(options = {}) {
+    this.store = options.store || null; // Optional persistent storage
+    this.maxVersions = options.maxVersions || 100; // Per rule
+    this.versions = new Map(); // rule_id -> ordered change entries
+  }
+
+  /**
+   * Load persisted history and follow changes made by other instances
+   * @returns {Number} - Number of entries loaded
+   */
+  async load() {
+    if (!this.store) {
+      return 0;
+    }
+
+    const entries = await this.store.load();
+    entries
+      .sort((a, b) => a.version - b.version)
+      .forEach(entry => this.append(entry));
+
+    await this.store.subscribe(change => {
+      if (change.op === 'save' && change.doc) {
+        this.append(change.doc);
+      } else if (change.op === 'remove') {
+        this.discard(change.id);
+      }
+    });
+
+    return entries.length;
+  }
+
+  /**
+   * Record a rule change
+   * Without a store that allocates versions, the entry is recorded before this returns
+   * @param {Object} change - { rule_id, action, before, after, actor, ... }
+   * @returns {Object} - Stored history entry
+   */
+  async record(change) {
+    const version = this.store?.increment
+      ? await this.allocateVersion(change.rule_id)
+      : this.getLastVersion(change.rule_id) + 1;
+
+    const entry = {
+      ...change,
+      version,
+      actor: change.actor || 'system',
+      timestamp: new Date().toISOString(),
+      before: change.before ? { ...change.before } : null,
+      after: change.after ? { ...change.after } : null
+    };
+
+    const pruned = this.append(entry);
+
+    if (this.store) {
+      this.store.save(this.getEntryId(entry), entry).catch(error => {
+        console.error(`Failed to persist history for rule ${entry.rule_id}:`, error);
+      });
+      for (const old of pruned) {
+        this.store.remove(this.getEntryId(old)).catch(() => {});
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * Allocate the next version of a rule from the store's shared counter, so
+   * instances recording changes at the same time never reuse a version
+   * The counter is moved past versions recorded before it existed
+   * @param {String} ruleId - Rule identifier
+   * @returns {Number}
+   */
+  async allocateVersion(ruleId) {
+    const lastVersion = this.getLastVersion(ruleId);
+
+    try {
+      const version = await this.store.increment(ruleId);
+      return version > lastVersion ? version : await this.store.increment(ruleId, lastVersion - version + 1);
+    } catch (error) {
+      console.error(`Failed to allocate a history version for rule ${ruleId}:`, error);
+      return lastVersion + 1;
+    }
+  }
+
+  /**
+   * Get the latest version recorded for a rule
+   * @param {String} ruleId - Rule identifier
+   * @returns {Number} - 0 without history
+   */
+  getLastVersion(ruleId) {
+    const entries = this.versions.get(ruleId) || [];
+    return entries.length > 0 ? entries[entries.length - 1].version : 0;
+  }
+
+  /**
+   * Add an entry to the in-memory history
+   * @param {Object} entry - History entry
+   * @returns {Array} - Entries dropped to stay within maxVersions
+   */
+  append(entry) {
+    if (!this.versions.has(entry.rule_id)) {
+      this.versions.set(entry.rule_id, []);
+    }
+
+    const entries = this.versions.get(entry.rule_id);
+    if (entries.some(existing => existing.version === entry.version)) {
+      return [];
+    }
+
+    entries.push(entry);
+    entries.sort((a, b) => a.version - b.version);
+
+    return entries.length > this.maxVersions
+      ? entries.splice(0, entries.length - this.maxVersions)
+      : [];
+  }
+
+  /**
+   * Drop an entry removed by another instance
+   * @param {String} entryId - Entry identifier
+   */
+  discard(entryId) {
+    const separator = entryId.lastIndexOf(':');
+    const ruleId = entryId.slice(0, separator);
+    const version = parseInt(entryId.slice(separator + 1));
+    const entries = this.versions.get(ruleId);
+
+    if (entries) {
+      this.versions.set(ruleId, entries.filter(entry => entry.version !== version));
+    }
+  }
+
+  /**
+   * Get change history for a rule, newest first
+   * @param {String} ruleId - Rule identifier
+   * @returns {Array}
+   */
+  getHistory(ruleId) {
+    return [...(this.versions.get(ruleId) || [])].reverse();
+  }
+
+  /**
+   * Get a specific version of a rule
+   * @param {String} ruleId - Rule identifier
+   * @param {Number} version - Version number
+   * @returns {Object|null}
+   */
+  getVersion(ruleId, version) {
+    const entries = this.versions.get(ruleId) || [];
+    return entries.find(entry => entry.version === version) || null;
+  }
+
+  /**
+   * Get storage identifier for an entry
+   * @param {Object} entry - History entry
+   * @returns {String}
+   */
+  getEntryId(entry) {
+    return `${entry.rule_id}:${entry.version}`;
+  }
+
+  /**
+   * Clear all history
+   */
+  clear() {
+    this.versions.clear();
+  }
+}
+
+module.exports = RuleHistory;
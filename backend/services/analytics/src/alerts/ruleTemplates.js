@@ -0,0 +1,360 @@
+/**
+ * Rule Templates
+ * Built-in and user-defined rule templates with typed {{parameters}}
+ *
+ * Template format:
+ *   {
+ *     name: 'gas_threshold',
+ *     parameters: {
+ *       threshold: { type: 'number', min: 0, default: 500 },
+ *       location: { type: 'string', required: true }
+ *     },
+ *     sensor_type: 'mq134',
+ *     condition: 'gas_concentration > {{threshold}} && location == {{location}}',
+ *     alert_level: 'critical',
+ *     actions: ['email'],
+ *     description: 'Gas above {{threshold}} PPM in {{location}}'
+ *   }
+ */
+
+const PARAMETER_TYPES = ['number', 'integer', 'string', 'boolean', 'list'];
+const PLACEHOLDER = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+const EXACT_PLACEHOLDER = /^\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}$/;
+const EXPRESSION_FIELDS = ['condition', 'clear_condition'];
+const TEMPLATE_METADATA = ['name', 'parameters', 'builtin', 'version', 'created_at', 'updated_at', 'created_by', 'updated_by'];
+const NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Check a value against a parameter declaration
+ * @param {String} name - Parameter name
+ * @param {Object} spec - Parameter declaration
+ * @param {*} value - Value to check
+ * @returns {Array} - Error messages
+ */
+function checkParameter(name, spec, value) {
+  const errors = [];
+  const typeChecks = {
+    number: v => typeof v === 'number' && Number.isFinite(v),
+    integer: v => Number.isInteger(v),
+    string: v => typeof v === 'string',
+    boolean: v => typeof v === 'boolean',
+    list: v => Array.isArray(v) && v.every(item => ['string', 'number'].includes(typeof item))
+  };
+
+  if (!typeChecks[spec.type](value)) {
+    return [`parameter ${name} must be of type ${spec.type}`];
+  }
+
+  if (spec.min !== undefined && value < spec.min) {
+    errors.push(`parameter ${name} must be >= ${spec.min}`);
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    errors.push(`parameter ${name} must be <= ${spec.max}`);
+  }
+  if (spec.allowed && !spec.allowed.includes(value)) {
+    errors.push(`parameter ${name} must be one of: ${spec.allowed.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Render a parameter value inside a condition expression
+ * @param {*} value - Parameter value
+ * @returns {String}
+ */
+function toExpressionLiteral(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(toExpressionLiteral).join(', ')}]`;
+  }
+  if (typeof value === 'string') {
+    return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+  return String(value);
+}
+
+/**
+ * Substitute parameters into a template value
+ * A string that is exactly one placeholder takes the parameter's type
+ * @param {*} value - Template value
+ * @param {Object} params - Parameter values
+ * @param {Boolean} expression - Whether the string is a condition expression
+ * @returns {*}
+ */
+function substitute(value, params, expression = false) {
+  if (Array.isArray(value)) {
+    return value.map(item => substitute(item, params));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, substitute(item, params, EXPRESSION_FIELDS.includes(key))])
+    );
+  }
+
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  if (expression) {
+    return value.replace(PLACEHOLDER, (match, name) => toExpressionLiteral(params[name]));
+  }
+
+  const exact = value.match(EXACT_PLACEHOLDER);
+  if (exact) {
+    return params[exact[1]];
+  }
+
+  return value.replace(PLACEHOLDER, (match, name) => {
+    const param = params[name];
+    return Array.isArray(param) ? param.join(', ') : String(param);
+  });
+}
+
+/**
+ * Collect placeholder names used anywhere in a template value
+ * @param {*} value - Template value
+ * @param {Set} names - Accumulated names
+ * @returns {Set}
+ */
+function findPlaceholders(value, names = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach(item => findPlaceholders(item, names));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => findPlaceholders(item, names));
+  } else if (typeof value === 'string') {
+    for (const match of value.matchAll(PLACEHOLDER)) {
+      names.add(match[1]);
+    }
+  }
+  return names;
+}
+
+class RuleTemplates {
+  constructor(options = {}) {
+    this.store = options.store || null; // Optional persistent storage
+    this.templates = new Map();
+
+    for (const [name, template] of Object.entries(options.builtins || {})) {
+      this.templates.set(name, { ...template, name, builtin: true, version: 1 });
+    }
+  }
+
+  /**
+   * Load persisted templates and follow changes made by other instances
+   * @returns {Number} - Number of templates loaded
+   */
+  async load() {
+    if (!this.store) {
+      return 0;
+    }
+
+    const templates = await this.store.load();
+    for (const template of templates) {
+      this.templates.set(template.name, template);
+    }
+
+    await this.store.subscribe(change => {
+      if (change.op === 'remove') {
+        this.templates.delete(change.id);
+      } else if (change.op === 'save' && change.doc) {
+        this.templates.set(change.id, change.doc);
+      }
+    });
+
+    return templates.length;
+  }
+
+  /**
+   * Get a template by name
+   * @param {String} name - Template name
+   * @returns {Object|null}
+   */
+  get(name) {
+    return this.templates.get(name) || null;
+  }
+
+  /**
+   * Get all templates
+   * @returns {Array}
+   */
+  list() {
+    return Array.from(this.templates.values());
+  }
+
+  /**
+   * Validate a template definition
+   * @param {Object} template - Template definition
+   * @returns {Object} - Validation result
+   */
+  validate(template) {
+    const errors = [];
+
+    if (!template.name || !NAME_PATTERN.test(template.name)) {
+      errors.push('name is required and may only contain letters, digits, _ and -');
+    }
+
+    if (!template.condition) {
+      errors.push('condition is required');
+    }
+
+    const parameters = template.parameters || {};
+    if (typeof parameters !== 'object' || Array.isArray(parameters)) {
+      errors.push('parameters must be an object');
+    } else {
+      for (const [name, spec] of Object.entries(parameters)) {
+        if (!spec || !PARAMETER_TYPES.includes(spec.type)) {
+          errors.push(`parameter ${name} must declare a type: ${PARAMETER_TYPES.join(', ')}`);
+        } else if (spec.default !== undefined) {
+          errors.push(...checkParameter(name, spec, spec.default).map(error => `default for ${error}`));
+        }
+      }
+
+      for (const name of findPlaceholders(this.getBody(template))) {
+        if (!parameters[name]) {
+          errors.push(`placeholder {{${name}}} is not a declared parameter`);
+        }
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Create or replace a user-defined template
+   * @param {Object} template - Template definition
+   * @param {Object} context - Change context ({ actor })
+   * @returns {Object} - Stored template
+   */
+  save(template, context = {}) {
+    const existing = this.templates.get(template.name);
+    if (existing?.builtin) {
+      throw new Error(`Built-in template cannot be modified: ${template.name}`);
+    }
+
+    const validation = this.validate(template);
+    if (!validation.valid) {
+      throw new Error(`Invalid template: ${validation.errors.join(', ')}`);
+    }
+
+    const now = new Date().toISOString();
+    const stored = {
+      ...this.getBody(template),
+      name: template.name,
+      parameters: template.parameters || {},
+      version: existing ? existing.version + 1 : 1,
+      created_at: existing ? existing.created_at : now,
+      created_by: existing ? existing.created_by : (context.actor || 'system'),
+      updated_at: now,
+      updated_by: context.actor || 'system'
+    };
+
+    this.templates.set(stored.name, stored);
+
+    if (this.store) {
+      this.store.save(stored.name, stored).catch(error => {
+        console.error(`Failed to persist template ${stored.name}:`, error);
+      });
+    }
+
+    return stored;
+  }
+
+  /**
+   * Delete a user-defined template
+   * @param {String} name - Template name
+   * @returns {Boolean}
+   */
+  remove(name) {
+    const existing = this.templates.get(name);
+    if (!existing) {
+      return false;
+    }
+    if (existing.builtin) {
+      throw new Error(`Built-in template cannot be deleted: ${name}`);
+    }
+
+    this.templates.delete(name);
+
+    if (this.store) {
+      this.store.remove(name).catch(error => {
+        console.error(`Failed to remove persisted template ${name}:`, error);
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Resolve parameter values, applying defaults and type checks
+   * @param {Object} template - Template definition
+   * @param {Object} params - Supplied parameter values
+   * @returns {Object} - Complete parameter values
+   */
+  resolveParams(template, params = {}) {
+    const parameters = template.parameters || {};
+    const errors = [];
+    const resolved = {};
+
+    for (const name of Object.keys(params)) {
+      if (!parameters[name]) {
+        errors.push(`unknown parameter ${name}`);
+      }
+    }
+
+    for (const [name, spec] of Object.entries(parameters)) {
+      const value = params[name] !== undefined ? params[name] : spec.default;
+      if (value === undefined) {
+        errors.push(`parameter ${name} is required`);
+        continue;
+      }
+      errors.push(...checkParameter(name, spec, value));
+      resolved[name] = value;
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid template parameters: ${errors.join(', ')}`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Render a rule definition from a template
+   * @param {String} name - Template name
+   * @param {Object} params - Parameter values
+   * @returns {Object} - Rule fields and the resolved parameters
+   */
+  render(name, params = {}) {
+    const template = this.templates.get(name);
+    if (!template) {
+      throw new Error(`Template not found: ${name}`);
+    }
+
+    const resolved = this.resolveParams(template, params);
+
+    return {
+      rule: substitute(this.getBody(template), resolved),
+      params: resolved,
+      version: template.version
+    };
+  }
+
+  /**
+   * Get the rule fields of a template, without template metadata
+   * @param {Object} template - Template definition
+   * @returns {Object}
+   */
+  getBody(template) {
+    const body = { ...template };
+    for (const key of TEMPLATE_METADATA) {
+      delete body[key];
+    }
+    return body;
+  }
+}
+
+module.exports = RuleTemplates;
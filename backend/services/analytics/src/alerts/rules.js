@@ -3,14 +3,90 @@
  * Manages alert rules and templates
  */
 
+const expression = require('./expression');
+const { validateKeyFields } = require('./matchers');
+const RuleHistory = require('./ruleHistory');
+const RuleTemplates = require('./ruleTemplates');
+const schedule = require('./schedule');
+const targeting = require('./targeting');
+
 class RulesEngine {
-  constructor() {
+  constructor(options = {}) {
     this.rules = new Map(); // Store rules by ID
-    this.templates = this.loadTemplates();
+    this.templates = new RuleTemplates({
+      store: options.templateStore, // Optional persistent template storage
+      builtins: this.loadTemplates()
+    });
+    this.store = options.store || null; // Optional persistent rule storage
+    this.history = options.history || new RuleHistory(); // Change audit trail
+    this.deviceRegistry = options.deviceRegistry || null; // Device locations and tags
+    this.index = new targeting.RuleIndex(); // Rule lookup by device, location and tag
+  }
+
+  /**
+   * Load persisted rules and follow changes made by other instances
+   * @returns {Number} - Number of rules loaded
+   */
+  async load() {
+    await this.history.load();
+    await this.templates.load();
+
+    if (!this.store) {
+      return 0;
+    }
+
+    const rules = await this.store.load();
+    for (const rule of rules) {
+      this.setRule(rule);
+    }
+
+    await this.store.subscribe(change => this.applyRemoteChange(change));
+
+    return rules.length;
+  }
+
+  /**
+   * Apply a rule change made by another instance
+   * @param {Object} change - Change with op, id and doc
+   */
+  applyRemoteChange(change) {
+    if (change.op === 'remove') {
+      this.removeRule(change.id);
+    } else if (change.op === 'save' && change.doc) {
+      this.setRule(change.doc);
+    }
+  }
+
+  /**
+   * Write a rule through to storage
+   * @param {Object} rule - Rule to persist
+   */
+  persistRule(rule) {
+    if (!this.store) {
+      return;
+    }
+
+    this.store.save(rule.rule_id, rule).catch(error => {
+      console.error(`Failed to persist rule ${rule.rule_id}:`, error);
+    });
+  }
+
+  /**
+   * Remove a rule from storage
+   * @param {String} ruleId - Rule identifier
+   */
+  unpersistRule(ruleId) {
+    if (!this.store) {
+      return;
+    }
+
+    this.store.remove(ruleId).catch(error => {
+      console.error(`Failed to remove persisted rule ${ruleId}:`, error);
+    });
   }
 
   /**
-   * Load rule templates
+   * Load built-in rule templates
    * @returns {Object}
    */
   loadTemplates() {
@@ -22,6 +98,7 @@ class RulesEngine {
         alert_level: 'critical',
         actions: ['email', 'webhook', 'sms'],
         throttle_minutes: 15,
+        throttle_by: ['device_id'],
         description: 'Critical gas concentration level detected'
       },
       gas_high_warning: {
@@ -31,6 +108,7 @@ class RulesEngine {
         alert_level: 'warning',
         actions: ['email', 'webhook'],
         throttle_minutes: 30,
+        throttle_by: ['device_id'],
         description: 'Elevated gas concentration level detected'
       },
       presence_detected: {
@@ -84,9 +162,10 @@ class RulesEngine {
   /**
    * Add or update a rule
    * @param {Object} rule - Rule configuration
+   * @param {Object} context - Change context ({ actor })
    * @returns {Object} - Added/updated rule
    */
-  addRule(rule) {
+  addRule(rule, context = {}) {
     // Validate rule
     const validation = this.validateRule(rule);
     if (!validation.valid) {
@@ -94,14 +173,24 @@ class RulesEngine {
     }
 
     // Set defaults
+    const existing = this.rules.get(rule.rule_id);
     const completeRule = {
       ...rule,
-      created_at: rule.created_at || new Date().toISOString(),
+      created_at: rule.created_at || existing?.created_at || new Date().toISOString(),
       updated_at: new Date().toISOString(),
       enabled: rule.enabled !== undefined ? rule.enabled : true
     };
 
-    this.rules.set(rule.rule_id, completeRule);
+    this.setRule(completeRule);
+    this.persistRule(completeRule);
+    this.history.record({
+      rule_id: rule.rule_id,
+      action: context.action || (existing ? 'update' : 'create'),
+      actor: context.actor,
+      before: existing || null,
+      after: completeRule,
+      ...(context.reverted_to && { reverted_to: context.reverted_to })
+    });
     return completeRule;
   }
 
@@ -132,7 +221,17 @@ class RulesEngine {
     }
 
     if (filters.device_id) {
-      rules = rules.filter(r => !r.device_id || r.device_id === filters.device_id);
+      rules = rules.filter(r => {
+        const deviceIds = r.device_ids || (r.device_id ? [r.device_id] : null);
+        return !deviceIds || deviceIds.includes(filters.device_id);
+      });
+    }
+
+    if (filters.location) {
+      rules = rules.filter(r => {
+        const patterns = Array.isArray(r.location) ? r.location : r.location ? [r.location] : null;
+        return !patterns || patterns.some(pattern => targeting.matchesLocation(pattern, filters.location));
+      });
     }
 
     if (filters.enabled !== undefined) {
@@ -144,62 +243,159 @@ class RulesEngine {
 
   /**
    * Get rules for a specific sensor event
+   * Rules outside their active_schedule at the event time are left out
    * @param {Object} sensorData - Sensor event data
+   * @param {Date} at - Evaluation time (defaults to the event timestamp)
    * @returns {Array}
    */
-  getRulesForSensor(sensorData) {
-    return this.getRules({
-      sensor_type: sensorData.sensor_type,
-      device_id: sensorData.device_id,
-      enabled: true
-    });
+  getRulesForSensor(sensorData, at = null) {
+    const time = at || new Date(sensorData.timestamp || Date.now());
+    const when = isNaN(time.getTime()) ? new Date() : time;
+    const device = this.deviceRegistry ? this.deviceRegistry.getDevice(sensorData.device_id) : null;
+
+    const rules = [];
+    for (const ruleId of this.index.lookup(sensorData, device)) {
+      const rule = this.rules.get(ruleId);
+      if (rule && rule.enabled &&
+          targeting.matchesTarget(rule, sensorData, device) &&
+          schedule.isScheduleActive(rule.active_schedule, when)) {
+        rules.push(rule);
+      }
+    }
+    return rules;
+  }
+
+  /**
+   * Store a rule and update the lookup index
+   * @param {Object} rule - Complete rule
+   */
+  setRule(rule) {
+    this.rules.set(rule.rule_id, rule);
+    this.index.add(rule);
+  }
+
+  /**
+   * Remove a rule and its index entries
+   * @param {String} ruleId - Rule identifier
+   */
+  removeRule(ruleId) {
+    this.rules.delete(ruleId);
+    this.index.remove(ruleId);
   }
 
   /**
    * Delete a rule
    * @param {String} ruleId - Rule identifier
+   * @param {Object} context - Change context ({ actor })
    * @returns {Boolean}
    */
-  deleteRule(ruleId) {
-    return this.rules.delete(ruleId);
+  deleteRule(ruleId, context = {}) {
+    const existing = this.rules.get(ruleId);
+    if (!existing) {
+      return false;
+    }
+
+    this.removeRule(ruleId);
+    this.unpersistRule(ruleId);
+    this.history.record({
+      rule_id: ruleId,
+      action: 'delete',
+      actor: context.actor,
+      before: existing,
+      after: null
+    });
+    return true;
   }
 
   /**
    * Enable/disable a rule
    * @param {String} ruleId - Rule identifier
    * @param {Boolean} enabled - Enable or disable
+   * @param {Object} context - Change context ({ actor })
    * @returns {Object|null}
    */
-  toggleRule(ruleId, enabled) {
-    const rule = this.rules.get(ruleId);
-    if (!rule) {
+  toggleRule(ruleId, enabled, context = {}) {
+    const existing = this.rules.get(ruleId);
+    if (!existing) {
       return null;
     }
 
-    rule.enabled = enabled;
-    rule.updated_at = new Date().toISOString();
+    const rule = {
+      ...existing,
+      enabled: enabled,
+      updated_at: new Date().toISOString()
+    };
+
+    this.setRule(rule);
+    this.persistRule(rule);
+    this.history.record({
+      rule_id: ruleId,
+      action: 'toggle',
+      actor: context.actor,
+      before: existing,
+      after: rule
+    });
     return rule;
   }
 
+  /**
+   * Get change history for a rule, newest first
+   * @param {String} ruleId - Rule identifier
+   * @returns {Array}
+   */
+  getRuleHistory(ruleId) {
+    return this.history.getHistory(ruleId);
+  }
+
+  /**
+   * Restore a rule to the definition it had at a previous version
+   * @param {String} ruleId - Rule identifier
+   * @param {Number} version - Version to restore
+   * @param {Object} context - Change context ({ actor })
+   * @returns {Object|null} - Restored rule, or null if the version does not exist
+   */
+  revertRule(ruleId, version, context = {}) {
+    const entry = this.history.getVersion(ruleId, version);
+    if (!entry) {
+      return null;
+    }
+
+    if (!entry.after) {
+      throw new Error(`Version ${version} of rule ${ruleId} is a deletion and cannot be restored`);
+    }
+
+    return this.addRule(this.toDefinition(entry.after), {
+      ...context,
+      action: 'revert',
+      reverted_to: version
+    });
+  }
+
   /**
    * Create rule from template
+   * Instantiated rules keep a link to their template so template changes can be propagated
    * @param {String} templateName - Template name
-   * @param {Object} overrides - Optional overrides
+   * @param {Object} overrides - Rule overrides, with template parameter values under params
+   * @param {Object} context - Change context ({ actor })
    * @returns {Object}
    */
-  createFromTemplate(templateName, overrides = {}) {
-    const template = this.templates[templateName];
-    if (!template) {
-      throw new Error(`Template not found: ${templateName}`);
-    }
+  createFromTemplate(templateName, overrides = {}, context = {}) {
+    const { params, rule_id: ruleId, ...fields } = overrides;
+    const rendered = this.templates.render(templateName, params);
 
     const rule = {
-      ...template,
-      ...overrides,
-      rule_id: overrides.rule_id || `${templateName}_${Date.now()}`
+      ...rendered.rule,
+      ...fields,
+      rule_id: ruleId || `${templateName}_${Date.now()}`,
+      template: {
+        name: templateName,
+        version: rendered.version,
+        params: params || {}, // Only supplied values, so default changes propagate
+        overrides: fields
+      }
     };
 
-    return this.addRule(rule);
+    return this.addRule(rule, context);
   }
 
   /**
@@ -207,10 +403,86 @@ class RulesEngine {
    * @returns {Array}
    */
   getTemplates() {
-    return Object.keys(this.templates).map(key => ({
-      name: key,
-      ...this.templates[key]
-    }));
+    return this.templates.list();
+  }
+
+  /**
+   * Get a template by name
+   * @param {String} templateName - Template name
+   * @returns {Object|null}
+   */
+  getTemplate(templateName) {
+    return this.templates.get(templateName);
+  }
+
+  /**
+   * Get rules instantiated from a template
+   * @param {String} templateName - Template name
+   * @returns {Array}
+   */
+  getTemplateRules(templateName) {
+    return Array.from(this.rules.values()).filter(rule => rule.template?.name === templateName);
+  }
+
+  /**
+   * Create or update a user-defined template
+   * @param {Object} template - Template definition
+   * @param {Object} options - { propagate } to re-render rules created from it
+   * @param {Object} context - Change context ({ actor })
+   * @returns {Object} - { template, propagation }
+   */
+  saveTemplate(template, options = {}, context = {}) {
+    const saved = this.templates.save(template, context);
+    const propagation = options.propagate
+      ? this.propagateTemplate(saved.name, context)
+      : null;
+
+    return { template: saved, propagation };
+  }
+
+  /**
+   * Delete a user-defined template
+   * Rules created from it keep their current definition
+   * @param {String} templateName - Template name
+   * @returns {Boolean}
+   */
+  deleteTemplate(templateName) {
+    return this.templates.remove(templateName);
+  }
+
+  /**
+   * Re-render rules created from a template with its current definition
+   * Each rule keeps its ID, enabled state, parameter values and overrides
+   * @param {String} templateName - Template name
+   * @param {Object} context - Change context ({ actor })
+   * @returns {Object} - { updated, unchanged, errors }
+   */
+  propagateTemplate(templateName, context = {}) {
+    const template = this.templates.get(templateName);
+    const result = { updated: [], unchanged: [], errors: [] };
+
+    for (const rule of this.getTemplateRules(templateName)) {
+      if (rule.template.version === template.version) {
+        result.unchanged.push(rule.rule_id);
+        continue;
+      }
+
+      try {
+        const rendered = this.templates.render(templateName, rule.template.params);
+        this.addRule({
+          ...rendered.rule,
+          ...rule.template.overrides,
+          rule_id: rule.rule_id,
+          enabled: rule.enabled,
+          template: { ...rule.template, version: rendered.version }
+        }, { actor: context.actor, action: 'template_update' });
+        result.updated.push(rule.rule_id);
+      } catch (error) {
+        result.errors.push({ rule_id: rule.rule_id, error: error.message });
+      }
+    }
+
+    return result;
   }
 
   /**
@@ -228,6 +500,18 @@ class RulesEngine {
 
     if (!rule.condition) {
       errors.push('condition is required');
+    } else {
+      const conditionCheck = expression.validate(rule.condition);
+      if (!conditionCheck.valid) {
+        errors.push(`condition: ${conditionCheck.error}`);
+      }
+    }
+
+    if (rule.clear_condition !== undefined) {
+      const clearCheck = expression.validate(rule.clear_condition);
+      if (!clearCheck.valid) {
+        errors.push(`clear_condition: ${clearCheck.error}`);
+      }
     }
 
     if (!rule.alert_level) {
@@ -252,6 +536,49 @@ class RulesEngine {
       }
     }
 
+    // Validate throttle and dedup scoping
+    if (rule.throttle_by !== undefined) {
+      errors.push(...validateKeyFields(rule.throttle_by, 'throttle_by'));
+    }
+
+    if (rule.dedup_by !== undefined) {
+      errors.push(...validateKeyFields(rule.dedup_by, 'dedup_by'));
+    }
+
+    if (rule.dedup_minutes !== undefined) {
+      if (typeof rule.dedup_minutes !== 'number' || rule.dedup_minutes < 0) {
+        errors.push('dedup_minutes must be a non-negative number');
+      }
+    }
+
+    if (rule.message_template !== undefined && typeof rule.message_template !== 'string') {
+      errors.push('message_template must be a template ID');
+    }
+
+    if (rule.delivery_mode !== undefined && !['immediate', 'digest'].includes(rule.delivery_mode)) {
+      errors.push('delivery_mode must be immediate or digest');
+    }
+
+    // Validate sustained-duration settings
+    if (rule.for_seconds !== undefined) {
+      if (typeof rule.for_seconds !== 'number' || rule.for_seconds < 0) {
+        errors.push('for_seconds must be a non-negative number');
+      }
+    }
+
+    if (rule.min_consecutive !== undefined) {
+      if (!Number.isInteger(rule.min_consecutive) || rule.min_consecutive < 1) {
+        errors.push('min_consecutive must be a positive integer');
+      }
+    }
+
+    errors.push(...targeting.validateTarget(rule));
+
+    // Validate activation schedule
+    if (rule.active_schedule !== undefined && rule.active_schedule !== null) {
+      errors.push(...schedule.validateSchedule(rule.active_schedule));
+    }
+
     return {
       valid: errors.length === 0,
       errors: errors
@@ -260,6 +587,7 @@ class RulesEngine {
 
   /**
    * Test rule against sample data
+   * Accepts a single reading, or { samples: [...] } to replay a timestamped sequence
    * @param {String} ruleId - Rule identifier
    * @param {Object} sampleData - Sample sensor data
    * @returns {Object}
@@ -276,9 +604,36 @@ class RulesEngine {
     try {
       // Use threshold processor logic for testing
       const ThresholdProcessor = require('../processors/threshold');
-      const processor = new ThresholdProcessor(null);
-      
-      const isViolated = processor.evaluateCondition(sampleData, rule.condition);
+      const WindowStore = require('../processors/window');
+      const processor = new ThresholdProcessor(
+        null,
+        new WindowStore({ deviceRegistry: this.deviceRegistry }),
+        this.deviceRegistry
+      );
+
+      if (Array.isArray(sampleData?.samples)) {
+        const timeline = processor.simulate(rule, sampleData.samples);
+        const fired = timeline.filter(entry => entry.fired);
+
+        return {
+          success: true,
+          rule_id: ruleId,
+          condition: rule.condition,
+          for_seconds: rule.for_seconds,
+          min_consecutive: rule.min_consecutive,
+          timeline: timeline,
+          fired_at: fired.map(entry => entry.timestamp),
+          would_trigger: fired.length > 0,
+          alert_level: rule.alert_level,
+          actions: rule.actions
+        };
+      }
+
+      // Aggregates see the sample as the only event in their window
+      const time = processor.getEventTime(sampleData);
+      processor.windowStore.record(sampleData, time);
+      const isViolated = processor.evaluateCondition(sampleData, rule.condition, time);
+      const aggregates = expression.getCompiled(rule.condition).windows.length > 0;
 
       return {
         success: true,
@@ -286,6 +641,9 @@ class RulesEngine {
         condition: rule.condition,
         sample_data: sampleData,
         would_trigger: isViolated,
+        ...(aggregates && {
+          note: 'Aggregate functions only see this sample; send { "samples": [...] } to test them over a window'
+        }),
         alert_level: rule.alert_level,
         actions: rule.actions
       };
@@ -326,19 +684,147 @@ class RulesEngine {
   }
 
   /**
-   * Export rules
+   * Import rule definitions as a whole, optionally as a dry run
+   * Nothing is applied when any rule is invalid
+   * @param {Array} rules - Array of rule definitions
+   * @param {Object} options - { dryRun, prune, source, actor }
+   * @returns {Object} - Diff of added, changed and removed rules
+   */
+  importRules(rules, options = {}) {
+    const plan = this.planImport(rules, options);
+    const result = {
+      dry_run: !!options.dryRun,
+      applied: false,
+      added: plan.added.map(rule => rule.rule_id),
+      changed: plan.changed.map(({ rule, changes }) => ({ rule_id: rule.rule_id, changes })),
+      removed: plan.removed,
+      unchanged: plan.unchanged,
+      errors: plan.errors
+    };
+
+    if (options.dryRun || plan.errors.length > 0) {
+      return result;
+    }
+
+    const context = { actor: options.actor };
+    for (const rule of [...plan.added, ...plan.changed.map(entry => entry.rule)]) {
+      this.addRule(rule, context);
+    }
+    for (const ruleId of plan.removed) {
+      this.deleteRule(ruleId, context);
+    }
+
+    result.applied = true;
+    return result;
+  }
+
+  /**
+   * Compare rule definitions with the current rules
+   * @param {Array} rules - Array of rule definitions
+   * @param {Object} options - { prune, source }
+   * @returns {Object} - Plan with added, changed, removed, unchanged and errors
+   */
+  planImport(rules, options = {}) {
+    const plan = { added: [], changed: [], removed: [], unchanged: [], errors: [] };
+    const seen = new Set();
+
+    if (!Array.isArray(rules)) {
+      plan.errors.push({ rule_id: null, error: 'rules must be an array' });
+      return plan;
+    }
+
+    for (const definition of rules) {
+      const rule = options.source ? { ...definition, source: options.source } : { ...definition };
+      const validation = this.validateRule(rule);
+
+      if (!validation.valid) {
+        plan.errors.push({ rule_id: rule.rule_id || null, error: validation.errors.join(', ') });
+        continue;
+      }
+
+      if (seen.has(rule.rule_id)) {
+        plan.errors.push({ rule_id: rule.rule_id, error: 'duplicate rule_id' });
+        continue;
+      }
+      seen.add(rule.rule_id);
+
+      const existing = this.rules.get(rule.rule_id);
+      if (!existing) {
+        plan.added.push(rule);
+        continue;
+      }
+
+      const changes = this.diffRules(existing, rule);
+      if (Object.keys(changes).length > 0) {
+        plan.changed.push({ rule, changes });
+      } else {
+        plan.unchanged.push(rule.rule_id);
+      }
+    }
+
+    if (options.prune) {
+      for (const existing of this.rules.values()) {
+        const inScope = !options.source || existing.source === options.source;
+        if (inScope && !seen.has(existing.rule_id)) {
+          plan.removed.push(existing.rule_id);
+        }
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Get field-level differences between two rule definitions
+   * @param {Object} current - Current rule
+   * @param {Object} next - New rule definition
+   * @returns {Object} - Changed fields as { field: { from, to } }
+   */
+  diffRules(current, next) {
+    const a = this.toDefinition(current);
+    const b = this.toDefinition(next);
+    const changes = {};
+
+    for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) {
+        changes[key] = { from: a[key], to: b[key] };
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Strip runtime metadata from a rule, keeping only its definition
+   * @param {Object} rule - Rule
+   * @returns {Object}
+   */
+  toDefinition(rule) {
+    const { created_at, updated_at, ...definition } = rule;
+    return {
+      ...definition,
+      enabled: definition.enabled !== undefined ? definition.enabled : true
+    };
+  }
+
+  /**
+   * Export rule definitions
    * @param {Object} filters - Optional filters
    * @returns {Array}
    */
   exportRules(filters = {}) {
-    return this.getRules(filters);
+    return this.getRules(filters).map(rule => this.toDefinition(rule));
   }
 
   /**
    * Clear all rules
    */
   clearRules() {
+    for (const ruleId of this.rules.keys()) {
+      this.unpersistRule(ruleId);
+    }
     this.rules.clear();
+    this.index.clear();
   }
 
   /**
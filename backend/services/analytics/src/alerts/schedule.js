@@ -0,0 +1,251 @@
+/**
+ * Rule Activation Schedules
+ * Decides whether a rule is active at a given time in its timezone; recipients'
+ * quiet hours use the same format
+ *
+ * Schedule format:
+ *   {
+ *     timezone: 'America/Argentina/Buenos_Aires',
+ *     ranges: [
+ *       { days: ['mon', 'tue'], start: '19:00', end: '07:00' },  // overnight
+ *       { days: ['weekends'] }                                   // all day
+ *     ],
+ *     exceptions: [
+ *       { date: '2025-12-25', active: true },
+ *       { from: '2026-01-05', to: '2026-01-09', active: false }
+ *     ]
+ *   }
+ */
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DAY_GROUPS = {
+  weekdays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+  weekends: ['sat', 'sun'],
+  everyday: DAYS
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+/**
+ * Get a cached date formatter for a timezone
+ * @param {String} timezone - IANA timezone name
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Get local date parts for a time in a timezone
+ * @param {Date} date - Point in time
+ * @param {String} timezone - IANA timezone name
+ * @returns {Object} - { day, date, minutes }
+ */
+function getLocalParts(date, timezone) {
+  const parts = {};
+  for (const part of getFormatter(timezone).formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+
+  return {
+    day: parts.weekday.slice(0, 3).toLowerCase(),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+}
+
+/**
+ * Expand day names and groups into three-letter day keys
+ * Unknown names are kept as they are, so validation reports them
+ * @param {Array} days - Day names such as 'mon', 'Tues', 'Monday' or 'weekends'
+ * @returns {Array}
+ */
+function expandDays(days = ['everyday']) {
+  const expanded = new Set();
+  for (const day of days) {
+    const key = String(day).toLowerCase();
+    const group = DAY_GROUPS[key];
+    const name = key.length >= 3 && DAY_NAMES.find(dayName => dayName.startsWith(key));
+    if (group) {
+      group.forEach(d => expanded.add(d));
+    } else {
+      expanded.add(name ? name.slice(0, 3) : key);
+    }
+  }
+  return Array.from(expanded);
+}
+
+/**
+ * Convert HH:MM to minutes after midnight
+ * @param {String} time - Time of day
+ * @returns {Number}
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a range covers a local time
+ * Overnight ranges (start after end) belong to the day they start on
+ * @param {Object} range - Time range
+ * @param {Object} local - Local date parts
+ * @returns {Boolean}
+ */
+function rangeCovers(range, local) {
+  const days = expandDays(range.days);
+  const start = toMinutes(range.start || '00:00');
+  const end = toMinutes(range.end || '24:00');
+
+  if (start < end) {
+    return days.includes(local.day) && local.minutes >= start && local.minutes < end;
+  }
+
+  const previousDay = DAYS[(DAYS.indexOf(local.day) + 6) % 7];
+  return (days.includes(local.day) && local.minutes >= start) ||
+    (days.includes(previousDay) && local.minutes < end);
+}
+
+/**
+ * Find the exception that applies to a local date, if any
+ * @param {Array} exceptions - Date exceptions
+ * @param {String} date - Local date (YYYY-MM-DD)
+ * @returns {Object|undefined}
+ */
+function findException(exceptions = [], date) {
+  return exceptions.find(exception => {
+    if (exception.date) {
+      return exception.date === date;
+    }
+    return exception.from <= date && date <= exception.to;
+  });
+}
+
+/**
+ * Check whether a schedule is active at a point in time
+ * Rules without a schedule are always active
+ * @param {Object} schedule - Activation schedule
+ * @param {Date} date - Point in time
+ * @returns {Boolean}
+ */
+function isScheduleActive(schedule, date = new Date()) {
+  if (!schedule) {
+    return true;
+  }
+
+  const local = getLocalParts(date, schedule.timezone || 'UTC');
+
+  const exception = findException(schedule.exceptions, local.date);
+  if (exception) {
+    return exception.active !== false;
+  }
+
+  if (!schedule.ranges || schedule.ranges.length === 0) {
+    return true;
+  }
+
+  return schedule.ranges.some(range => rangeCovers(range, local));
+}
+
+/**
+ * Validate an activation schedule
+ * @param {Object} schedule - Activation schedule
+ * @param {String} name - Field name used in error messages
+ * @returns {Array} - Error messages
+ */
+function validateSchedule(schedule, name = 'active_schedule') {
+  const errors = [];
+
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return [`${name} must be an object`];
+  }
+
+  if (schedule.timezone !== undefined) {
+    try {
+      getFormatter(schedule.timezone);
+    } catch (error) {
+      errors.push(`${name}.timezone is not a valid IANA timezone: ${schedule.timezone}`);
+    }
+  }
+
+  if (schedule.ranges !== undefined && !Array.isArray(schedule.ranges)) {
+    errors.push(`${name}.ranges must be an array`);
+  }
+
+  (Array.isArray(schedule.ranges) ? schedule.ranges : []).forEach((range, index) => {
+    const prefix = `${name}.ranges[${index}]`;
+    if (!range || typeof range !== 'object' || Array.isArray(range)) {
+      errors.push(`${prefix} must be an object`);
+      return;
+    }
+
+    if (range.days !== undefined) {
+      if (!Array.isArray(range.days) || range.days.length === 0) {
+        errors.push(`${prefix}.days must be a non-empty array`);
+      } else {
+        const invalid = expandDays(range.days).filter(day => !DAYS.includes(day));
+        if (invalid.length > 0) {
+          errors.push(`${prefix}.days contains invalid days: ${range.days.join(', ')}`);
+        }
+      }
+    }
+
+    for (const key of ['start', 'end']) {
+      if (range[key] !== undefined && !TIME_PATTERN.test(range[key])) {
+        errors.push(`${prefix}.${key} must be HH:MM`);
+      }
+    }
+
+    if (range.start !== undefined && range.start === range.end) {
+      errors.push(`${prefix} start and end must differ`);
+    }
+  });
+
+  if (schedule.exceptions !== undefined && !Array.isArray(schedule.exceptions)) {
+    errors.push(`${name}.exceptions must be an array`);
+  }
+
+  (Array.isArray(schedule.exceptions) ? schedule.exceptions : []).forEach((exception, index) => {
+    const prefix = `${name}.exceptions[${index}]`;
+    if (!exception || typeof exception !== 'object' || Array.isArray(exception)) {
+      errors.push(`${prefix} must be an object`);
+      return;
+    }
+
+    const validDate = DATE_PATTERN.test(exception.date);
+    const validRange = DATE_PATTERN.test(exception.from) && DATE_PATTERN.test(exception.to);
+
+    if (!validDate && !validRange) {
+      errors.push(`${prefix} requires date or from/to as YYYY-MM-DD`);
+    }
+
+    if (typeof exception.active !== 'boolean') {
+      errors.push(`${prefix}.active must be a boolean`);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  getLocalParts,
+  isScheduleActive,
+  validateSchedule
+};
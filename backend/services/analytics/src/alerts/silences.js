@@ -0,0 +1,437 @@
+/**
+ * Silences
+ * Time-bounded mutes for alerts matching device, location, sensor, rule or level,
+ * e.g. while a technician recalibrates a sensor
+ *
+ * Silenced alerts are kept apart from the silences, one document each, so
+ * instances recording them at the same time never overwrite each other:
+ *   {
+ *     silence_id: 'silence_...',
+ *     count: 42,                      // Running total for the silence
+ *     alert_id: 'alert_...',
+ *     rule_id: 'gas_high_critical',
+ *     ...
+ *     silenced_at: '...'
+ *   }
+ */
+
+const { matchesAlert, validateMatchers } = require('./matchers');
+
+const EXPIRED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+class Silences {
+  constructor(options = {}) {
+    this.store = options.store || null; // Optional persistent storage
+    this.activityStore = options.activityStore || null; // Optional persistent storage of silenced alerts
+    this.maxSilencedAlerts = options.maxSilencedAlerts || 100; // Kept per silence
+    this.silences = new Map(); // silence_id -> silence
+    this.activity = new Map(); // silence_id -> { count, alerts } with alerts newest first
+  }
+
+  /**
+   * Load persisted silences and follow changes made by other instances
+   * @returns {Number} - Number of silences loaded
+   */
+  async load() {
+    if (this.activityStore) {
+      const silenced = await this.activityStore.load();
+      silenced.forEach(entry => this.addActivity(entry));
+
+      await this.activityStore.subscribe(change => {
+        if (change.op === 'remove') {
+          this.discardActivity(change.id);
+        } else if (change.op === 'save' && change.doc) {
+          this.addActivity(change.doc);
+        }
+      });
+    }
+
+    if (!this.store) {
+      return 0;
+    }
+
+    const silences = await this.store.load();
+    for (const silence of silences) {
+      this.silences.set(silence.silence_id, silence);
+    }
+
+    await this.store.subscribe(change => {
+      if (change.op === 'remove') {
+        this.silences.delete(change.id);
+      } else if (change.op === 'save' && change.doc) {
+        this.silences.set(change.id, change.doc);
+      }
+    });
+
+    return silences.length;
+  }
+
+  /**
+   * Validate a silence definition
+   * @param {Object} silence - Silence definition
+   * @returns {Object} - Validation result
+   */
+  validate(silence) {
+    const errors = validateMatchers(silence.matchers, 'matchers');
+
+    if (!silence.comment || typeof silence.comment !== 'string') {
+      errors.push('comment is required');
+    }
+
+    const startsAt = silence.starts_at ? Date.parse(silence.starts_at) : Date.now();
+    if (isNaN(startsAt)) {
+      errors.push('starts_at must be an ISO date');
+    }
+
+    if (silence.ends_at !== undefined) {
+      const endsAt = Date.parse(silence.ends_at);
+      if (isNaN(endsAt)) {
+        errors.push('ends_at must be an ISO date');
+      } else if (endsAt <= startsAt) {
+        errors.push('ends_at must be after starts_at');
+      }
+    } else if (typeof silence.duration_minutes !== 'number' || silence.duration_minutes <= 0) {
+      errors.push('ends_at or a positive duration_minutes is required');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Create a silence
+   * @param {Object} silence - { matchers, comment, starts_at, ends_at | duration_minutes }
+   * @param {Object} context - Change context ({ actor })
+   * @returns {Object} - Stored silence
+   */
+  create(silence, context = {}) {
+    const validation = this.validate(silence);
+    if (!validation.valid) {
+      throw new Error(`Invalid silence: ${validation.errors.join(', ')}`);
+    }
+
+    const now = new Date();
+    const startsAt = silence.starts_at ? new Date(silence.starts_at) : now;
+    const endsAt = silence.ends_at
+      ? new Date(silence.ends_at)
+      : new Date(startsAt.getTime() + silence.duration_minutes * 60 * 1000);
+
+    const stored = {
+      silence_id: this.generateSilenceId(),
+      matchers: silence.matchers,
+      comment: silence.comment,
+      starts_at: startsAt.toISOString(),
+      ends_at: endsAt.toISOString(),
+      created_by: context.actor || 'system',
+      created_at: now.toISOString(),
+      updated_at: now.toISOString()
+    };
+
+    this.save(stored);
+    return this.withActivity(stored);
+  }
+
+  /**
+   * Update a silence's matchers, comment or time range
+   * @param {String} silenceId - Silence identifier
+   * @param {Object} changes - Fields to change
+   * @param {Object} context - Change context ({ actor })
+   * @returns {Object|null} - Updated silence, null if not found
+   */
+  update(silenceId, changes, context = {}) {
+    const existing = this.silences.get(silenceId);
+    if (!existing) {
+      return null;
+    }
+
+    const merged = {
+      matchers: changes.matchers || existing.matchers,
+      comment: changes.comment || existing.comment,
+      starts_at: changes.starts_at || existing.starts_at,
+      ...(changes.duration_minutes !== undefined
+        ? { duration_minutes: changes.duration_minutes }
+        : { ends_at: changes.ends_at || existing.ends_at })
+    };
+
+    const validation = this.validate(merged);
+    if (!validation.valid) {
+      throw new Error(`Invalid silence: ${validation.errors.join(', ')}`);
+    }
+
+    const endsAt = merged.ends_at ||
+      new Date(Date.parse(merged.starts_at) + merged.duration_minutes * 60 * 1000).toISOString();
+
+    const updated = {
+      ...existing,
+      matchers: merged.matchers,
+      comment: merged.comment,
+      starts_at: new Date(merged.starts_at).toISOString(),
+      ends_at: new Date(endsAt).toISOString(),
+      updated_by: context.actor || 'system',
+      updated_at: new Date().toISOString()
+    };
+
+    this.save(updated);
+    return this.withActivity(updated);
+  }
+
+  /**
+   * Expire a silence immediately, keeping it for reference
+   * @param {String} silenceId - Silence identifier
+   * @param {Object} context - Change context ({ actor })
+   * @returns {Object|null} - Expired silence, null if not found
+   */
+  expire(silenceId, context = {}) {
+    const existing = this.silences.get(silenceId);
+    if (!existing) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const expired = {
+      ...existing,
+      ends_at: existing.ends_at < now ? existing.ends_at : now,
+      expired_by: context.actor || 'system',
+      updated_at: now
+    };
+
+    this.save(expired);
+    return this.withActivity(expired);
+  }
+
+  /**
+   * Get a silence
+   * @param {String} silenceId - Silence identifier
+   * @returns {Object|null}
+   */
+  get(silenceId) {
+    const silence = this.silences.get(silenceId);
+    return silence ? this.withStatus(silence) : null;
+  }
+
+  /**
+   * List silences, newest first
+   * @param {Object} filters - Optional status ('pending', 'active', 'expired') filter
+   * @returns {Array}
+   */
+  list(filters = {}) {
+    this.prune();
+
+    return Array.from(this.silences.values())
+      .map(silence => this.withStatus(silence))
+      .filter(silence => !filters.status || silence.status === filters.status)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Find an active silence matching an alert
+   * @param {Object} alert - Alert about to be notified
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {Object|null} - { silence_id, comment, ends_at } or null
+   */
+  check(alert, now = Date.now()) {
+    for (const silence of this.silences.values()) {
+      if (this.getStatus(silence, now) === 'active' && matchesAlert(silence.matchers, alert)) {
+        return {
+          silence_id: silence.silence_id,
+          comment: silence.comment,
+          ends_at: silence.ends_at
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Record an alert suppressed by a silence
+   * Without a store that keeps counts, the alert is recorded before this returns
+   * @param {String} silenceId - Silence identifier
+   * @param {Object} alert - Silenced alert
+   */
+  async record(silenceId, alert) {
+    if (!this.silences.has(silenceId)) {
+      return;
+    }
+
+    const silencedAt = new Date().toISOString();
+    const count = this.activityStore?.increment
+      ? await this.allocateCount(silenceId)
+      : this.getActivity(silenceId).count + 1;
+
+    const entry = {
+      silence_id: silenceId,
+      count,
+      alert_id: alert.alert_id,
+      rule_id: alert.rule_id,
+      status: alert.status,
+      alert_level: alert.alert_level,
+      device_id: alert.device_id,
+      message: alert.message || alert.description,
+      silenced_at: silencedAt
+    };
+
+    const pruned = this.addActivity(entry);
+
+    if (this.activityStore) {
+      this.activityStore.save(this.getActivityId(entry), entry).catch(error => {
+        console.error(`Failed to persist silenced alert ${entry.alert_id}:`, error);
+      });
+      for (const old of pruned) {
+        this.activityStore.remove(this.getActivityId(old)).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Allocate a silence's next count from the store's shared counter
+   * The counter is moved past counts recorded before it existed
+   * @param {String} silenceId - Silence identifier
+   * @returns {Number}
+   */
+  async allocateCount(silenceId) {
+    const lastCount = this.getActivity(silenceId).count;
+
+    try {
+      const count = await this.activityStore.increment(silenceId);
+      return count > lastCount ? count : await this.activityStore.increment(silenceId, lastCount - count + 1);
+    } catch (error) {
+      console.error(`Failed to count silenced alerts for ${silenceId}:`, error);
+      return lastCount + 1;
+    }
+  }
+
+  /**
+   * Get the silenced alerts recorded for a silence
+   * @param {String} silenceId - Silence identifier
+   * @returns {Object} - { count, alerts } with alerts newest first
+   */
+  getActivity(silenceId) {
+    return this.activity.get(silenceId) || { count: 0, alerts: [] };
+  }
+
+  /**
+   * Add a silenced alert to its silence's in-memory activity
+   * @param {Object} entry - Silenced alert entry
+   * @returns {Array} - Entries dropped to stay within maxSilencedAlerts
+   */
+  addActivity(entry) {
+    const activity = this.getActivity(entry.silence_id);
+    this.activity.set(entry.silence_id, activity);
+
+    activity.count = Math.max(activity.count, entry.count);
+    if (activity.alerts.some(existing => existing.count === entry.count)) {
+      return [];
+    }
+
+    activity.alerts.push(entry);
+    activity.alerts.sort((a, b) => b.count - a.count);
+    return activity.alerts.splice(this.maxSilencedAlerts);
+  }
+
+  /**
+   * Drop a silenced alert removed by another instance
+   * @param {String} entryId - Entry identifier
+   */
+  discardActivity(entryId) {
+    const separator = entryId.lastIndexOf(':');
+    const activity = this.activity.get(entryId.slice(0, separator));
+    const count = parseInt(entryId.slice(separator + 1));
+
+    if (activity) {
+      activity.alerts = activity.alerts.filter(entry => entry.count !== count);
+    }
+  }
+
+  /**
+   * Get storage identifier for a silenced alert entry
+   * @param {Object} entry - Silenced alert entry
+   * @returns {String}
+   */
+  getActivityId(entry) {
+    return `${entry.silence_id}:${entry.count}`;
+  }
+
+  /**
+   * Get a silence's status at a point in time
+   * @param {Object} silence - Silence
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {String} - 'pending', 'active' or 'expired'
+   */
+  getStatus(silence, now = Date.now()) {
+    if (Date.parse(silence.starts_at) > now) {
+      return 'pending';
+    }
+    return Date.parse(silence.ends_at) > now ? 'active' : 'expired';
+  }
+
+  /**
+   * Add the current status and silenced alerts to a silence
+   * @param {Object} silence - Silence
+   * @returns {Object}
+   */
+  withStatus(silence) {
+    return { ...this.withActivity(silence), status: this.getStatus(silence) };
+  }
+
+  /**
+   * Add the silenced alert count and the latest silenced alerts to a silence
+   * @param {Object} silence - Silence
+   * @returns {Object}
+   */
+  withActivity(silence) {
+    const activity = this.getActivity(silence.silence_id);
+    return {
+      ...silence,
+      silenced_count: activity.count,
+      silenced_alerts: activity.alerts.map(({ silence_id, count, ...alert }) => alert)
+    };
+  }
+
+  /**
+   * Remove silences that expired more than a week ago
+   * @param {Number} now - Reference time in milliseconds
+   */
+  prune(now = Date.now()) {
+    for (const [silenceId, silence] of this.silences.entries()) {
+      if (now - Date.parse(silence.ends_at) > EXPIRED_RETENTION_MS) {
+        this.silences.delete(silenceId);
+        if (this.store) {
+          this.store.remove(silenceId).catch(() => {});
+        }
+
+        if (this.activityStore) {
+          for (const entry of this.getActivity(silenceId).alerts) {
+            this.activityStore.remove(this.getActivityId(entry)).catch(() => {});
+          }
+        }
+        this.activity.delete(silenceId);
+      }
+    }
+  }
+
+  /**
+   * Store a silence and write it through to storage
+   * @param {Object} silence - Silence
+   */
+  save(silence) {
+    this.silences.set(silence.silence_id, silence);
+
+    if (this.store) {
+      this.store.save(silence.silence_id, silence).catch(error => {
+        console.error(`Failed to persist silence ${silence.silence_id}:`, error);
+      });
+    }
+  }
+
+  /**
+   * Generate unique silence ID
+   * @returns {String}
+   */
+  generateSilenceId() {
+    return `silence_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
+
+module.exports = Silences;
@@ -0,0 +1,288 @@
+/**
+ * Rule Targeting
+ * Matches rules to devices by device list, location pattern and device tags,
+ * and indexes rules so per-event lookups only visit relevant candidates
+ *
+ * Location patterns use '*' as a wildcard: 'building-a/*' matches every
+ * location under building-a, 'building-a/floor-1' matches exactly.
+ */
+
+/**
+ * Get the device IDs a rule is limited to
+ * @param {Object} rule - Alert rule
+ * @returns {Array|null} - null if the rule is not limited to devices
+ */
+function getDeviceIds(rule) {
+  if (rule.device_ids) {
+    return rule.device_ids;
+  }
+  return rule.device_id ? [rule.device_id] : null;
+}
+
+/**
+ * Get the location patterns of a rule
+ * @param {Object} rule - Alert rule
+ * @returns {Array|null} - null if the rule is not limited to locations
+ */
+function getLocationPatterns(rule) {
+  if (!rule.location) {
+    return null;
+  }
+  return Array.isArray(rule.location) ? rule.location : [rule.location];
+}
+
+/**
+ * Classify a location pattern for indexing
+ * @param {String} pattern - Location pattern
+ * @returns {Object} - { type: 'exact'|'prefix'|'glob', value }
+ */
+function parseLocationPattern(pattern) {
+  const wildcards = pattern.split('*').length - 1;
+
+  if (wildcards === 0) {
+    return { type: 'exact', value: pattern };
+  }
+
+  if (wildcards === 1 && pattern.endsWith('*')) {
+    return { type: 'prefix', value: pattern.slice(0, -1) };
+  }
+
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return { type: 'glob', value: new RegExp(`^${source}$`) };
+}
+
+/**
+ * Check if a location matches a pattern
+ * @param {String} pattern - Location pattern
+ * @param {String} location - Event location
+ * @returns {Boolean}
+ */
+function matchesLocation(pattern, location) {
+  if (!location) {
+    return false;
+  }
+
+  const parsed = parseLocationPattern(pattern);
+  if (parsed.type === 'exact') {
+    return location === parsed.value;
+  }
+  if (parsed.type === 'prefix') {
+    return location.startsWith(parsed.value);
+  }
+  return parsed.value.test(location);
+}
+
+/**
+ * Resolve the location and tags of the device that sent an event
+ * Event fields take precedence over the device registry; event tags only
+ * when they are a list, so a string cannot match tags by substring
+ * @param {Object} data - Sensor event data
+ * @param {Object} device - Registry entry ({ location, tags }), if known
+ * @returns {Object} - { location, tags }
+ */
+function resolveDevice(data, device = null) {
+  return {
+    location: data.location || device?.location || null,
+    tags: Array.isArray(data.tags) ? data.tags : device?.tags || []
+  };
+}
+
+/**
+ * Check if a rule targets the device that sent an event
+ * @param {Object} rule - Alert rule
+ * @param {Object} data - Sensor event data
+ * @param {Object} device - Registry entry ({ location, tags }), if known
+ * @returns {Boolean}
+ */
+function matchesTarget(rule, data, device = null) {
+  if (rule.sensor_type && data.sensor_type !== rule.sensor_type) {
+    return false;
+  }
+
+  const deviceIds = getDeviceIds(rule);
+  if (deviceIds && !deviceIds.includes(data.device_id)) {
+    return false;
+  }
+
+  const resolved = resolveDevice(data, device);
+
+  const patterns = getLocationPatterns(rule);
+  if (patterns && !patterns.some(pattern => matchesLocation(pattern, resolved.location))) {
+    return false;
+  }
+
+  if (rule.tags && !rule.tags.every(tag => resolved.tags.includes(tag))) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Validate rule targeting fields
+ * @param {Object} rule - Alert rule
+ * @returns {Array} - Error messages
+ */
+function validateTarget(rule) {
+  const errors = [];
+  const isStringList = value =>
+    Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item);
+
+  if (rule.device_ids !== undefined) {
+    if (!isStringList(rule.device_ids)) {
+      errors.push('device_ids must be a non-empty array of device IDs');
+    }
+    if (rule.device_id) {
+      errors.push('use either device_id or device_ids, not both');
+    }
+  }
+
+  if (rule.location !== undefined) {
+    const valid = Array.isArray(rule.location)
+      ? isStringList(rule.location)
+      : typeof rule.location === 'string' && rule.location.length > 0;
+    if (!valid) {
+      errors.push('location must be a location pattern or a non-empty array of patterns');
+    }
+  }
+
+  if (rule.tags !== undefined && !isStringList(rule.tags)) {
+    errors.push('tags must be a non-empty array of tags');
+  }
+
+  return errors;
+}
+
+class RuleIndex {
+  constructor() {
+    this.untargeted = new Set(); // Rules that may apply to any device
+    this.byDevice = new Map(); // device_id -> Set of rule IDs
+    this.byLocation = new Map(); // exact location -> Set of rule IDs
+    this.byLocationPrefix = new Map(); // location prefix -> Set of rule IDs
+    this.byLocationGlob = new Map(); // rule ID -> Array of RegExp
+    this.byTag = new Map(); // tag -> Set of rule IDs
+    this.entries = new Map(); // rule ID -> list of [bucket, key] it was added to
+  }
+
+  /**
+   * Index a rule, replacing any previous entry for the same rule ID
+   * Each rule is indexed by its most selective criterion; the remaining
+   * criteria are checked by matchesTarget on the returned candidates
+   * @param {Object} rule - Alert rule
+   */
+  add(rule) {
+    this.remove(rule.rule_id);
+
+    const ruleId = rule.rule_id;
+    const entries = [];
+    const addTo = (bucket, key) => {
+      if (!bucket.has(key)) {
+        bucket.set(key, new Set());
+      }
+      bucket.get(key).add(ruleId);
+      entries.push([bucket, key]);
+    };
+
+    const deviceIds = getDeviceIds(rule);
+    const patterns = getLocationPatterns(rule);
+
+    if (deviceIds) {
+      deviceIds.forEach(deviceId => addTo(this.byDevice, deviceId));
+    } else if (patterns) {
+      const globs = [];
+      for (const pattern of patterns) {
+        const parsed = parseLocationPattern(pattern);
+        if (parsed.type === 'exact') {
+          addTo(this.byLocation, parsed.value);
+        } else if (parsed.type === 'prefix') {
+          addTo(this.byLocationPrefix, parsed.value);
+        } else {
+          globs.push(parsed.value);
+        }
+      }
+      if (globs.length > 0) {
+        this.byLocationGlob.set(ruleId, globs);
+      }
+    } else if (rule.tags && rule.tags.length > 0) {
+      // Every tag is required, so any one of them finds the rule
+      addTo(this.byTag, rule.tags[0]);
+    } else {
+      this.untargeted.add(ruleId);
+    }
+
+    this.entries.set(ruleId, entries);
+  }
+
+  /**
+   * Remove a rule from the index
+   * @param {String} ruleId - Rule identifier
+   */
+  remove(ruleId) {
+    for (const [bucket, key] of this.entries.get(ruleId) || []) {
+      const ids = bucket.get(key);
+      ids.delete(ruleId);
+      if (ids.size === 0) {
+        bucket.delete(key);
+      }
+    }
+    this.entries.delete(ruleId);
+    this.untargeted.delete(ruleId);
+    this.byLocationGlob.delete(ruleId);
+  }
+
+  /**
+   * Get IDs of rules that may target an event's device
+   * @param {Object} data - Sensor event data
+   * @param {Object} device - Registry entry ({ location, tags }), if known
+   * @returns {Set}
+   */
+  lookup(data, device = null) {
+    const candidates = new Set(this.untargeted);
+    const addAll = ids => ids && ids.forEach(id => candidates.add(id));
+    const { location, tags } = resolveDevice(data, device);
+
+    addAll(this.byDevice.get(data.device_id));
+
+    if (location) {
+      addAll(this.byLocation.get(location));
+      for (let length = 0; length <= location.length; length++) {
+        addAll(this.byLocationPrefix.get(location.slice(0, length)));
+      }
+      for (const [ruleId, globs] of this.byLocationGlob.entries()) {
+        if (globs.some(glob => glob.test(location))) {
+          candidates.add(ruleId);
+        }
+      }
+    }
+
+    for (const tag of tags) {
+      addAll(this.byTag.get(tag));
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Clear the index
+   */
+  clear() {
+    this.untargeted.clear();
+    this.byDevice.clear();
+    this.byLocation.clear();
+    this.byLocationPrefix.clear();
+    this.byLocationGlob.clear();
+    this.byTag.clear();
+    this.entries.clear();
+  }
+}
+
+module.exports = {
+  RuleIndex,
+  resolveDevice,
+  matchesTarget,
+  matchesLocation,
+  validateTarget
+};
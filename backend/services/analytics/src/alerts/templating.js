@@ -0,0 +1,178 @@
+/**
+ * Templating
+ * Placeholder rendering shared by message templates and webhook payloads
+ *
+ *   {{alert.device_id}}            value, HTML-escaped when escaping is on
+ *   {{{alert.message}}}            raw value, never escaped
+ *   {{#alert.condition}}...{{/alert.condition}}   only when the value is set
+ *   {{^alert.condition}}...{{/alert.condition}}   only when it is not
+ *   {{#alert.digest.groups}}{{rule_id}}: {{count}}{{/alert.digest.groups}}
+ *                                  repeated per item, whose fields are in scope
+ */
+
+const EXACT_PLACEHOLDER = /^{{\s*([\w.]+)\s*}}$/;
+const TEXT_PLACEHOLDER = /{{{\s*([\w.]+)\s*}}}|{{\s*([\w.]+)\s*}}/g;
+const SECTION = /{{([#^])\s*([\w.]+)\s*}}([\s\S]*?){{\/\s*\2\s*}}/g;
+const SECTION_TAG = /{{([#^/])\s*([\w.]+)\s*}}/g;
+const ANY_TAG = /({{{?[#^/]?\s*)([\w.]+)(\s*}}}?)/g;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Look up a dotted path in the template variables
+ * @param {Object} variables - Template variables
+ * @param {String} path - e.g. 'alert.device_id'
+ * @returns {*}
+ */
+function lookup(variables, path) {
+  return path.split('.').reduce((value, key) => value?.[key], variables);
+}
+
+/**
+ * Escape a string for HTML
+ * @param {String} value - Text
+ * @returns {String}
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, character => HTML_ESCAPES[character]);
+}
+
+/**
+ * Format a variable for text output
+ * @param {*} value - Variable value
+ * @returns {String}
+ */
+function toText(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Check whether a section's value counts as set
+ * @param {*} value - Variable value
+ * @returns {Boolean}
+ */
+function isSet(value) {
+  return value !== undefined && value !== null && value !== false && value !== '' &&
+    !(Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Point the tags of a repeated section body that name fields of the current
+ * item at that item, e.g. {{count}} -> {{alert.digest.groups.0.count}}
+ * @param {String} body - Section body
+ * @param {String} itemPath - Path of the item
+ * @param {*} item - Array item
+ * @returns {String}
+ */
+function scopeToItem(body, itemPath, item) {
+  if (!item || typeof item !== 'object') {
+    return body;
+  }
+  return body.replace(ANY_TAG, (match, open, path, close) =>
+    lookup(item, path) !== undefined ? `${open}${itemPath}.${path}${close}` : match
+  );
+}
+
+/**
+ * Resolve the sections of a template, leaving its placeholders
+ * @param {String} template - Template text
+ * @param {Object} variables - Template variables
+ * @returns {String}
+ */
+function renderSections(template, variables) {
+  return template.replace(SECTION, (match, type, path, body) => {
+    const value = lookup(variables, path);
+    if (type === '#' && Array.isArray(value)) {
+      return value.map((item, index) => renderSections(scopeToItem(body, `${path}.${index}`, item), variables)).join('');
+    }
+
+    const shown = isSet(value) === (type === '#');
+    return shown ? renderSections(body, variables) : '';
+  });
+}
+
+/**
+ * Render a text template
+ * @param {String} template - Template text
+ * @param {Object} variables - Template variables
+ * @param {Object} options - { escape } to HTML-escape {{placeholders}}
+ * @returns {String}
+ */
+function renderText(template, variables, options = {}) {
+  const sections = renderSections(template, variables);
+
+  // One pass, so rendered values are never rendered again
+  return sections.replace(TEXT_PLACEHOLDER, (match, rawPath, path) => {
+    const text = toText(lookup(variables, rawPath || path));
+    return options.escape && !rawPath ? escapeHtml(text) : text;
+  });
+}
+
+/**
+ * Render a JSON payload template
+ * A string that is exactly one placeholder keeps the value's type
+ * @param {*} template - Template value
+ * @param {Object} variables - Template variables
+ * @returns {*}
+ */
+function renderPayload(template, variables) {
+  if (Array.isArray(template)) {
+    return template.map(item => renderPayload(item, variables));
+  }
+
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, item]) => [key, renderPayload(item, variables)])
+    );
+  }
+
+  if (typeof template !== 'string') {
+    return template;
+  }
+
+  const exact = template.match(EXACT_PLACEHOLDER);
+  if (exact) {
+    return lookup(variables, exact[1]) ?? null;
+  }
+
+  return renderText(template, variables);
+}
+
+/**
+ * Check that every section of a text template is closed
+ * @param {String} template - Template text
+ * @returns {Array} - Error messages
+ */
+function validateText(template) {
+  const open = [];
+  const errors = [];
+
+  for (const [, type, path] of template.matchAll(SECTION_TAG)) {
+    if (type !== '/') {
+      open.push(path);
+    } else if (open[open.length - 1] === path) {
+      open.pop();
+    } else {
+      errors.push(`unexpected {{/${path}}}`);
+    }
+  }
+
+  return [...errors, ...open.map(path => `unclosed section {{#${path}}}`)];
+}
+
+module.exports = {
+  lookup,
+  escapeHtml,
+  renderText,
+  renderPayload,
+  validateText
+};
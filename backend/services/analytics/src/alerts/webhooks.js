@@ -0,0 +1,386 @@
+/**
+ * Webhook Subscriptions
+ * Per-endpoint webhooks with their own signing secret, headers, alert filters
+ * and payload template
+ *
+ * Subscription format:
+ *   {
+ *     subscription_id: 'ops_portal',
+ *     url: 'https://ops.example.com/hooks/alerts',
+ *     secret: 'whsec_...',                          // Generated when omitted
+ *     headers: { 'X-Tenant': 'building-a' },
+ *     filters: { alert_level: ['critical', 'warning'], location: 'building-a/*' },
+ *     locale: 'es',
+ *     payload_template: { text: '{{alert.message}}', device: '{{alert.device_id}}', value: '{{alert.value}}' },
+ *     enabled: true
+ *   }
+ *
+ * Requests are signed with HMAC-SHA256 over "<timestamp>.<body>":
+ *   X-Webhook-Timestamp: 1736150400
+ *   X-Webhook-Signature: sha256=<hex digest>
+ *
+ * Payload templates may use the message template variables ({{alert.*}},
+ * {{event.*}}, {{level_label}}, ...) plus {{event_type}}, {{timestamp}} and
+ * {{subscription_id}}. A string that is exactly one placeholder keeps the
+ * value's type. Subscriptions may set a locale for those variables.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { matchesAlert, validateMatchers } = require('./matchers');
+const { renderPayload } = require('./templating');
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * Sign a webhook body
+ * @param {String} secret - Subscription secret
+ * @param {Number} timestamp - Unix time in seconds
+ * @param {String} body - Serialized request body
+ * @returns {String} - 'sha256=<hex digest>'
+ */
+function sign(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+class WebhookSubscriptions {
+  constructor(options = {}) {
+    this.store = options.store || null; // Optional persistent storage
+    this.maxLogEntries = options.maxLogEntries || 100; // Delivery log length per subscription
+    this.subscriptions = new Map(); // subscription_id -> subscription
+    this.deliveryLog = new Map(); // subscription_id -> recent deliveries, oldest first
+  }
+
+  /**
+   * Load persisted subscriptions and follow changes made by other instances
+   * @returns {Number} - Number of subscriptions loaded
+   */
+  async load() {
+    if (!this.store) {
+      return 0;
+    }
+
+    const subscriptions = await this.store.load();
+    for (const subscription of subscriptions) {
+      this.subscriptions.set(subscription.subscription_id, subscription);
+    }
+
+    await this.store.subscribe(change => {
+      if (change.op === 'remove') {
+        this.subscriptions.delete(change.id);
+      } else if (change.op === 'save' && change.doc) {
+        this.subscriptions.set(change.id, change.doc);
+      }
+    });
+
+    return subscriptions.length;
+  }
+
+  /**
+   * Validate a subscription
+   * @param {Object} subscription - Webhook subscription
+   * @returns {Object} - Validation result
+   */
+  validate(subscription) {
+    const errors = [];
+
+    if (!subscription.subscription_id) {
+      errors.push('subscription_id is required');
+    }
+
+    let url = null;
+    try {
+      url = new URL(subscription.url);
+    } catch (error) {
+      // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push('url must be an http(s) URL');
+    }
+
+    if (subscription.secret !== undefined && (typeof subscription.secret !== 'string' || subscription.secret.length < 16)) {
+      errors.push('secret must be a string of at least 16 characters');
+    }
+
+    if (subscription.headers !== undefined) {
+      const headers = subscription.headers;
+      if (!headers || typeof headers !== 'object' || Array.isArray(headers) ||
+        !Object.values(headers).every(value => typeof value === 'string')) {
+        errors.push('headers must be an object of string values');
+      }
+    }
+
+    if (subscription.filters !== undefined) {
+      errors.push(...validateMatchers(subscription.filters, 'filters'));
+    }
+
+    if (subscription.locale !== undefined && !/^[a-z]{2}(-[A-Z]{2})?$/.test(subscription.locale)) {
+      errors.push('locale must look like "es" or "es-ES"');
+    }
+
+    if (subscription.payload_template !== undefined &&
+      (!subscription.payload_template || typeof subscription.payload_template !== 'object')) {
+      errors.push('payload_template must be an object or array');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Add or replace a subscription
+   * A signing secret is generated when none is given
+   * @param {Object} subscription - Webhook subscription
+   * @param {Object} context - Change context ({ actor })
+   * @returns {Object} - Stored subscription, including its secret
+   */
+  save(subscription, context = {}) {
+    const validation = this.validate(subscription);
+    if (!validation.valid) {
+      throw new Error(`Invalid webhook subscription: ${validation.errors.join(', ')}`);
+    }
+
+    const existing = this.subscriptions.get(subscription.subscription_id);
+    const stored = {
+      ...subscription,
+      secret: subscription.secret || existing?.secret || this.generateSecret(),
+      headers: subscription.headers || {},
+      enabled: subscription.enabled !== undefined ? subscription.enabled : true,
+      created_at: existing?.created_at || new Date().toISOString(),
+      created_by: existing?.created_by || context.actor || 'system',
+      updated_at: new Date().toISOString(),
+      updated_by: context.actor || 'system'
+    };
+
+    this.subscriptions.set(stored.subscription_id, stored);
+
+    if (this.store) {
+      this.store.save(stored.subscription_id, stored).catch(error => {
+        console.error(`Failed to persist webhook subscription ${stored.subscription_id}:`, error);
+      });
+    }
+
+    return stored;
+  }
+
+  /**
+   * Delete a subscription and its delivery log
+   * @param {String} subscriptionId - Subscription identifier
+   * @returns {Boolean}
+   */
+  remove(subscriptionId) {
+    if (!this.subscriptions.delete(subscriptionId)) {
+      return false;
+    }
+    this.deliveryLog.delete(subscriptionId);
+
+    if (this.store) {
+      this.store.remove(subscriptionId).catch(error => {
+        console.error(`Failed to remove persisted webhook subscription ${subscriptionId}:`, error);
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Get a subscription
+   * @param {String} subscriptionId - Subscription identifier
+   * @returns {Object|null}
+   */
+  get(subscriptionId) {
+    return this.subscriptions.get(subscriptionId) || null;
+  }
+
+  /**
+   * List subscriptions, oldest first
+   * @returns {Array}
+   */
+  list() {
+    return Array.from(this.subscriptions.values())
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  /**
+   * Get the enabled subscriptions whose filters match an alert
+   * @param {Object} alert - Alert data
+   * @returns {Array}
+   */
+  match(alert) {
+    return this.list().filter(subscription =>
+      subscription.enabled !== false && matchesAlert(subscription.filters, alert)
+    );
+  }
+
+  /**
+   * Hide a subscription's secret for API responses
+   * @param {Object} subscription - Webhook subscription
+   * @returns {Object}
+   */
+  redact(subscription) {
+    return { ...subscription, secret: '***' };
+  }
+
+  /**
+   * Build the request body for an alert
+   * The subscription's payload_template wins over the alert's message template
+   * @param {Object} subscription - Webhook subscription
+   * @param {Object} alert - Alert data
+   * @param {String} eventType - 'sensor_alert' or 'test'
+   * @param {Object} options - { template, variables } from the alert's message template
+   * @returns {*}
+   */
+  buildPayload(subscription, alert, eventType = 'sensor_alert', options = {}) {
+    const timestamp = new Date().toISOString();
+    const template = subscription.payload_template || options.template;
+
+    if (!template) {
+      return { alert, timestamp, event_type: eventType };
+    }
+
+    return renderPayload(template, {
+      ...options.variables,
+      alert,
+      event: alert.data || {},
+      event_type: eventType,
+      timestamp,
+      subscription_id: subscription.subscription_id
+    });
+  }
+
+  /**
+   * Build signed request headers
+   * Custom headers cannot override the signature headers
+   * @param {Object} subscription - Webhook subscription
+   * @param {Object} alert - Alert data
+   * @param {String} body - Serialized request body
+   * @param {String} eventType - Event type
+   * @returns {Object}
+   */
+  buildHeaders(subscription, alert, body, eventType) {
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    return {
+      ...subscription.headers,
+      'Content-Type': 'application/json',
+      'X-Alert-ID': alert.alert_id,
+      'X-Webhook-ID': subscription.subscription_id,
+      'X-Webhook-Event': eventType,
+      [TIMESTAMP_HEADER]: String(timestamp),
+      [SIGNATURE_HEADER]: sign(subscription.secret, timestamp, body)
+    };
+  }
+
+  /**
+   * Post an alert to a subscription and log the delivery
+   * @param {Object} subscription - Webhook subscription
+   * @param {Object} alert - Alert data
+   * @param {Object} options - { eventType, template, variables }
+   * @returns {Object} - { subscription_id, url, status, status_code, error }
+   */
+  async send(subscription, alert, options = {}) {
+    const eventType = options.eventType || 'sensor_alert';
+    const body = JSON.stringify(this.buildPayload(subscription, alert, eventType, options));
+    const started = Date.now();
+    let result;
+
+    try {
+      const response = await axios.post(subscription.url, body, {
+        timeout: REQUEST_TIMEOUT_MS,
+        headers: this.buildHeaders(subscription, alert, body, eventType)
+      });
+
+      result = {
+        subscription_id: subscription.subscription_id,
+        url: subscription.url,
+        status: 'success',
+        status_code: response.status
+      };
+    } catch (error) {
+      result = {
+        subscription_id: subscription.subscription_id,
+        url: subscription.url,
+        status: 'failed',
+        ...(error.response && { status_code: error.response.status }),
+        error: error.message
+      };
+    }
+
+    this.logDelivery(subscription.subscription_id, {
+      alert_id: alert.alert_id,
+      event_type: eventType,
+      status: result.status,
+      status_code: result.status_code,
+      error: result.error,
+      duration_ms: Date.now() - started,
+      attempted_at: new Date(started).toISOString()
+    });
+
+    return result;
+  }
+
+  /**
+   * Send a test event to a subscription, ignoring its filters
+   * @param {String} subscriptionId - Subscription identifier
+   * @returns {Object|null} - Delivery result, null if no such subscription
+   */
+  async sendTest(subscriptionId) {
+    const subscription = this.get(subscriptionId);
+    if (!subscription) {
+      return null;
+    }
+
+    const timestamp = new Date().toISOString();
+    return this.send(subscription, {
+      alert_id: `test_${Date.now()}`,
+      rule_id: 'webhook_test',
+      status: 'firing',
+      alert_level: 'info',
+      sensor_type: 'test',
+      device_id: 'test_device',
+      location: 'test',
+      message: `Test event for webhook ${subscriptionId}`,
+      timestamp,
+      data: { device_id: 'test_device', location: 'test', timestamp }
+    }, { eventType: 'test' });
+  }
+
+  /**
+   * Append to a subscription's delivery log
+   * @param {String} subscriptionId - Subscription identifier
+   * @param {Object} entry - Delivery log entry
+   */
+  logDelivery(subscriptionId, entry) {
+    const log = this.deliveryLog.get(subscriptionId) || [];
+    log.push(entry);
+    if (log.length > this.maxLogEntries) {
+      log.shift();
+    }
+    this.deliveryLog.set(subscriptionId, log);
+  }
+
+  /**
+   * Get a subscription's recent deliveries, newest first
+   * @param {String} subscriptionId - Subscription identifier
+   * @param {Number} limit - Maximum entries
+   * @returns {Array}
+   */
+  getDeliveries(subscriptionId, limit = 50) {
+    return (this.deliveryLog.get(subscriptionId) || []).slice(-limit).reverse();
+  }
+
+  /**
+   * Generate a signing secret
+   * @returns {String}
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+}
+
+module.exports = WebhookSubscriptions;
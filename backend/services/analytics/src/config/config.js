@@ -15,6 +15,8 @@ class Config {
    * @returns {Object}
    */
   loadConfig() {
+    const storageDriver = process.env.STORAGE_DRIVER || (process.env.REDIS_ENABLED === 'true' ? 'redis' : 'file');
+
     return {
       service: {
         name: process.env.SERVICE_NAME || 'analytics-service',
@@ -39,6 +41,54 @@ class Config {
         stream: process.env.REDIS_STREAM || 'sensor-events'
       },
 
+      storage: {
+        driver: storageDriver,
+        data_dir: process.env.DATA_DIR || './data',
+        file_write_delay_ms: parseInt(process.env.FILE_WRITE_DELAY_MS || '200'),
+        key_prefix: process.env.STORAGE_KEY_PREFIX || 'analytics'
+      },
+
+      rules: {
+        directory: process.env.RULES_DIR,
+        watch: process.env.RULES_DIR_WATCH !== 'false'
+      },
+
+      devices: {
+        registry_url: process.env.DEVICE_REGISTRY_URL,
+        refresh_minutes: parseInt(process.env.DEVICE_REGISTRY_REFRESH_MINUTES || '5')
+      },
+
+      alerting: {
+        dedup_window_minutes: parseFloat(process.env.DEDUP_WINDOW_MINUTES || '5'),
+        dedup_by: (process.env.DEDUP_BY || 'device_id,alert_level').split(',').map(field => field.trim()).filter(Boolean),
+        store_max_alerts: parseInt(process.env.ALERT_STORE_MAX || '10000'),
+        retention_days: parseInt(process.env.ALERT_RETENTION_DAYS || '30'),
+        escalation_interval_seconds: parseInt(process.env.ESCALATION_INTERVAL_SECONDS || '30'),
+        default_locale: process.env.NOTIFICATION_LOCALE || 'en',
+        level_templates: this.parsePairs(process.env.LEVEL_MESSAGE_TEMPLATES),
+        alert_url_template: process.env.ALERT_URL_TEMPLATE,
+        level_delivery_modes: this.parsePairs(process.env.LEVEL_DELIVERY_MODES)
+      },
+
+      digest: {
+        interval_minutes: parseInt(process.env.DIGEST_INTERVAL_MINUTES || '60'),
+        at: (process.env.DIGEST_AT || '').split(',').map(time => time.trim()).filter(Boolean),
+        timezone: process.env.DIGEST_TIMEZONE || 'UTC',
+        message_template: process.env.DIGEST_MESSAGE_TEMPLATE || 'digest'
+      },
+
+      delivery: {
+        max_attempts: parseInt(process.env.DELIVERY_MAX_ATTEMPTS || '5'),
+        channel_max_attempts: this.parsePairs(process.env.DELIVERY_CHANNEL_MAX_ATTEMPTS, value => parseInt(value) || undefined),
+        backoff_base_seconds: parseInt(process.env.DELIVERY_BACKOFF_BASE_SECONDS || '30'),
+        backoff_max_seconds: parseInt(process.env.DELIVERY_BACKOFF_MAX_SECONDS || '3600'),
+        retry_interval_seconds: parseInt(process.env.DELIVERY_RETRY_INTERVAL_SECONDS || '15'),
+        dead_letter_max: parseInt(process.env.DELIVERY_DEAD_LETTER_MAX || '1000'),
+        // A file-backed log is rewritten whole on every batch of writes, so it is kept much smaller
+        log_max_entries: parseInt(process.env.DELIVERY_LOG_MAX_ENTRIES || (storageDriver === 'file' ? '1000' : '10000')),
+        log_retention_days: parseInt(process.env.DELIVERY_LOG_RETENTION_DAYS || '30')
+      },
+
       email: {
         enabled: process.env.EMAIL_ENABLED === 'true',
         smtp_host: process.env.SMTP_HOST || 'smtp.gmail.com',
@@ -58,22 +108,51 @@ class Config {
         recipients: (process.env.SMS_RECIPIENTS || '').split(',').filter(Boolean)
       },
 
+      push: {
+        enabled: process.env.PUSH_ENABLED === 'true',
+        vapid_public_key: process.env.VAPID_PUBLIC_KEY,
+        vapid_private_key: process.env.VAPID_PRIVATE_KEY,
+        vapid_subject: process.env.VAPID_SUBJECT || 'mailto:alerts@neurobuildtech.com',
+        ttl_seconds: parseInt(process.env.PUSH_TTL_SECONDS || '3600')
+      },
+
       webhook: {
         urls: (process.env.WEBHOOK_URLS || '').split(',').filter(Boolean)
       },
 
+      slack: {
+        webhook_urls: (process.env.SLACK_WEBHOOK_URLS || '').split(',').filter(Boolean),
+        locale: process.env.SLACK_LOCALE
+      },
+
+      teams: {
+        webhook_urls: (process.env.TEAMS_WEBHOOK_URLS || '').split(',').filter(Boolean),
+        locale: process.env.TEAMS_LOCALE
+      },
+
+      telegram: {
+        bot_token: process.env.TELEGRAM_BOT_TOKEN,
+        chat_ids: (process.env.TELEGRAM_CHAT_IDS || '').split(',').filter(Boolean),
+        api_url: process.env.TELEGRAM_API_URL || 'https://api.telegram.org',
+        locale: process.env.TELEGRAM_LOCALE
+      },
+
       processing: {
         anomaly_detection: process.env.ANOMALY_DETECTION !== 'false',
         correlation: process.env.CORRELATION !== 'false',
         max_history_size: parseInt(process.env.MAX_HISTORY_SIZE || '100'),
         correlation_window: parseInt(process.env.CORRELATION_WINDOW || '60000'),
-        sensor_timeout_minutes: parseInt(process.env.SENSOR_TIMEOUT_MINUTES || '10')
+        sensor_timeout_minutes: parseInt(process.env.SENSOR_TIMEOUT_MINUTES || '10'),
+        window_max_samples: parseInt(process.env.WINDOW_MAX_SAMPLES || '1000'),
+        window_retention_minutes: parseInt(process.env.WINDOW_RETENTION_MINUTES || '60'),
+        event_history_size: parseInt(process.env.EVENT_HISTORY_SIZE || '1000')
       },
 
       api: {
         enabled: process.env.API_ENABLED !== 'false',
         auth_required: process.env.API_AUTH_REQUIRED === 'true',
-        api_key: process.env.API_KEY
+        api_key: process.env.API_KEY,
+        api_keys: this.parseApiKeys(process.env.API_KEYS)
       },
 
       logging: {
@@ -83,6 +162,40 @@ class Config {
     };
   }
 
+  /**
+   * Parse named API keys from "name:key,name:key"
+   * @param {String} value - Raw environment value
+   * @returns {Array} - Array of { name, key }
+   */
+  parseApiKeys(value) {
+    return (value || '').split(',').filter(Boolean).map(entry => {
+      const separator = entry.indexOf(':');
+      return {
+        name: entry.slice(0, separator).trim(),
+        key: entry.slice(separator + 1).trim()
+      };
+    }).filter(entry => entry.name && entry.key);
+  }
+
+  /**
+   * Parse "name:value,name:value" into an object
+   * @param {String} value - Raw environment value
+   * @param {Function} parse - Converts each value, returning undefined to drop it
+   * @returns {Object}
+   */
+  parsePairs(value, parse = item => item || undefined) {
+    const pairs = {};
+    for (const entry of (value || '').split(',').filter(Boolean)) {
+      const separator = entry.indexOf(':');
+      const name = entry.slice(0, separator).trim();
+      const parsed = parse(entry.slice(separator + 1).trim());
+      if (separator > 0 && name && parsed !== undefined) {
+        pairs[name] = parsed;
+      }
+    }
+    return pairs;
+  }
+
   /**
    * Get configuration value
    * @param {String} path - Dot notation path
@@ -128,6 +241,11 @@ class Config {
       warnings.push('Neither MQTT nor Redis is enabled. Worker will not receive events.');
     }
 
+    // Check storage driver
+    if (!['redis', 'file'].includes(this.config.storage.driver)) {
+      errors.push(`Unknown storage driver: ${this.config.storage.driver}`);
+    }
+
     // Check notification channels
     if (this.config.email.enabled) {
       if (!this.config.email.smtp_user || !this.config.email.smtp_pass) {
@@ -138,6 +256,30 @@ class Config {
       }
     }
 
+    if (this.config.push.enabled && (!this.config.push.vapid_public_key || !this.config.push.vapid_private_key)) {
+      errors.push('Push enabled but VAPID keys not configured');
+    }
+
+    for (const [level, mode] of Object.entries(this.config.alerting.level_delivery_modes)) {
+      if (!['immediate', 'digest'].includes(mode)) {
+        errors.push(`Unknown delivery mode for ${level} alerts: ${mode}`);
+      }
+    }
+
+    if (this.config.digest.at.some(time => !/^([01]\d|2[0-3]):[0-5]\d$/.test(time))) {
+      errors.push(`DIGEST_AT must list HH:MM times: ${this.config.digest.at.join(',')}`);
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: this.config.digest.timezone });
+    } catch (error) {
+      errors.push(`DIGEST_TIMEZONE is not a valid IANA timezone: ${this.config.digest.timezone}`);
+    }
+
+    if (this.config.telegram.bot_token && this.config.telegram.chat_ids.length === 0) {
+      warnings.push('Telegram bot token configured but no chat IDs');
+    }
+
     if (this.config.sms.enabled) {
       if (!this.config.sms.twilio_account_sid || !this.config.sms.twilio_auth_token) {
         errors.push('SMS enabled but Twilio credentials not configured');
@@ -148,7 +290,7 @@ class Config {
     }
 
     // Check API configuration
-    if (this.config.api.auth_required && !this.config.api.api_key) {
+    if (this.config.api.auth_required && !this.config.api.api_key && this.config.api.api_keys.length === 0) {
       warnings.push('API authentication required but no API key configured');
     }
 
@@ -171,7 +313,13 @@ class Config {
     if (sanitized.redis?.password) sanitized.redis.password = '***';
     if (sanitized.email?.smtp_pass) sanitized.email.smtp_pass = '***';
     if (sanitized.sms?.twilio_auth_token) sanitized.sms.twilio_auth_token = '***';
+    if (sanitized.push?.vapid_private_key) sanitized.push.vapid_private_key = '***';
+    if (sanitized.telegram?.bot_token) sanitized.telegram.bot_token = '***';
+    // Slack and Teams webhook URLs embed their credentials
+    if (sanitized.slack?.webhook_urls) sanitized.slack.webhook_urls = sanitized.slack.webhook_urls.map(() => '***');
+    if (sanitized.teams?.webhook_urls) sanitized.teams.webhook_urls = sanitized.teams.webhook_urls.map(() => '***');
     if (sanitized.api?.api_key) sanitized.api.api_key = '***';
+    if (sanitized.api?.api_keys) sanitized.api.api_keys = sanitized.api.api_keys.map(entry => ({ name: entry.name, key: '***' }));
 
     return sanitized;
   }
@@ -0,0 +1,127 @@
+/**
+ * Device Registry
+ * Caches device locations and tags from the device-management service
+ * so rules can target devices by location and tag
+ */
+
+const axios = require('axios');
+
+const PAGE_SIZE = 100;
+
+class DeviceRegistry {
+  constructor(options = {}) {
+    this.url = options.url ? options.url.replace(/\/+$/, '') : null;
+    this.refreshMs = (options.refreshMinutes || 5) * 60 * 1000;
+    this.devices = new Map(); // device_id -> { device_id, location, tags }
+    this.refreshTimer = null;
+    this.lastRefresh = null;
+  }
+
+  /**
+   * Load devices and refresh them periodically
+   */
+  async start() {
+    if (!this.url) {
+      return;
+    }
+
+    await this.refresh();
+    this.refreshTimer = setInterval(() => this.refresh(), this.refreshMs);
+    this.refreshTimer.unref?.();
+  }
+
+  /**
+   * Reload all devices from the device-management API
+   * Keeps the previous devices if the registry is unreachable
+   * @returns {Number} - Number of devices loaded
+   */
+  async refresh() {
+    try {
+      const devices = new Map();
+      let page = 1;
+      let pages = 1;
+
+      do {
+        const response = await axios.get(`${this.url}/api/devices`, {
+          params: { page, limit: PAGE_SIZE },
+          timeout: 10000
+        });
+        const data = response.data.data || {};
+
+        for (const device of data.devices || []) {
+          const entry = this.normalize(device);
+          devices.set(entry.device_id, entry);
+        }
+
+        pages = data.pagination?.pages || 1;
+        page++;
+      } while (page <= pages);
+
+      this.devices = devices;
+      this.lastRefresh = new Date().toISOString();
+      return devices.size;
+    } catch (error) {
+      console.error('Failed to refresh device registry:', error.message);
+      return this.devices.size;
+    }
+  }
+
+  /**
+   * Convert a device-management document into a registry entry
+   * Tags are read from metadata.tags as an array or comma-separated string
+   * @param {Object} device - Device document
+   * @returns {Object}
+   */
+  normalize(device) {
+    const rawTags = device.metadata?.tags || device.tags || [];
+    const tags = Array.isArray(rawTags)
+      ? rawTags.map(String)
+      : String(rawTags).split(',').map(tag => tag.trim()).filter(Boolean);
+
+    return {
+      device_id: device.deviceId || device.device_id,
+      location: device.location?.name || (typeof device.location === 'string' ? device.location : null),
+      tags
+    };
+  }
+
+  /**
+   * Get a device's location and tags
+   * @param {String} deviceId - Device identifier
+   * @returns {Object|null}
+   */
+  getDevice(deviceId) {
+    return this.devices.get(deviceId) || null;
+  }
+
+  /**
+   * Add or replace a device entry
+   * @param {Object} device - Device document or registry entry
+   */
+  setDevice(device) {
+    const entry = this.normalize(device);
+    this.devices.set(entry.device_id, entry);
+  }
+
+  /**
+   * Get registry statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      enabled: !!this.url,
+      devices: this.devices.size,
+      last_refresh: this.lastRefresh
+    };
+  }
+
+  /**
+   * Stop periodic refreshes
+   */
+  stop() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+}
+
+module.exports = DeviceRegistry;
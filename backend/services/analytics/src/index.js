@@ -10,10 +10,29 @@ const config = require('./config/config');
 const ThresholdProcessor = require('./processors/threshold');
 const AnomalyDetector = require('./processors/anomaly');
 const CorrelationProcessor = require('./processors/correlation');
+const WindowStore = require('./processors/window');
 
 // Import alert system
 const AlertNotifier = require('./alerts/notifier');
+const AlertPipeline = require('./alerts/pipeline');
+const AlertStore = require('./alerts/alertStore');
+const Escalator = require('./alerts/escalation');
+const WebhookSubscriptions = require('./alerts/webhooks');
+const PushSubscriptions = require('./alerts/push');
+const MessageTemplates = require('./alerts/messageTemplates');
+const RecipientRouter = require('./alerts/routing');
+const Inhibitor = require('./alerts/inhibitor');
+const Silences = require('./alerts/silences');
 const RulesEngine = require('./alerts/rules');
+const RuleHistory = require('./alerts/ruleHistory');
+const Backtester = require('./alerts/backtest');
+const { RuleDirectoryLoader, parseRules, serializeRules } = require('./alerts/ruleFiles');
+
+// Import storage
+const Storage = require('./storage/storage');
+
+// Import device registry
+const DeviceRegistry = require('./devices/deviceRegistry');
 
 // Import worker
 const EventWorker = require('./workers/eventWorker');
@@ -29,16 +48,99 @@ class AnalyticsService {
    * Initialize service components
    */
   initializeComponents() {
-    // Initialize alert notifier
-    this.notifier = new AlertNotifier(this.config.getAll());
-    
+    // Initialize persistent storage
+    this.storage = new Storage(this.config.getAll());
+
+    // Initialize recipient routing to on-call teams
+    this.router = new RecipientRouter({
+      stores: {
+        recipients: this.storage.collection('recipients'),
+        teams: this.storage.collection('teams'),
+        schedules: this.storage.collection('oncall_schedules'),
+        routes: this.storage.collection('routes')
+      }
+    });
+
+    // Initialize signed per-endpoint webhook subscriptions
+    this.webhooks = new WebhookSubscriptions({ store: this.storage.collection('webhook_subscriptions') });
+
+    // Initialize browser Web Push subscriptions
+    this.pushSubscriptions = new PushSubscriptions({ store: this.storage.collection('push_subscriptions') });
+
+    // Initialize localised message templates
+    this.messageTemplates = new MessageTemplates({
+      store: this.storage.collection('message_templates'),
+      defaultLocale: this.config.get('alerting.default_locale'),
+      levelTemplates: this.config.get('alerting.level_templates'),
+      alertUrlTemplate: this.config.get('alerting.alert_url_template')
+    });
+
+    // Initialize alert notifier, deduplicating by each rule's dedup settings
+    this.notifier = new AlertNotifier(this.config.getAll(), {
+      getRule: ruleId => this.rulesEngine.getRule(ruleId),
+      router: this.router,
+      webhooks: this.webhooks,
+      pushSubscriptions: this.pushSubscriptions,
+      templates: this.messageTemplates,
+      outboxStore: this.storage.collection('outbox'),
+      deliveryLogStore: this.storage.collection('delivery_log'),
+      digestStore: this.storage.collection('digests')
+    });
+    this.outbox = this.notifier.outbox;
+    this.deliveryLog = this.notifier.deliveryLog;
+    this.digests = this.notifier.digests;
+
+    // Initialize alert pipeline, applied to every processor before notification
+    this.inhibitor = new Inhibitor({ store: this.storage.collection('inhibit_rules') });
+    this.silences = new Silences({
+      store: this.storage.collection('silences'),
+      activityStore: this.storage.collection('silenced_alerts')
+    });
+    this.alertStore = new AlertStore({
+      store: this.storage.collection('alerts'),
+      maxAlerts: this.config.get('alerting.store_max_alerts'),
+      retentionDays: this.config.get('alerting.retention_days')
+    });
+    this.alertPipeline = new AlertPipeline(this.notifier, {
+      inhibitor: this.inhibitor,
+      silences: this.silences,
+      alertStore: this.alertStore
+    });
+
+    // Initialize escalation of unacknowledged alerts
+    this.escalator = new Escalator({
+      store: this.storage.collection('escalation_policies'),
+      alertStore: this.alertStore,
+      notifier: this.notifier,
+      silences: this.silences,
+      intervalSeconds: this.config.get('alerting.escalation_interval_seconds')
+    });
+
+    // Initialize device registry for location/tag rule targeting
+    this.deviceRegistry = new DeviceRegistry({
+      url: this.config.get('devices.registry_url'),
+      refreshMinutes: this.config.get('devices.refresh_minutes')
+    });
+
     // Initialize rules engine
-    this.rulesEngine = new RulesEngine();
+    this.rulesEngine = new RulesEngine({
+      store: this.storage.collection('rules'),
+      history: new RuleHistory({ store: this.storage.collection('rule_history') }),
+      templateStore: this.storage.collection('rule_templates'),
+      deviceRegistry: this.deviceRegistry
+    });
     
+    // Initialize shared event windows for aggregate conditions
+    this.windowStore = new WindowStore({
+      maxSamples: this.config.get('processing.window_max_samples'),
+      retentionMs: this.config.get('processing.window_retention_minutes') * 60 * 1000,
+      deviceRegistry: this.deviceRegistry
+    });
+
     // Initialize processors
-    this.thresholdProcessor = new ThresholdProcessor(this.notifier);
-    this.anomalyDetector = new AnomalyDetector(this.notifier);
-    this.correlationProcessor = new CorrelationProcessor(this.notifier);
+    this.thresholdProcessor = new ThresholdProcessor(this.alertPipeline, this.windowStore, this.deviceRegistry);
+    this.anomalyDetector = new AnomalyDetector(this.alertPipeline);
+    this.correlationProcessor = new CorrelationProcessor(this.alertPipeline);
 
     // Initialize worker
     this.worker = new EventWorker({
@@ -47,7 +149,8 @@ class AnalyticsService {
         threshold: this.thresholdProcessor,
         anomaly: this.anomalyDetector,
         correlation: this.correlationProcessor,
-        rules: this.rulesEngine
+        rules: this.rulesEngine,
+        windows: this.windowStore
       }
     });
   }
@@ -59,16 +162,15 @@ class AnalyticsService {
     // Middleware
     this.app.use(express.json());
 
-    // API authentication middleware
-    if (this.config.get('api.auth_required')) {
-      this.app.use('/api', (req, res, next) => {
-        const apiKey = req.headers['x-api-key'];
-        if (apiKey !== this.config.get('api.api_key')) {
-          return res.status(401).json({ error: 'Unauthorized' });
-        }
-        next();
-      });
-    }
+    // API authentication middleware, resolving the caller identity from its API key
+    this.app.use('/api', (req, res, next) => {
+      const identity = this.resolveApiIdentity(req.headers['x-api-key']);
+      if (this.config.get('api.auth_required') && !identity) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      req.identity = identity || 'anonymous';
+      next();
+    });
 
     // Health check endpoint
     this.app.get('/health', (req, res) => {
@@ -94,12 +196,80 @@ class AnalyticsService {
       const filters = {
         sensor_type: req.query.sensor_type,
         alert_level: req.query.alert_level,
+        device_id: req.query.device_id,
+        location: req.query.location,
         enabled: req.query.enabled === 'true' ? true : req.query.enabled === 'false' ? false : undefined
       };
       const rules = this.rulesEngine.getRules(filters);
       res.json({ rules, count: rules.length });
     });
 
+    this.app.get('/api/rules/export', (req, res) => {
+      const format = req.query.format === 'yaml' ? 'yaml' : 'json';
+      const rules = this.rulesEngine.exportRules({
+        sensor_type: req.query.sensor_type,
+        alert_level: req.query.alert_level
+      });
+      res.type(format === 'yaml' ? 'application/yaml' : 'application/json');
+      res.send(serializeRules(rules, format));
+    });
+
+    this.app.post('/api/rules/import', express.text({
+      type: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml']
+    }), (req, res) => {
+      let rules;
+      try {
+        rules = parseRules(req.body, typeof req.body === 'string' ? 'yaml' : 'json');
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid rules document: ${error.message}` });
+      }
+
+      const result = this.rulesEngine.importRules(rules, {
+        dryRun: req.query.dry_run === 'true',
+        prune: req.query.mode === 'replace',
+        actor: req.identity
+      });
+      res.status(result.errors.length > 0 ? 400 : 200).json(result);
+    });
+
+    this.app.post('/api/rules/backtest', async (req, res) => {
+      const { from, to } = req.body;
+      const rule = req.body.rule
+        ? { rule_id: 'backtest', enabled: true, ...req.body.rule }
+        : this.rulesEngine.getRule(req.body.rule_id);
+
+      if (!rule) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+
+      const validation = this.rulesEngine.validateRule(rule);
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid rule', errors: validation.errors });
+      }
+
+      const backtester = new Backtester({
+        redisClient: this.worker.redisClient,
+        deviceRegistry: this.deviceRegistry
+      });
+
+      if (!backtester.redisClient) {
+        return res.status(503).json({ error: 'Backtesting requires Redis event history (REDIS_ENABLED=true)' });
+      }
+
+      let range;
+      try {
+        range = backtester.resolveRange({ from, to });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      try {
+        res.json(await backtester.run(rule, range));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     this.app.get('/api/rules/:ruleId', (req, res) => {
       const rule = this.rulesEngine.getRule(req.params.ruleId);
       if (!rule) {
@@ -110,7 +280,7 @@ class AnalyticsService {
 
     this.app.post('/api/rules', (req, res) => {
       try {
-        const rule = this.rulesEngine.addRule(req.body);
+        const rule = this.rulesEngine.addRule(req.body, { actor: req.identity });
         res.status(201).json(rule);
       } catch (error) {
         res.status(400).json({ error: error.message });
@@ -120,28 +290,68 @@ class AnalyticsService {
     this.app.put('/api/rules/:ruleId', (req, res) => {
       try {
         req.body.rule_id = req.params.ruleId;
-        const rule = this.rulesEngine.addRule(req.body);
+        const rule = this.rulesEngine.addRule(req.body, { actor: req.identity });
         res.json(rule);
       } catch (error) {
         res.status(400).json({ error: error.message });
       }
     });
 
-    this.app.delete('/api/rules/:ruleId', (req, res) => {
-      const deleted = this.rulesEngine.deleteRule(req.params.ruleId);
+    this.app.delete('/api/rules/:ruleId', async (req, res) => {
+      const deleted = this.rulesEngine.deleteRule(req.params.ruleId, { actor: req.identity });
       if (!deleted) {
         return res.status(404).json({ error: 'Rule not found' });
       }
-      res.json({ message: 'Rule deleted' });
+
+      try {
+        // Firing alerts of the rule would otherwise never resolve
+        const resolved = await this.thresholdProcessor.resolveRuleAlerts(req.params.ruleId, 'rule_deleted');
+        res.json({ message: 'Rule deleted', resolved_alerts: resolved.length });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
     });
 
-    this.app.post('/api/rules/:ruleId/toggle', (req, res) => {
+    this.app.post('/api/rules/:ruleId/toggle', async (req, res) => {
       const { enabled } = req.body;
-      const rule = this.rulesEngine.toggleRule(req.params.ruleId, enabled);
+      const rule = this.rulesEngine.toggleRule(req.params.ruleId, enabled, { actor: req.identity });
       if (!rule) {
         return res.status(404).json({ error: 'Rule not found' });
       }
-      res.json(rule);
+
+      try {
+        if (!rule.enabled) {
+          await this.thresholdProcessor.resolveRuleAlerts(rule.rule_id, 'rule_disabled');
+        }
+        res.json(rule);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/rules/:ruleId/history', (req, res) => {
+      const versions = this.rulesEngine.getRuleHistory(req.params.ruleId);
+      if (versions.length === 0) {
+        return res.status(404).json({ error: 'No history for rule' });
+      }
+      res.json({ rule_id: req.params.ruleId, versions, count: versions.length });
+    });
+
+    this.app.post('/api/rules/:ruleId/revert', (req, res) => {
+      const version = parseInt(req.body.version);
+      if (!Number.isInteger(version)) {
+        return res.status(400).json({ error: 'version is required' });
+      }
+
+      try {
+        const rule = this.rulesEngine.revertRule(req.params.ruleId, version, { actor: req.identity });
+        if (!rule) {
+          return res.status(404).json({ error: 'Version not found' });
+        }
+        res.json(rule);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
     });
 
     this.app.post('/api/rules/:ruleId/test', (req, res) => {
@@ -155,15 +365,653 @@ class AnalyticsService {
       res.json({ templates, count: templates.length });
     });
 
+    this.app.post('/api/templates', (req, res) => {
+      if (req.body.name && this.rulesEngine.getTemplate(req.body.name)) {
+        return res.status(409).json({ error: 'Template already exists' });
+      }
+
+      try {
+        const { template } = this.rulesEngine.saveTemplate(req.body, {}, { actor: req.identity });
+        res.status(201).json(template);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/templates/:templateName', (req, res) => {
+      const template = this.rulesEngine.getTemplate(req.params.templateName);
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+      const rules = this.rulesEngine.getTemplateRules(req.params.templateName).map(rule => rule.rule_id);
+      res.json({ ...template, rules });
+    });
+
+    this.app.put('/api/templates/:templateName', (req, res) => {
+      if (!this.rulesEngine.getTemplate(req.params.templateName)) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      try {
+        const result = this.rulesEngine.saveTemplate(
+          { ...req.body, name: req.params.templateName },
+          { propagate: req.query.propagate === 'true' },
+          { actor: req.identity }
+        );
+        res.json(result);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/templates/:templateName', (req, res) => {
+      const rules = this.rulesEngine.getTemplateRules(req.params.templateName);
+      if (rules.length > 0 && req.query.force !== 'true') {
+        return res.status(409).json({
+          error: 'Template has rules created from it; use force=true to delete anyway',
+          rules: rules.map(rule => rule.rule_id)
+        });
+      }
+
+      try {
+        if (!this.rulesEngine.deleteTemplate(req.params.templateName)) {
+          return res.status(404).json({ error: 'Template not found' });
+        }
+        res.json({ message: 'Template deleted' });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/templates/:templateName/propagate', (req, res) => {
+      if (!this.rulesEngine.getTemplate(req.params.templateName)) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+      res.json(this.rulesEngine.propagateTemplate(req.params.templateName, { actor: req.identity }));
+    });
+
     this.app.post('/api/templates/:templateName', (req, res) => {
       try {
-        const rule = this.rulesEngine.createFromTemplate(req.params.templateName, req.body);
+        const rule = this.rulesEngine.createFromTemplate(req.params.templateName, req.body, { actor: req.identity });
         res.status(201).json(rule);
       } catch (error) {
         res.status(400).json({ error: error.message });
       }
     });
 
+    // Alert state endpoints
+    this.app.get('/api/alerts/active', (req, res) => {
+      const alerts = this.thresholdProcessor.getActiveAlerts({
+        rule_id: req.query.rule_id,
+        device_id: req.query.device_id,
+        alert_level: req.query.alert_level
+      });
+      res.json({ alerts, count: alerts.length });
+    });
+
+    this.app.get('/api/alerts/inhibited', (req, res) => {
+      const alerts = this.inhibitor.getInhibited({
+        inhibit_id: req.query.inhibit_id,
+        rule_id: req.query.rule_id,
+        device_id: req.query.device_id
+      });
+      res.json({ alerts, count: alerts.length });
+    });
+
+    // Throttle and dedup state endpoints
+    this.app.get('/api/alerts/throttles', (req, res) => {
+      const throttles = this.thresholdProcessor.getThrottles(this.getKeyFilters(req.query));
+      res.json({ throttles, count: throttles.length });
+    });
+
+    this.app.delete('/api/alerts/throttles', (req, res) => {
+      const cleared = this.thresholdProcessor.clearThrottles(this.getKeyFilters(req.query));
+      res.json({ cleared });
+    });
+
+    this.app.get('/api/alerts/dedup', (req, res) => {
+      const entries = this.notifier.getDedupState(this.getKeyFilters(req.query));
+      res.json({ entries, count: entries.length });
+    });
+
+    this.app.delete('/api/alerts/dedup', (req, res) => {
+      const cleared = this.notifier.clearDedupState(this.getKeyFilters(req.query));
+      res.json({ cleared });
+    });
+
+    // Alert store endpoints
+    this.app.get('/api/alerts', (req, res) => {
+      const result = this.alertStore.list({
+        status: req.query.status,
+        rule_id: req.query.rule_id,
+        device_id: req.query.device_id,
+        alert_level: req.query.alert_level,
+        sensor_type: req.query.sensor_type,
+        assigned_to: req.query.assigned_to,
+        location: req.query.location,
+        from: req.query.from,
+        to: req.query.to
+      }, {
+        limit: req.query.limit,
+        offset: req.query.offset
+      });
+      res.json({ ...result, count: result.alerts.length });
+    });
+
+    this.app.get('/api/alerts/:alertId', (req, res) => {
+      const alert = this.alertStore.get(req.params.alertId);
+      if (!alert) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+      res.json(alert);
+    });
+
+    this.app.post('/api/alerts/:alertId/ack', (req, res) => {
+      const existing = this.alertStore.get(req.params.alertId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+      if (existing.status === 'resolved') {
+        return res.status(409).json({ error: 'Alert is already resolved' });
+      }
+      res.json(this.alertStore.acknowledge(req.params.alertId, { actor: req.identity }));
+    });
+
+    this.app.post('/api/alerts/:alertId/assign', (req, res) => {
+      try {
+        const alert = this.alertStore.assign(req.params.alertId, req.body.assignee ?? null, { actor: req.identity });
+        if (!alert) {
+          return res.status(404).json({ error: 'Alert not found' });
+        }
+        res.json(alert);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/alerts/:alertId/comments', (req, res) => {
+      try {
+        const comment = this.alertStore.comment(req.params.alertId, req.body.text, { actor: req.identity });
+        if (!comment) {
+          return res.status(404).json({ error: 'Alert not found' });
+        }
+        res.status(201).json(comment);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/alerts/:alertId/resolve', (req, res) => {
+      const existing = this.alertStore.get(req.params.alertId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+      if (existing.status === 'resolved') {
+        return res.status(409).json({ error: 'Alert is already resolved' });
+      }
+      res.json(this.alertStore.resolve(req.params.alertId, { comment: req.body.comment }, { actor: req.identity }));
+    });
+
+    // Escalation policy endpoints
+    this.app.get('/api/escalation-policies', (req, res) => {
+      const policies = this.escalator.getPolicies();
+      res.json({ policies, count: policies.length });
+    });
+
+    this.app.post('/api/escalation-policies', (req, res) => {
+      if (req.body.policy_id && this.escalator.getPolicy(req.body.policy_id)) {
+        return res.status(409).json({ error: 'Escalation policy already exists' });
+      }
+
+      try {
+        const policy = this.escalator.savePolicy(req.body, { actor: req.identity });
+        res.status(201).json(policy);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/escalation-policies/:policyId', (req, res) => {
+      const policy = this.escalator.getPolicy(req.params.policyId);
+      if (!policy) {
+        return res.status(404).json({ error: 'Escalation policy not found' });
+      }
+      res.json(policy);
+    });
+
+    this.app.put('/api/escalation-policies/:policyId', (req, res) => {
+      const existing = this.escalator.getPolicy(req.params.policyId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Escalation policy not found' });
+      }
+
+      try {
+        const policy = this.escalator.savePolicy(
+          { ...existing, ...req.body, policy_id: req.params.policyId },
+          { actor: req.identity }
+        );
+        res.json(policy);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/escalation-policies/:policyId', (req, res) => {
+      if (!this.escalator.deletePolicy(req.params.policyId)) {
+        return res.status(404).json({ error: 'Escalation policy not found' });
+      }
+      res.json({ message: 'Escalation policy deleted' });
+    });
+
+    // Delivery outbox and dead-letter queue endpoints
+    this.app.get('/api/outbox', (req, res) => {
+      const entries = this.outbox.list(this.getOutboxFilters(req.query));
+      res.json({ entries, count: entries.length });
+    });
+
+    this.app.get('/api/outbox/dead-letter', (req, res) => {
+      const entries = this.outbox.list({ ...this.getOutboxFilters(req.query), status: 'dead' });
+      res.json({ entries, count: entries.length });
+    });
+
+    this.app.post('/api/outbox/dead-letter/redrive', async (req, res) => {
+      try {
+        const { status, ...filters } = this.getOutboxFilters(req.query);
+        const deliveries = await this.outbox.redriveAll(filters, { actor: req.identity });
+        res.json({ deliveries, count: deliveries.length });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/outbox/:deliveryId', (req, res) => {
+      const entry = this.outbox.get(req.params.deliveryId);
+      if (!entry) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+      res.json(entry);
+    });
+
+    this.app.post('/api/outbox/dead-letter/:deliveryId/redrive', async (req, res) => {
+      try {
+        const delivery = await this.outbox.redrive(req.params.deliveryId, { actor: req.identity });
+        if (!delivery) {
+          return res.status(404).json({ error: 'Dead-lettered delivery not found' });
+        }
+        res.json(delivery);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/outbox/dead-letter/:deliveryId', (req, res) => {
+      if (!this.outbox.discard(req.params.deliveryId)) {
+        return res.status(404).json({ error: 'Dead-lettered delivery not found' });
+      }
+      res.json({ message: 'Dead-lettered delivery discarded' });
+    });
+
+    // Delivery log endpoints
+    this.app.get('/api/deliveries', (req, res) => {
+      const result = this.deliveryLog.list(this.getDeliveryLogFilters(req.query), {
+        limit: req.query.limit,
+        offset: req.query.offset
+      });
+      res.json({ ...result, count: result.deliveries.length });
+    });
+
+    this.app.get('/api/deliveries/stats', (req, res) => {
+      res.json(this.deliveryLog.getStats(this.getDeliveryLogFilters(req.query), req.query.bucket_minutes));
+    });
+
+    // Alert digest endpoints
+    this.app.get('/api/digests', (req, res) => {
+      const groups = this.digests.list({ channel: req.query.channel });
+      res.json({
+        groups,
+        count: groups.length,
+        schedule: this.digests.times.length > 0
+          ? { at: this.digests.times, timezone: this.digests.timezone }
+          : { interval_minutes: this.digests.intervalMs / 60000 }
+      });
+    });
+
+    this.app.post('/api/digests/flush', async (req, res) => {
+      try {
+        const deliveries = req.body.channel
+          ? [await this.digests.flush(req.body.channel)].filter(Boolean)
+          : await this.digests.flushAll();
+        res.json({ deliveries, count: deliveries.length });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Message template endpoints
+    this.app.get('/api/message-templates', (req, res) => {
+      const templates = this.messageTemplates.list();
+      res.json({ templates, count: templates.length });
+    });
+
+    this.app.post('/api/message-templates', (req, res) => {
+      if (req.body.template_id && this.messageTemplates.get(req.body.template_id)) {
+        return res.status(409).json({ error: 'template_id already exists' });
+      }
+
+      try {
+        res.status(201).json(this.messageTemplates.save(req.body, { actor: req.identity }));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/message-templates/:templateId', (req, res) => {
+      const template = this.messageTemplates.get(req.params.templateId);
+      if (!template) {
+        return res.status(404).json({ error: 'Message template not found' });
+      }
+      const rules = this.rulesEngine.getRules()
+        .filter(rule => rule.message_template === req.params.templateId)
+        .map(rule => rule.rule_id);
+      res.json({ ...template, rules });
+    });
+
+    this.app.put('/api/message-templates/:templateId', (req, res) => {
+      if (!this.messageTemplates.get(req.params.templateId)) {
+        return res.status(404).json({ error: 'Message template not found' });
+      }
+
+      try {
+        res.json(this.messageTemplates.save({ ...req.body, template_id: req.params.templateId }, { actor: req.identity }));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/message-templates/:templateId', (req, res) => {
+      const rules = this.rulesEngine.getRules()
+        .filter(rule => rule.message_template === req.params.templateId)
+        .map(rule => rule.rule_id);
+      if (rules.length > 0) {
+        return res.status(409).json({ error: 'Message template is used by rules', rules });
+      }
+
+      try {
+        if (!this.messageTemplates.remove(req.params.templateId)) {
+          return res.status(404).json({ error: 'Message template not found' });
+        }
+        res.json({ message: 'Message template deleted' });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/message-templates/:templateId/preview', (req, res) => {
+      if (!this.messageTemplates.get(req.params.templateId)) {
+        return res.status(404).json({ error: 'Message template not found' });
+      }
+
+      const { locale, ...alert } = req.body;
+      res.json(this.messageTemplates.renderAll(alert, {
+        locale,
+        rule: { message_template: req.params.templateId }
+      }));
+    });
+
+    // Webhook subscription endpoints; secrets are only returned when set
+    this.app.get('/api/webhooks', (req, res) => {
+      const subscriptions = this.webhooks.list().map(subscription => this.webhooks.redact(subscription));
+      res.json({ subscriptions, count: subscriptions.length });
+    });
+
+    this.app.post('/api/webhooks', (req, res) => {
+      if (req.body.subscription_id && this.webhooks.get(req.body.subscription_id)) {
+        return res.status(409).json({ error: 'subscription_id already exists' });
+      }
+
+      try {
+        res.status(201).json(this.webhooks.save(req.body, { actor: req.identity }));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/webhooks/:subscriptionId', (req, res) => {
+      const subscription = this.webhooks.get(req.params.subscriptionId);
+      if (!subscription) {
+        return res.status(404).json({ error: 'Webhook subscription not found' });
+      }
+      res.json(this.webhooks.redact(subscription));
+    });
+
+    this.app.put('/api/webhooks/:subscriptionId', (req, res) => {
+      const existing = this.webhooks.get(req.params.subscriptionId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Webhook subscription not found' });
+      }
+
+      try {
+        const subscription = this.webhooks.save(
+          { ...existing, ...req.body, subscription_id: req.params.subscriptionId },
+          { actor: req.identity }
+        );
+        res.json(req.body.secret ? subscription : this.webhooks.redact(subscription));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/webhooks/:subscriptionId', (req, res) => {
+      if (!this.webhooks.remove(req.params.subscriptionId)) {
+        return res.status(404).json({ error: 'Webhook subscription not found' });
+      }
+      res.json({ message: 'Webhook subscription deleted' });
+    });
+
+    this.app.post('/api/webhooks/:subscriptionId/test', async (req, res) => {
+      try {
+        const result = await this.webhooks.sendTest(req.params.subscriptionId);
+        if (!result) {
+          return res.status(404).json({ error: 'Webhook subscription not found' });
+        }
+        res.json(result);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/webhooks/:subscriptionId/deliveries', (req, res) => {
+      if (!this.webhooks.get(req.params.subscriptionId)) {
+        return res.status(404).json({ error: 'Webhook subscription not found' });
+      }
+      const deliveries = this.webhooks.getDeliveries(req.params.subscriptionId, parseInt(req.query.limit) || 50);
+      res.json({ deliveries, count: deliveries.length });
+    });
+
+    // Web Push subscription endpoints
+    this.app.get('/api/push/vapid-public-key', (req, res) => {
+      const publicKey = this.config.get('push.vapid_public_key');
+      if (!this.config.get('push.enabled') || !publicKey) {
+        return res.status(503).json({ error: 'Web Push is not configured' });
+      }
+      res.json({ public_key: publicKey });
+    });
+
+    this.app.get('/api/push/subscriptions', (req, res) => {
+      const subscriptions = this.pushSubscriptions.list({ user_id: req.query.user_id });
+      res.json({ subscriptions, count: subscriptions.length });
+    });
+
+    this.app.post('/api/push/subscriptions', (req, res) => {
+      // Accept the browser's PushSubscription JSON as is or under "subscription"
+      const { subscription, ...body } = req.body;
+
+      try {
+        res.status(201).json(this.pushSubscriptions.register({
+          ...(subscription || body),
+          user_id: body.user_id || req.identity,
+          user_agent: req.headers['user-agent']
+        }, { actor: req.identity }));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/push/subscriptions/:subscriptionId', (req, res) => {
+      if (!this.pushSubscriptions.remove(req.params.subscriptionId)) {
+        return res.status(404).json({ error: 'Push subscription not found' });
+      }
+      res.json({ message: 'Push subscription removed' });
+    });
+
+    // Recipient, team, on-call schedule and routing rule endpoints
+    this.app.get('/api/oncall', (req, res) => {
+      const at = req.query.at ? Date.parse(req.query.at) : Date.now();
+      if (isNaN(at)) {
+        return res.status(400).json({ error: 'at must be an ISO date' });
+      }
+
+      const teams = this.router.list('teams').map(team => ({
+        team_id: team.team_id,
+        on_call: this.router.getTeamOnCall(team.team_id, at)
+      }));
+      res.json({ at: new Date(at).toISOString(), teams });
+    });
+
+    this.app.post('/api/routes/resolve', (req, res) => {
+      const routing = this.router.resolve(req.body);
+      res.json(routing || { routes: [], teams: [], recipients: [], fallback: true });
+    });
+
+    for (const kind of Object.keys(this.router.collections)) {
+      const idField = this.router.collections[kind].idField;
+      const label = kind.slice(0, -1);
+
+      this.app.get(`/api/${kind}`, (req, res) => {
+        const items = this.router.list(kind);
+        res.json({ [kind]: items, count: items.length });
+      });
+
+      this.app.post(`/api/${kind}`, (req, res) => {
+        if (req.body[idField] && this.router.get(kind, req.body[idField])) {
+          return res.status(409).json({ error: `${idField} already exists` });
+        }
+
+        try {
+          res.status(201).json(this.router.save(kind, req.body, { actor: req.identity }));
+        } catch (error) {
+          res.status(400).json({ error: error.message });
+        }
+      });
+
+      this.app.get(`/api/${kind}/:id`, (req, res) => {
+        const item = this.router.get(kind, req.params.id);
+        if (!item) {
+          return res.status(404).json({ error: `Unknown ${label}` });
+        }
+        res.json(item);
+      });
+
+      this.app.put(`/api/${kind}/:id`, (req, res) => {
+        const existing = this.router.get(kind, req.params.id);
+        if (!existing) {
+          return res.status(404).json({ error: `Unknown ${label}` });
+        }
+
+        try {
+          res.json(this.router.save(kind, { ...existing, ...req.body, [idField]: req.params.id }, { actor: req.identity }));
+        } catch (error) {
+          res.status(400).json({ error: error.message });
+        }
+      });
+
+      this.app.delete(`/api/${kind}/:id`, (req, res) => {
+        const references = this.router.getReferences(kind, req.params.id);
+        if (references.length > 0) {
+          return res.status(409).json({ error: `Cannot delete a ${label} that is still referenced`, references });
+        }
+
+        if (!this.router.remove(kind, req.params.id)) {
+          return res.status(404).json({ error: `Unknown ${label}` });
+        }
+        res.json({ message: `Deleted ${label} ${req.params.id}` });
+      });
+    }
+
+    // Inhibit rule endpoints
+    this.app.get('/api/inhibit-rules', (req, res) => {
+      const rules = this.inhibitor.getRules();
+      res.json({ rules, count: rules.length });
+    });
+
+    this.app.post('/api/inhibit-rules', (req, res) => {
+      try {
+        const rule = this.inhibitor.addRule(req.body, { actor: req.identity });
+        res.status(201).json(rule);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/api/inhibit-rules/:inhibitId', (req, res) => {
+      try {
+        const rule = this.inhibitor.addRule({ ...req.body, inhibit_id: req.params.inhibitId }, { actor: req.identity });
+        res.json(rule);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/inhibit-rules/:inhibitId', (req, res) => {
+      if (!this.inhibitor.deleteRule(req.params.inhibitId)) {
+        return res.status(404).json({ error: 'Inhibit rule not found' });
+      }
+      res.json({ message: 'Inhibit rule deleted' });
+    });
+
+    // Silence endpoints
+    this.app.get('/api/silences', (req, res) => {
+      const silences = this.silences.list({ status: req.query.status });
+      res.json({ silences, count: silences.length });
+    });
+
+    this.app.post('/api/silences', (req, res) => {
+      try {
+        const silence = this.silences.create(req.body, { actor: req.identity });
+        res.status(201).json(silence);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/silences/:silenceId', (req, res) => {
+      const silence = this.silences.get(req.params.silenceId);
+      if (!silence) {
+        return res.status(404).json({ error: 'Silence not found' });
+      }
+      res.json(silence);
+    });
+
+    this.app.put('/api/silences/:silenceId', (req, res) => {
+      try {
+        const silence = this.silences.update(req.params.silenceId, req.body, { actor: req.identity });
+        if (!silence) {
+          return res.status(404).json({ error: 'Silence not found' });
+        }
+        res.json(silence);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/silences/:silenceId', (req, res) => {
+      const silence = this.silences.expire(req.params.silenceId, { actor: req.identity });
+      if (!silence) {
+        return res.status(404).json({ error: 'Silence not found' });
+      }
+      res.json(silence);
+    });
+
     // Analytics endpoints
     this.app.get('/api/analytics/occupancy', (req, res) => {
       const stats = this.correlationProcessor.getOccupancyStats();
@@ -185,6 +1033,14 @@ class AnalyticsService {
       res.json(stats);
     });
 
+    this.app.get('/api/analytics/window-stats', (req, res) => {
+      res.json(this.windowStore.getStats());
+    });
+
+    this.app.get('/api/analytics/device-registry', (req, res) => {
+      res.json(this.deviceRegistry.getStats());
+    });
+
     // Event injection endpoint (for testing)
     this.app.post('/api/events', async (req, res) => {
       try {
@@ -231,6 +1087,69 @@ class AnalyticsService {
     });
   }
 
+  /**
+   * Resolve the identity for an API key
+   * @param {String} apiKey - Key from the X-API-Key header
+   * @returns {String|null} - Identity name, or null for unknown keys
+   */
+  resolveApiIdentity(apiKey) {
+    if (!apiKey) {
+      return null;
+    }
+
+    const namedKey = (this.config.get('api.api_keys') || []).find(entry => entry.key === apiKey);
+    if (namedKey) {
+      return namedKey.name;
+    }
+
+    if (apiKey === this.config.get('api.api_key')) {
+      return 'api_key';
+    }
+
+    return null;
+  }
+
+  /**
+   * Get throttle/dedup key filters from a query string
+   * @param {Object} query - Request query
+   * @returns {Object} - { rule_id, device_id, location }
+   */
+  getKeyFilters(query) {
+    return {
+      rule_id: query.rule_id,
+      device_id: query.device_id,
+      location: query.location
+    };
+  }
+
+  /**
+   * Get outbox filters from a query string
+   * @param {Object} query - Request query
+   * @returns {Object} - { status, channel, alert_id, rule_id }
+   */
+  getOutboxFilters(query) {
+    return {
+      status: query.status,
+      channel: query.channel,
+      alert_id: query.alert_id,
+      rule_id: query.rule_id
+    };
+  }
+
+  /**
+   * Get delivery log filters from a query string
+   * @param {Object} query - Request query
+   * @returns {Object}
+   */
+  getDeliveryLogFilters(query) {
+    return {
+      ...this.getOutboxFilters(query),
+      alert_level: query.alert_level,
+      from: query.from,
+      to: query.to
+    };
+  }
+
   /**
    * Start the service
    */
@@ -251,8 +1170,29 @@ class AnalyticsService {
     // Initialize notifier
     await this.notifier.initialize();
 
-    // Load default rules from templates
-    this.loadDefaultRules();
+    // Load device locations and tags used by rule targeting
+    await this.deviceRegistry.start();
+
+    // Load persisted rules, seeding defaults on first start
+    await this.storage.connect();
+    const loadedRules = await this.rulesEngine.load();
+    console.log(`Loaded ${loadedRules} rules from ${this.storage.driver} storage`);
+    await this.inhibitor.load();
+    await this.silences.load();
+    await this.alertStore.load();
+    await this.escalator.load();
+    await this.router.load();
+    await this.webhooks.load();
+    await this.pushSubscriptions.load();
+    await this.messageTemplates.load();
+    await this.outbox.load();
+    await this.deliveryLog.load();
+    await this.digests.load();
+    if (this.config.get('rules.directory')) {
+      await this.loadRulesDirectory();
+    } else if (loadedRules === 0) {
+      this.loadDefaultRules();
+    }
 
     // Setup API if enabled
     if (this.config.get('api.enabled')) {
@@ -264,8 +1204,13 @@ class AnalyticsService {
       });
     }
 
-    // Start worker
+    // Start worker, escalation checks and delivery retries
     await this.worker.start();
+    // Rules can also be removed from other instances or the rules directory, or leave their schedule
+    this.thresholdProcessor.startRuleChecks(ruleId => this.rulesEngine.getRule(ruleId));
+    this.escalator.start();
+    this.outbox.start();
+    this.digests.start();
 
     console.log('Analytics Service started successfully');
   }
@@ -278,15 +1223,44 @@ class AnalyticsService {
 
     await this.worker.stop();
 
+    if (this.ruleLoader) {
+      this.ruleLoader.stop();
+    }
+
+    this.deviceRegistry.stop();
+    this.thresholdProcessor.stopRuleChecks();
+    this.escalator.stop();
+    this.outbox.stop();
+    this.digests.stop();
+
     if (this.server) {
       this.server.close();
     }
 
+    await this.storage.close();
+
     console.log('Analytics Service stopped');
   }
 
+  /**
+   * Load rules from RULES_DIR and optionally watch it for changes
+   */
+  async loadRulesDirectory() {
+    this.ruleLoader = new RuleDirectoryLoader(this.rulesEngine, {
+      directory: this.config.get('rules.directory')
+    });
+
+    await this.ruleLoader.reload();
+
+    if (this.config.get('rules.watch')) {
+      this.ruleLoader.watch();
+      console.log(`Watching rules directory: ${this.config.get('rules.directory')}`);
+    }
+  }
+
   /**
    * Load default rules from templates
+   * Default rules use the template name as a stable rule ID
    */
   loadDefaultRules() {
     const defaultTemplates = [
@@ -298,12 +1272,23 @@ class AnalyticsService {
 
     for (const template of defaultTemplates) {
       try {
-        this.rulesEngine.createFromTemplate(template);
+        this.rulesEngine.createFromTemplate(template, { rule_id: template }, { actor: 'system' });
         console.log(`Loaded default rule: ${template}`);
       } catch (error) {
         console.warn(`Failed to load default rule ${template}:`, error.message);
       }
     }
+
+    // Critical gas alerts make the matching warning redundant
+    if (this.inhibitor.getRules().length === 0) {
+      this.inhibitor.addRule({
+        inhibit_id: 'gas_critical_inhibits_warning',
+        source: { rule_id: 'gas_high_critical' },
+        target: { rule_id: 'gas_high_warning' },
+        equal: ['device_id'],
+        description: 'Suppress gas warnings while the critical gas alert fires for the same device'
+      }, { actor: 'system' });
+    }
   }
 }
 
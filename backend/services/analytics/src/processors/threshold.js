@@ -3,10 +3,28 @@
  * Handles threshold-based alerting for sensor events
  */
 
+const expression = require('../alerts/expression');
+const { buildAlertKey, parseAlertKey, matchesAlertKey } = require('../alerts/matchers');
+const schedule = require('../alerts/schedule');
+const targeting = require('../alerts/targeting');
+const WindowStore = require('./window');
+
+const RESOLVE_REASONS = {
+  rule_deleted: 'rule deleted',
+  rule_disabled: 'rule disabled',
+  outside_schedule: 'outside the rule\'s active schedule'
+};
+
 class ThresholdProcessor {
-  constructor(alertNotifier) {
+  constructor(alertNotifier, windowStore = null, deviceRegistry = null) {
     this.alertNotifier = alertNotifier;
-    this.lastAlertTimes = new Map(); // For throttling
+    this.windowStore = windowStore; // Shared event history for window aggregates
+    this.deviceRegistry = deviceRegistry; // Device locations and tags for rule targeting
+    this.lastAlertTimes = new Map(); // Throttle key -> throttled until
+    this.pendingConditions = new Map(); // Sustained condition state per rule+device
+    this.activeAlerts = new Map(); // Firing alerts per rule+device
+    this.ruleCheckTimer = null;
+    this.checkingRules = false;
   }
 
   /**
@@ -17,6 +35,7 @@ class ThresholdProcessor {
    */
   async process(sensorData, rules) {
     const alerts = [];
+    const notifications = []; // { alert, rule } sent once every rule is evaluated
 
     for (const rule of rules) {
       if (this.shouldSkipRule(rule, sensorData)) {
@@ -24,68 +43,442 @@ class ThresholdProcessor {
       }
 
       const isViolated = this.evaluateCondition(sensorData, rule.condition);
-      
-      if (isViolated && !this.isThrottled(rule.rule_id)) {
+      const isSustained = this.updatePendingState(rule, sensorData, isViolated);
+      const active = this.activeAlerts.get(this.getStateKey(rule, sensorData));
+
+      if (active) {
+        if (this.isCleared(rule, sensorData, isViolated)) {
+          const resolved = this.resolveAlert(sensorData, rule, active);
+          alerts.push(resolved);
+
+          // Send resolved notifications on the same channels
+          notifications.push({ alert: resolved, rule });
+          continue;
+        }
+
+        active.value = this.extractRelevantValue(sensorData, rule.condition);
+        active.last_evaluated_at = new Date().toISOString();
+      }
+
+      const throttleKey = this.getThrottleKey(rule, sensorData);
+
+      if (isSustained && !this.isThrottled(throttleKey)) {
         const alert = this.createAlert(sensorData, rule);
         alerts.push(alert);
-        
-        // Send notifications
-        if (this.alertNotifier) {
-          await this.alertNotifier.notify(alert, rule.actions || []);
-        }
-        
+        this.markFiring(sensorData, rule, alert);
+        notifications.push({ alert, rule });
+
         // Update throttle timestamp
-        this.updateThrottle(rule.rule_id, rule.throttle_minutes || 0);
+        this.updateThrottle(throttleKey, rule.throttle_minutes || 0);
       }
     }
 
+    await this.sendNotifications(sensorData, notifications);
+
     return alerts;
   }
 
+  /**
+   * Send an event's notifications, resolutions first and then by severity
+   * Inhibition depends on this order: a critical alert must be seen before the
+   * warning it suppresses, whatever order the rules were evaluated in
+   * @param {Object} data - Sensor data
+   * @param {Array} notifications - Array of { alert, rule }
+   */
+  async sendNotifications(data, notifications) {
+    if (!this.alertNotifier) {
+      return;
+    }
+
+    const ordered = [...notifications].sort((a, b) => this.getNotifyOrder(a.alert) - this.getNotifyOrder(b.alert));
+
+    for (const { alert, rule } of ordered) {
+      const result = await this.alertNotifier.notify(alert, rule.actions || []);
+      if (alert.status !== 'resolved') {
+        this.updateNotificationState(data, rule, result);
+      }
+    }
+  }
+
+  /**
+   * Get the position of an alert in an event's notification order
+   * @param {Object} alert - Alert data
+   * @returns {Number} - Lower is sent first
+   */
+  getNotifyOrder(alert) {
+    if (alert.status === 'resolved') {
+      return 0;
+    }
+    return { critical: 1, warning: 2, info: 3 }[alert.alert_level] || 4;
+  }
+
+  /**
+   * Replay a sequence of samples through a rule without sending notifications
+   * @param {Object} rule - Alert rule
+   * @param {Array} samples - Sensor readings, optionally with timestamps
+   * @param {Object} options - { includeAlerts } to attach would-be alerts to fired entries
+   * @returns {Array} - Per-sample evaluation timeline
+   */
+  simulate(rule, samples, options = {}) {
+    // Use a fresh processor so simulated state never leaks into live processing
+    const sandbox = new ThresholdProcessor(
+      null,
+      new WindowStore({ deviceRegistry: this.deviceRegistry }),
+      this.deviceRegistry
+    );
+    const ordered = samples
+      .map(sample => ({ sample, time: sandbox.getEventTime(sample) }))
+      .sort((a, b) => a.time - b.time);
+
+    return ordered.map(({ sample, time }) => {
+      const entry = { timestamp: new Date(time).toISOString() };
+      sandbox.windowStore.record(sample, time);
+
+      if (sandbox.shouldSkipRule(rule, sample)) {
+        return { ...entry, skipped: true, fired: false };
+      }
+
+      if (!schedule.isScheduleActive(rule.active_schedule, new Date(time))) {
+        return { ...entry, skipped: true, outside_schedule: true, fired: false };
+      }
+
+      const conditionMet = sandbox.evaluateCondition(sample, rule.condition, time);
+      const isSustained = sandbox.updatePendingState(rule, sample, conditionMet, time);
+      const throttleKey = sandbox.getThrottleKey(rule, sample);
+      const throttled = isSustained && sandbox.isThrottled(throttleKey, time);
+      const pending = sandbox.pendingConditions.get(sandbox.getStateKey(rule, sample));
+
+      const fired = isSustained && !throttled;
+      const alert = fired && options.includeAlerts
+        ? { ...sandbox.createAlert(sample, rule), timestamp: entry.timestamp }
+        : null;
+
+      if (fired) {
+        sandbox.updateThrottle(throttleKey, rule.throttle_minutes || 0, time);
+      }
+
+      return {
+        ...entry,
+        device_id: sample.device_id,
+        condition_met: conditionMet,
+        pending_since: pending ? new Date(pending.since).toISOString() : null,
+        consecutive: pending ? pending.count : 0,
+        throttled,
+        fired,
+        ...(alert && { alert })
+      };
+    });
+  }
+
+  /**
+   * Track how long a rule's condition has held for a device
+   * Rules without for_seconds or min_consecutive are satisfied immediately
+   * @param {Object} rule - Alert rule
+   * @param {Object} data - Sensor data
+   * @param {Boolean} isViolated - Whether the condition currently holds
+   * @param {Number} now - Event time in milliseconds
+   * @returns {Boolean} - Whether the condition has been sustained long enough
+   */
+  updatePendingState(rule, data, isViolated, now = this.getEventTime(data)) {
+    if (!rule.for_seconds && !rule.min_consecutive) {
+      return isViolated;
+    }
+
+    const key = this.getStateKey(rule, data);
+
+    if (!isViolated) {
+      this.pendingConditions.delete(key);
+      return false;
+    }
+
+    let pending = this.pendingConditions.get(key);
+    if (!pending) {
+      pending = { rule_id: rule.rule_id, since: now, count: 0 };
+      this.pendingConditions.set(key, pending);
+    }
+    pending.count++;
+
+    const heldLongEnough = !rule.for_seconds || now - pending.since >= rule.for_seconds * 1000;
+    const enoughReadings = !rule.min_consecutive || pending.count >= rule.min_consecutive;
+
+    return heldLongEnough && enoughReadings;
+  }
+
+  /**
+   * Check whether a firing alert should resolve
+   * Uses clear_condition when set so rules can apply hysteresis
+   * @param {Object} rule - Alert rule
+   * @param {Object} data - Sensor data
+   * @param {Boolean} isViolated - Whether the firing condition currently holds
+   * @returns {Boolean}
+   */
+  isCleared(rule, data, isViolated) {
+    if (rule.clear_condition) {
+      return this.evaluateCondition(data, rule.clear_condition);
+    }
+    return !isViolated;
+  }
+
+  /**
+   * Record whether the last notification for a firing alert was delivered or suppressed
+   * @param {Object} data - Sensor data
+   * @param {Object} rule - Alert rule
+   * @param {Object} result - Result returned by notify()
+   */
+  updateNotificationState(data, rule, result) {
+    const active = this.activeAlerts.get(this.getStateKey(rule, data));
+    if (!active || !result) {
+      return;
+    }
+
+    active.notification_status = result.status || 'notified';
+    for (const key of ['inhibited_by', 'silenced_by']) {
+      if (result[key]) {
+        active[key] = result[key];
+      } else {
+        delete active[key];
+      }
+    }
+  }
+
+  /**
+   * Record an alert as firing for its rule+device
+   * @param {Object} data - Sensor data
+   * @param {Object} rule - Alert rule
+   * @param {Object} alert - Alert that was raised
+   */
+  markFiring(data, rule, alert) {
+    const key = this.getStateKey(rule, data);
+    const active = this.activeAlerts.get(key);
+
+    if (active) {
+      active.last_alert_id = alert.alert_id;
+      active.last_notified_at = alert.timestamp;
+      active.notification_count++;
+      return;
+    }
+
+    this.activeAlerts.set(key, {
+      alert_id: alert.alert_id,
+      rule_id: rule.rule_id,
+      status: 'firing',
+      alert_level: alert.alert_level,
+      sensor_type: data.sensor_type,
+      device_id: data.device_id,
+      location: alert.location,
+      tags: alert.tags,
+      actions: rule.actions || [],
+      condition: rule.condition,
+      clear_condition: rule.clear_condition,
+      value: alert.value,
+      message: alert.message,
+      started_at: alert.timestamp,
+      last_alert_id: alert.alert_id,
+      last_notified_at: alert.timestamp,
+      last_evaluated_at: alert.timestamp,
+      notification_count: 1
+    });
+  }
+
+  /**
+   * Resolve a firing alert
+   * @param {Object} data - Sensor data
+   * @param {Object} rule - Alert rule
+   * @param {Object} active - Active alert state
+   * @returns {Object} - Resolved alert
+   */
+  resolveAlert(data, rule, active) {
+    this.activeAlerts.delete(this.getStateKey(rule, data));
+
+    const now = new Date();
+    const value = this.extractRelevantValue(data, rule.condition);
+    const { location, tags } = targeting.resolveDevice(data, this.getRegisteredDevice(data));
+
+    return {
+      alert_id: this.generateAlertId(),
+      rule_id: rule.rule_id,
+      status: 'resolved',
+      alert_level: active.alert_level,
+      sensor_type: data.sensor_type,
+      device_id: data.device_id,
+      location,
+      tags,
+      timestamp: now.toISOString(),
+      resolves_alert_id: active.alert_id,
+      started_at: active.started_at,
+      duration_seconds: Math.round((now.getTime() - Date.parse(active.started_at)) / 1000),
+      condition: rule.clear_condition || rule.condition,
+      value: value,
+      message: `RESOLVED: ${rule.rule_id} - ${rule.clear_condition || `not (${rule.condition})`} (value: ${value})`,
+      data: data
+    };
+  }
+
+  /**
+   * Resolve a rule's firing alerts once the rule no longer applies, and forget
+   * its sustained conditions
+   * @param {String} ruleId - Rule identifier
+   * @param {String} reason - 'rule_deleted', 'rule_disabled' or 'outside_schedule'
+   * @returns {Array} - Resolved alerts
+   */
+  async resolveRuleAlerts(ruleId, reason) {
+    for (const [key, pending] of this.pendingConditions.entries()) {
+      if (pending.rule_id === ruleId) {
+        this.pendingConditions.delete(key);
+      }
+    }
+
+    const notifications = [];
+    for (const [key, active] of this.activeAlerts.entries()) {
+      if (active.rule_id !== ruleId) {
+        continue;
+      }
+
+      this.activeAlerts.delete(key);
+      const now = new Date();
+      const alert = {
+        alert_id: this.generateAlertId(),
+        rule_id: ruleId,
+        status: 'resolved',
+        alert_level: active.alert_level,
+        sensor_type: active.sensor_type,
+        device_id: active.device_id,
+        location: active.location,
+        tags: active.tags,
+        timestamp: now.toISOString(),
+        resolves_alert_id: active.alert_id,
+        started_at: active.started_at,
+        duration_seconds: Math.round((now.getTime() - Date.parse(active.started_at)) / 1000),
+        reason,
+        value: active.value,
+        message: `RESOLVED: ${ruleId} - ${RESOLVE_REASONS[reason] || reason}`
+      };
+      notifications.push({ alert, rule: { rule_id: ruleId, actions: active.actions } });
+    }
+
+    await this.sendNotifications(null, notifications);
+    return notifications.map(({ alert }) => alert);
+  }
+
+  /**
+   * Resolve the firing alerts of rules that were deleted, disabled or left
+   * their active_schedule since they fired
+   * @param {Function} getRule - ruleId => current rule, or null once deleted
+   * @param {Number} now - Reference time in milliseconds
+   * @returns {Array} - Resolved alerts
+   */
+  async resolveInactiveRules(getRule, now = Date.now()) {
+    const ruleIds = new Set([
+      ...Array.from(this.activeAlerts.values()).map(active => active.rule_id),
+      ...Array.from(this.pendingConditions.values()).map(pending => pending.rule_id)
+    ]);
+    const resolved = [];
+
+    for (const ruleId of ruleIds) {
+      const rule = getRule(ruleId);
+      const reason = !rule ? 'rule_deleted'
+        : !rule.enabled ? 'rule_disabled'
+          : !schedule.isScheduleActive(rule.active_schedule, new Date(now)) ? 'outside_schedule'
+            : null;
+      if (reason) {
+        resolved.push(...await this.resolveRuleAlerts(ruleId, reason));
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Check periodically for firing alerts whose rule no longer applies
+   * @param {Function} getRule - ruleId => current rule, or null once deleted
+   * @param {Number} intervalSeconds - Check interval in seconds
+   */
+  startRuleChecks(getRule, intervalSeconds = 30) {
+    this.ruleCheckTimer = setInterval(async () => {
+      if (this.checkingRules) {
+        return;
+      }
+
+      this.checkingRules = true;
+      try {
+        await this.resolveInactiveRules(getRule);
+      } catch (error) {
+        console.error('Failed to resolve alerts of inactive rules:', error);
+      } finally {
+        this.checkingRules = false;
+      }
+    }, intervalSeconds * 1000);
+    this.ruleCheckTimer.unref?.();
+  }
+
+  /**
+   * Stop checking for inactive rules
+   */
+  stopRuleChecks() {
+    clearInterval(this.ruleCheckTimer);
+    this.ruleCheckTimer = null;
+  }
+
+  /**
+   * Get currently firing alerts
+   * @param {Object} filters - Optional filters
+   * @returns {Array}
+   */
+  getActiveAlerts(filters = {}) {
+    let alerts = Array.from(this.activeAlerts.values());
+
+    if (filters.rule_id) {
+      alerts = alerts.filter(a => a.rule_id === filters.rule_id);
+    }
+
+    if (filters.device_id) {
+      alerts = alerts.filter(a => a.device_id === filters.device_id);
+    }
+
+    if (filters.alert_level) {
+      alerts = alerts.filter(a => a.alert_level === filters.alert_level);
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Get key for per rule+device state
+   * @param {Object} rule - Alert rule
+   * @param {Object} data - Sensor data
+   * @returns {String}
+   */
+  getStateKey(rule, data) {
+    return `${rule.rule_id}:${data.device_id}`;
+  }
+
+  /**
+   * Get event time, falling back to the current time
+   * @param {Object} data - Sensor data
+   * @returns {Number} - Milliseconds since epoch
+   */
+  getEventTime(data) {
+    const time = typeof data.timestamp === 'number' ? data.timestamp : Date.parse(data.timestamp);
+    return Number.isFinite(time) ? time : Date.now();
+  }
+
   /**
    * Evaluate condition expression
    * @param {Object} data - Sensor data
    * @param {String} condition - Condition expression
+   * @param {Number} now - Window end time for aggregates (defaults to now)
    * @returns {Boolean}
    */
-  evaluateCondition(data, condition) {
+  evaluateCondition(data, condition, now) {
     try {
-      // Parse simple conditions like "gas_concentration > 500" or "sensor.reading > 500"
-      const match = condition.match(/([\w.]+)\s*([><=!]+)\s*(\d+\.?\d*)/);
-      
-      if (!match) {
-        console.warn(`Invalid condition format: ${condition}`);
-        return false;
-      }
-
-      const [, field, operator, valueStr] = match;
-      const value = parseFloat(valueStr);
-      const dataValue = this.getNestedValue(data, field);
-
-      if (dataValue === undefined) {
-        return false;
-      }
-
-      switch (operator) {
-        case '>':
-          return dataValue > value;
-        case '>=':
-          return dataValue >= value;
-        case '<':
-          return dataValue < value;
-        case '<=':
-          return dataValue <= value;
-        case '==':
-        case '===':
-          return dataValue === value;
-        case '!=':
-        case '!==':
-          return dataValue !== value;
-        default:
-          return false;
-      }
+      const context = { windows: this.windowStore, now };
+      return Boolean(expression.getCompiled(condition).evaluate(data, context));
     } catch (error) {
-      console.error('Error evaluating condition:', error);
+      if (error instanceof expression.ExpressionError) {
+        console.warn(`Invalid condition format: ${condition} (${error.message})`);
+      } else {
+        console.error('Error evaluating condition:', error);
+      }
       return false;
     }
   }
@@ -97,47 +490,107 @@ class ThresholdProcessor {
    * @returns {*}
    */
   getNestedValue(obj, path) {
-    return path.split('.').reduce((current, key) => current?.[key], obj);
+    return expression.getNestedValue(obj, path);
   }
 
   /**
-   * Check if rule should be skipped based on sensor type
+   * Check if rule should be skipped based on sensor type, devices, location and tags
    * @param {Object} rule - Alert rule
    * @param {Object} data - Sensor data
    * @returns {Boolean}
    */
   shouldSkipRule(rule, data) {
-    if (rule.sensor_type && data.sensor_type !== rule.sensor_type) {
-      return true;
-    }
-    if (rule.device_id && data.device_id !== rule.device_id) {
-      return true;
+    return !targeting.matchesTarget(rule, data, this.getRegisteredDevice(data));
+  }
+
+  /**
+   * Get the device registry entry of the device that sent an event
+   * @param {Object} data - Sensor data
+   * @returns {Object|null}
+   */
+  getRegisteredDevice(data) {
+    return this.deviceRegistry ? this.deviceRegistry.getDevice(data.device_id) : null;
+  }
+
+  /**
+   * Get the throttle key for a rule and reading
+   * Rules throttle as a whole unless throttle_by scopes them, e.g. ['device_id']
+   * @param {Object} rule - Alert rule
+   * @param {Object} data - Sensor data
+   * @returns {String}
+   */
+  getThrottleKey(rule, data) {
+    if (!rule.throttle_by || rule.throttle_by.length === 0) {
+      return rule.rule_id;
     }
-    return false;
+
+    const { location } = targeting.resolveDevice(data, this.getRegisteredDevice(data));
+    return buildAlertKey({
+      rule_id: rule.rule_id,
+      alert_level: rule.alert_level,
+      sensor_type: data.sensor_type,
+      device_id: data.device_id,
+      location,
+      data
+    }, rule.throttle_by);
   }
 
   /**
    * Check if alert is throttled
-   * @param {String} ruleId - Rule identifier
+   * @param {String} key - Throttle key (see getThrottleKey)
+   * @param {Number} now - Reference time in milliseconds
    * @returns {Boolean}
    */
-  isThrottled(ruleId) {
-    const lastAlertTime = this.lastAlertTimes.get(ruleId);
-    return !!(lastAlertTime && Date.now() < lastAlertTime);
+  isThrottled(key, now = Date.now()) {
+    const lastAlertTime = this.lastAlertTimes.get(key);
+    return !!(lastAlertTime && now < lastAlertTime);
   }
 
   /**
    * Update throttle timestamp
-   * @param {String} ruleId - Rule identifier
+   * @param {String} key - Throttle key (see getThrottleKey)
    * @param {Number} throttleMinutes - Throttle duration in minutes
+   * @param {Number} now - Reference time in milliseconds
    */
-  updateThrottle(ruleId, throttleMinutes) {
+  updateThrottle(key, throttleMinutes, now = Date.now()) {
     if (throttleMinutes > 0) {
-      const throttleUntil = Date.now() + (throttleMinutes * 60 * 1000);
-      this.lastAlertTimes.set(ruleId, throttleUntil);
+      const throttleUntil = now + (throttleMinutes * 60 * 1000);
+      this.lastAlertTimes.set(key, throttleUntil);
     }
   }
 
+  /**
+   * Get active throttles
+   * Rule-wide throttles match any device_id or location filter
+   * @param {Object} filters - Optional rule_id, device_id and location filters
+   * @returns {Array} - Array of { key, rule_id, scope, throttled_until }
+   */
+  getThrottles(filters = {}) {
+    const now = Date.now();
+    const throttles = [];
+
+    for (const [key, throttledUntil] of this.lastAlertTimes.entries()) {
+      if (throttledUntil <= now) {
+        this.lastAlertTimes.delete(key);
+        continue;
+      }
+
+      if (!matchesAlertKey(key, filters)) {
+        continue;
+      }
+
+      const { rule_id: ruleId, scope } = parseAlertKey(key);
+      throttles.push({
+        key,
+        rule_id: ruleId,
+        scope,
+        throttled_until: new Date(throttledUntil).toISOString()
+      });
+    }
+
+    return throttles;
+  }
+
   /**
    * Create alert object
    * @param {Object} data - Sensor data
@@ -145,16 +598,24 @@ class ThresholdProcessor {
    * @returns {Object}
    */
   createAlert(data, rule) {
+    const pending = this.pendingConditions.get(this.getStateKey(rule, data));
+    // Silences, inhibit rules, routes and filters match on the registry location too
+    const { location, tags } = targeting.resolveDevice(data, this.getRegisteredDevice(data));
+
     return {
       alert_id: this.generateAlertId(),
       rule_id: rule.rule_id,
+      status: 'firing',
       alert_level: rule.alert_level || 'warning',
       sensor_type: data.sensor_type,
       device_id: data.device_id,
+      location,
+      tags,
       timestamp: new Date().toISOString(),
       condition: rule.condition,
       value: this.extractRelevantValue(data, rule.condition),
       message: this.generateMessage(data, rule),
+      ...(pending && { condition_since: new Date(pending.since).toISOString() }),
       data: data
     };
   }
@@ -166,12 +627,12 @@ class ThresholdProcessor {
    * @returns {*}
    */
   extractRelevantValue(data, condition) {
-    const match = condition.match(/(\w+)\s*[><=!]+/);
-    if (match) {
-      const field = match[1];
-      return this.getNestedValue(data, field);
+    try {
+      const [field] = expression.getCompiled(condition).fields;
+      return field ? this.getNestedValue(data, field) : null;
+    } catch (error) {
+      return null;
     }
-    return null;
   }
 
   /**
@@ -194,11 +655,31 @@ class ThresholdProcessor {
   }
 
   /**
-   * Clear throttle for a rule (useful for testing or manual reset)
+   * Clear throttles for a rule (useful for testing or manual reset)
    * @param {String} ruleId - Rule identifier
+   * @param {Object} filters - Optional device_id and location filters
+   * @returns {Number} - Number of throttles cleared
+   */
+  clearThrottle(ruleId, filters = {}) {
+    return this.clearThrottles({ ...filters, rule_id: ruleId });
+  }
+
+  /**
+   * Clear throttles matching rule_id, device_id and location filters
+   * @param {Object} filters - Filters, none to clear every throttle
+   * @returns {Number} - Number of throttles cleared
    */
-  clearThrottle(ruleId) {
-    this.lastAlertTimes.delete(ruleId);
+  clearThrottles(filters = {}) {
+    let cleared = 0;
+
+    for (const key of Array.from(this.lastAlertTimes.keys())) {
+      if (matchesAlertKey(key, filters)) {
+        this.lastAlertTimes.delete(key);
+        cleared++;
+      }
+    }
+
+    return cleared;
   }
 
   /**
@@ -207,6 +688,20 @@ class ThresholdProcessor {
   clearAllThrottles() {
     this.lastAlertTimes.clear();
   }
+
+  /**
+   * Clear sustained condition tracking
+   */
+  clearPendingState() {
+    this.pendingConditions.clear();
+  }
+
+  /**
+   * Clear firing alert state without sending resolved notifications
+   */
+  clearActiveAlerts() {
+    this.activeAlerts.clear();
+  }
 }
 
 module.exports = ThresholdProcessor;
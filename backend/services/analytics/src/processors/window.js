@@ -0,0 +1,166 @@
+/**
+ * Window Store
+ * Keeps bounded, time-ordered event history per device and per location
+ * for windowed aggregate conditions
+ */
+
+const targeting = require('../alerts/targeting');
+
+class WindowStore {
+  constructor(options = {}) {
+    this.maxSamples = options.maxSamples || 1000; // Per device/location
+    this.retentionMs = options.retentionMs || 60 * 60 * 1000;
+    this.deviceRegistry = options.deviceRegistry || null; // Locations of devices whose events carry none
+    this.series = {
+      device: new Map(),
+      location: new Map()
+    };
+    this.recordCount = 0;
+  }
+
+  /**
+   * Record an event in its device and location series
+   * @param {Object} event - Sensor event data
+   * @param {Number} time - Event time in milliseconds
+   */
+  record(event, time = Date.now()) {
+    for (const scope of Object.keys(this.series)) {
+      const key = this.getKey(scope, event);
+      if (!key) continue;
+
+      const series = this.series[scope];
+      if (!series.has(key)) {
+        series.set(key, []);
+      }
+
+      const samples = series.get(key);
+      const sample = { time, event };
+
+      // Keep samples ordered even if events arrive slightly out of order
+      let index = samples.length;
+      while (index > 0 && samples[index - 1].time > time) {
+        index--;
+      }
+      samples.splice(index, 0, sample);
+
+      this.trim(samples, time);
+    }
+
+    // Periodically drop series for devices that stopped reporting
+    if (++this.recordCount % 1000 === 0) {
+      this.prune(time);
+    }
+  }
+
+  /**
+   * Get samples within a window ending at the given time
+   * @param {String} scope - 'device' or 'location'
+   * @param {Object} event - Event identifying the device/location
+   * @param {Number} windowMs - Window length in milliseconds
+   * @param {Number} now - Window end time in milliseconds
+   * @returns {Array} - Samples as { time, event }
+   */
+  getSamples(scope, event, windowMs, now = Date.now()) {
+    this.ensureRetention(windowMs);
+
+    const series = this.series[scope];
+    const key = this.getKey(scope, event);
+    if (!series || !key || !series.has(key)) {
+      return [];
+    }
+
+    const start = now - windowMs;
+    return series.get(key).filter(sample => sample.time > start && sample.time <= now);
+  }
+
+  /**
+   * Get the series key for an event
+   * Locations come from the event or the device registry, like rule targeting
+   * @param {String} scope - 'device' or 'location'
+   * @param {Object} event - Sensor event data
+   * @returns {String|undefined}
+   */
+  getKey(scope, event) {
+    if (scope === 'location') {
+      const device = this.deviceRegistry ? this.deviceRegistry.getDevice(event.device_id) : null;
+      return targeting.resolveDevice(event, device).location || event.device_id;
+    }
+    return event.device_id;
+  }
+
+  /**
+   * Extend retention so the longest requested window stays available
+   * @param {Number} windowMs - Window length in milliseconds
+   */
+  ensureRetention(windowMs) {
+    if (windowMs > this.retentionMs) {
+      this.retentionMs = windowMs;
+    }
+  }
+
+  /**
+   * Drop samples outside retention and over the size limit
+   * @param {Array} samples - Ordered samples
+   * @param {Number} now - Reference time in milliseconds
+   */
+  trim(samples, now) {
+    const cutoff = now - this.retentionMs;
+    let expired = 0;
+    while (expired < samples.length && samples[expired].time <= cutoff) {
+      expired++;
+    }
+
+    const overflow = samples.length - expired - this.maxSamples;
+    const remove = expired + Math.max(overflow, 0);
+    if (remove > 0) {
+      samples.splice(0, remove);
+    }
+  }
+
+  /**
+   * Remove series with no samples inside retention
+   * @param {Number} now - Reference time in milliseconds
+   */
+  prune(now = Date.now()) {
+    for (const series of Object.values(this.series)) {
+      for (const [key, samples] of series.entries()) {
+        this.trim(samples, now);
+        if (samples.length === 0) {
+          series.delete(key);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get store statistics
+   * @returns {Object}
+   */
+  getStats() {
+    const stats = {
+      retention_ms: this.retentionMs,
+      max_samples: this.maxSamples
+    };
+
+    for (const [scope, series] of Object.entries(this.series)) {
+      let samples = 0;
+      for (const entries of series.values()) {
+        samples += entries.length;
+      }
+      stats[scope] = { keys: series.size, samples };
+    }
+
+    return stats;
+  }
+
+  /**
+   * Clear all series
+   */
+  clear() {
+    for (const series of Object.values(this.series)) {
+      series.clear();
+    }
+  }
+}
+
+module.exports = WindowStore;
@@ -0,0 +1,131 @@
+/**
+ * File Store
+ * Persists a collection of documents as a single JSON file
+ *
+ * Every write replaces the whole file, so saves made while a write is waiting
+ * share it: a burst of saves costs one or two rewrites, not one per save.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FileStore {
+  constructor(options = {}) {
+    this.collection = options.collection;
+    this.filePath = path.join(options.directory || './data', `${options.collection}.json`);
+    this.documents = new Map();
+    this.writeDelayMs = options.writeDelayMs || 0; // Waits this long before writing to batch more saves
+    this.writeQueue = Promise.resolve();
+    this.pendingWrite = null; // Next write, shared by saves made before it starts
+    this.counters = new Map(); // Counter ID -> value, see increment()
+  }
+
+  /**
+   * Load all documents from disk
+   * @returns {Array}
+   */
+  async load() {
+    try {
+      const content = await fs.promises.readFile(this.filePath, 'utf8');
+      const documents = JSON.parse(content);
+      this.documents = new Map(Object.entries(documents));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load ${this.filePath}: ${error.message}`);
+      }
+      this.documents = new Map();
+    }
+
+    return Array.from(this.documents.values());
+  }
+
+  /**
+   * Save a document
+   * @param {String} id - Document identifier
+   * @param {Object} document - Document to store
+   */
+  async save(id, document) {
+    this.documents.set(id, document);
+    await this.flush();
+  }
+
+  /**
+   * Remove a document
+   * @param {String} id - Document identifier
+   */
+  async remove(id) {
+    this.documents.delete(id);
+    await this.flush();
+  }
+
+  /**
+   * Claim a lease so only one instance acts on something
+   * A local file is only used by a single instance, so every claim succeeds
+   * @param {String} id - Claim identifier
+   * @param {Number} ttlMs - Lease duration in milliseconds
+   * @returns {Boolean}
+   */
+  async claim(id, ttlMs) {
+    return true;
+  }
+
+  /**
+   * Increment a counter and return its new value
+   * A local file is only used by a single instance, so counters live in memory
+   * @param {String} id - Counter identifier
+   * @param {Number} by - Amount to add
+   * @returns {Number}
+   */
+  async increment(id, by = 1) {
+    const value = (this.counters.get(id) || 0) + by;
+    this.counters.set(id, value);
+    return value;
+  }
+
+  /**
+   * Subscribe to changes made by other instances
+   * A local file is only used by a single instance, so there is nothing to sync
+   * @param {Function} handler - Change handler
+   */
+  async subscribe(handler) {}
+
+  /**
+   * Write documents to disk, one write at a time
+   * Resolves once a write that includes every change made so far completes
+   * @returns {Promise}
+   */
+  flush() {
+    if (!this.pendingWrite) {
+      const write = this.writeQueue
+        .then(() => this.writeDelayMs > 0 && new Promise(resolve => setTimeout(resolve, this.writeDelayMs)))
+        .then(() => {
+          this.pendingWrite = null;
+          return this.writeFile();
+        });
+      this.pendingWrite = write;
+      this.writeQueue = write.catch(() => {});
+    }
+    return this.pendingWrite;
+  }
+
+  /**
+   * Atomically replace the collection file
+   */
+  async writeFile() {
+    const content = JSON.stringify(Object.fromEntries(this.documents), null, 2);
+    const tempPath = `${this.filePath}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, content);
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  async close() {
+    await this.writeQueue;
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,102 @@
+/**
+ * Redis Store
+ * Persists a collection of documents in a Redis hash and broadcasts
+ * changes so other service instances stay in sync
+ */
+
+class RedisStore {
+  constructor(options = {}) {
+    this.storage = options.storage; // Provides connected client, subscriber and instanceId
+    this.collection = options.collection;
+    this.key = `${options.prefix || 'analytics'}:${options.collection}`;
+    this.channel = `${this.key}:changes`;
+  }
+
+  /**
+   * Load all documents
+   * @returns {Array}
+   */
+  async load() {
+    const hash = await this.storage.client.hGetAll(this.key);
+    return Object.values(hash).map(value => JSON.parse(value));
+  }
+
+  /**
+   * Save a document and notify other instances
+   * @param {String} id - Document identifier
+   * @param {Object} document - Document to store
+   */
+  async save(id, document) {
+    await this.storage.client.hSet(this.key, id, JSON.stringify(document));
+    await this.publish({ op: 'save', id, doc: document });
+  }
+
+  /**
+   * Remove a document and notify other instances
+   * @param {String} id - Document identifier
+   */
+  async remove(id) {
+    await this.storage.client.hDel(this.key, id);
+    await this.publish({ op: 'remove', id });
+  }
+
+  /**
+   * Claim a short-lived lease so only one instance acts on something
+   * @param {String} id - Claim identifier, e.g. a delivery and attempt
+   * @param {Number} ttlMs - Lease duration in milliseconds
+   * @returns {Boolean} - Whether this instance got the lease
+   */
+  async claim(id, ttlMs) {
+    const result = await this.storage.client.set(`${this.key}:claims:${id}`, this.storage.instanceId, {
+      NX: true,
+      PX: ttlMs
+    });
+    return result === 'OK';
+  }
+
+  /**
+   * Atomically increment a counter shared by every instance
+   * @param {String} id - Counter identifier, e.g. a rule ID
+   * @param {Number} by - Amount to add
+   * @returns {Number} - New value, never returned to another caller
+   */
+  async increment(id, by = 1) {
+    return this.storage.client.incrBy(`${this.key}:counters:${id}`, by);
+  }
+
+  /**
+   * Subscribe to changes made by other instances
+   * @param {Function} handler - Called with { op, id, doc }
+   */
+  async subscribe(handler) {
+    if (!this.storage.subscriber) {
+      return;
+    }
+
+    await this.storage.subscriber.subscribe(this.channel, (message) => {
+      try {
+        const change = JSON.parse(message);
+        if (change.instance_id !== this.storage.instanceId) {
+          handler(change);
+        }
+      } catch (error) {
+        console.error(`Invalid change message on ${this.channel}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Publish a change notification
+   * @param {Object} change - Change details
+   */
+  async publish(change) {
+    await this.storage.client.publish(this.channel, JSON.stringify({
+      ...change,
+      instance_id: this.storage.instanceId
+    }));
+  }
+
+  async close() {}
+}
+
+module.exports = RedisStore;
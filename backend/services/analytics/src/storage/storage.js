@@ -0,0 +1,87 @@
+/**
+ * Storage
+ * Creates persistent document collections backed by Redis when enabled,
+ * or by local JSON files otherwise
+ */
+
+const FileStore = require('./fileStore');
+const RedisStore = require('./redisStore');
+
+class Storage {
+  constructor(config = {}) {
+    this.config = config;
+    this.driver = config.storage?.driver || (config.redis?.enabled ? 'redis' : 'file');
+    this.instanceId = `${config.service?.name || 'analytics'}_${process.pid}_${Date.now()}`;
+    this.client = null;
+    this.subscriber = null;
+    this.collections = new Map();
+  }
+
+  /**
+   * Connect to the storage backend
+   */
+  async connect() {
+    if (this.driver !== 'redis' || this.client) {
+      return;
+    }
+
+    const redis = require('redis');
+
+    this.client = redis.createClient({
+      socket: {
+        host: this.config.redis?.host || 'localhost',
+        port: this.config.redis?.port || 6379
+      },
+      password: this.config.redis?.password
+    });
+    this.client.on('error', (error) => console.error('Storage Redis error:', error));
+    await this.client.connect();
+
+    // Pub/sub needs a dedicated connection
+    this.subscriber = this.client.duplicate();
+    this.subscriber.on('error', (error) => console.error('Storage Redis subscriber error:', error));
+    await this.subscriber.connect();
+
+    console.log('Connected to Redis storage');
+  }
+
+  /**
+   * Get a document collection
+   * @param {String} name - Collection name
+   * @returns {FileStore|RedisStore}
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      const store = this.driver === 'redis'
+        ? new RedisStore({ storage: this, collection: name, prefix: this.config.storage?.key_prefix })
+        : new FileStore({
+          collection: name,
+          directory: this.config.storage?.data_dir,
+          writeDelayMs: this.config.storage?.file_write_delay_ms
+        });
+      this.collections.set(name, store);
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Flush pending writes and close connections
+   */
+  async close() {
+    for (const store of this.collections.values()) {
+      await store.close();
+    }
+
+    if (this.subscriber) {
+      await this.subscriber.quit();
+      this.subscriber = null;
+    }
+
+    if (this.client) {
+      await this.client.quit();
+      this.client = null;
+    }
+  }
+}
+
+module.exports = Storage;
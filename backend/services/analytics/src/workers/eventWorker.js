@@ -216,6 +216,11 @@ class EventWorker {
     const startTime = Date.now();
 
     try {
+      // Record event for windowed rule conditions
+      if (this.processors.windows) {
+        this.processors.windows.record(event);
+      }
+
       // Run through threshold processor
       if (this.processors.threshold && this.processors.rules) {
         const rules = this.processors.rules.getRulesForSensor(event);
@@ -268,8 +273,9 @@ class EventWorker {
         value: JSON.stringify(event)
       });
 
-      // Trim old events (keep last 1000)
-      await this.redisClient.zRemRangeByRank(tsKey, 0, -1001);
+      // Trim old events (keep the configured history for backtesting)
+      const historySize = this.config.processing?.event_history_size || 1000;
+      await this.redisClient.zRemRangeByRank(tsKey, 0, -(historySize + 1));
 
     } catch (error) {
       console.error('Error storing event state:', error);
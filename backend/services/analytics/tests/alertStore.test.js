@@ -0,0 +1,145 @@
+/**
+ * Alert Store Tests
+ */
+
+const AlertStore = require('../src/alerts/alertStore');
+const AlertPipeline = require('../src/alerts/pipeline');
+const Silences = require('../src/alerts/silences');
+const AnomalyDetector = require('../src/processors/anomaly');
+const ThresholdProcessor = require('../src/processors/threshold');
+
+describe('AlertStore', () => {
+  const rule = {
+    rule_id: 'gas_high',
+    sensor_type: 'mq134',
+    condition: 'gas_concentration > 500',
+    alert_level: 'critical',
+    actions: ['email']
+  };
+  const reading = (deviceId, value) => ({ device_id: deviceId, sensor_type: 'mq134', location: 'lab', gas_concentration: value });
+
+  let alertStore;
+  let notifier;
+  let processor;
+
+  beforeEach(() => {
+    alertStore = new AlertStore();
+    notifier = { notify: jest.fn().mockResolvedValue({ deliveries: [] }) };
+    processor = new ThresholdProcessor(new AlertPipeline(notifier, { alertStore }));
+  });
+
+  describe('recording', () => {
+    test('should store alerts and resolve them when the condition clears', async () => {
+      const [fired] = await processor.process(reading('gas_1', 650), [rule]);
+      await processor.process(reading('gas_1', 100), [rule]);
+
+      const stored = alertStore.get(fired.alert_id);
+      expect(stored).toEqual(expect.objectContaining({
+        rule_id: 'gas_high',
+        device_id: 'gas_1',
+        location: 'lab',
+        status: 'resolved',
+        resolved_by: 'system',
+        notification_status: 'notified',
+        occurrences: 1
+      }));
+      expect(stored.activity.map(entry => entry.action)).toEqual(['triggered', 'resolved']);
+    });
+
+    test('should fold repeat notifications into the open alert', async () => {
+      const [fired] = await processor.process(reading('gas_1', 650), [rule]);
+      const [repeat] = await processor.process(reading('gas_1', 800), [rule]);
+
+      const { alerts, total } = alertStore.list({ device_id: 'gas_1' });
+      expect(total).toBe(1);
+      expect(alerts[0]).toEqual(expect.objectContaining({
+        alert_id: fired.alert_id,
+        last_alert_id: repeat.alert_id,
+        occurrences: 2,
+        value: 800
+      }));
+    });
+
+    test('should record suppressed alerts from every processor', async () => {
+      const silences = new Silences();
+      silences.create({ matchers: { device_id: 'gas_1' }, comment: 'Recalibrating', duration_minutes: 30 });
+      const pipeline = new AlertPipeline(notifier, { silences, alertStore });
+
+      await new AnomalyDetector(pipeline).process(reading('gas_1', 12000));
+
+      const [stored] = alertStore.list({ rule_id: 'anomaly_out_of_range' }).alerts;
+      expect(stored.notification_status).toBe('silenced');
+      expect(stored.auto_resolve).toBe(false);
+      expect(notifier.notify).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('workflow', () => {
+    let alertId;
+
+    beforeEach(async () => {
+      [{ alert_id: alertId }] = await processor.process(reading('gas_1', 650), [rule]);
+    });
+
+    test('should record who acknowledged, assigned, commented and resolved', () => {
+      alertStore.acknowledge(alertId, { actor: 'alice' });
+      alertStore.assign(alertId, 'bob', { actor: 'alice' });
+      const comment = alertStore.comment(alertId, 'Opened the windows', { actor: 'bob' });
+      alertStore.resolve(alertId, { comment: 'Ventilation fixed' }, { actor: 'bob' });
+
+      const stored = alertStore.get(alertId);
+      expect(stored).toEqual(expect.objectContaining({
+        status: 'resolved',
+        acknowledged_by: 'alice',
+        assigned_to: 'bob',
+        assigned_by: 'alice',
+        resolved_by: 'bob',
+        resolution: 'Ventilation fixed'
+      }));
+      expect(stored.comments).toEqual([comment]);
+      expect(stored.activity.map(entry => `${entry.action}:${entry.actor}`)).toEqual([
+        'triggered:system', 'acknowledged:alice', 'assigned:alice', 'commented:bob', 'resolved:bob'
+      ]);
+    });
+
+    test('should keep the operator resolution when the condition clears later', async () => {
+      alertStore.resolve(alertId, {}, { actor: 'alice' });
+      await processor.process(reading('gas_1', 100), [rule]);
+
+      const stored = alertStore.get(alertId);
+      expect(stored.resolved_by).toBe('alice');
+      expect(stored.cleared_at).toBeDefined();
+    });
+
+    test('should reject empty comments and invalid assignees', () => {
+      expect(() => alertStore.comment(alertId, '  ')).toThrow('text is required');
+      expect(() => alertStore.assign(alertId, 42)).toThrow('assignee must be a non-empty string or null');
+      expect(alertStore.acknowledge('missing')).toBeNull();
+    });
+  });
+
+  describe('list', () => {
+    test('should filter and paginate newest first', async () => {
+      for (const deviceId of ['gas_1', 'gas_2', 'gas_3']) {
+        await processor.process(reading(deviceId, 650), [rule]);
+      }
+      alertStore.acknowledge(alertStore.list({ device_id: 'gas_2' }).alerts[0].alert_id);
+
+      const page = alertStore.list({ status: 'open' }, { limit: 1, offset: 1 });
+      expect(page.total).toBe(2);
+      expect(page.alerts).toHaveLength(1);
+      expect(page.limit).toBe(1);
+      expect(alertStore.list({ status: 'open,acknowledged', location: 'l*' }).total).toBe(3);
+    });
+
+    test('should drop the oldest alerts beyond maxAlerts', () => {
+      alertStore = new AlertStore({ maxAlerts: 2 });
+      for (const alertId of ['a1', 'a2', 'a3']) {
+        alertStore.record({ alert_id: alertId, rule_id: 'anomaly_flatline', device_id: 'd1' });
+      }
+
+      expect(alertStore.get('a1')).toBeNull();
+      expect(alertStore.list().total).toBe(2);
+    });
+  });
+});
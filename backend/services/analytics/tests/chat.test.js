@@ -0,0 +1,154 @@
+/**
+ * Chat Channel Tests
+ * Slack, Teams and Telegram messages are posted to a local mock HTTP server
+ */
+
+const http = require('http');
+const AlertNotifier = require('../src/alerts/notifier');
+
+describe('Chat channels', () => {
+  const alert = {
+    alert_id: 'alert_1',
+    rule_id: 'gas_high_critical',
+    status: 'firing',
+    alert_level: 'critical',
+    sensor_type: 'mq134',
+    device_id: 'gas_1',
+    location: 'building-a/floor-2',
+    value: 850,
+    message: 'Gas <high> & rising',
+    timestamp: '2025-01-06T10:00:00.000Z'
+  };
+
+  let server;
+  let baseUrl;
+  let requests;
+  let failPaths;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ path: req.url, body: JSON.parse(body) });
+        const failed = failPaths.some(path => req.url.startsWith(path));
+        res.writeHead(failed ? 400 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(failed ? { ok: false, description: 'Bad Request: chat not found' } : { ok: true }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    failPaths = [];
+  });
+
+  const createNotifier = (config = {}) => new AlertNotifier({
+    alerting: { alert_url_template: 'https://ops.example.com/alerts/{{alert.alert_id}}' },
+    slack: { webhook_urls: [`${baseUrl}/slack/ops`, `${baseUrl}/slack/oncall`] },
+    teams: { webhook_urls: [`${baseUrl}/teams/ops`] },
+    telegram: { bot_token: '123:abc', chat_ids: ['-1001', '-1002'], api_url: baseUrl },
+    ...config
+  });
+
+  test('should post a colour-coded Block Kit message to every Slack webhook', async () => {
+    const result = await createNotifier().notify(alert, ['slack']);
+
+    expect(result.deliveries[0].status).toBe('sent');
+    expect(requests.map(request => request.path)).toEqual(['/slack/ops', '/slack/oncall']);
+
+    const message = requests[0].body;
+    expect(message.text).toBe('[CRITICAL] Sensor Alert - gas_1');
+    expect(message.attachments[0].color).toBe('#dc2626');
+    const [header, text, details, actions] = message.attachments[0].blocks;
+    expect(header.text.text).toBe('[CRITICAL] Sensor Alert - gas_1');
+    expect(text.text.text).toBe('Gas &lt;high&gt; &amp; rising');
+    expect(details.fields.map(field => field.text)).toContain('*Location*\nbuilding-a/floor-2');
+    expect(details.fields.map(field => field.text)).toContain('*Value*\n850');
+    expect(actions.elements[0]).toEqual(expect.objectContaining({
+      url: 'https://ops.example.com/alerts/alert_1',
+      style: 'danger'
+    }));
+  });
+
+  test('should post an Adaptive Card to Teams in the channel locale', async () => {
+    const notifier = createNotifier({ teams: { webhook_urls: [`${baseUrl}/teams/ops`], locale: 'es' } });
+
+    await notifier.sendTeams({ ...alert, alert_level: 'warning' });
+
+    const [attachment] = requests[0].body.attachments;
+    expect(requests[0].body.type).toBe('message');
+    expect(attachment.contentType).toBe('application/vnd.microsoft.card.adaptive');
+    const [title, text, facts] = attachment.content.body;
+    expect(title.style).toBe('warning');
+    expect(title.items[0].text).toBe('[ADVERTENCIA] Alerta de sensor - gas_1');
+    expect(text.text).toBe('Gas <high> & rising');
+    expect(facts.facts).toContainEqual({ title: 'Ubicación', value: 'building-a/floor-2' });
+    expect(attachment.content.actions).toEqual([
+      { type: 'Action.OpenUrl', title: 'Ver alerta', url: 'https://ops.example.com/alerts/alert_1' }
+    ]);
+  });
+
+  test('should send an HTML Telegram message to every chat through the bot', async () => {
+    await createNotifier().sendTelegram({ ...alert, status: 'resolved' });
+
+    expect(requests.map(request => request.path)).toEqual(['/bot123:abc/sendMessage', '/bot123:abc/sendMessage']);
+    expect(requests.map(request => request.body.chat_id)).toEqual(['-1001', '-1002']);
+
+    const message = requests[0].body;
+    expect(message.parse_mode).toBe('HTML');
+    expect(message.text).toMatch(/^✅ <b>\[RESOLVED CRITICAL\] Sensor Alert - gas_1<\/b>\nGas &lt;high&gt; &amp; rising\n/);
+    expect(message.text).toContain('<b>Device:</b> gas_1');
+    expect(message.reply_markup.inline_keyboard[0][0].url).toBe('https://ops.example.com/alerts/alert_1');
+  });
+
+  test('should leave out the alert link when no URL template is configured', async () => {
+    await createNotifier({ alerting: {} }).sendSlack(alert);
+
+    expect(requests[0].body.attachments[0].blocks.map(block => block.type)).toEqual(['header', 'section', 'section']);
+  });
+
+  test('should queue a failed Telegram delivery for retry', async () => {
+    failPaths = ['/bot123:abc'];
+    const notifier = createNotifier();
+
+    const failed = await notifier.notify(alert, ['telegram']);
+    expect(failed.deliveries[0].status).toBe('failed');
+    expect(failed.deliveries[0].error).toBe('telegram delivery failed: Bad Request: chat not found; Bad Request: chat not found');
+
+    failPaths = [];
+    const retry = await notifier.outbox.tick(Date.now() + 3600 * 1000);
+    expect(retry).toBe(1);
+    expect(notifier.outbox.list()).toHaveLength(0);
+  });
+
+  test('should resend a partial Slack delivery to the failed webhook only', async () => {
+    failPaths = ['/slack/oncall'];
+    const notifier = createNotifier();
+
+    const result = await notifier.notify(alert, ['slack']);
+    expect(result.deliveries[0].status).toBe('partial');
+    const [entry] = notifier.outbox.list();
+    expect(entry.targets).toEqual([`${baseUrl}/slack/oncall`]);
+
+    failPaths = [];
+    requests = [];
+    await notifier.outbox.tick(Date.now() + 3600 * 1000);
+    expect(requests.map(request => request.path)).toEqual(['/slack/oncall']);
+  });
+
+  test('should skip channels that are not configured', async () => {
+    const notifier = new AlertNotifier({});
+
+    await expect(notifier.sendSlack(alert)).resolves.toEqual(expect.objectContaining({ status: 'skipped', reason: 'not_configured' }));
+    await expect(notifier.sendTeams(alert)).resolves.toEqual(expect.objectContaining({ status: 'skipped', reason: 'not_configured' }));
+    await expect(notifier.sendTelegram(alert)).resolves.toEqual(expect.objectContaining({ status: 'skipped', reason: 'not_configured' }));
+    expect(requests).toHaveLength(0);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Delivery Log Tests
+ */
+
+const DeliveryLog = require('../src/alerts/deliveryLog');
+const DeliveryOutbox = require('../src/alerts/outbox');
+const AlertNotifier = require('../src/alerts/notifier');
+
+describe('DeliveryLog', () => {
+  const SECOND = 1000;
+  const now = Date.parse('2025-01-06T08:00:00Z');
+  const gas = { alert_id: 'alert_gas', rule_id: 'gas_high_critical', alert_level: 'critical', timestamp: '2025-01-06T07:59:58.000Z' };
+  const presence = { alert_id: 'alert_presence', rule_id: 'presence_detected', alert_level: 'info', timestamp: '2025-01-06T07:59:59.000Z' };
+  let deliver;
+  let log;
+  let outbox;
+
+  beforeEach(() => {
+    deliver = jest.fn();
+    log = new DeliveryLog();
+    outbox = new DeliveryOutbox({ deliver, log, maxAttempts: 2, backoffBaseSeconds: 60 });
+  });
+
+  test('should record every outbox attempt with its targets and latency', async () => {
+    deliver
+      .mockResolvedValueOnce({
+        channel: 'sms',
+        status: 'partial',
+        results: [{ recipient: '+34600000001', status: 'sent' }, { recipient: '+34600000002', status: 'failed', error: 'busy' }]
+      })
+      .mockResolvedValueOnce({ channel: 'sms', status: 'failed', error: 'SMS delivery failed: busy' });
+
+    await outbox.send(gas, 'sms', now);
+    await outbox.tick(now + 60 * SECOND);
+
+    const [retry, first] = log.query({ alert_id: 'alert_gas' });
+    expect(first).toEqual(expect.objectContaining({
+      rule_id: 'gas_high_critical',
+      alert_level: 'critical',
+      channel: 'sms',
+      attempt: 1,
+      status: 'partial',
+      error: '+34600000002: busy',
+      targets: [{ target: '+34600000001', status: 'sent' }, { target: '+34600000002', status: 'failed' }],
+      retry_at: '2025-01-06T08:01:00.000Z'
+    }));
+    expect(first.latency_ms).toBeGreaterThanOrEqual(2000);
+    expect(first.delivery_id).toBe(retry.delivery_id);
+    expect(retry).toEqual(expect.objectContaining({ attempt: 2, status: 'failed', dead_lettered: true }));
+  });
+
+  test('should count a delivery none of whose targets were reached as failed', async () => {
+    const notifier = new AlertNotifier({ sms: { recipients: ['+34600000001', '+34600000002'] } });
+    notifier.smsClient = { messages: { create: jest.fn().mockRejectedValue(new Error('unreachable')) } };
+
+    const { deliveries: [delivery] } = await notifier.notify(gas, ['sms']);
+
+    expect(delivery.status).toBe('failed');
+    expect(notifier.outbox.list()[0].targets).toEqual(['+34600000001', '+34600000002']);
+    expect(notifier.deliveryLog.getStats().by_channel.sms).toEqual(expect.objectContaining({
+      attempts: 1,
+      partial: 0,
+      failed: 1,
+      success_rate: 0,
+      latency_ms: null
+    }));
+  });
+
+  test('should filter and page entries, newest first', async () => {
+    deliver.mockImplementation(async (alert, channel) => ({ channel, status: channel === 'email' ? 'failed' : 'sent' }));
+
+    await outbox.send(gas, 'sms', now);
+    await outbox.send(gas, 'email', now + SECOND);
+    await outbox.send(presence, 'webhook', now + 2 * SECOND);
+
+    expect(log.query({ rule_id: 'gas_high_critical' }).map(entry => entry.channel)).toEqual(['email', 'sms']);
+    expect(log.query({ status: 'sent,skipped' }).map(entry => entry.channel)).toEqual(['webhook', 'sms']);
+    expect(log.query({ channel: 'email', status: 'sent' })).toEqual([]);
+    expect(log.query({ from: '2025-01-06T08:00:01Z', to: '2025-01-06T08:00:01.500Z' }).map(entry => entry.channel))
+      .toEqual(['email']);
+
+    const page = log.list({}, { limit: 2, offset: 1 });
+    expect(page).toEqual(expect.objectContaining({ total: 3, limit: 2, offset: 1 }));
+    expect(page.deliveries.map(entry => entry.channel)).toEqual(['email', 'sms']);
+  });
+
+  test('should compute bucketed success, failure and latency per channel and rule', () => {
+    const at = minutes => new Date(now + minutes * 60 * SECOND).toISOString();
+    log.record({ rule_id: 'gas_high_critical', channel: 'sms', status: 'sent', latency_ms: 1000, timestamp: at(1) });
+    log.record({ rule_id: 'gas_high_critical', channel: 'sms', status: 'failed', latency_ms: 30000, timestamp: at(2) });
+    log.record({ rule_id: 'gas_high_critical', channel: 'sms', status: 'sent', latency_ms: 3000, timestamp: at(61) });
+    log.record({ rule_id: 'presence_detected', channel: 'email', status: 'skipped', reason: 'not_configured', timestamp: at(3) });
+
+    const stats = log.getStats({}, 60);
+
+    expect(stats.total).toBe(4);
+    expect(stats.by_channel.sms).toEqual(expect.objectContaining({
+      attempts: 3,
+      sent: 2,
+      failed: 1,
+      success_rate: 0.667,
+      latency_ms: { avg: 2000, p50: 1000, p95: 3000, max: 3000 }
+    }));
+    expect(stats.by_channel.sms.buckets.map(bucket => [bucket.start, bucket.sent, bucket.failed])).toEqual([
+      ['2025-01-06T08:00:00.000Z', 1, 1],
+      ['2025-01-06T09:00:00.000Z', 1, 0]
+    ]);
+    expect(stats.by_channel.email).toEqual(expect.objectContaining({ skipped: 1, success_rate: null, latency_ms: null }));
+    expect(Object.keys(stats.by_rule)).toEqual(['gas_high_critical', 'presence_detected']);
+    expect(log.getStats({ rule_id: 'presence_detected' }).by_channel.sms).toBeUndefined();
+  });
+
+  test('should drop entries past retention or beyond the maximum', () => {
+    log = new DeliveryLog({ maxEntries: 2, retentionDays: 1 });
+    const day = 24 * 60 * 60 * SECOND;
+    log.record({ channel: 'sms', status: 'sent', timestamp: new Date(now).toISOString() });
+    log.record({ channel: 'sms', status: 'sent', timestamp: new Date(now + day / 2).toISOString() });
+    log.record({ channel: 'sms', status: 'sent', timestamp: new Date(now + day / 2 + SECOND).toISOString() });
+    expect(log.getTotals()).toEqual({ total: 2, by_channel: { sms: 2 }, by_status: { sent: 2 } });
+
+    log.record({ channel: 'email', status: 'failed', timestamp: new Date(now + 2 * day).toISOString() });
+    expect(log.getTotals()).toEqual({ total: 1, by_channel: { email: 1 }, by_status: { failed: 1 } });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Alert Digest Tests
+ */
+
+const AlertNotifier = require('../src/alerts/notifier');
+const DigestBatcher = require('../src/alerts/digest');
+
+describe('Alert digests', () => {
+  const start = Date.parse('2025-01-06T10:00:00Z');
+  const presence = (location, minutes, device = 'ld2410_1') => ({
+    alert_id: `alert_${location}_${minutes}_${device}`,
+    rule_id: 'presence_detected',
+    alert_level: 'info',
+    sensor_type: 'ld2410',
+    device_id: device,
+    location,
+    message: 'Presence detected in area',
+    timestamp: new Date(start + minutes * 60 * 1000).toISOString()
+  });
+
+  let rules;
+  let notifier;
+
+  beforeEach(() => {
+    rules = {};
+    notifier = new AlertNotifier({
+      alerting: { dedup_window_minutes: 0, level_delivery_modes: { info: 'digest' } },
+      digest: { interval_minutes: 15 }
+    }, { getRule: ruleId => rules[ruleId] || null });
+    jest.spyOn(notifier, 'deliver').mockImplementation(async (alert, channel) => ({
+      channel,
+      status: 'sent',
+      timestamp: new Date().toISOString()
+    }));
+  });
+
+  test('should queue alerts in digest mode instead of delivering them', async () => {
+    const result = await notifier.notify(presence('building-a/floor-1', 0), ['webhook', 'email']);
+
+    expect(result.status).toBe('digested');
+    expect(result.deliveries.map(delivery => delivery.status)).toEqual(['digested', 'digested']);
+    expect(notifier.deliver).not.toHaveBeenCalled();
+    expect(notifier.digests.list().map(group => group.group_id)).toEqual([
+      'email|building-a/floor-1|presence_detected',
+      'webhook|building-a/floor-1|presence_detected'
+    ]);
+  });
+
+  test('should send critical alerts and escalations immediately', async () => {
+    rules.gas_high_critical = { rule_id: 'gas_high_critical', delivery_mode: 'digest' };
+
+    await notifier.notify({ ...presence('lab', 0), rule_id: 'gas_high_critical', alert_level: 'critical' }, ['webhook']);
+    await notifier.notify({ ...presence('lab', 1), escalation: { policy_id: 'p', step: 1, of: 2 } }, ['webhook']);
+
+    expect(notifier.deliver).toHaveBeenCalledTimes(2);
+    expect(notifier.digests.list()).toHaveLength(0);
+  });
+
+  test('should let rules choose their delivery mode', async () => {
+    notifier.config.alerting.level_delivery_modes = {};
+    rules.temperature_high = { rule_id: 'temperature_high', delivery_mode: 'digest' };
+    rules.presence_detected = { rule_id: 'presence_detected', delivery_mode: 'immediate' };
+
+    await notifier.notify({ ...presence('lab', 0), rule_id: 'temperature_high', alert_level: 'warning' }, ['webhook']);
+    await notifier.notify(presence('lab', 1), ['webhook']);
+
+    expect(notifier.digests.list().map(group => group.rule_id)).toEqual(['temperature_high']);
+    expect(notifier.deliver).toHaveBeenCalledTimes(1);
+  });
+
+  test('should send one summary per channel grouped by location and rule', async () => {
+    notifier.config.alerting.level_delivery_modes.warning = 'digest';
+    await notifier.notify(presence('building-a/floor-1', 0, 'ld2410_1'), ['webhook']);
+    await notifier.notify(presence('building-a/floor-1', 5, 'ld2410_2'), ['webhook']);
+    await notifier.notify(presence('building-a/floor-2', 7), ['webhook']);
+    await notifier.notify({ ...presence('building-a/floor-1', 9), rule_id: 'motion_detected', alert_level: 'warning' }, ['webhook']);
+
+    expect(await notifier.digests.tick(start + 14 * 60 * 1000)).toBe(0);
+    expect(await notifier.digests.tick(start + 15 * 60 * 1000)).toBe(1);
+
+    expect(notifier.deliver).toHaveBeenCalledTimes(1);
+    const [digest, channel] = notifier.deliver.mock.calls[0];
+    expect(channel).toBe('webhook');
+    expect(digest.rule_id).toBe('digest');
+    expect(digest.alert_level).toBe('warning');
+    expect(digest.digest).toEqual(expect.objectContaining({
+      channel: 'webhook',
+      total: 4,
+      group_count: 3,
+      from: '2025-01-06T10:00:00.000Z',
+      to: '2025-01-06T10:09:00.000Z'
+    }));
+    expect(digest.digest.groups[1]).toEqual(expect.objectContaining({
+      location: 'building-a/floor-1',
+      rule_id: 'presence_detected',
+      count: 2,
+      first_seen: '2025-01-06T10:00:00.000Z',
+      last_seen: '2025-01-06T10:05:00.000Z',
+      devices: ['ld2410_1', 'ld2410_2']
+    }));
+    expect(notifier.digests.list()).toHaveLength(0);
+  });
+
+  test('should render the digest with the built-in digest template', async () => {
+    await notifier.notify(presence('building-a/floor-1', 0), ['email']);
+    await notifier.notify(presence('building-a/floor-1', 3), ['email']);
+    await notifier.digests.flushAll(start + 60 * 60 * 1000);
+
+    const [digest] = notifier.deliver.mock.calls[0];
+    const message = notifier.renderMessage(digest, 'en');
+    expect(message.subject).toBe('[INFO] Alert digest: 2 alerts');
+    expect(message.text).toContain(
+      '- building-a/floor-1 / presence_detected: 2 (first 2025-01-06T10:00:00.000Z, last 2025-01-06T10:03:00.000Z)'
+    );
+    expect(notifier.renderMessage(digest, 'es').subject).toBe('[INFORMATIVA] Resumen de alertas: 2 alertas');
+  });
+
+  test('should send each digest from only one instance sharing the store', async () => {
+    const claims = new Set();
+    const store = {
+      save: jest.fn().mockResolvedValue(),
+      remove: jest.fn().mockResolvedValue(),
+      claim: jest.fn(async id => !claims.has(id) && Boolean(claims.add(id)))
+    };
+    const send = jest.fn().mockResolvedValue({ status: 'sent' });
+    const first = new DigestBatcher({ store, send, intervalMinutes: 15 });
+    const second = new DigestBatcher({ store, send, intervalMinutes: 15 });
+    first.add(presence('lobby', 0), 'email');
+    second.groups = new Map(first.groups);
+
+    const ticks = await Promise.all([
+      first.tick(start + 15 * 60 * 1000),
+      second.tick(start + 15 * 60 * 1000)
+    ]);
+
+    expect(ticks.sort()).toEqual([0, 1]);
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(store.claim).toHaveBeenCalledWith('email:2025-01-06T10:00:00.000Z', 300000);
+  });
+
+  test('should queue the groups again when sending the digest fails', async () => {
+    const send = jest.fn();
+    const digests = new DigestBatcher({ send, intervalMinutes: 15 });
+    digests.add(presence('lobby', 0), 'email');
+    send.mockImplementationOnce(async () => {
+      digests.add(presence('lobby', 3, 'ld2410_2'), 'email');
+      throw new Error('outbox unavailable');
+    });
+
+    await expect(digests.flush('email', start + 15 * 60 * 1000)).rejects.toThrow('outbox unavailable');
+
+    expect(digests.list()).toEqual([expect.objectContaining({
+      count: 2,
+      first_seen: '2025-01-06T10:00:00.000Z',
+      last_seen: '2025-01-06T10:03:00.000Z',
+      devices: ['ld2410_1', 'ld2410_2']
+    })]);
+  });
+
+  test('should send at the scheduled times of day in the digest timezone', async () => {
+    const send = jest.fn().mockResolvedValue({ status: 'sent' });
+    const digests = new DigestBatcher({ send, at: ['17:00', '08:00'], timezone: 'Europe/Madrid' });
+    digests.add(presence('lobby', 0), 'email');
+
+    // 10:00 UTC is 11:00 in Madrid, after the 08:00 slot
+    expect(digests.getSlot(start)).toBe('2025-01-06 08:00');
+    expect(digests.getSlot(Date.parse('2025-01-06T06:00:00Z'))).toBe('2025-01-05 17:00');
+
+    expect(await digests.tick(start)).toBe(0);
+    expect(await digests.tick(Date.parse('2025-01-06T15:59:00Z'))).toBe(0);
+    expect(await digests.tick(Date.parse('2025-01-06T16:00:00Z'))).toBe(1);
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ rule_id: 'digest' }), 'email');
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Escalation Tests
+ */
+
+const Escalator = require('../src/alerts/escalation');
+const AlertStore = require('../src/alerts/alertStore');
+const Silences = require('../src/alerts/silences');
+
+describe('Escalator', () => {
+  const MINUTE = 60 * 1000;
+  let alertStore;
+  let notifier;
+  let escalator;
+  let triggeredAt;
+
+  const policy = {
+    policy_id: 'critical_gas',
+    matchers: { alert_level: 'critical' },
+    steps: [
+      { after_minutes: 0, actions: ['email'] },
+      { after_minutes: 5, actions: ['sms'] },
+      { after_minutes: 15, actions: ['webhook'] }
+    ]
+  };
+
+  const recordAlert = (overrides = {}) => alertStore.record({
+    alert_id: 'alert_1',
+    rule_id: 'gas_high_critical',
+    status: 'firing',
+    alert_level: 'critical',
+    device_id: 'gas_1',
+    message: 'CRITICAL: gas_high_critical',
+    timestamp: new Date(triggeredAt).toISOString(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    alertStore = new AlertStore();
+    notifier = {
+      notify: jest.fn().mockResolvedValue({ deliveries: [{ channel: 'sms', status: 'sent' }] })
+    };
+    escalator = new Escalator({ alertStore, notifier });
+    escalator.savePolicy(policy, { actor: 'alice' });
+    triggeredAt = Date.now() + 1000;
+  });
+
+  test('should run each step once it is due until the alert is acknowledged', async () => {
+    recordAlert();
+
+    expect(await escalator.tick(triggeredAt)).toBe(1);
+    expect(await escalator.tick(triggeredAt + 1000)).toBe(0);
+    expect(await escalator.tick(triggeredAt + 5 * MINUTE)).toBe(1);
+
+    expect(notifier.notify.mock.calls.map(([, actions]) => actions)).toEqual([['email'], ['sms']]);
+    const [escalated, , options] = notifier.notify.mock.calls[1];
+    expect(escalated.escalation).toEqual({ policy_id: 'critical_gas', step: 2, of: 3 });
+    expect(options).toEqual({ dedup: false });
+
+    alertStore.acknowledge('alert_1', { actor: 'bob' });
+    expect(await escalator.tick(triggeredAt + 20 * MINUTE)).toBe(0);
+
+    const stored = alertStore.get('alert_1');
+    expect(stored.escalation.next_step).toBe(2);
+    expect(stored.activity.map(entry => `${entry.action}:${entry.step || entry.actor}`)).toEqual([
+      'triggered:system', 'escalated:1', 'escalated:2', 'acknowledged:bob'
+    ]);
+    expect(stored.activity[2].deliveries).toEqual([{ channel: 'sms', status: 'sent' }]);
+  });
+
+  test('should send each step from only one instance sharing the store', async () => {
+    const claims = new Set();
+    const store = {
+      save: jest.fn().mockResolvedValue(),
+      claim: jest.fn(async id => !claims.has(id) && Boolean(claims.add(id)))
+    };
+    const first = new Escalator({ store, alertStore, notifier });
+    const second = new Escalator({ store, alertStore, notifier });
+    first.savePolicy(policy);
+    second.policies.set(policy.policy_id, policy);
+    recordAlert();
+
+    const ticks = await Promise.all([first.tick(triggeredAt), second.tick(triggeredAt)]);
+
+    expect(ticks.sort()).toEqual([0, 1]);
+    expect(notifier.notify).toHaveBeenCalledTimes(1);
+    expect(store.claim).toHaveBeenCalledWith('alert_1:critical_gas:0', 300000);
+  });
+
+  test('should only escalate matching, delivered alerts', async () => {
+    recordAlert({ alert_id: 'warning', alert_level: 'warning' });
+    alertStore.record({
+      alert_id: 'silenced',
+      rule_id: 'gas_high_critical',
+      alert_level: 'critical',
+      timestamp: new Date(triggeredAt).toISOString()
+    }, { status: 'silenced' });
+
+    expect(await escalator.tick(triggeredAt + 30 * MINUTE)).toBe(0);
+  });
+
+  test('should stop escalating once a silence matches the alert', async () => {
+    const silences = new Silences();
+    escalator.silences = silences;
+    recordAlert();
+    await escalator.tick(triggeredAt);
+
+    silences.create({ matchers: { device_id: 'gas_1' }, comment: 'Technician on site', duration_minutes: 60 });
+    expect(await escalator.tick(triggeredAt + 5 * MINUTE)).toBe(0);
+  });
+
+  test('should not escalate alerts triggered before the policy existed', async () => {
+    recordAlert({ timestamp: new Date(triggeredAt - 60 * MINUTE).toISOString() });
+
+    expect(await escalator.tick(triggeredAt)).toBe(0);
+  });
+
+  test('should validate steps', () => {
+    expect(() => escalator.savePolicy({
+      policy_id: 'bad',
+      matchers: { alert_level: 'critical' },
+      steps: [{ after_minutes: 10, actions: ['sms'] }, { after_minutes: 5, actions: ['pager'] }]
+    })).toThrow(
+      'Invalid escalation policy: steps[1].after_minutes must not be before the previous step, ' +
+      'steps[1].actions must be a non-empty array of: email, webhook, sms, push, slack, teams, telegram'
+    );
+  });
+});
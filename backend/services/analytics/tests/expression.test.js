@@ -0,0 +1,164 @@
+/**
+ * Condition Expression Tests
+ */
+
+const expression = require('../src/alerts/expression');
+
+describe('expression', () => {
+  const evaluate = (source, data) => expression.compile(source).evaluate(data);
+
+  describe('comparisons', () => {
+    test('should evaluate numeric comparisons', () => {
+      expect(evaluate('gas_concentration > 500', { gas_concentration: 600 })).toBe(true);
+      expect(evaluate('gas_concentration <= 500', { gas_concentration: 600 })).toBe(false);
+      expect(evaluate('value == 1', { value: 1 })).toBe(true);
+      expect(evaluate('value != 1', { value: 1 })).toBe(false);
+    });
+
+    test('should compare strings and booleans', () => {
+      expect(evaluate('location == "kitchen"', { location: 'kitchen' })).toBe(true);
+      expect(evaluate("location != 'kitchen'", { location: 'hall' })).toBe(true);
+      expect(evaluate('presence == true', { presence: true })).toBe(true);
+    });
+
+    test('should treat missing fields as not matching', () => {
+      expect(evaluate('missing > 5', {})).toBe(false);
+      expect(evaluate('missing < 5', {})).toBe(false);
+      expect(evaluate('missing == null', {})).toBe(false);
+    });
+
+    test('should read nested fields', () => {
+      expect(evaluate('sensor.reading > 500', { sensor: { reading: 750 } })).toBe(true);
+    });
+  });
+
+  describe('boolean operators', () => {
+    test('should evaluate && and || with precedence', () => {
+      const data = { gas_concentration: 350, location: 'kitchen', temperature: 20, humidity: 85 };
+
+      expect(evaluate('gas_concentration > 300 && location == "kitchen"', data)).toBe(true);
+      expect(evaluate('gas_concentration > 400 && location == "kitchen"', data)).toBe(false);
+      expect(evaluate('(temperature > 30 || humidity > 80)', data)).toBe(true);
+      expect(evaluate('temperature > 30 || humidity > 80 && location == "hall"', data)).toBe(false);
+    });
+
+    test('should support word operators and negation', () => {
+      const data = { value: 1, enabled: false };
+
+      expect(evaluate('value == 1 and not enabled', data)).toBe(true);
+      expect(evaluate('!(value == 1) or enabled', data)).toBe(false);
+    });
+  });
+
+  describe('lists and functions', () => {
+    test('should evaluate in and not in', () => {
+      expect(evaluate('location in ["kitchen", "garage"]', { location: 'garage' })).toBe(true);
+      expect(evaluate('value not in [1, 2]', { value: 3 })).toBe(true);
+      expect(evaluate('value in [1, 2]', {})).toBe(false);
+    });
+
+    test('should evaluate math functions and arithmetic', () => {
+      const data = { delta: -12, a: 3, b: 9 };
+
+      expect(evaluate('abs(delta) > 10', data)).toBe(true);
+      expect(evaluate('max(a, b) == 9', data)).toBe(true);
+      expect(evaluate('min(a, b) * 2 + 1 == 7', data)).toBe(true);
+      expect(evaluate('-a < 0', data)).toBe(true);
+    });
+  });
+
+  describe('window aggregates', () => {
+    const WindowStore = require('../src/processors/window');
+    const now = Date.UTC(2025, 0, 1, 12);
+    let windows;
+
+    beforeEach(() => {
+      windows = new WindowStore();
+      const readings = [
+        { sensor_type: 'temperature', temperature: 20, minutesAgo: 12 },
+        { sensor_type: 'temperature', temperature: 22, minutesAgo: 8 },
+        { sensor_type: 'temperature', temperature: 28, minutesAgo: 1 },
+        { sensor_type: 'pir', value: 1, minutesAgo: 4 },
+        { sensor_type: 'pir', value: 0, minutesAgo: 3 },
+        { sensor_type: 'pir', value: 1, minutesAgo: 2 }
+      ];
+      for (const { minutesAgo, ...event } of readings) {
+        windows.record({ device_id: `${event.sensor_type}_1`, location: 'hall', ...event }, now - minutesAgo * 60000);
+      }
+    });
+
+    const evaluateWindow = (source, data) =>
+      expression.compile(source).evaluate(data, { windows, now });
+
+    test('should average and diff values per device', () => {
+      const data = { device_id: 'temperature_1', location: 'hall' };
+
+      expect(evaluateWindow('avg(temperature, 10m)', data)).toBe(25);
+      expect(evaluateWindow('delta(temperature, 10m) > 5', data)).toBe(true);
+      expect(evaluateWindow('sum(temperature, 1h)', data)).toBe(70);
+    });
+
+    test('should count matching events per location by sensor type', () => {
+      const data = { device_id: 'pir_1', location: 'hall' };
+
+      expect(evaluateWindow("count(pir.value == 1, 5m, 'location')", data)).toBe(2);
+      expect(evaluateWindow('count(pir.value == 1, 5m)', { device_id: 'temperature_1' })).toBe(0);
+    });
+
+    test('should not match without window history', () => {
+      expect(expression.compile('avg(temperature, 5m) > 0').evaluate({ temperature: 5 })).toBe(false);
+    });
+
+    test('should expose referenced windows', () => {
+      const compiled = expression.compile("avg(gas_concentration, 5m) > 300 || count(value == 1, 30s, 'location') > 2");
+      expect(compiled.windows).toEqual([
+        { function: 'avg', scope: 'device', window_ms: 300000 },
+        { function: 'count', scope: 'location', window_ms: 30000 }
+      ]);
+    });
+
+    test('should reject aggregates without a window duration or with bad scope', () => {
+      expect(expression.validate('avg(temperature, 5) > 1')).toEqual(
+        expect.objectContaining({ valid: false, position: 17 })
+      );
+      expect(expression.validate("avg(temperature, 5m, 'building') > 1").valid).toBe(false);
+      expect(expression.validate('avg(temperature) > 1').valid).toBe(false);
+    });
+  });
+
+  describe('compile errors', () => {
+    test('should report the position of unexpected tokens', () => {
+      expect(() => expression.compile('invalid condition')).toThrow(expression.ExpressionError);
+
+      const result = expression.validate('value > 5 &&');
+      expect(result.position).toBe(12);
+      expect(result.error).toContain('end of expression');
+    });
+
+    test('should reject unknown functions and wrong arity', () => {
+      expect(expression.validate('sqrt(value) > 1')).toEqual(
+        expect.objectContaining({ valid: false, position: 0 })
+      );
+      expect(expression.validate('abs(a, b) > 1').valid).toBe(false);
+    });
+
+    test('should reject names inherited from Object.prototype', () => {
+      for (const name of ['constructor', 'toString', 'hasOwnProperty']) {
+        expect(expression.validate(`${name}(value) > 1`)).toEqual(
+          expect.objectContaining({ valid: false, error: `Unknown function '${name}' at position 0` })
+        );
+      }
+    });
+
+    test('should reject unterminated strings', () => {
+      const result = expression.validate('location == "kitchen');
+      expect(result.valid).toBe(false);
+      expect(result.position).toBe(12);
+    });
+
+    test('should list referenced fields in order', () => {
+      const compiled = expression.compile('gas_concentration > 300 && location == "kitchen"');
+      expect(compiled.fields).toEqual(['gas_concentration', 'location']);
+    });
+  });
+});
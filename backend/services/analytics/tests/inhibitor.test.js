@@ -0,0 +1,128 @@
+/**
+ * Alert Inhibition Tests
+ */
+
+const Inhibitor = require('../src/alerts/inhibitor');
+const AlertPipeline = require('../src/alerts/pipeline');
+const ThresholdProcessor = require('../src/processors/threshold');
+
+describe('Inhibitor', () => {
+  let inhibitor;
+  let notifier;
+  let pipeline;
+
+  beforeEach(() => {
+    inhibitor = new Inhibitor();
+    inhibitor.addRule({
+      inhibit_id: 'gas_critical_inhibits_warning',
+      source: { rule_id: 'gas_high_critical' },
+      target: { rule_id: 'gas_high_warning' },
+      equal: ['device_id']
+    });
+    notifier = { notify: jest.fn().mockResolvedValue({ deliveries: [] }) };
+    pipeline = new AlertPipeline(notifier, { inhibitor });
+  });
+
+  describe('validation', () => {
+    test('should reject rules without matchers or with unknown fields', () => {
+      const result = inhibitor.validateRule({
+        inhibit_id: 'bad',
+        source: {},
+        target: { color: 'red' },
+        equal: ['building']
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'source must match on at least one field',
+        'target.color is not supported; use rule_id, alert_level, sensor_type, device_id, location',
+        'equal must be an array of: rule_id, alert_level, sensor_type, device_id, location'
+      ]);
+    });
+  });
+
+  describe('with threshold alerts', () => {
+    const rules = [
+      { rule_id: 'gas_high_critical', sensor_type: 'mq134', condition: 'gas_concentration > 500', alert_level: 'critical', actions: ['email'] },
+      { rule_id: 'gas_high_warning', sensor_type: 'mq134', condition: 'gas_concentration > 300', alert_level: 'warning', actions: ['email'] }
+    ];
+    let processor;
+
+    beforeEach(() => {
+      processor = new ThresholdProcessor(pipeline);
+    });
+
+    test('should suppress the warning while the critical alert fires on the same device', async () => {
+      await processor.process({ device_id: 'gas_1', sensor_type: 'mq134', gas_concentration: 650 }, rules);
+
+      expect(notifier.notify).toHaveBeenCalledTimes(1);
+      expect(notifier.notify.mock.calls[0][0].rule_id).toBe('gas_high_critical');
+
+      const [inhibited] = inhibitor.getInhibited();
+      expect(inhibited).toEqual(expect.objectContaining({
+        inhibit_id: 'gas_critical_inhibits_warning',
+        source_rule_id: 'gas_high_critical'
+      }));
+      expect(inhibited.alert.rule_id).toBe('gas_high_warning');
+
+      const warning = processor.getActiveAlerts({ rule_id: 'gas_high_warning' })[0];
+      expect(warning.notification_status).toBe('inhibited');
+      expect(warning.inhibited_by.inhibit_id).toBe('gas_critical_inhibits_warning');
+    });
+
+    test('should suppress the warning when its rule is evaluated before the critical rule', async () => {
+      await processor.process({ device_id: 'gas_1', sensor_type: 'mq134', gas_concentration: 650 }, [...rules].reverse());
+
+      expect(notifier.notify).toHaveBeenCalledTimes(1);
+      expect(notifier.notify.mock.calls[0][0].rule_id).toBe('gas_high_critical');
+      expect(inhibitor.getInhibited()[0].alert.rule_id).toBe('gas_high_warning');
+      expect(processor.getActiveAlerts({ rule_id: 'gas_high_warning' })[0].notification_status).toBe('inhibited');
+    });
+
+    test('should not inhibit alerts for other devices', async () => {
+      await processor.process({ device_id: 'gas_1', sensor_type: 'mq134', gas_concentration: 650 }, rules.slice(0, 1));
+      await processor.process({ device_id: 'gas_2', sensor_type: 'mq134', gas_concentration: 350 }, rules.slice(1));
+
+      expect(notifier.notify).toHaveBeenCalledTimes(2);
+      expect(inhibitor.getInhibited()).toHaveLength(0);
+    });
+
+    test('should stop inhibiting once the source resolves and drop resolutions of inhibited alerts', async () => {
+      await processor.process({ device_id: 'gas_1', sensor_type: 'mq134', gas_concentration: 650 }, rules);
+      await processor.process({ device_id: 'gas_1', sensor_type: 'mq134', gas_concentration: 100 }, rules);
+
+      // Critical resolution is delivered, warning resolution is not
+      const delivered = notifier.notify.mock.calls.map(([alert]) => `${alert.rule_id}:${alert.status}`);
+      expect(delivered).toEqual(['gas_high_critical:firing', 'gas_high_critical:resolved']);
+
+      await processor.process({ device_id: 'gas_1', sensor_type: 'mq134', gas_concentration: 350 }, rules);
+      expect(notifier.notify.mock.calls[2][0].rule_id).toBe('gas_high_warning');
+    });
+  });
+
+  describe('with alerts without a lifecycle', () => {
+    test('should inhibit for duration_minutes after an anomaly alert', () => {
+      inhibitor.addRule({
+        inhibit_id: 'failure_inhibits_gas',
+        source: { rule_id: 'anomaly_out_of_range' },
+        target: { sensor_type: 'mq134', alert_level: ['warning', 'info'] },
+        equal: ['location'],
+        duration_minutes: 5
+      });
+
+      const now = Date.now();
+      const anomaly = { alert_id: 'a1', rule_id: 'anomaly_out_of_range', device_id: 'gas_1', data: { sensor_data: { location: 'lab' } } };
+      const warning = { alert_id: 'w1', rule_id: 'gas_high_warning', alert_level: 'warning', sensor_type: 'mq134', device_id: 'gas_2', data: { location: 'lab' } };
+
+      inhibitor.observe(anomaly, null, now);
+
+      expect(inhibitor.check(warning, now + 60000)).toEqual({
+        inhibit_id: 'failure_inhibits_gas',
+        source_alert_id: 'a1',
+        source_rule_id: 'anomaly_out_of_range'
+      });
+      expect(inhibitor.check({ ...warning, data: { location: 'hall' } }, now + 60000)).toBeNull();
+      expect(inhibitor.check(warning, now + 6 * 60000)).toBeNull();
+    });
+  });
+});
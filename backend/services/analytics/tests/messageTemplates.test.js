@@ -0,0 +1,111 @@
+/**
+ * Message Template Tests
+ */
+
+const MessageTemplates = require('../src/alerts/messageTemplates');
+const RecipientRouter = require('../src/alerts/routing');
+const AlertNotifier = require('../src/alerts/notifier');
+const { renderText } = require('../src/alerts/templating');
+
+describe('MessageTemplates', () => {
+  const alert = {
+    alert_id: 'alert_1',
+    rule_id: 'gas_high_critical',
+    status: 'firing',
+    alert_level: 'critical',
+    sensor_type: 'mq134',
+    device_id: 'gas_1',
+    value: 650,
+    condition: 'gas_concentration > 500',
+    message: 'Gas <high> & rising',
+    data: { location: 'building-a/lab' }
+  };
+  let templates;
+
+  beforeEach(() => {
+    templates = new MessageTemplates();
+  });
+
+  describe('rendering', () => {
+    test('should render sections and escape HTML unless triple braces are used', () => {
+      const variables = { alert, empty: '' };
+      expect(renderText('{{#alert.condition}}if {{alert.condition}}{{/alert.condition}}{{^empty}}!{{/empty}}', variables))
+        .toBe('if gas_concentration > 500!');
+      expect(renderText('<p>{{alert.message}}</p><p>{{{alert.message}}}</p>', variables, { escape: true }))
+        .toBe('<p>Gas &lt;high&gt; &amp; rising</p><p>Gas <high> & rising</p>');
+      expect(renderText('{{alert.message}}', { alert: { message: '{{secret}}' }, secret: 'x' })).toBe('{{secret}}');
+    });
+
+    test('should repeat array sections with each item in scope', () => {
+      const variables = {
+        location: 'site',
+        groups: [{ rule_id: 'a', count: 2, location: 'lab' }, { rule_id: '{{location}}', count: 1, location: null }]
+      };
+      expect(renderText('{{#groups}}[{{rule_id}}={{count}} {{#location}}{{location}}{{/location}}{{^location}}-{{/location}}]{{/groups}} {{location}}', variables))
+        .toBe('[a=2 lab][{{location}}=1 -] site');
+      expect(renderText('{{#groups}}x{{/groups}}{{^groups}}none{{/groups}}', { groups: [] })).toBe('none');
+    });
+
+    test('should provide built-in English and Spanish defaults', () => {
+      expect(templates.render(alert, 'subject')).toBe('[CRITICAL] Sensor Alert - gas_1');
+      expect(templates.render(alert, 'subject', { locale: 'es' })).toBe('[CRÍTICA] Alerta de sensor - gas_1');
+      expect(templates.render({ ...alert, status: 'resolved' }, 'sms', { locale: 'es' }))
+        .toBe('[CRÍTICA RESUELTA] gas_1: Gas <high> & rising');
+      expect(templates.render(alert, 'text', { locale: 'es' })).toContain('Ubicación: building-a/lab\n');
+      expect(templates.render(alert, 'html')).toContain('<p>Gas &lt;high&gt; &amp; rising</p>');
+      expect(templates.render(alert, 'webhook')).toBeNull();
+    });
+
+    test('should pick the rule template, then the alert level template, then the default', () => {
+      templates = new MessageTemplates({ defaultLocale: 'es', levelTemplates: { critical: 'critical_short' } });
+      templates.save({ template_id: 'critical_short', locales: { es: { sms: 'URGENTE {{device}}' } } });
+      templates.save({
+        template_id: 'gas',
+        locales: {
+          es: { subject: 'Gas en {{location}}', webhook: { texto: '{{level_label}}', valor: '{{alert.value}}' } },
+          en: { subject: 'Gas in {{location}}' }
+        }
+      });
+      const rule = { message_template: 'gas' };
+
+      expect(templates.render(alert, 'sms')).toBe('URGENTE gas_1');
+      expect(templates.render(alert, 'subject', { rule })).toBe('Gas en building-a/lab');
+      expect(templates.render(alert, 'subject', { rule, locale: 'en' })).toBe('Gas in building-a/lab');
+      expect(templates.render(alert, 'sms', { rule, locale: 'en' })).toBe('[CRITICAL] gas_1: Gas <high> & rising');
+      expect(templates.render(alert, 'webhook', { rule, locale: 'fr' })).toEqual({ texto: 'CRÍTICA', valor: 650 });
+    });
+
+    test('should validate templates and protect built-ins', () => {
+      expect(() => templates.save({
+        template_id: 'bad id',
+        locales: { spanish: { subject: '{{#x}}open', footer: 'x' } }
+      })).toThrow(
+        'Invalid message template: template_id is required and may only contain letters, digits, _ and -, ' +
+        'locale spanish must look like "es" or "es-ES", locales.spanish.subject: unclosed section {{#x}}, ' +
+        'locales.spanish.footer is not supported; use subject, text, html, sms, webhook'
+      );
+      expect(() => templates.remove('default')).toThrow('Built-in message template cannot be deleted: default');
+    });
+  });
+
+  describe('notifier', () => {
+    test('should send one email per recipient locale', async () => {
+      const router = new RecipientRouter();
+      router.save('recipients', { recipient_id: 'ana', email: 'ana@example.com', locale: 'es' });
+      router.save('recipients', { recipient_id: 'john', email: 'john@example.com' });
+      router.save('teams', { team_id: 'facilities', members: ['ana', 'john'] });
+      router.save('routes', { route_id: 'gas', matchers: { sensor_type: 'mq134' }, team_id: 'facilities' });
+
+      const notifier = new AlertNotifier({ email: {} }, { router });
+      notifier.emailClient = { sendMail: jest.fn().mockResolvedValue({ messageId: 'm1' }) };
+
+      const delivery = await notifier.sendEmail(alert);
+
+      expect(delivery.status).toBe('sent');
+      expect(notifier.emailClient.sendMail.mock.calls.map(([mail]) => `${mail.to}|${mail.subject}`)).toEqual([
+        'ana@example.com|[CRÍTICA] Alerta de sensor - gas_1',
+        'john@example.com|[CRITICAL] Sensor Alert - gas_1'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Alert Notifier Deduplication Tests
+ */
+
+const AlertNotifier = require('../src/alerts/notifier');
+
+describe('AlertNotifier deduplication', () => {
+  const alert = (overrides = {}) => ({
+    alert_id: `alert_${Math.random()}`,
+    rule_id: 'gas_high',
+    status: 'firing',
+    alert_level: 'warning',
+    device_id: 'gas_1',
+    data: { location: 'room-a' },
+    ...overrides
+  });
+
+  test('should suppress the same rule, device and level within the default window', () => {
+    const notifier = new AlertNotifier();
+
+    notifier.recordAlert(alert());
+
+    expect(notifier.isDuplicate(alert())).toBe(true);
+    expect(notifier.isDuplicate(alert({ device_id: 'gas_2' }))).toBe(false);
+    expect(notifier.isDuplicate(alert({ status: 'resolved' }))).toBe(false);
+  });
+
+  test('should use the service-wide window and key fields', () => {
+    const notifier = new AlertNotifier({ alerting: { dedup_window_minutes: 0, dedup_by: ['location'] } });
+
+    notifier.recordAlert(alert());
+
+    expect(notifier.isDuplicate(alert())).toBe(false);
+    expect(notifier.getDedupState()).toHaveLength(0);
+  });
+
+  test('should apply dedup_by and dedup_minutes from the rule', () => {
+    const rules = { gas_high: { rule_id: 'gas_high', dedup_by: ['location'], dedup_minutes: 1 } };
+    const notifier = new AlertNotifier({}, { getRule: ruleId => rules[ruleId] || null });
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    notifier.recordAlert(alert());
+    expect(notifier.isDuplicate(alert({ device_id: 'gas_2' }))).toBe(true);
+    expect(notifier.isDuplicate(alert({ data: { location: 'room-b' } }))).toBe(false);
+
+    Date.now.mockReturnValue(now + 61000);
+    expect(notifier.isDuplicate(alert({ device_id: 'gas_2' }))).toBe(false);
+
+    Date.now.mockRestore();
+  });
+
+  test('should list and clear dedup state', async () => {
+    const notifier = new AlertNotifier();
+
+    await notifier.notify(alert(), []);
+    await notifier.notify(alert({ device_id: 'gas_2' }), []);
+
+    const [entry] = notifier.getDedupState({ device_id: 'gas_1' });
+    expect(entry).toEqual(expect.objectContaining({
+      key: 'gas_high|device_id=gas_1|alert_level=warning',
+      rule_id: 'gas_high',
+      scope: { device_id: 'gas_1', alert_level: 'warning' }
+    }));
+
+    expect(notifier.clearDedupState({ rule_id: 'gas_high', device_id: 'gas_1' })).toBe(1);
+    expect(notifier.getDedupState()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Delivery Outbox Tests
+ */
+
+const DeliveryOutbox = require('../src/alerts/outbox');
+const AlertNotifier = require('../src/alerts/notifier');
+
+describe('DeliveryOutbox', () => {
+  const SECOND = 1000;
+  const alert = { alert_id: 'alert_1', rule_id: 'gas_high', alert_level: 'critical', device_id: 'gas_1' };
+  const now = Date.parse('2025-01-06T08:00:00Z');
+  let deliver;
+  let outbox;
+
+  beforeEach(() => {
+    deliver = jest.fn();
+    outbox = new DeliveryOutbox({ deliver, maxAttempts: 3, channelMaxAttempts: { sms: 2 }, backoffBaseSeconds: 10 });
+  });
+
+  test('should remove delivered entries', async () => {
+    deliver.mockResolvedValue({ channel: 'email', status: 'sent' });
+
+    const result = await outbox.send(alert, 'email', now);
+
+    expect(result).toEqual(expect.objectContaining({ status: 'sent', attempt: 1 }));
+    expect(outbox.list()).toEqual([]);
+  });
+
+  test('should retry failures with exponential backoff until dead-lettered', async () => {
+    deliver.mockResolvedValue({ channel: 'email', status: 'failed', error: 'SMTP timeout' });
+
+    const first = await outbox.send(alert, 'email', now);
+    expect(first.retry_at).toBe(new Date(now + 10 * SECOND).toISOString());
+
+    expect(await outbox.tick(now + 5 * SECOND)).toBe(0);
+    expect(await outbox.tick(now + 10 * SECOND)).toBe(1);
+
+    const [pending] = outbox.list();
+    expect(pending.next_attempt_at).toBe(new Date(now + 30 * SECOND).toISOString());
+
+    expect(await outbox.tick(now + 30 * SECOND)).toBe(1);
+    const [dead] = outbox.list({ status: 'dead' });
+    expect(dead).toEqual(expect.objectContaining({ attempts: 3, last_error: 'SMTP timeout', next_attempt_at: null }));
+    expect(dead.history.map(entry => entry.attempt)).toEqual([1, 2, 3]);
+    expect(await outbox.tick(now + 3600 * SECOND)).toBe(0);
+  });
+
+  test('should apply per-channel max attempts and only resend failed targets', async () => {
+    deliver.mockResolvedValue({
+      channel: 'sms',
+      status: 'partial',
+      results: [
+        { recipient: '+34600000001', status: 'sent' },
+        { recipient: '+34600000002', status: 'failed', error: 'unreachable' }
+      ]
+    });
+
+    await outbox.send(alert, 'sms', now);
+    const result = await outbox.attempt(outbox.list()[0], now + 10 * SECOND);
+
+    expect(result.dead_lettered).toBe(true);
+    expect(deliver).toHaveBeenLastCalledWith(alert, 'sms', ['+34600000002']);
+    expect(outbox.list({ status: 'dead' })[0].last_error).toBe('+34600000002: unreachable');
+  });
+
+  test('should re-drive and discard dead letters', async () => {
+    deliver.mockResolvedValue({ channel: 'sms', status: 'failed', error: 'down' });
+    await outbox.send(alert, 'sms', now);
+    await outbox.send({ ...alert, alert_id: 'alert_2' }, 'sms', now);
+    await outbox.tick(now + 10 * SECOND);
+    const [first, second] = outbox.list({ status: 'dead' });
+
+    deliver.mockResolvedValue({ channel: 'sms', status: 'sent' });
+    const result = await outbox.redrive(first.delivery_id, { actor: 'alice' });
+
+    expect(result.status).toBe('sent');
+    expect(outbox.get(first.delivery_id)).toBeNull();
+    expect(await outbox.redrive('missing')).toBeNull();
+    expect(outbox.discard(second.delivery_id)).toBe(true);
+    expect(outbox.list()).toEqual([]);
+  });
+
+  test('should make each attempt on only one instance sharing the store', async () => {
+    const claims = new Set();
+    const store = {
+      save: jest.fn().mockResolvedValue(),
+      remove: jest.fn().mockResolvedValue(),
+      claim: jest.fn(async id => !claims.has(id) && Boolean(claims.add(id)))
+    };
+    let finishFirst;
+    deliver.mockReturnValueOnce(new Promise(resolve => { finishFirst = resolve; }));
+    const other = new DeliveryOutbox({ deliver, store, backoffBaseSeconds: 10 });
+    outbox = new DeliveryOutbox({ deliver, store, backoffBaseSeconds: 10 });
+
+    // The other instance sees the new entry while the first attempt is still running
+    const sending = outbox.send(alert, 'sms', now);
+    await new Promise(resolve => setImmediate(resolve));
+    const [entry] = outbox.list();
+    other.entries.set(entry.delivery_id, entry);
+    expect(await other.tick(now)).toBe(0);
+
+    finishFirst({ channel: 'sms', status: 'failed', error: 'down' });
+    await sending;
+    const [retry] = outbox.list();
+    other.entries.set(retry.delivery_id, retry);
+
+    deliver.mockResolvedValue({ channel: 'sms', status: 'sent' });
+    const ticks = await Promise.all([outbox.tick(now + 10 * SECOND), other.tick(now + 10 * SECOND)]);
+
+    expect(ticks.sort()).toEqual([0, 1]);
+    expect(deliver).toHaveBeenCalledTimes(2);
+  });
+
+  test('should leave dead letters re-driven by another instance out of redriveAll', async () => {
+    const claims = new Set();
+    const store = {
+      save: jest.fn().mockResolvedValue(),
+      remove: jest.fn().mockResolvedValue(),
+      claim: jest.fn(async id => !claims.has(id) && Boolean(claims.add(id)))
+    };
+    deliver.mockResolvedValue({ channel: 'sms', status: 'failed', error: 'down' });
+    outbox = new DeliveryOutbox({ deliver, store, maxAttempts: 1 });
+    const other = new DeliveryOutbox({ deliver, store, maxAttempts: 1 });
+    await outbox.send(alert, 'sms', now);
+    const [dead] = outbox.list({ status: 'dead' });
+    other.entries.set(dead.delivery_id, dead);
+
+    deliver.mockResolvedValue({ channel: 'sms', status: 'sent' });
+    const [mine, theirs] = await Promise.all([outbox.redriveAll(), other.redriveAll()]);
+
+    expect([mine.length, theirs.length].sort()).toEqual([0, 1]);
+    expect([...mine, ...theirs][0].status).toBe('sent');
+  });
+
+  test('should queue every notifier channel delivery', async () => {
+    const notifier = new AlertNotifier({ delivery: { max_attempts: 2 } });
+    notifier.emailClient = { sendMail: jest.fn().mockRejectedValue(new Error('connection refused')) };
+    notifier.config.email = { recipients: ['ops@example.com'] };
+
+    const result = await notifier.notify(alert, ['email', 'pager']);
+
+    expect(result.deliveries).toHaveLength(1);
+    expect(result.deliveries[0]).toEqual(expect.objectContaining({
+      channel: 'email',
+      status: 'failed',
+      error: 'Email delivery failed: connection refused'
+    }));
+    expect(notifier.outbox.list({ channel: 'email' })).toHaveLength(1);
+    expect(notifier.getDeliveryStats().by_status).toEqual({ failed: 1 });
+  });
+});
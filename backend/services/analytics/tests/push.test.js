@@ -0,0 +1,108 @@
+/**
+ * Web Push Tests
+ */
+
+const PushSubscriptions = require('../src/alerts/push');
+const RecipientRouter = require('../src/alerts/routing');
+const AlertNotifier = require('../src/alerts/notifier');
+
+describe('Web Push', () => {
+  const alert = {
+    alert_id: 'alert_1',
+    rule_id: 'gas_high_critical',
+    status: 'firing',
+    alert_level: 'critical',
+    sensor_type: 'mq134',
+    device_id: 'gas_1',
+    message: 'CRITICAL: gas_high_critical'
+  };
+  const browser = (userId, name) => ({
+    user_id: userId,
+    endpoint: `https://push.example.com/${name}`,
+    keys: { p256dh: `p256dh-${name}`, auth: `auth-${name}` }
+  });
+
+  let pushSubscriptions;
+  let notifier;
+
+  beforeEach(() => {
+    pushSubscriptions = new PushSubscriptions();
+    notifier = new AlertNotifier({
+      push: { enabled: true, vapid_public_key: 'public', vapid_private_key: 'private', vapid_subject: 'mailto:ops@example.com' }
+    }, { pushSubscriptions });
+    notifier.pushClient = { sendNotification: jest.fn().mockResolvedValue({ statusCode: 201 }) };
+  });
+
+  describe('subscriptions', () => {
+    test('should register one subscription per endpoint', () => {
+      const first = pushSubscriptions.register(browser('ana', 'laptop'));
+      const again = pushSubscriptions.register({ ...browser('ana', 'laptop'), keys: { p256dh: 'new', auth: 'new' } });
+      pushSubscriptions.register(browser('luis', 'phone'));
+
+      expect(again.subscription_id).toBe(first.subscription_id);
+      expect(pushSubscriptions.list({ user_id: 'ana' })).toHaveLength(1);
+      expect(pushSubscriptions.getUsers()).toEqual(['ana', 'luis']);
+      expect(() => pushSubscriptions.register({ endpoint: 'http://insecure' })).toThrow(
+        'Invalid push subscription: user_id is required, endpoint must be an https URL, keys.p256dh and keys.auth are required'
+      );
+    });
+  });
+
+  describe('sendPushNotification', () => {
+    test('should send an urgent payload with VAPID details to every subscribed browser', async () => {
+      pushSubscriptions.register(browser('ana', 'laptop'));
+      pushSubscriptions.register(browser('ana', 'phone'));
+
+      const delivery = await notifier.sendPushNotification(alert);
+
+      expect(delivery.status).toBe('sent');
+      expect(notifier.pushClient.sendNotification).toHaveBeenCalledTimes(2);
+      const [target, payload, options] = notifier.pushClient.sendNotification.mock.calls[0];
+      expect(target).toEqual({ endpoint: 'https://push.example.com/laptop', keys: { p256dh: 'p256dh-laptop', auth: 'auth-laptop' } });
+      expect(JSON.parse(payload)).toEqual(expect.objectContaining({
+        title: '[CRITICAL] Sensor Alert - gas_1',
+        body: '[CRITICAL] gas_1: CRITICAL: gas_high_critical',
+        tag: 'gas_high_critical:gas_1'
+      }));
+      expect(options).toEqual(expect.objectContaining({
+        urgency: 'high',
+        vapidDetails: { subject: 'mailto:ops@example.com', publicKey: 'public', privateKey: 'private' }
+      }));
+    });
+
+    test('should prune subscriptions the push service reports as gone', async () => {
+      const gone = pushSubscriptions.register(browser('ana', 'old'));
+      pushSubscriptions.register(browser('ana', 'new'));
+      notifier.pushClient.sendNotification.mockImplementation(({ endpoint }) => endpoint.endsWith('/old')
+        ? Promise.reject(Object.assign(new Error('Received unexpected response code'), { statusCode: 410 }))
+        : Promise.resolve({ statusCode: 201 }));
+
+      const delivery = await notifier.sendPushNotification(alert);
+
+      expect(delivery.status).toBe('sent');
+      expect(delivery.results.map(result => result.status)).toEqual(['expired', 'sent']);
+      expect(pushSubscriptions.get(gone.subscription_id)).toBeNull();
+    });
+
+    test('should only reach routed recipients and retry failed browsers', async () => {
+      const router = new RecipientRouter();
+      router.save('recipients', { recipient_id: 'ana', email: 'ana@example.com' });
+      router.save('teams', { team_id: 'facilities', members: ['ana'] });
+      router.save('routes', { route_id: 'gas', matchers: { sensor_type: 'mq134' }, team_id: 'facilities' });
+      notifier.router = router;
+      const failing = pushSubscriptions.register(browser('ana', 'laptop'));
+      pushSubscriptions.register(browser('luis', 'phone'));
+      notifier.pushClient.sendNotification.mockRejectedValue(Object.assign(new Error('Server error'), { statusCode: 500 }));
+
+      const { deliveries: [delivery] } = await notifier.notify(alert, ['push']);
+
+      expect(delivery.results).toEqual([expect.objectContaining({ user_id: 'ana', status: 'failed', status_code: 500 })]);
+      expect(notifier.outbox.list()[0].targets).toEqual([failing.subscription_id]);
+    });
+
+    test('should skip when Web Push is not configured', async () => {
+      notifier.pushClient = null;
+      expect((await notifier.sendPushNotification(alert)).reason).toBe('not_configured');
+    });
+  });
+});
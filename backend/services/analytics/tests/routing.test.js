@@ -0,0 +1,152 @@
+/**
+ * Recipient Routing Tests
+ */
+
+const RecipientRouter = require('../src/alerts/routing');
+const AlertNotifier = require('../src/alerts/notifier');
+
+describe('RecipientRouter', () => {
+  const WEEK = 7 * 24 * 60 * 60 * 1000;
+  const start = Date.parse('2025-01-06T08:00:00Z');
+  let router;
+
+  beforeEach(() => {
+    router = new RecipientRouter();
+    router.save('recipients', { recipient_id: 'ana', email: 'ana@example.com', phone: '+34600000001' });
+    router.save('recipients', { recipient_id: 'luis', email: 'luis@example.com', phone: '+34600000002' });
+    router.save('recipients', { recipient_id: 'marta', email: 'marta@example.com' });
+    router.save('teams', { team_id: 'facilities', members: ['ana', 'luis'] });
+    router.save('teams', { team_id: 'security', members: ['marta'] });
+  });
+
+  describe('on-call schedules', () => {
+    beforeEach(() => {
+      router.save('schedules', {
+        schedule_id: 'facilities_week',
+        team_id: 'facilities',
+        participants: ['ana', 'luis'],
+        starts_at: new Date(start).toISOString(),
+        overrides: [{ recipient_id: 'marta', starts_at: '2025-01-20T08:00:00Z', ends_at: '2025-01-21T08:00:00Z' }]
+      });
+    });
+
+    test('should rotate weekly', () => {
+      expect(router.getTeamOnCall('facilities', start + 1000)).toEqual(['ana']);
+      expect(router.getTeamOnCall('facilities', start + WEEK + 1000)).toEqual(['luis']);
+      expect(router.getTeamOnCall('facilities', start - 1000)).toEqual(['luis']);
+    });
+
+    test('should apply overrides', () => {
+      expect(router.getTeamOnCall('facilities', Date.parse('2025-01-20T12:00:00Z'))).toEqual(['marta']);
+      expect(router.getTeamOnCall('facilities', Date.parse('2025-01-21T12:00:00Z'))).toEqual(['ana']);
+    });
+
+    test('should reach every member of teams without a schedule', () => {
+      expect(router.getTeamOnCall('security')).toEqual(['marta']);
+    });
+  });
+
+  describe('routes', () => {
+    beforeEach(() => {
+      router.save('routes', { route_id: 'gas_a', matchers: { sensor_type: 'mq134', location: 'building-a/*' }, team_id: 'facilities', priority: 10, continue: true });
+      router.save('routes', { route_id: 'critical', matchers: { alert_level: 'critical' }, team_id: 'security', priority: 20 });
+    });
+
+    test('should route by location and sensor type in priority order', () => {
+      const routing = router.resolve({ sensor_type: 'mq134', alert_level: 'critical', data: { location: 'building-a/lab' } });
+
+      expect(routing.routes).toEqual(['gas_a', 'critical']);
+      expect(routing.recipients.map(recipient => recipient.recipient_id)).toEqual(['ana', 'luis', 'marta']);
+      expect(router.resolve({ sensor_type: 'pir', alert_level: 'info' })).toBeNull();
+    });
+
+    test('should reject unknown teams and report references', () => {
+      expect(() => router.save('routes', { route_id: 'x', matchers: { alert_level: 'info' }, team_id: 'nobody' }))
+        .toThrow('Invalid route: team_id: unknown team nobody');
+      expect(router.getReferences('teams', 'facilities')).toEqual(['routes/gas_a']);
+      expect(router.getReferences('recipients', 'ana')).toEqual(['teams/facilities']);
+    });
+  });
+
+  describe('notifier recipients', () => {
+    test('should contact routed on-call recipients and fall back to configured lists', () => {
+      router.save('routes', { route_id: 'gas', matchers: { sensor_type: 'mq134' }, team_id: 'security' });
+      const notifier = new AlertNotifier({
+        email: { recipients: ['ops@example.com'] },
+        sms: { recipients: ['+10000000000'] }
+      }, { router });
+
+      expect(notifier.getRecipients({ sensor_type: 'mq134' }, 'email')).toEqual(['marta@example.com']);
+      expect(notifier.getRecipients({ sensor_type: 'mq134' }, 'sms')).toEqual([]);
+      expect(notifier.getRecipients({ sensor_type: 'pir' }, 'sms')).toEqual(['+10000000000']);
+    });
+  });
+
+  describe('recipient preferences', () => {
+    // 02:00 in Madrid
+    const night = Date.parse('2025-01-07T01:00:00Z');
+    const noon = Date.parse('2025-01-07T11:00:00Z');
+    let notifier;
+
+    beforeEach(() => {
+      router.save('recipients', {
+        recipient_id: 'ana',
+        email: 'ana@example.com',
+        phone: '+34600000001',
+        preferences: {
+          channels: { warning: ['email'], info: [] },
+          quiet_hours: { timezone: 'Europe/Madrid', ranges: [{ start: '22:00', end: '07:00' }] }
+        }
+      });
+      router.save('recipients', {
+        recipient_id: 'luis',
+        email: 'luis@example.com',
+        phone: '+34600000002',
+        preferences: {
+          quiet_hours: { timezone: 'Europe/Madrid', ranges: [{ start: '22:00', end: '07:00' }] },
+          critical_overrides_quiet_hours: false
+        }
+      });
+      router.save('routes', { route_id: 'gas', matchers: { sensor_type: 'mq134' }, team_id: 'facilities' });
+      notifier = new AlertNotifier({ sms: { recipients: ['+34600000001', '+10000000000'] } }, { router });
+    });
+
+    test('should only use the channels a recipient prefers for the alert level', () => {
+      expect(notifier.getRecipients({ sensor_type: 'mq134', alert_level: 'warning' }, 'sms', noon)).toEqual(['+34600000002']);
+      expect(notifier.getRecipients({ sensor_type: 'mq134', alert_level: 'warning' }, 'email', noon)).toEqual(['ana@example.com', 'luis@example.com']);
+      expect(notifier.getRecipients({ sensor_type: 'mq134', alert_level: 'info' }, 'email', noon)).toEqual(['luis@example.com']);
+      expect(notifier.getRecipients({ sensor_type: 'mq134', alert_level: 'critical' }, 'sms', noon)).toEqual(['+34600000001', '+34600000002']);
+    });
+
+    test('should hold back non-critical alerts during quiet hours unless critical overrides them', () => {
+      expect(notifier.getRecipients({ sensor_type: 'mq134', alert_level: 'warning' }, 'email', night)).toEqual([]);
+      expect(notifier.getRecipients({ sensor_type: 'mq134', alert_level: 'critical' }, 'sms', night)).toEqual(['+34600000001']);
+      expect(notifier.getRecipients({ sensor_type: 'mq134', alert_level: 'critical' }, 'push', night)).toEqual(['ana']);
+    });
+
+    test('should apply preferences to configured recipients with a profile', () => {
+      router.remove('routes', 'gas');
+
+      expect(notifier.getRecipients({ sensor_type: 'mq134', alert_level: 'warning' }, 'sms', noon)).toEqual(['+10000000000']);
+      expect(notifier.getRecipients({ sensor_type: 'mq134', alert_level: 'critical' }, 'sms', night)).toEqual(['+34600000001', '+10000000000']);
+    });
+
+    test('should validate preferences', () => {
+      expect(() => router.save('recipients', {
+        recipient_id: 'x',
+        email: 'x@example.com',
+        preferences: {
+          channels: { urgent: ['sms'], warning: ['fax'] },
+          quiet_hours: { timezone: 'Mars/Base', ranges: [{ start: '25:00' }] },
+          critical_overrides_quiet_hours: 'yes'
+        }
+      })).toThrow(
+        'Invalid recipient: preferences.channels: unknown alert level urgent, ' +
+        'preferences.channels.warning must be an array of: email, sms, push, ' +
+        'preferences.quiet_hours.timezone is not a valid IANA timezone: Mars/Base, ' +
+        'preferences.quiet_hours.ranges[0].start must be HH:MM, ' +
+        'preferences.critical_overrides_quiet_hours must be a boolean'
+      );
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Rule Files Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RulesEngine = require('../src/alerts/rules');
+const { RuleDirectoryLoader, parseRules, serializeRules } = require('../src/alerts/ruleFiles');
+
+describe('rule files', () => {
+  describe('parseRules', () => {
+    test('should parse YAML and JSON documents', () => {
+      const yaml = `
+rules:
+  - rule_id: kitchen_gas
+    condition: gas_concentration > 300 && location == "kitchen"
+    alert_level: warning
+    actions: [email]
+`;
+      expect(parseRules(yaml, 'yaml')).toEqual([{
+        rule_id: 'kitchen_gas',
+        condition: 'gas_concentration > 300 && location == "kitchen"',
+        alert_level: 'warning',
+        actions: ['email']
+      }]);
+      expect(parseRules('[{"rule_id": "a"}]', 'json')).toEqual([{ rule_id: 'a' }]);
+      expect(parseRules({ rule_id: 'single' })).toEqual([{ rule_id: 'single' }]);
+    });
+
+    test('should reject documents without rules', () => {
+      expect(() => parseRules({ foo: 'bar' })).toThrow();
+    });
+
+    test('should round-trip serialized rules', () => {
+      const rules = [{ rule_id: 'a', condition: 'value > 1', alert_level: 'info' }];
+      expect(parseRules(serializeRules(rules, 'yaml'), 'yaml')).toEqual(rules);
+    });
+  });
+
+  describe('RuleDirectoryLoader', () => {
+    let directory;
+    let engine;
+    let loader;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-rules-'));
+      engine = new RulesEngine();
+      loader = new RuleDirectoryLoader(engine, { directory });
+    });
+
+    afterEach(() => {
+      loader.stop();
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should load rule files and prune rules removed from them', async () => {
+      fs.writeFileSync(path.join(directory, 'gas.yaml'), 'rules:\n  - rule_id: gas\n    condition: gas_concentration > 500\n    alert_level: critical\n');
+      fs.writeFileSync(path.join(directory, 'temp.json'), JSON.stringify([{ rule_id: 'temp', condition: 'temperature > 35', alert_level: 'warning' }]));
+      fs.writeFileSync(path.join(directory, 'README.md'), '# ignored');
+      engine.addRule({ rule_id: 'api_rule', condition: 'value > 1', alert_level: 'info' });
+
+      const first = await loader.load();
+      expect(first.added.sort()).toEqual(['gas', 'temp']);
+      expect(engine.getRule('gas').source).toBe('rules_dir');
+
+      fs.unlinkSync(path.join(directory, 'temp.json'));
+      const second = await loader.load();
+
+      expect(second.removed).toEqual(['temp']);
+      expect(engine.getRule('api_rule')).not.toBeNull();
+    });
+
+    test('should keep existing rules when a file cannot be parsed', async () => {
+      fs.writeFileSync(path.join(directory, 'gas.json'), JSON.stringify([{ rule_id: 'gas', condition: 'gas_concentration > 500', alert_level: 'critical' }]));
+      await loader.load();
+
+      fs.writeFileSync(path.join(directory, 'gas.json'), '{ broken');
+      const result = await loader.load();
+
+      expect(result.applied).toBe(false);
+      expect(result.errors[0].file).toBe('gas.json');
+      expect(engine.getRule('gas')).not.toBeNull();
+    });
+  });
+});
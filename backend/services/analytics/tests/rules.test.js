@@ -136,6 +136,109 @@ describe('RulesEngine', () => {
     });
   });
 
+  describe('activation schedules', () => {
+    const nightsAndWeekends = {
+      timezone: 'America/Argentina/Buenos_Aires',
+      ranges: [
+        { days: ['everyday'], start: '19:00', end: '07:00' },
+        { days: ['weekends'] }
+      ],
+      exceptions: [
+        { date: '2025-10-22', active: true },
+        { from: '2025-10-25', to: '2025-10-26', active: false }
+      ]
+    };
+
+    const activeAt = (iso) =>
+      engine.getRulesForSensor({ device_id: 'pir_1', sensor_type: 'pir', timestamp: iso })
+        .some(r => r.rule_id === 'night_motion');
+
+    beforeEach(() => {
+      engine.addRule({
+        rule_id: 'night_motion',
+        sensor_type: 'pir',
+        condition: 'value == 1',
+        alert_level: 'warning',
+        active_schedule: nightsAndWeekends
+      });
+    });
+
+    test('should only return rules inside their schedule in the rule timezone', () => {
+      expect(activeAt('2025-10-20T15:00:00Z')).toBe(false); // Mon 12:00 local
+      expect(activeAt('2025-10-20T23:30:00Z')).toBe(true); // Mon 20:30 local
+      expect(activeAt('2025-10-21T09:00:00Z')).toBe(true); // Tue 06:00 local, overnight
+      expect(activeAt('2025-10-21T10:30:00Z')).toBe(false); // Tue 07:30 local
+      expect(activeAt('2025-10-19T15:00:00Z')).toBe(true); // Sun, weekend
+    });
+
+    test('should apply date exceptions before ranges', () => {
+      expect(activeAt('2025-10-22T15:00:00Z')).toBe(true); // Holiday, forced active
+      expect(activeAt('2025-10-25T15:00:00Z')).toBe(false); // Weekend, forced inactive
+      expect(activeAt('2025-10-26T23:30:00Z')).toBe(false); // Sun 20:30 local
+    });
+
+    test('should skip samples outside the schedule in simulations', () => {
+      const result = engine.testRule('night_motion', {
+        samples: [
+          { device_id: 'pir_1', sensor_type: 'pir', value: 1, timestamp: '2025-10-20T15:00:00Z' },
+          { device_id: 'pir_1', sensor_type: 'pir', value: 1, timestamp: '2025-10-20T23:30:00Z' }
+        ]
+      });
+
+      expect(result.timeline[0]).toEqual(expect.objectContaining({ skipped: true, outside_schedule: true }));
+      expect(result.fired_at).toEqual(['2025-10-20T23:30:00.000Z']);
+    });
+
+    test('should reject invalid schedules', () => {
+      const validation = engine.validateRule({
+        rule_id: 'bad_schedule',
+        condition: 'value == 1',
+        alert_level: 'info',
+        active_schedule: {
+          timezone: 'Mars/Olympus_Mons',
+          ranges: [{ days: ['funday'], start: '25:00', end: '07:00' }],
+          exceptions: [{ date: '20/10/2025' }]
+        }
+      });
+
+      expect(validation.valid).toBe(false);
+      expect(validation.errors).toEqual(expect.arrayContaining([
+        'active_schedule.timezone is not a valid IANA timezone: Mars/Olympus_Mons',
+        'active_schedule.ranges[0].days contains invalid days: funday',
+        'active_schedule.ranges[0].start must be HH:MM',
+        'active_schedule.exceptions[0] requires date or from/to as YYYY-MM-DD',
+        'active_schedule.exceptions[0].active must be a boolean'
+      ]));
+    });
+
+    test('should reject schedule entries that are not objects', () => {
+      const validation = engine.validateRule({
+        rule_id: 'null_entries',
+        condition: 'value == 1',
+        alert_level: 'info',
+        active_schedule: { ranges: [null, { start: '08:00', end: '18:00' }], exceptions: ['2025-12-25'] }
+      });
+
+      expect(validation.errors).toEqual([
+        'active_schedule.ranges[0] must be an object',
+        'active_schedule.exceptions[0] must be an object'
+      ]);
+    });
+
+    test('should check whole day names, not their first three letters', () => {
+      const validate = days => engine.validateRule({
+        rule_id: 'days',
+        condition: 'value == 1',
+        alert_level: 'info',
+        active_schedule: { ranges: [{ days }] }
+      });
+
+      expect(validate(['monkey']).errors).toEqual(['active_schedule.ranges[0].days contains invalid days: monkey']);
+      expect(validate(['Sunflower', 'mon']).valid).toBe(false);
+      expect(validate(['Monday', 'tues', 'THU', 'weekends']).valid).toBe(true);
+    });
+  });
+
   describe('templates', () => {
     test('should get available templates', () => {
       const templates = engine.getTemplates();
@@ -162,6 +265,108 @@ describe('RulesEngine', () => {
     test('should throw error for non-existent template', () => {
       expect(() => engine.createFromTemplate('non_existent')).toThrow();
     });
+
+    describe('user-defined templates', () => {
+      const gasTemplate = {
+        name: 'gas_by_location',
+        parameters: {
+          threshold: { type: 'number', min: 0, default: 500 },
+          location: { type: 'string' },
+          channels: { type: 'list', default: ['email'] },
+          throttle: { type: 'integer', default: 15 }
+        },
+        sensor_type: 'mq134',
+        condition: 'gas_concentration > {{threshold}} && location == {{location}}',
+        alert_level: 'critical',
+        actions: '{{channels}}',
+        throttle_minutes: '{{throttle}}',
+        description: 'Gas above {{threshold}} PPM in {{location}}'
+      };
+
+      beforeEach(() => {
+        engine.saveTemplate(gasTemplate, {}, { actor: 'alice' });
+      });
+
+      test('should substitute typed parameters into the rule', () => {
+        const rule = engine.createFromTemplate('gas_by_location', {
+          rule_id: 'kitchen_gas',
+          params: { location: 'kitchen "east"', threshold: 650 }
+        });
+
+        expect(rule.condition).toBe('gas_concentration > 650 && location == "kitchen \\"east\\""');
+        expect(rule.actions).toEqual(['email']);
+        expect(rule.throttle_minutes).toBe(15);
+        expect(rule.description).toBe('Gas above 650 PPM in kitchen "east"');
+        expect(rule.template).toEqual({
+          name: 'gas_by_location',
+          version: 1,
+          params: { location: 'kitchen "east"', threshold: 650 },
+          overrides: {}
+        });
+        expect(engine.testRule('kitchen_gas', { gas_concentration: 700, location: 'kitchen "east"' }).would_trigger).toBe(true);
+      });
+
+      test('should type-check parameters', () => {
+        expect(() => engine.createFromTemplate('gas_by_location', { params: { threshold: 600 } }))
+          .toThrow('parameter location is required');
+        expect(() => engine.createFromTemplate('gas_by_location', { params: { location: 'hall', threshold: '600' } }))
+          .toThrow('parameter threshold must be of type number');
+        expect(() => engine.createFromTemplate('gas_by_location', { params: { location: 'hall', threshold: -1 } }))
+          .toThrow('parameter threshold must be >= 0');
+        expect(() => engine.createFromTemplate('gas_by_location', { params: { location: 'hall', floor: 2 } }))
+          .toThrow('unknown parameter floor');
+      });
+
+      test('should reject undeclared placeholders and changes to built-in templates', () => {
+        expect(() => engine.saveTemplate({ name: 'broken', condition: 'value > {{limit}}' }))
+          .toThrow('placeholder {{limit}} is not a declared parameter');
+        expect(() => engine.saveTemplate({ name: 'gas_high_critical', condition: 'value > 1' }))
+          .toThrow('Built-in template cannot be modified');
+        expect(() => engine.deleteTemplate('gas_high_critical')).toThrow();
+      });
+
+      test('should propagate template changes to linked rules', () => {
+        engine.createFromTemplate('gas_by_location', {
+          rule_id: 'hall_gas',
+          params: { location: 'hall' },
+          alert_level: 'warning'
+        });
+        engine.toggleRule('hall_gas', false);
+
+        const { template, propagation } = engine.saveTemplate({
+          ...gasTemplate,
+          condition: 'avg(gas_concentration, 5m) > {{threshold}} && location == {{location}}'
+        }, { propagate: true }, { actor: 'bob' });
+
+        expect(template.version).toBe(2);
+        expect(propagation).toEqual({ updated: ['hall_gas'], unchanged: [], errors: [] });
+
+        const rule = engine.getRule('hall_gas');
+        expect(rule.condition).toBe('avg(gas_concentration, 5m) > 500 && location == "hall"');
+        expect(rule.alert_level).toBe('warning');
+        expect(rule.enabled).toBe(false);
+        expect(rule.template.version).toBe(2);
+        expect(engine.getRuleHistory('hall_gas')[0]).toEqual(
+          expect.objectContaining({ action: 'template_update', actor: 'bob' })
+        );
+      });
+
+      test('should report rules that no longer render after a template change', () => {
+        engine.createFromTemplate('gas_by_location', { rule_id: 'hall_gas', params: { location: 'hall' } });
+
+        const { propagation } = engine.saveTemplate({
+          ...gasTemplate,
+          parameters: { ...gasTemplate.parameters, floor: { type: 'integer' } },
+          description: 'Gas in {{location}} floor {{floor}}'
+        }, { propagate: true });
+
+        expect(propagation.updated).toEqual([]);
+        expect(propagation.errors[0]).toEqual({
+          rule_id: 'hall_gas',
+          error: 'Invalid template parameters: parameter floor is required'
+        });
+      });
+    });
   });
 
   describe('validation', () => {
@@ -197,6 +402,80 @@ describe('RulesEngine', () => {
       const validation = engine.validateRule(rule);
       expect(validation.valid).toBe(false);
     });
+
+    test('should validate sustained-duration settings', () => {
+      const base = { rule_id: 'test_rule', condition: 'value > 100', alert_level: 'warning' };
+
+      expect(engine.validateRule({ ...base, for_seconds: 30 }).valid).toBe(true);
+      expect(engine.validateRule({ ...base, for_seconds: -1 }).valid).toBe(false);
+      expect(engine.validateRule({ ...base, min_consecutive: 1.5 }).valid).toBe(false);
+    });
+
+    test('should validate throttle and dedup scoping', () => {
+      const base = { rule_id: 'test_rule', condition: 'value > 100', alert_level: 'warning' };
+
+      expect(engine.validateRule({ ...base, throttle_by: ['device_id'], dedup_by: ['location'], dedup_minutes: 0 }).valid).toBe(true);
+      expect(engine.validateRule({ ...base, throttle_by: ['room'] }).errors).toEqual([
+        'throttle_by must be an array of: alert_level, sensor_type, device_id, location'
+      ]);
+      expect(engine.validateRule({ ...base, dedup_by: 'device_id', dedup_minutes: -1 }).valid).toBe(false);
+    });
+
+    test('should reject malformed conditions with their position', () => {
+      const rule = {
+        rule_id: 'test_rule',
+        condition: 'temperature > 30 || (humidity > 80',
+        alert_level: 'warning'
+      };
+
+      const validation = engine.validateRule(rule);
+      expect(validation.valid).toBe(false);
+      expect(validation.errors[0]).toMatch(/^condition: .* at position 34$/);
+    });
+  });
+
+  describe('testRule', () => {
+    test('should evaluate compound conditions against sample data', () => {
+      engine.addRule({
+        rule_id: 'kitchen_gas',
+        condition: 'gas_concentration > 300 && location == "kitchen"',
+        alert_level: 'warning'
+      });
+
+      expect(engine.testRule('kitchen_gas', { gas_concentration: 320, location: 'kitchen' }).would_trigger).toBe(true);
+      expect(engine.testRule('kitchen_gas', { gas_concentration: 320, location: 'hall' }).would_trigger).toBe(false);
+    });
+
+    test('should evaluate aggregate conditions over the single sample', () => {
+      engine.addRule({ rule_id: 'avg_gas', condition: 'avg(gas_concentration, 5m) > 300', alert_level: 'warning' });
+
+      const result = engine.testRule('avg_gas', { device_id: 'd1', gas_concentration: 320 });
+
+      expect(result.would_trigger).toBe(true);
+      expect(result.note).toMatch(/only see this sample/);
+      expect(engine.testRule('avg_gas', { device_id: 'd1', gas_concentration: 200 }).would_trigger).toBe(false);
+    });
+
+    test('should report when a sustained rule would fire over a sample sequence', () => {
+      engine.addRule({
+        rule_id: 'sustained_gas',
+        condition: 'gas_concentration > 500',
+        alert_level: 'critical',
+        for_seconds: 10
+      });
+
+      const result = engine.testRule('sustained_gas', {
+        samples: [
+          { device_id: 'd1', gas_concentration: 600, timestamp: '2025-01-01T00:00:00.000Z' },
+          { device_id: 'd1', gas_concentration: 650, timestamp: '2025-01-01T00:00:05.000Z' },
+          { device_id: 'd1', gas_concentration: 700, timestamp: '2025-01-01T00:00:10.000Z' }
+        ]
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.fired_at).toEqual(['2025-01-01T00:00:10.000Z']);
+      expect(result.timeline).toHaveLength(3);
+    });
   });
 
   describe('bulk operations', () => {
@@ -220,6 +499,52 @@ describe('RulesEngine', () => {
       expect(result.failed).toBe(0);
     });
 
+    test('should report a dry-run diff without applying it', () => {
+      engine.addRule({ rule_id: 'keep', condition: 'value > 1', alert_level: 'info' });
+      engine.addRule({ rule_id: 'edit', condition: 'value > 1', alert_level: 'info' });
+      engine.addRule({ rule_id: 'drop', condition: 'value > 1', alert_level: 'info' });
+
+      const result = engine.importRules([
+        { rule_id: 'keep', condition: 'value > 1', alert_level: 'info' },
+        { rule_id: 'edit', condition: 'value > 2', alert_level: 'info' },
+        { rule_id: 'new', condition: 'value > 3', alert_level: 'warning' }
+      ], { dryRun: true, prune: true });
+
+      expect(result.applied).toBe(false);
+      expect(result.added).toEqual(['new']);
+      expect(result.changed).toEqual([
+        { rule_id: 'edit', changes: { condition: { from: 'value > 1', to: 'value > 2' } } }
+      ]);
+      expect(result.removed).toEqual(['drop']);
+      expect(result.unchanged).toEqual(['keep']);
+      expect(engine.getRule('new')).toBeNull();
+    });
+
+    test('should apply imports atomically', () => {
+      const invalid = engine.importRules([
+        { rule_id: 'good', condition: 'value > 1', alert_level: 'info' },
+        { rule_id: 'bad', condition: 'value >', alert_level: 'info' }
+      ]);
+
+      expect(invalid.applied).toBe(false);
+      expect(invalid.errors).toHaveLength(1);
+      expect(engine.getRule('good')).toBeNull();
+
+      const valid = engine.importRules([{ rule_id: 'good', condition: 'value > 1', alert_level: 'info' }]);
+      expect(valid.applied).toBe(true);
+      expect(engine.getRule('good')).not.toBeNull();
+    });
+
+    test('should only prune rules from the same source', () => {
+      engine.addRule({ rule_id: 'api_rule', condition: 'value > 1', alert_level: 'info' });
+      engine.importRules([{ rule_id: 'file_rule', condition: 'value > 1', alert_level: 'info' }], { source: 'rules_dir' });
+
+      const result = engine.importRules([], { prune: true, source: 'rules_dir' });
+
+      expect(result.removed).toEqual(['file_rule']);
+      expect(engine.getRule('api_rule')).not.toBeNull();
+    });
+
     test('should export rules', () => {
       engine.addRule({
         rule_id: 'export1',
@@ -232,6 +557,98 @@ describe('RulesEngine', () => {
     });
   });
 
+  describe('history', () => {
+    const rule = { rule_id: 'audited', condition: 'value > 100', alert_level: 'warning' };
+
+    test('should record every change with actor and snapshots', () => {
+      engine.addRule(rule, { actor: 'alice' });
+      engine.addRule({ ...rule, condition: 'value > 200' }, { actor: 'bob' });
+      engine.toggleRule('audited', false, { actor: 'alice' });
+      engine.deleteRule('audited', { actor: 'ops-bot' });
+
+      const history = engine.getRuleHistory('audited');
+
+      expect(history.map(entry => [entry.version, entry.action, entry.actor])).toEqual([
+        [4, 'delete', 'ops-bot'],
+        [3, 'toggle', 'alice'],
+        [2, 'update', 'bob'],
+        [1, 'create', 'alice']
+      ]);
+      expect(history[2].before.condition).toBe('value > 100');
+      expect(history[2].after.condition).toBe('value > 200');
+      expect(history[0].after).toBeNull();
+    });
+
+    test('should revert a rule to a previous version', () => {
+      engine.addRule(rule);
+      engine.addRule({ ...rule, condition: 'value > 200', throttle_minutes: 5 });
+
+      const reverted = engine.revertRule('audited', 1, { actor: 'alice' });
+
+      expect(reverted.condition).toBe('value > 100');
+      expect(reverted.throttle_minutes).toBeUndefined();
+      expect(engine.getRuleHistory('audited')[0]).toEqual(expect.objectContaining({
+        version: 3,
+        action: 'revert',
+        reverted_to: 1,
+        actor: 'alice'
+      }));
+    });
+
+    test('should restore deleted rules from history', () => {
+      engine.addRule(rule);
+      engine.deleteRule('audited');
+
+      expect(engine.revertRule('audited', 1).condition).toBe('value > 100');
+      expect(() => engine.revertRule('audited', 2)).toThrow();
+      expect(engine.revertRule('audited', 99)).toBeNull();
+    });
+
+    test('should persist history entries', async () => {
+      const RuleHistory = require('../src/alerts/ruleHistory');
+      const store = {
+        load: jest.fn().mockResolvedValue([]),
+        save: jest.fn().mockResolvedValue(),
+        remove: jest.fn().mockResolvedValue(),
+        subscribe: jest.fn().mockResolvedValue()
+      };
+      const history = new RuleHistory({ store, maxVersions: 2 });
+
+      history.record({ rule_id: 'r', action: 'create', after: { rule_id: 'r' } });
+      history.record({ rule_id: 'r', action: 'update', after: { rule_id: 'r' } });
+      history.record({ rule_id: 'r', action: 'update', after: { rule_id: 'r' } });
+
+      expect(store.save).toHaveBeenCalledWith('r:3', expect.objectContaining({ version: 3 }));
+      expect(store.remove).toHaveBeenCalledWith('r:1');
+      expect(history.getHistory('r')).toHaveLength(2);
+    });
+
+    test('should give changes recorded on different instances different versions', async () => {
+      const RuleHistory = require('../src/alerts/ruleHistory');
+      let counter = 0;
+      const store = {
+        save: jest.fn().mockResolvedValue(),
+        increment: jest.fn(async (id, by = 1) => (counter += by))
+      };
+      const first = new RuleHistory({ store });
+      const second = new RuleHistory({ store });
+      // Versions recorded before the shared counter existed are skipped
+      first.append({ rule_id: 'r', version: 3, action: 'create' });
+      second.append({ rule_id: 'r', version: 3, action: 'create' });
+
+      const entries = await Promise.all([
+        first.record({ rule_id: 'r', action: 'update', actor: 'alice' }),
+        second.record({ rule_id: 'r', action: 'update', actor: 'bob' })
+      ]);
+
+      const [alice, bob] = entries.map(entry => entry.version);
+      expect(alice).toBeGreaterThan(3);
+      expect(bob).toBeGreaterThan(3);
+      expect(alice).not.toBe(bob);
+      expect(store.save.mock.calls.map(([id]) => id).sort()).toEqual([`r:${alice}`, `r:${bob}`].sort());
+    });
+  });
+
   describe('statistics', () => {
     test('should get rule statistics', () => {
       engine.addRule({
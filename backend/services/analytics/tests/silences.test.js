@@ -0,0 +1,164 @@
+/**
+ * Silences Tests
+ */
+
+const Silences = require('../src/alerts/silences');
+const AlertPipeline = require('../src/alerts/pipeline');
+const AnomalyDetector = require('../src/processors/anomaly');
+const ThresholdProcessor = require('../src/processors/threshold');
+const DeviceRegistry = require('../src/devices/deviceRegistry');
+
+describe('Silences', () => {
+  let silences;
+  let notifier;
+  let pipeline;
+
+  beforeEach(() => {
+    silences = new Silences();
+    notifier = { notify: jest.fn().mockResolvedValue({ deliveries: [] }) };
+    pipeline = new AlertPipeline(notifier, { silences });
+  });
+
+  describe('create', () => {
+    test('should store creator, comment and time range', () => {
+      const silence = silences.create({
+        matchers: { device_id: 'gas_1' },
+        comment: 'Recalibrating MQ134',
+        duration_minutes: 30
+      }, { actor: 'alice' });
+
+      expect(silence.created_by).toBe('alice');
+      expect(Date.parse(silence.ends_at) - Date.parse(silence.starts_at)).toBe(30 * 60 * 1000);
+      expect(silences.get(silence.silence_id).status).toBe('active');
+    });
+
+    test('should reject silences without matchers, comment or end', () => {
+      expect(() => silences.create({ matchers: {} })).toThrow(
+        'Invalid silence: matchers must match on at least one field, comment is required, ends_at or a positive duration_minutes is required'
+      );
+      expect(() => silences.create({
+        matchers: { rule_id: 'x' },
+        comment: 'c',
+        starts_at: '2025-01-02T00:00:00Z',
+        ends_at: '2025-01-01T00:00:00Z'
+      })).toThrow('ends_at must be after starts_at');
+    });
+
+    test('should record who updated a silence', () => {
+      const silence = silences.create({ matchers: { device_id: 'gas_1' }, comment: 'Recalibrating', duration_minutes: 30 });
+
+      const updated = silences.update(silence.silence_id, { comment: 'Replacing the sensor' }, { actor: 'bob' });
+
+      expect(updated).toEqual(expect.objectContaining({ comment: 'Replacing the sensor', updated_by: 'bob' }));
+      expect(silences.update(silence.silence_id, { duration_minutes: 60 }).updated_by).toBe('system');
+    });
+  });
+
+  describe('status', () => {
+    test('should report pending, active and expired silences', () => {
+      const future = silences.create({
+        matchers: { location: 'building-a/*' },
+        comment: 'Planned maintenance',
+        starts_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        duration_minutes: 60
+      });
+      const current = silences.create({ matchers: { alert_level: 'info' }, comment: 'Noisy', duration_minutes: 5 });
+
+      expect(silences.list({ status: 'pending' }).map(s => s.silence_id)).toEqual([future.silence_id]);
+
+      silences.expire(current.silence_id, { actor: 'bob' });
+      const expired = silences.get(current.silence_id);
+      expect(expired.status).toBe('expired');
+      expect(expired.expired_by).toBe('bob');
+    });
+  });
+
+  describe('pipeline', () => {
+    test('should silence matching alerts from every processor and record them', async () => {
+      const silence = silences.create({
+        matchers: { device_id: 'gas_1', sensor_type: 'mq134' },
+        comment: 'Recalibrating MQ134',
+        duration_minutes: 30
+      }, { actor: 'alice' });
+
+      const threshold = new ThresholdProcessor(pipeline);
+      const anomaly = new AnomalyDetector(pipeline);
+      const reading = { device_id: 'gas_1', sensor_type: 'mq134', gas_concentration: 12000 };
+
+      await threshold.process(reading, [
+        { rule_id: 'gas_high_critical', condition: 'gas_concentration > 500', alert_level: 'critical', actions: ['email'] }
+      ]);
+      await anomaly.process(reading);
+      await threshold.process({ device_id: 'gas_2', sensor_type: 'mq134', gas_concentration: 900 }, [
+        { rule_id: 'gas_high_critical', condition: 'gas_concentration > 500', alert_level: 'critical', actions: ['email'] }
+      ]);
+
+      expect(notifier.notify).toHaveBeenCalledTimes(1);
+      expect(notifier.notify.mock.calls[0][0].device_id).toBe('gas_2');
+
+      const recorded = silences.get(silence.silence_id);
+      expect(recorded.silenced_count).toBeGreaterThanOrEqual(2);
+      expect(recorded.silenced_alerts.map(a => a.rule_id)).toEqual(
+        expect.arrayContaining(['gas_high_critical', 'anomaly_out_of_range'])
+      );
+
+      const active = threshold.getActiveAlerts({ device_id: 'gas_1' })[0];
+      expect(active.notification_status).toBe('silenced');
+      expect(active.silenced_by.silence_id).toBe(silence.silence_id);
+    });
+
+    test('should count alerts silenced on several instances without losing any', async () => {
+      let counter = 0;
+      const activityStore = {
+        save: jest.fn().mockResolvedValue(),
+        remove: jest.fn().mockResolvedValue(),
+        increment: jest.fn(async (id, by = 1) => (counter += by))
+      };
+      const first = new Silences({ activityStore, maxSilencedAlerts: 1 });
+      const silence = first.create({ matchers: { rule_id: 'r1' }, comment: 'Muted', duration_minutes: 10 });
+      const second = new Silences({ activityStore, maxSilencedAlerts: 1 });
+      second.silences.set(silence.silence_id, first.silences.get(silence.silence_id));
+
+      await Promise.all([
+        first.record(silence.silence_id, { alert_id: 'a1', rule_id: 'r1' }),
+        second.record(silence.silence_id, { alert_id: 'a2', rule_id: 'r1' })
+      ]);
+      // Each instance sees the other's entry through the store
+      activityStore.save.mock.calls.forEach(([, entry]) => [first, second].forEach(s => s.addActivity(entry)));
+
+      expect(activityStore.save.mock.calls.map(([id]) => id).sort())
+        .toEqual([`${silence.silence_id}:1`, `${silence.silence_id}:2`]);
+      for (const instance of [first, second]) {
+        const recorded = instance.get(silence.silence_id);
+        expect(recorded.silenced_count).toBe(2);
+        expect(recorded.silenced_alerts).toEqual([expect.objectContaining({ alert_id: 'a2' })]);
+      }
+    });
+
+    test('should silence by the location the device registry knows for the device', async () => {
+      const registry = new DeviceRegistry();
+      registry.setDevice({ deviceId: 'pir_7', location: { name: 'building-a/floor-2' }, metadata: { tags: ['perimeter'] } });
+      silences.create({ matchers: { location: 'building-a/*' }, comment: 'Building A works', duration_minutes: 60 });
+
+      const threshold = new ThresholdProcessor(pipeline, null, registry);
+      const [alert] = await threshold.process({ device_id: 'pir_7', sensor_type: 'pir', motion: 1 }, [
+        { rule_id: 'motion_building_a', location: 'building-a/*', condition: 'motion == 1', alert_level: 'warning', actions: ['email'] }
+      ]);
+
+      expect(alert).toEqual(expect.objectContaining({ location: 'building-a/floor-2', tags: ['perimeter'] }));
+      expect(alert.silenced_by).toBeDefined();
+      expect(notifier.notify).not.toHaveBeenCalled();
+    });
+
+    test('should deliver alerts again once the silence expires', async () => {
+      const silence = silences.create({ matchers: { rule_id: 'r1' }, comment: 'Muted', duration_minutes: 10 });
+      const alert = { alert_id: 'a1', rule_id: 'r1', device_id: 'd1' };
+
+      expect((await pipeline.notify(alert, ['email'])).status).toBe('silenced');
+
+      silences.expire(silence.silence_id);
+      await pipeline.notify({ ...alert, alert_id: 'a2' }, ['email']);
+      expect(notifier.notify).toHaveBeenCalledTimes(1);
+    });
+  });
+});
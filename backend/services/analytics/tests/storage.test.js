@@ -0,0 +1,160 @@
+/**
+ * Storage Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStore = require('../src/storage/fileStore');
+const RedisStore = require('../src/storage/redisStore');
+const RulesEngine = require('../src/alerts/rules');
+
+describe('FileStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should start empty when the file does not exist', async () => {
+    const store = new FileStore({ directory, collection: 'rules' });
+    expect(await store.load()).toEqual([]);
+  });
+
+  test('should persist saves and removals across instances', async () => {
+    const store = new FileStore({ directory, collection: 'rules' });
+    await store.save('a', { rule_id: 'a' });
+    await store.save('b', { rule_id: 'b' });
+    await store.remove('a');
+
+    const reloaded = new FileStore({ directory, collection: 'rules' });
+    expect(await reloaded.load()).toEqual([{ rule_id: 'b' }]);
+  });
+
+  test('should batch saves made while a write is waiting', async () => {
+    const store = new FileStore({ directory, collection: 'delivery_log', writeDelayMs: 10 });
+    const writeFile = jest.spyOn(store, 'writeFile');
+
+    const saves = [];
+    for (let i = 0; i < 100; i++) {
+      saves.push(store.save(`log_${i}`, { log_id: `log_${i}` }));
+    }
+    await Promise.all(saves);
+    await store.save('log_100', { log_id: 'log_100' });
+
+    expect(writeFile).toHaveBeenCalledTimes(2);
+    const reloaded = new FileStore({ directory, collection: 'delivery_log' });
+    expect(await reloaded.load()).toHaveLength(101);
+  });
+});
+
+describe('RedisStore', () => {
+  let storage;
+  let store;
+
+  beforeEach(() => {
+    const hash = {};
+    const claims = {};
+    const counters = {};
+    storage = {
+      instanceId: 'instance_1',
+      client: {
+        hGetAll: jest.fn(async () => ({ ...hash })),
+        hSet: jest.fn(async (key, id, value) => { hash[id] = value; }),
+        hDel: jest.fn(async (key, id) => { delete hash[id]; }),
+        publish: jest.fn().mockResolvedValue(1),
+        set: jest.fn(async (key, value, options) => (options.NX && claims[key] ? null : (claims[key] = value) && 'OK')),
+        incrBy: jest.fn(async (key, by) => (counters[key] = (counters[key] || 0) + by))
+      },
+      subscriber: {
+        subscribe: jest.fn().mockResolvedValue()
+      }
+    };
+    store = new RedisStore({ storage, collection: 'rules' });
+  });
+
+  test('should store documents in a hash and publish changes', async () => {
+    await store.save('a', { rule_id: 'a' });
+
+    expect(storage.client.hSet).toHaveBeenCalledWith('analytics:rules', 'a', JSON.stringify({ rule_id: 'a' }));
+    expect(JSON.parse(storage.client.publish.mock.calls[0][1])).toEqual({
+      op: 'save',
+      id: 'a',
+      doc: { rule_id: 'a' },
+      instance_id: 'instance_1'
+    });
+    expect(await store.load()).toEqual([{ rule_id: 'a' }]);
+  });
+
+  test('should grant a claim to one instance only', async () => {
+    expect(await store.claim('delivery_1:0', 60000)).toBe(true);
+    expect(await store.claim('delivery_1:0', 60000)).toBe(false);
+    expect(storage.client.set).toHaveBeenCalledWith('analytics:rules:claims:delivery_1:0', 'instance_1', { NX: true, PX: 60000 });
+  });
+
+  test('should increment shared counters', async () => {
+    expect(await store.increment('gas_high')).toBe(1);
+    expect(await store.increment('gas_high', 5)).toBe(6);
+    expect(storage.client.incrBy).toHaveBeenCalledWith('analytics:rules:counters:gas_high', 1);
+  });
+
+  test('should ignore its own change notifications', async () => {
+    const handler = jest.fn();
+    await store.subscribe(handler);
+    const listener = storage.subscriber.subscribe.mock.calls[0][1];
+
+    listener(JSON.stringify({ op: 'remove', id: 'a', instance_id: 'instance_1' }));
+    listener(JSON.stringify({ op: 'remove', id: 'b', instance_id: 'instance_2' }));
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ id: 'b' }));
+  });
+});
+
+describe('RulesEngine persistence', () => {
+  let store;
+  let engine;
+
+  beforeEach(() => {
+    store = {
+      load: jest.fn().mockResolvedValue([
+        { rule_id: 'stored_rule', condition: 'value > 1', alert_level: 'info', enabled: true }
+      ]),
+      save: jest.fn().mockResolvedValue(),
+      remove: jest.fn().mockResolvedValue(),
+      subscribe: jest.fn().mockResolvedValue()
+    };
+    engine = new RulesEngine({ store });
+  });
+
+  test('should load stored rules', async () => {
+    expect(await engine.load()).toBe(1);
+    expect(engine.getRule('stored_rule')).not.toBeNull();
+  });
+
+  test('should write through add, toggle and delete', () => {
+    engine.addRule({ rule_id: 'new_rule', condition: 'value > 1', alert_level: 'info' });
+    engine.toggleRule('new_rule', false);
+    engine.deleteRule('new_rule');
+
+    expect(store.save).toHaveBeenCalledTimes(2);
+    expect(store.save.mock.calls[1][1].enabled).toBe(false);
+    expect(store.remove).toHaveBeenCalledWith('new_rule');
+  });
+
+  test('should apply changes from other instances', async () => {
+    await engine.load();
+    const handler = store.subscribe.mock.calls[0][0];
+
+    handler({ op: 'save', id: 'remote_rule', doc: { rule_id: 'remote_rule', condition: 'value > 2', alert_level: 'warning' } });
+    handler({ op: 'remove', id: 'stored_rule' });
+
+    expect(engine.getRule('remote_rule')).not.toBeNull();
+    expect(engine.getRule('stored_rule')).toBeNull();
+    expect(store.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Rule Targeting Tests
+ */
+
+const { RuleIndex, matchesTarget, matchesLocation, validateTarget } = require('../src/alerts/targeting');
+const DeviceRegistry = require('../src/devices/deviceRegistry');
+const RulesEngine = require('../src/alerts/rules');
+
+describe('targeting', () => {
+  describe('matchesLocation', () => {
+    test('should match exact, prefix and wildcard patterns', () => {
+      expect(matchesLocation('building-a/floor-1', 'building-a/floor-1')).toBe(true);
+      expect(matchesLocation('building-a/floor-1', 'building-a/floor-10')).toBe(false);
+      expect(matchesLocation('building-a/*', 'building-a/floor-1/kitchen')).toBe(true);
+      expect(matchesLocation('building-a/*', 'building-b/floor-1')).toBe(false);
+      expect(matchesLocation('*/kitchen', 'building-a/kitchen')).toBe(true);
+      expect(matchesLocation('building-*/lab.1', 'building-c/labx1')).toBe(false);
+      expect(matchesLocation('building-a/*', undefined)).toBe(false);
+    });
+  });
+
+  describe('matchesTarget', () => {
+    const event = { device_id: 'esp32_7', sensor_type: 'pir', location: 'building-a/floor-2' };
+
+    test('should require every targeting criterion to match', () => {
+      expect(matchesTarget({ sensor_type: 'pir', location: 'building-a/*' }, event)).toBe(true);
+      expect(matchesTarget({ device_ids: ['esp32_1', 'esp32_7'] }, event)).toBe(true);
+      expect(matchesTarget({ device_ids: ['esp32_1'] }, event)).toBe(false);
+      expect(matchesTarget({ location: 'building-a/*', tags: ['perimeter'] }, event)).toBe(false);
+    });
+
+    test('should use registry location and tags when the event has none', () => {
+      const device = { location: 'building-b/lobby', tags: ['perimeter', 'entrance'] };
+      const bare = { device_id: 'esp32_9', sensor_type: 'pir' };
+
+      expect(matchesTarget({ location: 'building-b/*', tags: ['perimeter'] }, bare, device)).toBe(true);
+      expect(matchesTarget({ tags: ['perimeter', 'roof'] }, bare, device)).toBe(false);
+    });
+
+    test('should ignore event tags that are not a list', () => {
+      const event = { device_id: 'esp32_9', sensor_type: 'pir', tags: 'basement-lab' };
+
+      expect(matchesTarget({ tags: ['lab'] }, event)).toBe(false);
+      expect(matchesTarget({ tags: ['lab'] }, event, { tags: ['lab'] })).toBe(true);
+    });
+  });
+
+  describe('validateTarget', () => {
+    test('should reject malformed targeting fields', () => {
+      expect(validateTarget({ device_ids: ['a'], location: ['building-a/*'], tags: ['x'] })).toEqual([]);
+      expect(validateTarget({ device_ids: [], location: '', tags: 'x' })).toHaveLength(3);
+      expect(validateTarget({ device_id: 'a', device_ids: ['b'] })).toEqual([
+        'use either device_id or device_ids, not both'
+      ]);
+    });
+  });
+
+  describe('RuleIndex', () => {
+    let index;
+
+    beforeEach(() => {
+      index = new RuleIndex();
+      index.add({ rule_id: 'global' });
+      index.add({ rule_id: 'devices', device_ids: ['esp32_1', 'esp32_2'] });
+      index.add({ rule_id: 'floor', location: 'building-a/floor-1' });
+      index.add({ rule_id: 'building', location: 'building-a/*' });
+      index.add({ rule_id: 'kitchens', location: '*/kitchen' });
+      index.add({ rule_id: 'perimeter', tags: ['perimeter', 'outdoor'] });
+    });
+
+    test('should return only candidate rules for an event', () => {
+      const ids = index.lookup({ device_id: 'esp32_1', location: 'building-a/floor-1' });
+      expect(Array.from(ids).sort()).toEqual(['building', 'devices', 'floor', 'global']);
+
+      const kitchen = index.lookup({ device_id: 'esp32_5', location: 'building-b/kitchen' });
+      expect(Array.from(kitchen).sort()).toEqual(['global', 'kitchens']);
+
+      const tagged = index.lookup({ device_id: 'esp32_5' }, { tags: ['outdoor', 'perimeter'] });
+      expect(Array.from(tagged).sort()).toEqual(['global', 'perimeter']);
+    });
+
+    test('should reindex rules when their targeting changes', () => {
+      index.add({ rule_id: 'devices', location: 'building-c/*' });
+      index.remove('global');
+
+      expect(Array.from(index.lookup({ device_id: 'esp32_1' }))).toEqual([]);
+      expect(Array.from(index.lookup({ device_id: 'x', location: 'building-c/roof' }))).toEqual(['devices']);
+    });
+  });
+
+  describe('DeviceRegistry', () => {
+    test('should normalize device-management documents', () => {
+      const registry = new DeviceRegistry();
+      registry.setDevice({
+        deviceId: 'esp32_3',
+        location: { name: 'building-a/floor-3' },
+        metadata: { tags: 'perimeter, entrance' }
+      });
+
+      expect(registry.getDevice('esp32_3')).toEqual({
+        device_id: 'esp32_3',
+        location: 'building-a/floor-3',
+        tags: ['perimeter', 'entrance']
+      });
+      expect(registry.getDevice('unknown')).toBeNull();
+    });
+  });
+
+  describe('RulesEngine.getRulesForSensor', () => {
+    test('should select rules by location, tag and device list', () => {
+      const registry = new DeviceRegistry();
+      registry.setDevice({ deviceId: 'esp32_4', location: { name: 'building-a/floor-1' }, metadata: { tags: ['perimeter'] } });
+
+      const engine = new RulesEngine({ deviceRegistry: registry });
+      const base = { sensor_type: 'pir', condition: 'value == 1', alert_level: 'warning' };
+      engine.addRule({ ...base, rule_id: 'building_a', location: 'building-a/*' });
+      engine.addRule({ ...base, rule_id: 'perimeter', tags: ['perimeter'] });
+      engine.addRule({ ...base, rule_id: 'lobby_nodes', device_ids: ['esp32_8', 'esp32_9'] });
+      engine.addRule({ ...base, rule_id: 'gas_building_a', sensor_type: 'mq134', location: 'building-a/*' });
+
+      const ids = engine.getRulesForSensor({ device_id: 'esp32_4', sensor_type: 'pir' }).map(r => r.rule_id);
+      expect(ids.sort()).toEqual(['building_a', 'perimeter']);
+
+      const lobby = engine.getRulesForSensor({ device_id: 'esp32_9', sensor_type: 'pir', location: 'building-b/lobby' });
+      expect(lobby.map(r => r.rule_id)).toEqual(['lobby_nodes']);
+
+      engine.toggleRule('building_a', false);
+      expect(engine.getRulesForSensor({ device_id: 'esp32_4', sensor_type: 'pir' }).map(r => r.rule_id)).toEqual(['perimeter']);
+    });
+  });
+});
@@ -51,6 +51,13 @@ describe('ThresholdProcessor', () => {
       const result = processor.evaluateCondition(data, 'nonexistent > 50');
       expect(result).toBe(false);
     });
+
+    test('should evaluate every clause of a compound condition', () => {
+      const condition = 'gas_concentration > 300 && location == "kitchen"';
+
+      expect(processor.evaluateCondition({ gas_concentration: 350, location: 'kitchen' }, condition)).toBe(true);
+      expect(processor.evaluateCondition({ gas_concentration: 350, location: 'garage' }, condition)).toBe(false);
+    });
   });
 
   describe('process', () => {
@@ -173,6 +180,166 @@ describe('ThresholdProcessor', () => {
     });
   });
 
+  describe('sustained conditions', () => {
+    const rule = {
+      rule_id: 'sustained_rule',
+      sensor_type: 'mq134',
+      condition: 'gas_concentration > 500',
+      alert_level: 'critical',
+      for_seconds: 30
+    };
+
+    const reading = (seconds, gas, deviceId = 'sensor_1') => ({
+      device_id: deviceId,
+      sensor_type: 'mq134',
+      gas_concentration: gas,
+      timestamp: new Date(Date.UTC(2025, 0, 1, 0, 0, seconds)).toISOString()
+    });
+
+    test('should only alert once the condition has held for for_seconds', async () => {
+      expect(await processor.process(reading(0, 600), [rule])).toHaveLength(0);
+      expect(await processor.process(reading(20, 650), [rule])).toHaveLength(0);
+
+      const alerts = await processor.process(reading(30, 620), [rule]);
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0].condition_since).toBe(reading(0, 0).timestamp);
+    });
+
+    test('should reset pending state when the condition clears', async () => {
+      await processor.process(reading(0, 600), [rule]);
+      await processor.process(reading(20, 100), [rule]);
+
+      expect(await processor.process(reading(35, 600), [rule])).toHaveLength(0);
+    });
+
+    test('should track pending state per device', async () => {
+      await processor.process(reading(0, 600, 'sensor_1'), [rule]);
+
+      expect(await processor.process(reading(30, 600, 'sensor_2'), [rule])).toHaveLength(0);
+      expect(await processor.process(reading(31, 600, 'sensor_1'), [rule])).toHaveLength(1);
+    });
+
+    test('should require min_consecutive readings', async () => {
+      const countRule = { ...rule, for_seconds: undefined, min_consecutive: 3 };
+
+      expect(await processor.process(reading(0, 600), [countRule])).toHaveLength(0);
+      expect(await processor.process(reading(1, 600), [countRule])).toHaveLength(0);
+      expect(await processor.process(reading(2, 600), [countRule])).toHaveLength(1);
+    });
+
+    test('should simulate a timeline without notifying', () => {
+      const timeline = processor.simulate({ ...rule, throttle_minutes: 1 }, [
+        reading(0, 600),
+        reading(15, 600),
+        reading(30, 600),
+        reading(45, 600),
+        reading(95, 600)
+      ]);
+
+      expect(timeline.map(entry => entry.fired)).toEqual([false, false, true, false, true]);
+      expect(timeline[3].throttled).toBe(true);
+      expect(mockNotifier.notify).not.toHaveBeenCalled();
+      expect(processor.pendingConditions.size).toBe(0);
+    });
+
+    test('should evaluate window aggregates over simulated samples', () => {
+      const averageRule = { ...rule, for_seconds: undefined, condition: 'avg(gas_concentration, 1m) > 500' };
+
+      const timeline = processor.simulate(averageRule, [
+        reading(0, 400),
+        reading(20, 600),
+        reading(40, 700)
+      ]);
+
+      expect(timeline.map(entry => entry.fired)).toEqual([false, false, true]);
+    });
+  });
+
+  describe('alert lifecycle', () => {
+    const rule = {
+      rule_id: 'gas_rule',
+      sensor_type: 'mq134',
+      condition: 'gas_concentration > 500',
+      alert_level: 'critical',
+      actions: ['email', 'sms']
+    };
+
+    const reading = gas => ({
+      device_id: 'sensor_1',
+      sensor_type: 'mq134',
+      gas_concentration: gas
+    });
+
+    test('should track firing alerts and resolve when the condition clears', async () => {
+      const [fired] = await processor.process(reading(600), [rule]);
+      expect(fired.status).toBe('firing');
+      expect(processor.getActiveAlerts()).toHaveLength(1);
+
+      const [resolved] = await processor.process(reading(100), [rule]);
+      expect(resolved.status).toBe('resolved');
+      expect(resolved.resolves_alert_id).toBe(fired.alert_id);
+      expect(processor.getActiveAlerts()).toHaveLength(0);
+      expect(mockNotifier.notify).toHaveBeenLastCalledWith(
+        expect.objectContaining({ status: 'resolved', rule_id: 'gas_rule' }),
+        ['email', 'sms']
+      );
+    });
+
+    test('should not resolve alerts that were never firing', async () => {
+      const alerts = await processor.process(reading(100), [rule]);
+      expect(alerts).toHaveLength(0);
+    });
+
+    test('should apply clear_condition as hysteresis', async () => {
+      const hysteresisRule = { ...rule, clear_condition: 'gas_concentration < 400' };
+
+      await processor.process(reading(600), [hysteresisRule]);
+      expect(await processor.process(reading(450), [hysteresisRule])).toHaveLength(0);
+      expect(processor.getActiveAlerts()[0].value).toBe(450);
+
+      const [resolved] = await processor.process(reading(350), [hysteresisRule]);
+      expect(resolved.status).toBe('resolved');
+      expect(resolved.condition).toBe('gas_concentration < 400');
+    });
+
+    test('should resolve firing alerts of deleted, disabled or unscheduled rules', async () => {
+      const pendingRule = { ...rule, rule_id: 'pending_rule', for_seconds: 60 };
+      const [fired] = await processor.process(reading(600), [rule, pendingRule]);
+      expect(processor.pendingConditions.size).toBe(1);
+
+      const rules = { gas_rule: { ...rule, enabled: true }, pending_rule: { ...pendingRule, enabled: false } };
+      const getRule = ruleId => rules[ruleId] || null;
+      expect(await processor.resolveInactiveRules(getRule)).toEqual([]);
+      expect(processor.pendingConditions.size).toBe(0);
+
+      rules.gas_rule.active_schedule = { ranges: [{ days: ['mon'], start: '00:00', end: '00:01' }] };
+      const [resolved] = await processor.resolveInactiveRules(getRule, Date.parse('2025-01-07T12:00:00Z'));
+
+      expect(resolved).toEqual(expect.objectContaining({
+        status: 'resolved',
+        rule_id: 'gas_rule',
+        device_id: 'sensor_1',
+        resolves_alert_id: fired.alert_id,
+        reason: 'outside_schedule',
+        message: "RESOLVED: gas_rule - outside the rule's active schedule"
+      }));
+      expect(processor.getActiveAlerts()).toHaveLength(0);
+      expect(mockNotifier.notify).toHaveBeenLastCalledWith(resolved, ['email', 'sms']);
+
+      await processor.process(reading(600), [rule]);
+      const [deleted] = await processor.resolveRuleAlerts('gas_rule', 'rule_deleted');
+      expect(deleted.message).toBe('RESOLVED: gas_rule - rule deleted');
+      expect(processor.getActiveAlerts()).toHaveLength(0);
+    });
+
+    test('should filter active alerts', async () => {
+      await processor.process(reading(600), [rule]);
+
+      expect(processor.getActiveAlerts({ device_id: 'sensor_1' })).toHaveLength(1);
+      expect(processor.getActiveAlerts({ alert_level: 'warning' })).toHaveLength(0);
+    });
+  });
+
   describe('throttling', () => {
     test('should clear throttle', () => {
       processor.updateThrottle('test_rule', 5);
@@ -191,5 +358,67 @@ describe('ThresholdProcessor', () => {
       expect(processor.isThrottled('rule1')).toBe(false);
       expect(processor.isThrottled('rule2')).toBe(false);
     });
+
+    describe('throttle_by', () => {
+      const rule = {
+        rule_id: 'gas_high',
+        condition: 'gas_concentration > 500',
+        alert_level: 'warning',
+        throttle_minutes: 15,
+        actions: ['email']
+      };
+      const reading = (deviceId, location) => ({ device_id: deviceId, location, gas_concentration: 650 });
+
+      test('should throttle the whole rule by default', async () => {
+        await processor.process(reading('gas_1'), [rule]);
+        await processor.process(reading('gas_2'), [rule]);
+
+        expect(mockNotifier.notify).toHaveBeenCalledTimes(1);
+      });
+
+      test('should throttle each device separately', async () => {
+        const perDevice = { ...rule, throttle_by: ['device_id'] };
+
+        await processor.process(reading('gas_1'), [perDevice]);
+        await processor.process(reading('gas_2'), [perDevice]);
+        processor.clearActiveAlerts();
+        await processor.process(reading('gas_1'), [perDevice]);
+
+        expect(mockNotifier.notify).toHaveBeenCalledTimes(2);
+        expect(processor.getThrottles().map(t => t.scope)).toEqual([
+          { device_id: 'gas_1' },
+          { device_id: 'gas_2' }
+        ]);
+      });
+
+      test('should throttle per location and clear one location', async () => {
+        const perLocation = { ...rule, throttle_by: ['location'] };
+
+        await processor.process(reading('gas_1', 'room-a'), [perLocation]);
+        await processor.process(reading('gas_2', 'room-a'), [perLocation]);
+        await processor.process(reading('gas_3', 'room-b'), [perLocation]);
+        expect(mockNotifier.notify).toHaveBeenCalledTimes(2);
+
+        expect(processor.clearThrottles({ rule_id: 'gas_high', location: 'room-a' })).toBe(1);
+        expect(processor.getThrottles({ location: 'room-b' })).toHaveLength(1);
+
+        processor.clearActiveAlerts();
+        await processor.process(reading('gas_2', 'room-a'), [perLocation]);
+        expect(mockNotifier.notify).toHaveBeenCalledTimes(3);
+      });
+
+      test('should throttle per registry location for events without one', async () => {
+        const devices = { gas_1: { location: 'room-a' }, gas_2: { location: 'room-a' }, gas_3: { location: 'room-b' } };
+        processor.deviceRegistry = { getDevice: deviceId => devices[deviceId] || null };
+        const perLocation = { ...rule, throttle_by: ['location'] };
+
+        for (const deviceId of ['gas_1', 'gas_2', 'gas_3']) {
+          await processor.process(reading(deviceId), [perLocation]);
+        }
+
+        expect(mockNotifier.notify).toHaveBeenCalledTimes(2);
+        expect(processor.getThrottles().map(t => t.scope)).toEqual([{ location: 'room-a' }, { location: 'room-b' }]);
+      });
+    });
   });
 });
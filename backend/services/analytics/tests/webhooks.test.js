@@ -0,0 +1,115 @@
+/**
+ * Webhook Subscription Tests
+ */
+
+jest.mock('axios');
+
+const crypto = require('crypto');
+const axios = require('axios');
+const WebhookSubscriptions = require('../src/alerts/webhooks');
+const AlertNotifier = require('../src/alerts/notifier');
+
+describe('WebhookSubscriptions', () => {
+  const alert = {
+    alert_id: 'alert_1',
+    rule_id: 'gas_high_critical',
+    alert_level: 'critical',
+    sensor_type: 'mq134',
+    device_id: 'gas_1',
+    value: 650,
+    message: 'CRITICAL: gas_high_critical',
+    data: { device_id: 'gas_1', location: 'building-a/lab', gas_concentration: 650 }
+  };
+  let webhooks;
+
+  beforeEach(() => {
+    axios.post.mockReset();
+    axios.post.mockResolvedValue({ status: 200 });
+    webhooks = new WebhookSubscriptions();
+  });
+
+  test('should sign the body with the subscription secret and add custom headers', async () => {
+    const subscription = webhooks.save({
+      subscription_id: 'ops',
+      url: 'https://ops.example.com/hook',
+      secret: 'a-very-secret-signing-key',
+      headers: { 'X-Tenant': 'building-a', 'X-Webhook-Signature': 'forged' }
+    });
+
+    const result = await webhooks.send(subscription, alert);
+
+    const [url, body, { headers }] = axios.post.mock.calls[0];
+    const expected = crypto.createHmac('sha256', 'a-very-secret-signing-key')
+      .update(`${headers['X-Webhook-Timestamp']}.${body}`)
+      .digest('hex');
+    expect(url).toBe('https://ops.example.com/hook');
+    expect(JSON.parse(body)).toEqual(expect.objectContaining({ alert, event_type: 'sensor_alert' }));
+    expect(headers['X-Webhook-Signature']).toBe(`sha256=${expected}`);
+    expect(headers['X-Tenant']).toBe('building-a');
+    expect(result).toEqual(expect.objectContaining({ subscription_id: 'ops', status: 'success', status_code: 200 }));
+  });
+
+  test('should render payload templates keeping exact placeholder types', async () => {
+    const subscription = webhooks.save({
+      subscription_id: 'chat',
+      url: 'https://chat.example.com/hook',
+      payload_template: {
+        text: '[{{alert.alert_level}}] {{alert.device_id}} in {{event.location}}',
+        value: '{{alert.value}}',
+        tags: ['{{event_type}}', '{{alert.missing}}']
+      }
+    });
+
+    await webhooks.send(subscription, alert);
+
+    expect(JSON.parse(axios.post.mock.calls[0][1])).toEqual({
+      text: '[critical] gas_1 in building-a/lab',
+      value: 650,
+      tags: ['sensor_alert', null]
+    });
+  });
+
+  test('should match filters, generate secrets and validate subscriptions', () => {
+    webhooks.save({ subscription_id: 'a', url: 'https://a.example.com', filters: { location: 'building-a/*' } });
+    webhooks.save({ subscription_id: 'b', url: 'https://b.example.com', filters: { alert_level: 'info' } });
+    webhooks.save({ subscription_id: 'c', url: 'https://c.example.com', enabled: false });
+
+    expect(webhooks.match(alert).map(subscription => subscription.subscription_id)).toEqual(['a']);
+    expect(webhooks.get('a').secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+    expect(webhooks.redact(webhooks.get('a')).secret).toBe('***');
+    expect(() => webhooks.save({ subscription_id: 'd', url: 'ftp://x', headers: { retries: 3 } })).toThrow(
+      'Invalid webhook subscription: url must be an http(s) URL, headers must be an object of string values'
+    );
+  });
+
+  test('should log deliveries and test events per subscription', async () => {
+    webhooks.save({ subscription_id: 'ops', url: 'https://ops.example.com/hook' });
+    axios.post.mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 503'), {
+      response: { status: 503 }
+    }));
+
+    const failed = await webhooks.sendTest('ops');
+    await webhooks.send(webhooks.get('ops'), alert);
+
+    expect(failed).toEqual(expect.objectContaining({ status: 'failed', status_code: 503 }));
+    expect(JSON.parse(axios.post.mock.calls[0][1]).event_type).toBe('test');
+    expect(webhooks.getDeliveries('ops').map(entry => `${entry.event_type}:${entry.status}`))
+      .toEqual(['sensor_alert:success', 'test:failed']);
+    expect(await webhooks.sendTest('missing')).toBeNull();
+  });
+
+  test('should retry only the endpoints that failed', async () => {
+    webhooks.save({ subscription_id: 'ops', url: 'https://ops.example.com/hook' });
+    webhooks.save({ subscription_id: 'bms', url: 'https://bms.example.com/hook' });
+    const notifier = new AlertNotifier({ webhook: { urls: ['https://legacy.example.com'] } }, { webhooks });
+    axios.post.mockImplementation(url => url.startsWith('https://bms')
+      ? Promise.reject(new Error('timeout'))
+      : Promise.resolve({ status: 200 }));
+
+    const { deliveries: [delivery] } = await notifier.notify(alert, ['webhook']);
+
+    expect(delivery.status).toBe('partial');
+    expect(delivery.results.map(result => result.status)).toEqual(['success', 'success', 'failed']);
+    expect(notifier.outbox.list()[0].targets).toEqual(['bms']);
+  });
+});
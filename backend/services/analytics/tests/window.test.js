@@ -0,0 +1,78 @@
+/**
+ * Window Store Tests
+ */
+
+const WindowStore = require('../src/processors/window');
+
+describe('WindowStore', () => {
+  let store;
+  const base = Date.UTC(2025, 0, 1);
+
+  beforeEach(() => {
+    store = new WindowStore({ maxSamples: 5, retentionMs: 60000 });
+  });
+
+  test('should return samples inside the window per device', () => {
+    store.record({ device_id: 'd1', value: 1 }, base);
+    store.record({ device_id: 'd1', value: 2 }, base + 20000);
+    store.record({ device_id: 'd2', value: 3 }, base + 25000);
+    store.record({ device_id: 'd1', value: 4 }, base + 40000);
+
+    const samples = store.getSamples('device', { device_id: 'd1' }, 30000, base + 40000);
+    expect(samples.map(s => s.event.value)).toEqual([2, 4]);
+  });
+
+  test('should group samples by location', () => {
+    store.record({ device_id: 'd1', location: 'kitchen', value: 1 }, base);
+    store.record({ device_id: 'd2', location: 'kitchen', value: 2 }, base + 1000);
+
+    const samples = store.getSamples('location', { device_id: 'd3', location: 'kitchen' }, 60000, base + 1000);
+    expect(samples).toHaveLength(2);
+  });
+
+  test('should group devices by their registry location when events carry none', () => {
+    const devices = { d1: { location: 'kitchen' }, d2: { location: 'kitchen' } };
+    store = new WindowStore({ deviceRegistry: { getDevice: deviceId => devices[deviceId] || null } });
+    store.record({ device_id: 'd1', value: 1 }, base);
+    store.record({ device_id: 'd2', value: 2 }, base + 1000);
+    store.record({ device_id: 'd3', value: 3 }, base + 2000);
+
+    const samples = store.getSamples('location', { device_id: 'd1' }, 60000, base + 2000);
+    expect(samples.map(s => s.event.value)).toEqual([1, 2]);
+  });
+
+  test('should keep samples ordered when events arrive out of order', () => {
+    store.record({ device_id: 'd1', value: 2 }, base + 2000);
+    store.record({ device_id: 'd1', value: 1 }, base + 1000);
+
+    const samples = store.getSamples('device', { device_id: 'd1' }, 60000, base + 2000);
+    expect(samples.map(s => s.event.value)).toEqual([1, 2]);
+  });
+
+  test('should bound memory per series', () => {
+    for (let i = 0; i < 10; i++) {
+      store.record({ device_id: 'd1', value: i }, base + i * 1000);
+    }
+
+    expect(store.getStats().device.samples).toBe(5);
+  });
+
+  test('should drop samples past retention', () => {
+    store.record({ device_id: 'd1', value: 1 }, base);
+    store.record({ device_id: 'd1', value: 2 }, base + 120000);
+
+    expect(store.getStats().device.samples).toBe(1);
+  });
+
+  test('should extend retention for longer windows', () => {
+    store.getSamples('device', { device_id: 'd1' }, 600000);
+    expect(store.retentionMs).toBe(600000);
+  });
+
+  test('should prune series that stopped reporting', () => {
+    store.record({ device_id: 'd1', value: 1 }, base);
+    store.prune(base + 120000);
+
+    expect(store.getStats().device.keys).toBe(0);
+  });
+});